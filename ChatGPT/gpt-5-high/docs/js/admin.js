@@ -1,10 +1,155 @@
 (async function(){
+  // Who is signed in and what they may do; buttons for anything else are hidden
+  const meRes = await window.fetch('/api/auth/me');
+  if (meRes.status === 401) { location.href = '/admin/login.html'; return; }
+  const me = await meRes.json();
+
+  // Every request below goes through this: state-changing ones carry the session's CSRF token
+  const fetch = (url, options = {}) => {
+    const method = (options.method || 'GET').toUpperCase();
+    if (method === 'GET' || method === 'HEAD') return window.fetch(url, options);
+    return window.fetch(url, { ...options, headers: { ...options.headers, 'X-CSRF-Token': me.csrf_token } });
+  };
+  const can = (perm) => me.permissions.includes(perm);
+  const esc = (v) => String(v ?? '').replace(/[&<>"']/g, ch => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' }[ch]));
+  document.getElementById('whoami').textContent =
+    `Signed in as ${me.user.username} (${me.user.role}) • signed out after ${me.idle_timeout_minutes} minutes of inactivity`;
+
   const logoutLink = document.getElementById('logoutLink');
   logoutLink.addEventListener('click', async (e) => {
     e.preventDefault();
     await fetch('/api/auth/logout', { method: 'POST' });
     location.href = '/admin/login.html';
   });
+  document.getElementById('logoutAllLink').addEventListener('click', async (e) => {
+    e.preventDefault();
+    const others = me.active_sessions - 1;
+    if (!confirm(`Sign out of every session, including this one${others > 0 ? ` and ${others} other(s)` : ''}?`)) return;
+    await fetch('/api/auth/logout-all', { method: 'POST' });
+    location.href = '/admin/login.html';
+  });
+
+  // Change password
+  const pwForm = document.getElementById('pwForm');
+  const pwStatus = document.getElementById('pwStatus');
+  pwForm.addEventListener('submit', async (e) => {
+    e.preventDefault();
+    pwStatus.textContent = 'Updating...';
+    const body = { current: pwForm.current.value, next: pwForm.next.value };
+    const res = await fetch('/api/admin/change-password', {
+      method: 'POST',
+      headers: {'Content-Type':'application/json'},
+      body: JSON.stringify(body)
+    });
+    const data = await res.json();
+    pwStatus.textContent = res.ok ? 'Password updated.' : (data.error || 'Failed');
+    if (res.ok) pwForm.reset();
+    if (res.ok && me.user.must_change_password) location.reload();
+  });
+
+  // The default password has to be replaced before anything else works: show only the form
+  if (me.user.must_change_password) {
+    document.getElementById('passwordRequired').hidden = false;
+    document.getElementById('statsCard').hidden = true;
+    document.querySelectorAll('main > section').forEach(sec => { if (!sec.contains(pwForm)) sec.hidden = true; });
+    pwForm.current.focus();
+    return;
+  }
+
+  // Two-factor authentication for the signed-in account
+  const twoFactorStatus = document.getElementById('twoFactorStatus');
+  const setupBtn = document.getElementById('twoFactorSetupBtn');
+  const disableBtn = document.getElementById('twoFactorDisableBtn');
+  const codesBtn = document.getElementById('recoveryCodesBtn');
+  const setupBox = document.getElementById('twoFactorSetup');
+  const enableForm = document.getElementById('twoFactorEnableForm');
+
+  function renderTwoFactor(tf) {
+    document.getElementById('twoFactorState').textContent = tf.enabled
+      ? `On. ${tf.recovery_codes_left} unused recovery code(s) left.${tf.required ? ' Required for your account.' : ''}`
+      : `Off.${tf.required ? ' Required for your account.' : ' Adds a code from your phone to every sign-in.'}`;
+    setupBtn.hidden = tf.enabled;
+    codesBtn.hidden = !tf.enabled;
+    disableBtn.hidden = !tf.enabled || tf.required;
+  }
+  function showRecoveryCodes(codes) {
+    document.getElementById('recoveryCodesList').textContent = codes.join('\n');
+    document.getElementById('recoveryCodes').hidden = false;
+  }
+  renderTwoFactor(me.two_factor);
+
+  setupBtn.addEventListener('click', async () => {
+    const res = await fetch('/api/auth/2fa/setup', { method: 'POST' });
+    const data = await res.json();
+    if (!res.ok) { twoFactorStatus.textContent = data.error || 'Setup failed'; return; }
+    document.getElementById('twoFactorQr').src = data.qr_code;
+    document.getElementById('twoFactorSecret').textContent = data.secret.replace(/(.{4})/g, '$1 ').trim();
+    setupBox.hidden = false;
+    enableForm.code.focus();
+  });
+  enableForm.addEventListener('submit', async (e) => {
+    e.preventDefault();
+    const res = await fetch('/api/auth/2fa/enable', {
+      method: 'POST',
+      headers: {'Content-Type':'application/json'},
+      body: JSON.stringify({ code: enableForm.code.value.trim() })
+    });
+    const data = await res.json();
+    if (!res.ok) { twoFactorStatus.textContent = data.error || 'Failed'; return; }
+    setupBox.hidden = true;
+    enableForm.reset();
+    twoFactorStatus.textContent = me.user.must_enroll_2fa ? 'Two-factor authentication is on. Save the codes, then reload the page.' : data.message;
+    showRecoveryCodes(data.recovery_codes);
+    renderTwoFactor({ enabled: true, required: me.two_factor.required, recovery_codes_left: data.recovery_codes.length });
+  });
+  disableBtn.addEventListener('click', async () => {
+    const password = prompt('Confirm your password to turn off two-factor authentication:');
+    if (!password) return;
+    const res = await fetch('/api/auth/2fa/disable', {
+      method: 'POST',
+      headers: {'Content-Type':'application/json'},
+      body: JSON.stringify({ password })
+    });
+    const data = await res.json();
+    twoFactorStatus.textContent = data.message || data.error;
+    if (res.ok) renderTwoFactor({ enabled: false, required: false, recovery_codes_left: 0 });
+  });
+  codesBtn.addEventListener('click', async () => {
+    const password = prompt('Confirm your password to replace your recovery codes (the old ones stop working):');
+    if (!password) return;
+    const res = await fetch('/api/auth/2fa/recovery-codes', {
+      method: 'POST',
+      headers: {'Content-Type':'application/json'},
+      body: JSON.stringify({ password })
+    });
+    const data = await res.json();
+    if (!res.ok) { twoFactorStatus.textContent = data.error || 'Failed'; return; }
+    showRecoveryCodes(data.recovery_codes);
+    renderTwoFactor({ ...me.two_factor, enabled: true, recovery_codes_left: data.recovery_codes.length });
+  });
+
+  // 2FA required by an admin but not set up yet: show only that
+  if (me.user.must_enroll_2fa) {
+    document.getElementById('twoFactorRequired').hidden = false;
+    document.querySelectorAll('main > section').forEach(sec => { sec.hidden = sec.id !== 'twoFactorSection'; });
+    return;
+  }
+
+  // Failed sign-ins on this account since its previous login
+  const failedLogins = document.getElementById('failedLogins');
+  if (me.failed_attempts.length) {
+    const list = me.failed_attempts.map(a => `<li>${esc(a.created_at)} UTC from ${esc(a.ip || 'unknown address')}</li>`).join('');
+    failedLogins.innerHTML = `
+      <strong>${me.failed_attempts.length} failed sign-in attempt(s) on your account since your last login.</strong>
+      If these weren't you, change your password and use "Log out all sessions".
+      <ul>${list}</ul>
+      <button class="btn secondary" type="button" id="dismissFailedLogins">Dismiss</button>`;
+    failedLogins.hidden = false;
+    document.getElementById('dismissFailedLogins').addEventListener('click', async () => {
+      await fetch('/api/auth/me/failed-attempts', { method: 'DELETE' });
+      failedLogins.hidden = true;
+    });
+  }
 
   async function loadStats() {
     const res = await fetch('/api/admin/stats');
@@ -18,43 +163,121 @@
         <div class="card"><strong>Claimed:</strong> ${d.items.claimed}</div>
         <div class="card"><strong>Total Claims:</strong> ${d.claims.total}</div>
         <div class="card"><strong>New Claims:</strong> ${d.claims.new}</div>
+        <div class="card"><strong>Unread Messages:</strong> ${d.claims.unread_messages}</div>
+        <div class="card"><strong>Open Lost Reports:</strong> ${d.lost.open}</div>
+        <div class="card"><strong>Possible Matches:</strong> ${d.lost.candidates}</div>
       </div>
     `;
   }
   loadStats();
 
-  // Change password
-  const pwForm = document.getElementById('pwForm');
-  const pwStatus = document.getElementById('pwStatus');
-  pwForm.addEventListener('submit', async (e) => {
-    e.preventDefault();
-    pwStatus.textContent = 'Updating...';
-    const body = { current: pwForm.current.value, next: pwForm.next.value };
-    const res = await fetch('/api/admin/change-password', {
-      method: 'POST',
-      headers: {'Content-Type':'application/json'},
-      body: JSON.stringify(body)
+  // Analytics: summary numbers + charts for the selected range
+  const analyticsForm = document.getElementById('analyticsForm');
+  const analyticsStatus = document.getElementById('analyticsStatus');
+  analyticsForm.addEventListener('submit', (e) => { e.preventDefault(); loadAnalytics(); });
+
+  async function loadAnalytics() {
+    const qs = new URLSearchParams();
+    if (analyticsForm.from.value) qs.set('from', analyticsForm.from.value);
+    if (analyticsForm.to.value) qs.set('to', analyticsForm.to.value);
+    const res = await fetch('/api/admin/analytics?' + qs.toString());
+    if (res.status === 401) { location.href = '/admin/login.html'; return; }
+    const d = await res.json();
+    if (!res.ok) { analyticsStatus.textContent = d.error || 'Failed to load analytics'; return; }
+    analyticsStatus.textContent = '';
+    analyticsForm.from.value = d.range.from;
+    analyticsForm.to.value = d.range.to;
+
+    const pct = (v) => (v === null ? '—' : `${v}%`);
+    document.getElementById('analyticsSummary').innerHTML = `
+      <div class="card"><strong>Reported:</strong> ${d.totals.reported}</div>
+      <div class="card"><strong>Returned:</strong> ${d.totals.claimed} (${pct(d.totals.return_rate)})</div>
+      <div class="card"><strong>Median time to claim:</strong> ${d.time_to_claim.median_days === null ? '—' : `${d.time_to_claim.median_days} days`}</div>
+      <div class="card"><strong>Claims approved:</strong> ${pct(d.claims.approval_rate)}</div>
+    `;
+    Charts.bars(document.getElementById('chartWeekly'), {
+      label: 'Items reported and returned per week',
+      labels: d.weekly.map(w => w.week.slice(5)),
+      series: [
+        { name: 'Reported', values: d.weekly.map(w => w.reported) },
+        { name: 'Returned', values: d.weekly.map(w => w.claimed) }
+      ]
     });
-    const data = await res.json();
-    pwStatus.textContent = res.ok ? 'Password updated.' : (data.error || 'Failed');
-    if (res.ok) pwForm.reset();
-  });
+    Charts.hbars(document.getElementById('chartCategories'), {
+      label: 'Return rate by category',
+      max: 100,
+      rows: d.categories.map(c => ({ label: c.category, value: c.return_rate, text: `${c.return_rate}% of ${c.reported}` }))
+    });
+    Charts.hbars(document.getElementById('chartLocations'), {
+      label: 'Most common locations where items are found',
+      rows: d.top_locations.map(l => ({ label: l.location, value: l.n }))
+    });
+    Charts.stacked(document.getElementById('chartClaims'), {
+      label: 'Claim outcomes',
+      parts: [
+        { name: 'Pending', value: d.claims.pending },
+        { name: 'Approved', value: d.claims.approved },
+        { name: 'Rejected', value: d.claims.rejected }
+      ]
+    });
+  }
+  loadAnalytics();
 
   // Items
   const itemsTable = document.getElementById('itemsTable');
   const itemStatusSel = document.getElementById('itemStatus');
   const itemQ = document.getElementById('itemQ');
-  document.getElementById('loadItemsBtn').addEventListener('click', loadItems);
+  document.getElementById('loadItemsBtn').addEventListener('click', () => loadItems());
+  document.getElementById('itemsMore').addEventListener('click', () => loadItems(true));
 
-  async function loadItems() {
+  // Current filters as a query string; exports use the same ones as the table
+  function itemQuery() {
     const qs = new URLSearchParams();
     if (itemStatusSel.value) qs.set('status', itemStatusSel.value);
     if (itemQ.value.trim()) qs.set('q', itemQ.value.trim());
-    const res = await fetch('/api/admin/items?' + qs.toString());
-    if (res.status === 401) { location.href = '/admin/login.html'; return; }
+    if (document.getElementById('itemFrom').value) qs.set('date_from', document.getElementById('itemFrom').value);
+    if (document.getElementById('itemTo').value) qs.set('date_to', document.getElementById('itemTo').value);
+    return qs;
+  }
+
+  // Export buttons download through a plain navigation so the browser streams the file
+  function bindExport(containerId, path, perm, query) {
+    const box = document.getElementById(containerId);
+    box.hidden = !can(perm);
+    box.addEventListener('click', (e) => {
+      const btn = e.target.closest('button[data-export]');
+      if (!btn) return;
+      const qs = query();
+      qs.set('format', btn.getAttribute('data-export'));
+      location.href = `${path}?${qs.toString()}`;
+    });
+  }
+  bindExport('itemExport', '/api/admin/items/export', 'items.export', itemQuery);
+
+  // Admin lists come a page at a time. A fresh load replaces the table; `more` appends the
+  // page after the last one shown (its next_cursor), and the "<name>More" button below
+  // the table is only shown while there is one.
+  const cursors = {};
+  async function fetchPage(name, path, qs, more) {
+    if (more) qs.set('cursor', cursors[name]);
+    const res = await fetch(`${path}?${qs.toString()}`);
+    if (res.status === 401) { location.href = '/admin/login.html'; return null; }
     const data = await res.json();
-    itemsTable.innerHTML = data.items.map(it => `
+    cursors[name] = data.next_cursor;
+    document.getElementById(`${name}More`).hidden = !data.next_cursor;
+    return data;
+  }
+  function fillTable(table, html, more) {
+    if (more) table.insertAdjacentHTML('beforeend', html);
+    else table.innerHTML = html;
+  }
+
+  async function loadItems(more = false) {
+    const data = await fetchPage('items', '/api/admin/items', itemQuery(), more);
+    if (!data) return;
+    fillTable(itemsTable, data.items.map(it => `
       <tr>
+        <td><input type="checkbox" data-select="${it.id}" aria-label="Select item ${it.id}"></td>
         <td>${it.id}</td>
         <td><a href="/item.html?id=${it.id}" target="_blank" rel="noopener">${it.title}</a></td>
         <td>${it.category}</td>
@@ -62,23 +285,52 @@
         <td><span class="badge">${it.status}</span></td>
         <td>
           <div class="toolbar">
+            ${can('items.moderate') ? `
             <button class="btn ok" data-action="approve" data-id="${it.id}">Approve</button>
             <button class="btn warn" data-action="mark_claimed" data-id="${it.id}">Mark Claimed</button>
             <button class="btn secondary" data-action="archive" data-id="${it.id}">Archive</button>
-            <button class="btn danger" data-action="delete" data-id="${it.id}">Delete</button>
+            ${it.status !== 'spam' ? `<button class="btn danger" data-action="spam" data-id="${it.id}">Spam</button>` : ''}
+            <button class="btn secondary" data-secrets="${it.id}">Identifying details</button>
+            <button class="btn secondary" data-message="${it.id}" data-current="${esc(it.staff_message || '')}">Message reporter</button>` : ''}
+            ${can('items.delete') ? `<button class="btn danger" data-action="delete" data-id="${it.id}">Delete</button>` : ''}
+            ${can('audit.view') ? `<button class="btn secondary" data-history="item" data-id="${it.id}">History</button>` : ''}
           </div>
         </td>
       </tr>
-    `).join('');
+    `).join(''), more);
   }
 
   itemsTable.addEventListener('click', async (e) => {
+    const historyBtn = e.target.closest('button[data-history]');
+    if (historyBtn) return showHistory('item', historyBtn.getAttribute('data-id'));
+    const secretsBtn = e.target.closest('button[data-secrets]');
+    if (secretsBtn) return openSecrets(secretsBtn.getAttribute('data-secrets'));
+    const messageBtn = e.target.closest('button[data-message]');
+    if (messageBtn) {
+      const message = prompt('Message shown on the reporter\'s tracking page (leave empty to remove):', messageBtn.dataset.current);
+      if (message === null) return;
+      const res = await fetch(`/api/admin/items/${messageBtn.dataset.message}/message`, {
+        method: 'PUT',
+        headers: {'Content-Type':'application/json'},
+        body: JSON.stringify({ message })
+      });
+      if (!res.ok) alert('Saving the message failed');
+      return loadItems();
+    }
     const btn = e.target.closest('button[data-action]');
     if (!btn) return;
     const id = btn.getAttribute('data-id');
     const action = btn.getAttribute('data-action');
 
     if (action === 'delete' && !confirm('Delete this item? This removes associated claims and photos.')) return;
+    let blockIpDays = null;
+    if (action === 'spam') {
+      if (!confirm('Mark as spam? The reporter\'s email is blocked and their other pending items are marked as spam too.')) return;
+      // The IP may be a whole school network, so blocking it is a separate, temporary choice
+      blockIpDays = prompt('Also block the sender\'s IP address? Enter a number of days (1-90), or leave empty to block only the email:');
+      if (blockIpDays === null) return;
+      blockIpDays = blockIpDays.trim() || null;
+    }
 
     if (action === 'delete') {
       const res = await fetch(`/api/admin/items/${id}`, { method: 'DELETE' });
@@ -87,9 +339,9 @@
       const res = await fetch(`/api/admin/items/${id}`, {
         method: 'PATCH',
         headers: {'Content-Type':'application/json'},
-        body: JSON.stringify({ action })
+        body: JSON.stringify({ action, block_ip_days: blockIpDays })
       });
-      if (!res.ok) alert('Update failed');
+      if (!res.ok) alert((await res.json().catch(() => ({}))).error || 'Update failed');
     }
     loadItems();
     loadStats();
@@ -97,50 +349,990 @@
 
   loadItems();
 
+  // Bulk actions: checked rows, or every row matching the current filter
+  function setupBulk({ prefix, table, perm, endpoint, query, body, reload }) {
+    const bar = document.getElementById(`${prefix}Bulk`);
+    const count = document.getElementById(`${prefix}BulkCount`);
+    const byFilter = document.getElementById(`${prefix}BulkFilter`);
+    const actionSel = document.getElementById(`${prefix}BulkAction`);
+    const status = document.getElementById(`${prefix}BulkStatus`);
+    const allBox = document.getElementById(`${prefix}sAll`);
+    bar.hidden = !can(perm);
+    allBox.hidden = !can(perm);
+    actionSel.querySelectorAll('option[data-perm]').forEach(o => { if (!can(o.dataset.perm)) o.remove(); });
+
+    const selected = () => [...table.querySelectorAll('input[data-select]:checked')].map(b => parseInt(b.dataset.select));
+    const refresh = () => {
+      count.textContent = byFilter.checked ? 'All matching rows' : `${selected().length} selected`;
+    };
+    table.addEventListener('change', (e) => { if (e.target.matches('input[data-select]')) refresh(); });
+    byFilter.addEventListener('change', refresh);
+    allBox.addEventListener('change', () => {
+      table.querySelectorAll('input[data-select]').forEach(b => { b.checked = allBox.checked; });
+      refresh();
+    });
+
+    document.getElementById(`${prefix}BulkApply`).addEventListener('click', async () => {
+      const payload = body(actionSel.value);
+      if (!payload) return;
+      if (byFilter.checked) {
+        payload.filter = Object.fromEntries(query());
+        if (!confirm('Apply to every row matching the current filter?')) return;
+      } else {
+        payload.ids = selected();
+        if (!payload.ids.length) { status.textContent = 'Select at least one row.'; return; }
+      }
+      if (actionSel.value === 'delete' && !confirm('Delete the selected items? This removes their claims and photos.')) return;
+      if (actionSel.value === 'spam' && !confirm('Mark the selected items as spam and block their senders\' emails?')) return;
+
+      status.textContent = 'Working...';
+      const res = await fetch(endpoint, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify(payload)
+      });
+      if (res.status === 401) { location.href = '/admin/login.html'; return; }
+      const data = await res.json();
+      if (!res.ok) { status.textContent = data.error || 'Bulk update failed'; return; }
+      const failures = data.results.filter(r => !r.ok).map(r => `#${r.id}: ${r.error}`);
+      status.textContent = `${data.succeeded} of ${data.total} updated` +
+        (failures.length ? `; ${failures.length} failed (${failures.join('; ')})` : '.');
+      allBox.checked = false;
+      byFilter.checked = false;
+      await reload();
+      refresh();
+      loadStats();
+    });
+  }
+
+  setupBulk({
+    prefix: 'item',
+    table: itemsTable,
+    perm: 'items.moderate',
+    endpoint: '/api/admin/items/bulk',
+    query: itemQuery,
+    body: (action) => ({ action }),
+    reload: () => loadItems()
+  });
+
+  // Bulk import (CSV + optional photo zip, or a pilot JSON export) with a per-row report
+  const importStatus = document.getElementById('importStatus');
+  const importTable = document.getElementById('importTable');
+  document.getElementById('importSection').hidden = !can('items.import');
+
+  function bindImport(form, endpoint, unit) {
+    form.addEventListener('submit', async (e) => {
+      e.preventDefault();
+      importStatus.textContent = 'Uploading...';
+      importTable.innerHTML = '';
+      const res = await fetch(endpoint, { method: 'POST', body: new FormData(form) });
+      if (res.status === 401) { location.href = '/admin/login.html'; return; }
+      const data = await res.json();
+      if (!res.ok) { importStatus.textContent = data.error || 'Import failed'; return; }
+      const dups = data.duplicates ? `, ${data.duplicates} duplicate(s)` : '';
+      importStatus.textContent = data.dry_run
+        ? `Dry run: ${data.valid} of ${data.total} ${unit}(s) valid${dups}, ${data.failed} with errors. Nothing was saved.`
+        : `Imported ${data.imported} of ${data.total} ${unit}(s)${dups}; ${data.failed} skipped because of errors.`;
+      importTable.innerHTML = data.rows.map(r => `
+        <tr>
+          <td>${r.row || r.index}</td>
+          <td>${esc(r.title || '')}</td>
+          <td>${r.ok
+            ? `<span class="badge">${r.id ? `imported #${r.id}` : 'ok'}</span>`
+            : r.duplicate_of
+              ? `<span class="badge">duplicate</span> of ${esc(r.duplicate_of)}`
+              : `<span class="badge">error</span> ${r.errors.map(esc).join('; ')}`}</td>
+        </tr>
+      `).join('');
+      if (!data.dry_run) { loadItems(); loadStats(); }
+    });
+  }
+  bindImport(document.getElementById('importForm'), '/api/admin/items/import', 'row');
+  bindImport(document.getElementById('legacyImportForm'), '/api/admin/items/import-legacy', 'item');
+
   // Claims
   const claimsTable = document.getElementById('claimsTable');
   const claimStatusSel = document.getElementById('claimStatusSel');
-  document.getElementById('loadClaimsBtn').addEventListener('click', loadClaims);
+  document.getElementById('loadClaimsBtn').addEventListener('click', () => loadClaims());
+  document.getElementById('claimsMore').addEventListener('click', () => loadClaims(true));
 
-  async function loadClaims() {
+  function claimQuery() {
     const qs = new URLSearchParams();
     if (claimStatusSel.value) qs.set('status', claimStatusSel.value);
-    const res = await fetch('/api/admin/claims?' + qs.toString());
-    if (res.status === 401) { location.href = '/admin/login.html'; return; }
-    const data = await res.json();
-    claimsTable.innerHTML = data.claims.map(c => `
+    if (document.getElementById('claimFrom').value) qs.set('date_from', document.getElementById('claimFrom').value);
+    if (document.getElementById('claimTo').value) qs.set('date_to', document.getElementById('claimTo').value);
+    return qs;
+  }
+  bindExport('claimExport', '/api/admin/claims/export', 'claims.export', claimQuery);
+
+  async function loadClaims(more = false) {
+    const data = await fetchPage('claims', '/api/admin/claims', claimQuery(), more);
+    if (!data) return;
+    fillTable(claimsTable, data.claims.map(c => `
       <tr>
+        <td><input type="checkbox" data-select="${c.id}" aria-label="Select claim ${c.id}"></td>
         <td>${c.id}</td>
         <td><a href="/item.html?id=${c.item_id}" target="_blank" rel="noopener">${c.item_title}</a><br><span class="badge">${c.item_status}</span></td>
         <td>${c.claimant_name}</td>
         <td><a href="mailto:${c.claimant_email}">${c.claimant_email}</a></td>
         <td>${c.student_id || ''}</td>
-        <td><span class="badge">${c.status}</span></td>
+        <td><span class="badge">${c.status}</span>
+            ${c.verification_score !== null ? `<br><span class="helper">Verification: ${c.verification_score}%</span>` : ''}
+            ${c.decision_reason ? `<br><span class="helper">${esc(c.decision_reason)}</span>` : ''}</td>
         <td>
           <div class="toolbar">
-            ${['new','in_review','approved','rejected','resolved'].map(s => `
-              <button class="btn ${s==='approved'?'ok':s==='rejected'?'danger':s==='in_review'?'secondary':'secondary'}"
-                      data-claim="${c.id}" data-status="${s}">${s.replace('_',' ')}</button>`).join('')}
+            <button class="btn" data-review="${c.id}">Review</button>
+            <button class="btn secondary" data-messages="${c.id}">Messages (${c.message_count})${c.unread_messages ? ` <span class="badge">${c.unread_messages} unread</span>` : ''}</button>
+            ${c.has_proof && can('claims.view_proof') ? `<button class="btn secondary" data-proof="${c.id}">Show proof</button>` : ''}
+            ${can('audit.view') ? `<button class="btn secondary" data-history="claim" data-id="${c.id}">History</button>` : ''}
           </div>
         </td>
       </tr>
-    `).join('');
+    `).join(''), more);
   }
 
   claimsTable.addEventListener('click', async (e) => {
-    const btn = e.target.closest('button[data-claim]');
+    const historyBtn = e.target.closest('button[data-history]');
+    if (historyBtn) return showHistory('claim', historyBtn.getAttribute('data-id'));
+    const proofBtn = e.target.closest('button[data-proof]');
+    if (proofBtn) return showProof(proofBtn);
+    const messagesBtn = e.target.closest('button[data-messages]');
+    if (messagesBtn) return openMessages(messagesBtn.getAttribute('data-messages'));
+    const btn = e.target.closest('button[data-review]');
+    if (btn) openClaim(btn.getAttribute('data-review'));
+  });
+
+  loadClaims();
+
+  setupBulk({
+    prefix: 'claim',
+    table: claimsTable,
+    perm: 'claims.review',
+    endpoint: '/api/admin/claims/bulk',
+    query: claimQuery,
+    body: (status) => {
+      if (status !== 'rejected') return { status };
+      const reason = prompt('Reason for rejecting (sent to every claimant):');
+      return reason === null ? null : { status, reason };
+    },
+    reload: () => loadClaims()
+  });
+
+  // Proofs are loaded only on request: every view is written to the audit log
+  function showProof(btn) {
+    const id = btn.getAttribute('data-proof');
+    const link = document.createElement('a');
+    link.href = `/api/admin/claims/${id}/proof`;
+    link.target = '_blank';
+    link.rel = 'noopener';
+    link.innerHTML = `<img class="proof" src="/api/admin/claims/${id}/proof" alt="Proof uploaded with claim #${id}">`;
+    btn.replaceWith(link);
+  }
+
+  // Claim review dialog: answers vs. identifying details, decision, hand-off
+  const claimDialog = document.getElementById('claimDialog');
+  const claimBody = document.getElementById('claimBody');
+  const claimActions = document.getElementById('claimActions');
+  const handoffForm = document.getElementById('handoffForm');
+  const staffMessageForm = document.getElementById('staffMessageForm');
+  const claimDialogStatus = document.getElementById('claimDialogStatus');
+  let openClaimId = null;
+  document.getElementById('claimClose').addEventListener('click', () => claimDialog.close());
+  claimBody.addEventListener('click', (e) => {
+    const proofBtn = e.target.closest('button[data-proof]');
+    if (proofBtn) showProof(proofBtn);
+  });
+
+  async function openClaim(id) {
+    const res = await fetch(`/api/admin/claims/${id}`);
+    if (!res.ok) { alert('Failed to load claim'); return; }
+    const { claim: c } = await res.json();
+    openClaimId = c.id;
+    claimDialogStatus.textContent = '';
+    document.getElementById('claimTitle').textContent = `Claim #${c.id} • ${c.item_title}`;
+    claimBody.innerHTML = `
+      <p><span class="badge">${esc(c.status)}</span>
+        ${c.verification_score !== null ? `<span class="badge">Verification ${c.verification_score}%</span>` : '<span class="helper">No identifying details set for this item</span>'}</p>
+      <p><strong>${esc(c.claimant_name)}</strong> • <a href="mailto:${esc(c.claimant_email)}">${esc(c.claimant_email)}</a>
+        ${c.student_id ? ` • Student ID ${esc(c.student_id)}` : ''}</p>
+      <p>${esc(c.message)}</p>
+      ${c.has_proof && can('claims.view_proof') ? `<p><button class="btn secondary" type="button" data-proof="${c.id}">Show proof</button></p>` : ''}
+      ${c.answers.length ? `
+      <table class="table" aria-label="Answers to identifying questions">
+        <thead><tr><th>Question</th><th>Expected</th><th>Claimant answered</th><th>Score</th></tr></thead>
+        <tbody>${c.answers.map(a => `
+          <tr><td>${esc(a.question)}</td><td>${esc(a.expected)}</td><td>${esc(a.answer || '—')}</td><td>${a.score ?? 0}%</td></tr>`).join('')}
+        </tbody>
+      </table>` : ''}
+      ${c.decision_reason ? `<p class="helper">Reason: ${esc(c.decision_reason)}</p>` : ''}
+      ${c.status === 'resolved' ? `<div class="alert ok">Handed off ${esc(c.pickup_at)} by ${esc(c.handed_off_by_username || 'unknown')} • ID checked: ${esc(c.id_checked)}</div>` : ''}
+    `;
+
+    const reviewable = can('claims.review') && !['resolved', 'withdrawn'].includes(c.status);
+    claimActions.hidden = !reviewable;
+    staffMessageForm.hidden = !can('claims.review');
+    staffMessageForm.message.value = c.staff_message || '';
+    handoffForm.hidden = !(can('claims.review') && c.status === 'approved');
+    if (!handoffForm.hidden) {
+      handoffForm.reset();
+      const now = new Date();
+      now.setMinutes(now.getMinutes() - now.getTimezoneOffset());
+      handoffForm.pickup_at.value = now.toISOString().slice(0, 16);
+    }
+    claimDialog.showModal();
+  }
+
+  staffMessageForm.addEventListener('submit', async (e) => {
+    e.preventDefault();
+    const res = await fetch(`/api/admin/claims/${openClaimId}/message`, {
+      method: 'PUT',
+      headers: {'Content-Type':'application/json'},
+      body: JSON.stringify({ message: staffMessageForm.message.value })
+    });
+    claimDialogStatus.textContent = res.ok ? 'Message saved.' : 'Saving the message failed';
+  });
+
+  claimActions.addEventListener('click', async (e) => {
+    const btn = e.target.closest('button[data-status]');
+    if (!btn) return;
+    const status = btn.getAttribute('data-status');
+    const body = { status };
+    if (status === 'rejected') {
+      const reason = prompt('Reason for rejecting (sent to the claimant):');
+      if (reason === null) return;
+      body.reason = reason;
+    }
+    const res = await fetch(`/api/admin/claims/${openClaimId}`, {
+      method: 'PATCH',
+      headers: {'Content-Type':'application/json'},
+      body: JSON.stringify(body)
+    });
+    const data = await res.json();
+    if (!res.ok) { claimDialogStatus.textContent = data.error || 'Update failed'; return; }
+    if (data.auto_rejected && data.auto_rejected.length) {
+      alert(`${data.auto_rejected.length} other claim(s) on this item were rejected automatically.`);
+    }
+    await openClaim(openClaimId);
+    loadClaims();
+    loadStats();
+  });
+
+  handoffForm.addEventListener('submit', async (e) => {
+    e.preventDefault();
+    const body = {
+      id_checked: handoffForm.id_checked.value.trim(),
+      pickup_at: new Date(handoffForm.pickup_at.value).toISOString()
+    };
+    const res = await fetch(`/api/admin/claims/${openClaimId}/resolve`, {
+      method: 'POST',
+      headers: {'Content-Type':'application/json'},
+      body: JSON.stringify(body)
+    });
+    const data = await res.json();
+    if (!res.ok) { claimDialogStatus.textContent = data.error || 'Hand-off failed'; return; }
+    await openClaim(openClaimId);
+    loadClaims();
+    loadItems();
+    loadStats();
+  });
+
+  // Identifying details editor (questions claimants must answer)
+  const secretsDialog = document.getElementById('secretsDialog');
+  const secretsForm = document.getElementById('secretsForm');
+  const secretsList = document.getElementById('secretsList');
+  let secretsItemId = null;
+  document.getElementById('secretsClose').addEventListener('click', () => secretsDialog.close());
+
+  function secretRow(s = { question: '', answer: '' }) {
+    return `
+      <div class="grid secret-row" style="grid-template-columns: 1fr 1fr auto; gap: .5rem; align-items: end">
+        <div class="field"><label>Question shown to claimants</label>
+          <input name="question" maxlength="200" value="${esc(s.question)}" placeholder="e.g., What sticker is on the lid?"></div>
+        <div class="field"><label>Expected answer (hidden)</label>
+          <input name="answer" maxlength="300" value="${esc(s.answer)}" placeholder="e.g., a green turtle"></div>
+        <div class="field"><button class="btn secondary" type="button" data-remove-secret>Remove</button></div>
+      </div>`;
+  }
+
+  async function openSecrets(id) {
+    const res = await fetch(`/api/admin/items/${id}/secrets`);
+    if (!res.ok) { alert('Failed to load identifying details'); return; }
+    const data = await res.json();
+    secretsItemId = id;
+    document.getElementById('secretsTitle').textContent = `Identifying details • item #${id}`;
+    document.getElementById('secretsStatus').textContent = '';
+    secretsList.innerHTML = (data.secrets.length ? data.secrets : [undefined]).map(s => secretRow(s)).join('');
+    secretsDialog.showModal();
+  }
+
+  document.getElementById('addSecretBtn').addEventListener('click', () => {
+    secretsList.insertAdjacentHTML('beforeend', secretRow());
+  });
+  secretsList.addEventListener('click', (e) => {
+    const btn = e.target.closest('button[data-remove-secret]');
+    if (btn) btn.closest('.secret-row').remove();
+  });
+
+  secretsForm.addEventListener('submit', async (e) => {
+    e.preventDefault();
+    const secrets = [...secretsList.querySelectorAll('.secret-row')].map(row => ({
+      question: row.querySelector('[name=question]').value.trim(),
+      answer: row.querySelector('[name=answer]').value.trim()
+    })).filter(s => s.question && s.answer);
+    const res = await fetch(`/api/admin/items/${secretsItemId}/secrets`, {
+      method: 'PUT',
+      headers: {'Content-Type':'application/json'},
+      body: JSON.stringify({ secrets })
+    });
+    const data = await res.json();
+    document.getElementById('secretsStatus').textContent = res.ok ? `Saved ${data.secrets.length} detail(s).` : (data.error || 'Save failed');
+  });
+
+  // Lost reports + candidate matches
+  const matchesTable = document.getElementById('matchesTable');
+  const lostTable = document.getElementById('lostTable');
+  const lostStatusSel = document.getElementById('lostStatusSel');
+  document.getElementById('loadMatchesBtn').addEventListener('click', () => loadMatches());
+  document.getElementById('loadLostBtn').addEventListener('click', () => loadLostReports());
+  document.getElementById('matchesMore').addEventListener('click', () => loadMatches(true));
+  document.getElementById('lostMore').addEventListener('click', () => loadLostReports(true));
+
+  async function loadMatches(more = false) {
+    const data = await fetchPage('matches', '/api/admin/matches', new URLSearchParams(), more);
+    if (!data) return;
+    if (!more && !data.matches.length) {
+      matchesTable.innerHTML = '<tr><td colspan="5" class="helper">No candidate matches right now.</td></tr>';
+      return;
+    }
+    fillTable(matchesTable, data.matches.map(m => `
+      <tr>
+        <td><span class="badge">${m.score}%</span></td>
+        <td>${m.report_title}<br><span class="helper">${m.date_lost} • ${m.location_lost}</span><br>
+            <a href="mailto:${m.reporter_email}">${m.reporter_name}</a></td>
+        <td><a href="/item.html?id=${m.item_id}" target="_blank" rel="noopener">${m.item_title}</a>
+            <span class="badge">${m.item_status}</span><br><span class="helper">${m.date_found} • ${m.location_found}</span></td>
+        <td class="helper">${m.reasons || ''}</td>
+        <td>
+          ${can('lost.manage') ? `<div class="toolbar">
+            <button class="btn ok" data-match="${m.id}" data-match-action="link">Link</button>
+            <button class="btn secondary" data-match="${m.id}" data-match-action="dismiss">Dismiss</button>
+          </div>` : ''}
+        </td>
+      </tr>
+    `).join(''), more);
+  }
+
+  matchesTable.addEventListener('click', async (e) => {
+    const btn = e.target.closest('button[data-match]');
+    if (!btn) return;
+    const id = btn.getAttribute('data-match');
+    const action = btn.getAttribute('data-match-action');
+    const res = await fetch(`/api/admin/matches/${id}/${action}`, { method: 'POST' });
+    if (!res.ok) {
+      const data = await res.json().catch(() => ({}));
+      alert(data.error || 'Update failed');
+    }
+    loadMatches();
+    loadLostReports();
+    loadStats();
+  });
+
+  async function loadLostReports(more = false) {
+    const qs = new URLSearchParams();
+    if (lostStatusSel.value) qs.set('status', lostStatusSel.value);
+    const data = await fetchPage('lost', '/api/admin/lost-reports', qs, more);
+    if (!data) return;
+    fillTable(lostTable, data.reports.map(r => `
+      <tr>
+        <td>${r.id}</td>
+        <td>${r.title}<br><span class="helper">${r.category}</span></td>
+        <td>${r.date_lost}<br><span class="helper">${r.location_lost}</span></td>
+        <td>${r.reporter_name}<br><a href="mailto:${r.reporter_email}">${r.reporter_email}</a></td>
+        <td><span class="badge">${r.status}</span>
+            ${r.matched_item_id ? `<br><a href="/item.html?id=${r.matched_item_id}" target="_blank" rel="noopener">${r.matched_item_title}</a>` : ''}
+            ${r.status === 'open' && r.candidates ? `<br><span class="helper">${r.candidates} candidate(s)</span>` : ''}</td>
+        <td>
+          ${!can('lost.manage') ? '' : r.status === 'open' ? `<button class="btn secondary" data-lost="${r.id}" data-status="closed">Close</button>` : ''}
+          ${can('lost.manage') && r.status === 'closed' ? `<button class="btn secondary" data-lost="${r.id}" data-status="open">Reopen</button>` : ''}
+        </td>
+      </tr>
+    `).join(''), more);
+  }
+
+  lostTable.addEventListener('click', async (e) => {
+    const btn = e.target.closest('button[data-lost]');
     if (!btn) return;
-    const id = btn.getAttribute('data-claim');
+    const id = btn.getAttribute('data-lost');
     const status = btn.getAttribute('data-status');
-    const res = await fetch(`/api/admin/claims/${id}`, {
+    const res = await fetch(`/api/admin/lost-reports/${id}`, {
       method: 'PATCH',
       headers: {'Content-Type':'application/json'},
       body: JSON.stringify({ status })
     });
     if (!res.ok) alert('Update failed');
-    loadClaims();
+    loadLostReports();
+    loadMatches();
     loadStats();
   });
 
-  loadClaims();
+  loadMatches();
+  loadLostReports();
+
+  // Email outbox
+  const mailTable = document.getElementById('mailTable');
+  const mailStatusSel = document.getElementById('mailStatusSel');
+  document.getElementById('loadMailBtn').addEventListener('click', () => loadMail());
+  document.getElementById('mailMore').addEventListener('click', () => loadMail(true));
+
+  async function loadMail(more = false) {
+    const qs = new URLSearchParams();
+    if (mailStatusSel.value) qs.set('status', mailStatusSel.value);
+    const data = await fetchPage('mail', '/api/admin/notifications', qs, more);
+    if (!data) return;
+    fillTable(mailTable, data.messages.map(m => `
+      <tr>
+        <td>${m.id}</td>
+        <td>${m.to_email}</td>
+        <td>${m.subject}<br><span class="helper">${m.template}</span></td>
+        <td><span class="badge">${m.status}</span>
+            <br><span class="helper">${m.attempts} attempt(s)${m.status === 'queued' && m.attempts ? `, next ${m.next_attempt_at}` : ''}</span>
+            ${m.last_error ? `<br><span class="helper">${m.last_error}</span>` : ''}</td>
+        <td>${m.created_at}<br><span class="helper">${m.sent_at || ''}</span></td>
+        <td>${can('notifications.manage') && m.status !== 'sent' ? `<button class="btn secondary" data-mail="${m.id}">Retry now</button>` : ''}</td>
+      </tr>
+    `).join(''), more);
+  }
+
+  mailTable.addEventListener('click', async (e) => {
+    const btn = e.target.closest('button[data-mail]');
+    if (!btn) return;
+    const res = await fetch(`/api/admin/notifications/${btn.getAttribute('data-mail')}/retry`, { method: 'POST' });
+    if (!res.ok) alert('Retry failed');
+    setTimeout(() => loadMail(), 500);
+  });
+
+  loadMail();
+
+  // Retention: expiring soon, rules, dry-run preview, runs
+  const expiringTable = document.getElementById('expiringTable');
+  const expiringDays = document.getElementById('expiringDays');
+  document.getElementById('loadExpiringBtn').addEventListener('click', loadExpiring);
+
+  async function loadExpiring() {
+    const res = await fetch(`/api/admin/retention/expiring?days=${expiringDays.value}`);
+    if (res.status === 401) { location.href = '/admin/login.html'; return; }
+    const data = await res.json();
+    expiringTable.innerHTML = data.items.length ? data.items.map(it => `
+      <tr>
+        <td>${it.id}</td>
+        <td><a href="/item.html?id=${it.id}" target="_blank" rel="noopener">${esc(it.title)}</a></td>
+        <td>${esc(it.category)}</td>
+        <td>${esc(it.created_at)}</td>
+        <td>${new Date(it.archive_at).toLocaleDateString()}</td>
+      </tr>
+    `).join('') : `<tr><td colspan="5" class="helper">Nothing expires in the next ${data.days} days.</td></tr>`;
+  }
+
+  const rulesTable = document.getElementById('rulesTable');
+  const rulesForm = document.getElementById('rulesForm');
+  const rulesStatus = document.getElementById('rulesStatus');
+  const canRetention = can('retention.manage');
+  document.getElementById('rulesToolbar').hidden = !canRetention;
+  document.getElementById('runRetentionBtn').hidden = !canRetention;
+
+  function ruleRow(r = { category: '', archive_after_days: '', purge_after_days: '' }) {
+    const ro = canRetention ? '' : 'disabled';
+    return `
+      <tr class="rule-row">
+        <td><input name="category" value="${esc(r.category)}" aria-label="Category" ${r.category === '*' ? 'readonly' : ''} ${ro}></td>
+        <td><input name="archive_after_days" type="number" min="1" value="${r.archive_after_days ?? ''}" aria-label="Archive after days" ${ro}></td>
+        <td><input name="purge_after_days" type="number" min="1" value="${r.purge_after_days ?? ''}" aria-label="Purge after days" ${ro}></td>
+        <td>${canRetention && r.category !== '*' ? '<button class="btn secondary" type="button" data-remove-rule>Remove</button>' : ''}</td>
+      </tr>`;
+  }
+
+  async function loadRules() {
+    const res = await fetch('/api/admin/retention/rules');
+    if (!res.ok) return;
+    const data = await res.json();
+    rulesTable.innerHTML = data.rules.map(r => ruleRow(r)).join('');
+  }
+
+  document.getElementById('addRuleBtn').addEventListener('click', () => rulesTable.insertAdjacentHTML('beforeend', ruleRow()));
+  rulesTable.addEventListener('click', (e) => {
+    const btn = e.target.closest('button[data-remove-rule]');
+    if (btn) btn.closest('.rule-row').remove();
+  });
+
+  rulesForm.addEventListener('submit', async (e) => {
+    e.preventDefault();
+    const rules = [...rulesTable.querySelectorAll('.rule-row')].map(row => ({
+      category: row.querySelector('[name=category]').value.trim(),
+      archive_after_days: row.querySelector('[name=archive_after_days]').value || null,
+      purge_after_days: row.querySelector('[name=purge_after_days]').value || null
+    }));
+    const res = await fetch('/api/admin/retention/rules', {
+      method: 'PUT',
+      headers: {'Content-Type':'application/json'},
+      body: JSON.stringify({ rules })
+    });
+    const data = await res.json();
+    rulesStatus.textContent = res.ok ? 'Rules saved.' : (data.error || 'Save failed');
+    if (res.ok) { loadRules(); loadExpiring(); }
+  });
+
+  const retentionPreview = document.getElementById('retentionPreview');
+  document.getElementById('previewRetentionBtn').addEventListener('click', async () => {
+    const res = await fetch('/api/admin/retention/preview');
+    if (!res.ok) { alert('Preview failed'); return; }
+    const data = await res.json();
+    const list = (items) => items.length ? items.map(it => `#${it.id} ${esc(it.title)}`).join(', ') : 'nothing';
+    retentionPreview.innerHTML = `
+      <div class="alert info">
+        <strong>Dry run:</strong> would archive ${data.archive.length} item(s): ${list(data.archive)}<br>
+        would purge photos and personal data of ${data.purge.length} item(s): ${list(data.purge)}
+      </div>`;
+  });
+
+  document.getElementById('runRetentionBtn').addEventListener('click', async () => {
+    if (!confirm('Apply retention rules now? Purged photos and personal data cannot be recovered.')) return;
+    const res = await fetch('/api/admin/retention/run', { method: 'POST' });
+    const data = await res.json();
+    retentionPreview.innerHTML = res.ok
+      ? `<div class="alert ok">Archived ${data.archived}, purged ${data.purged}.</div>`
+      : `<div class="alert danger">${esc(data.error || 'Run failed')}</div>`;
+    loadRuns(); loadExpiring(); loadItems(); loadStats();
+  });
+
+  const runsTable = document.getElementById('runsTable');
+  async function loadRuns() {
+    const res = await fetch('/api/admin/retention/runs');
+    if (!res.ok) return;
+    const data = await res.json();
+    runsTable.innerHTML = data.runs.length ? data.runs.map(r => `
+      <tr>
+        <td>${esc(r.created_at)}</td>
+        <td>${esc(r.trigger)}</td>
+        <td>${r.archived}</td>
+        <td>${r.purged}</td>
+        <td class="helper">${r.actions.map(a => `${a.action} #${a.item_id} ${esc(a.item_title)}`).join('<br>')}</td>
+      </tr>
+    `).join('') : '<tr><td colspan="5" class="helper">No runs yet.</td></tr>';
+  }
+
+  loadExpiring();
+  loadRules();
+  loadRuns();
+
+  // Audit log + per-record history
+  // Summarize an entry as "field: old → new" for the fields that changed
+  function describeChange(entry) {
+    if (entry.before && !entry.after) return 'Record removed (snapshot kept in log)';
+    if (!entry.before || !entry.after) return '';
+    return Object.keys(entry.after)
+      .filter(k => JSON.stringify(entry.before[k]) !== JSON.stringify(entry.after[k]))
+      .map(k => `${esc(k)}: ${esc(entry.before[k])} → ${esc(entry.after[k])}`)
+      .join('<br>');
+  }
+
+  function auditRows(entries) {
+    if (!entries.length) return '<tr><td colspan="5" class="helper">No entries.</td></tr>';
+    return entries.map(a => `
+      <tr>
+        <td>${esc(a.created_at)}</td>
+        <td>${esc(a.actor_username || 'system')}<br><span class="helper">${esc(a.ip || '')}</span></td>
+        <td><span class="badge">${esc(a.action)}</span></td>
+        <td>${a.target_type ? `${esc(a.target_type)} #${esc(a.target_id)}` : ''}</td>
+        <td class="helper">${describeChange(a)}</td>
+      </tr>
+    `).join('');
+  }
+
+  const historyDialog = document.getElementById('historyDialog');
+  document.getElementById('historyClose').addEventListener('click', () => historyDialog.close());
+
+  // Claim conversation with the claimant
+  const messagesDialog = document.getElementById('messagesDialog');
+  const messagesList = document.getElementById('messagesList');
+  const messageForm = document.getElementById('messageForm');
+  const messagesStatus = document.getElementById('messagesStatus');
+  let messagesClaimId = null;
+  document.getElementById('messagesClose').addEventListener('click', () => messagesDialog.close());
+  // Opening the thread marks the claimant's replies as read
+  messagesDialog.addEventListener('close', () => { loadClaims(); loadStats(); });
+
+  async function openMessages(id) {
+    const res = await fetch(`/api/admin/claims/${id}/messages`);
+    if (res.status === 401) { location.href = '/admin/login.html'; return; }
+    if (!res.ok) { alert('Failed to load messages'); return; }
+    const data = await res.json();
+    messagesClaimId = id;
+    document.getElementById('messagesTitle').textContent = `Messages: claim #${id}`;
+    messagesStatus.textContent = data.messages.length ? '' : 'No messages yet.';
+    messagesList.innerHTML = data.messages.map(m => `
+      <li class="${m.sender}">
+        <div class="helper">${m.sender === 'staff' ? esc(m.staff_username || 'Staff') : 'Claimant'} • ${esc(m.created_at)}
+          ${m.sender === 'staff' ? (m.read_at ? ' • read' : ' • not read yet') : ''}</div>
+        <p>${esc(m.body)}</p>
+        ${m.has_attachment && can('claims.view_proof')
+          ? `<a href="/api/admin/claims/${id}/messages/${m.id}/attachment" target="_blank" rel="noopener">View attachment</a>` : ''}
+      </li>
+    `).join('');
+    messageForm.hidden = !can('claims.review');
+    messageForm.reset();
+    if (!messagesDialog.open) messagesDialog.showModal();
+  }
+
+  messageForm.addEventListener('submit', async (e) => {
+    e.preventDefault();
+    messagesStatus.textContent = 'Sending...';
+    const res = await fetch(`/api/admin/claims/${messagesClaimId}/messages`, { method: 'POST', body: new FormData(messageForm) });
+    const data = await res.json();
+    if (!res.ok) { messagesStatus.textContent = data.error || 'Sending failed'; return; }
+    openMessages(messagesClaimId);
+  });
+
+  async function showHistory(type, id) {
+    const res = await fetch(`/api/admin/audit?target_type=${type}&target_id=${id}`);
+    if (!res.ok) { alert('Failed to load history'); return; }
+    const data = await res.json();
+    document.getElementById('historyTitle').textContent = `History: ${type} #${id}`;
+    document.getElementById('historyTable').innerHTML = auditRows(data.entries);
+    historyDialog.showModal();
+  }
+
+  // Categories and locations (the pickers on the public forms) + merging typed locations
+  const taxonomySection = document.getElementById('taxonomySection');
+  if (can('taxonomy.manage')) {
+    taxonomySection.hidden = false;
+    const categoryTable = document.getElementById('categoryTable');
+    const locationTable = document.getElementById('locationTable');
+    const legacyTable = document.getElementById('legacyTable');
+    const mergeForm = document.getElementById('mergeForm');
+    const mergeTarget = document.getElementById('mergeTarget');
+    const taxonomyStatus = document.getElementById('taxonomyStatus');
+    const NEXT_KIND = { building: 'floor', floor: 'room' };
+
+    // Parents before children, each level sorted like the public pickers
+    function locationOrder(locations) {
+      const out = [];
+      const walk = (parentId, depth) => {
+        for (const l of locations.filter(l => l.parent_id === parentId)) {
+          out.push({ ...l, depth });
+          walk(l.id, depth + 1);
+        }
+      };
+      walk(null, 0);
+      return out;
+    }
+
+    const statusCell = (row) => row.active ? 'Active' : '<span class="badge">retired</span>';
+    const toggleButton = (type, row) =>
+      `<button class="btn secondary" data-${type}="${row.id}" data-set-active="${row.active ? 0 : 1}">${row.active ? 'Retire' : 'Restore'}</button>`;
+
+    async function loadTaxonomy() {
+      const res = await fetch('/api/admin/taxonomy');
+      if (res.status === 401) { location.href = '/admin/login.html'; return; }
+      const data = await res.json();
+      categoryTable.innerHTML = data.categories.map(c => `
+        <tr>
+          <td>${esc(c.name)}</td>
+          <td>${c.item_count}</td>
+          <td>${statusCell(c)}</td>
+          <td class="toolbar">
+            <button class="btn secondary" data-category="${c.id}" data-rename="${esc(c.name)}">Rename</button>
+            ${toggleButton('category', c)}
+          </td>
+        </tr>
+      `).join('') || '<tr><td colspan="4" class="helper">No categories yet.</td></tr>';
+
+      const locations = locationOrder(data.locations);
+      locationTable.innerHTML = locations.map(l => `
+        <tr>
+          <td style="padding-left:${0.5 + l.depth * 1.5}rem">${esc(l.name)}</td>
+          <td>${l.kind}</td>
+          <td>${l.item_count}</td>
+          <td>${statusCell(l)}</td>
+          <td class="toolbar">
+            ${NEXT_KIND[l.kind] ? `<button class="btn secondary" data-add-under="${l.id}" data-kind="${NEXT_KIND[l.kind]}">Add ${NEXT_KIND[l.kind]}</button>` : ''}
+            <button class="btn secondary" data-location="${l.id}" data-rename="${esc(l.name)}">Rename</button>
+            ${toggleButton('location', l)}
+          </td>
+        </tr>
+      `).join('') || '<tr><td colspan="5" class="helper">No locations yet. Until you add some, reporters type the location.</td></tr>';
+
+      legacyTable.innerHTML = data.legacy_locations.map(l => `
+        <tr>
+          <td><input type="checkbox" name="values" value="${esc(l.location_found)}" aria-label="Select ${esc(l.location_found)}"></td>
+          <td>${esc(l.location_found)}</td>
+          <td>${l.item_count}</td>
+        </tr>
+      `).join('') || '<tr><td colspan="3" class="helper">Every item is tied to a listed location.</td></tr>';
+      mergeTarget.innerHTML = '<option value="">Merge into...</option>' + locations.filter(l => l.available).map(l =>
+        `<option value="${l.id}">${'&nbsp;&nbsp;&nbsp;'.repeat(l.depth)}${esc(l.name)}</option>`).join('');
+    }
+
+    async function send(url, method, body) {
+      const res = await fetch(url, { method, headers: {'Content-Type':'application/json'}, body: JSON.stringify(body) });
+      const data = await res.json();
+      taxonomyStatus.textContent = res.ok ? '' : (data.error || 'Saving failed');
+      if (res.ok) loadTaxonomy();
+      return res.ok ? data : null;
+    }
+
+    taxonomySection.addEventListener('click', async (e) => {
+      const btn = e.target.closest('button[data-category], button[data-location], button[data-add-under]');
+      if (!btn) return;
+      if (btn.dataset.addUnder) {
+        const name = prompt(`Name of the new ${btn.dataset.kind}:`);
+        if (name && name.trim()) await send('/api/admin/locations', 'POST', { name, parent_id: parseInt(btn.dataset.addUnder) });
+        return;
+      }
+      const url = btn.dataset.category ? `/api/admin/categories/${btn.dataset.category}` : `/api/admin/locations/${btn.dataset.location}`;
+      if (btn.dataset.rename !== undefined) {
+        const name = prompt('New name (items using it are renamed too):', btn.dataset.rename);
+        if (name && name.trim() && name.trim() !== btn.dataset.rename) await send(url, 'PATCH', { name });
+      } else {
+        await send(url, 'PATCH', { active: btn.dataset.setActive === '1' });
+      }
+    });
+
+    document.getElementById('categoryForm').addEventListener('submit', async (e) => {
+      e.preventDefault();
+      if (await send('/api/admin/categories', 'POST', { name: e.target.elements.name.value })) e.target.reset();
+    });
+    document.getElementById('locationForm').addEventListener('submit', async (e) => {
+      e.preventDefault();
+      if (await send('/api/admin/locations', 'POST', { name: e.target.elements.name.value })) e.target.reset();
+    });
+
+    mergeForm.addEventListener('submit', async (e) => {
+      e.preventDefault();
+      const values = [...mergeForm.querySelectorAll('input[name="values"]:checked')].map(i => i.value);
+      if (!values.length) { taxonomyStatus.textContent = 'Tick at least one typed location.'; return; }
+      const target = mergeTarget.options[mergeTarget.selectedIndex].text.trim();
+      if (!confirm(`Move the items at ${values.length} typed location(s) to "${target}"?`)) return;
+      const data = await send('/api/admin/locations/merge', 'POST', { values, location_id: parseInt(mergeTarget.value) });
+      if (data) taxonomyStatus.textContent = `${data.updated} item(s) now show as "${data.label}".`;
+    });
+
+    loadTaxonomy();
+  }
+
+  // Backups (admins only)
+  const backupSection = document.getElementById('backupSection');
+  if (can('backups.manage')) {
+    backupSection.hidden = false;
+    const backupTable = document.getElementById('backupTable');
+    const backupNow = document.getElementById('backupNow');
+    const backupStatus = document.getElementById('backupStatus');
+
+    async function loadBackups() {
+      const res = await fetch('/api/admin/backups');
+      if (res.status === 401) { location.href = '/admin/login.html'; return; }
+      const data = await res.json();
+      document.getElementById('backupKeep').textContent = data.keep;
+      backupTable.innerHTML = data.backups.map(b => `
+        <tr>
+          <td>${esc(b.name)}</td>
+          <td>${(b.size / 1024 / 1024).toFixed(1)} MB</td>
+          <td>${esc(b.created_at)}</td>
+          <td><a class="btn secondary" href="/api/admin/backups/${encodeURIComponent(b.name)}">Download</a></td>
+        </tr>
+      `).join('') || '<tr><td colspan="4" class="helper">No backups yet.</td></tr>';
+    }
+
+    backupNow.addEventListener('click', async () => {
+      backupNow.disabled = true;
+      backupStatus.textContent = 'Backing up...';
+      const res = await fetch('/api/admin/backups', { method: 'POST' });
+      const data = await res.json();
+      backupNow.disabled = false;
+      if (!res.ok) { backupStatus.textContent = data.error || 'Backup failed'; return; }
+      backupStatus.textContent = `Wrote ${data.backup.name} (${data.files} files)` +
+        (data.removed.length ? `; removed ${data.removed.length} old backup(s).` : '.');
+      loadBackups();
+    });
+
+    loadBackups();
+  }
+
+  // Blocklist (emails/IPs refused on the public forms)
+  const blocklistSection = document.getElementById('blocklistSection');
+  if (can('abuse.manage')) {
+    blocklistSection.hidden = false;
+    const blocklistTable = document.getElementById('blocklistTable');
+    const blockForm = document.getElementById('blockForm');
+    const blockStatus = document.getElementById('blockStatus');
+
+    async function loadBlocklist() {
+      const res = await fetch('/api/admin/blocklist');
+      if (res.status === 401) { location.href = '/admin/login.html'; return; }
+      const data = await res.json();
+      blocklistTable.innerHTML = data.entries.map(b => `
+        <tr>
+          <td>${b.kind}</td>
+          <td>${esc(b.value)}</td>
+          <td>${esc(b.reason || '')}</td>
+          <td>${esc(b.created_at)}<br><span class="helper">${esc(b.created_by || '')}</span></td>
+          <td>${b.expires_at ? `${esc(b.expires_at)}${b.expired ? ' <span class="helper">(expired)</span>' : ''}` : 'Never'}</td>
+          <td><button class="btn secondary" data-unblock="${b.id}">Remove</button></td>
+        </tr>
+      `).join('') || '<tr><td colspan="6" class="helper">Nobody is blocked.</td></tr>';
+    }
+
+    blocklistTable.addEventListener('click', async (e) => {
+      const btn = e.target.closest('button[data-unblock]');
+      if (!btn) return;
+      const res = await fetch(`/api/admin/blocklist/${btn.dataset.unblock}`, { method: 'DELETE' });
+      if (!res.ok) alert('Removing the entry failed');
+      loadBlocklist();
+    });
+
+    blockForm.addEventListener('submit', async (e) => {
+      e.preventDefault();
+      blockStatus.textContent = 'Saving...';
+      const res = await fetch('/api/admin/blocklist', {
+        method: 'POST',
+        headers: {'Content-Type':'application/json'},
+        body: JSON.stringify({
+          kind: blockForm.kind.value,
+          value: blockForm.value.value.trim(),
+          reason: blockForm.reason.value.trim(),
+          days: blockForm.kind.value === 'ip' ? blockForm.days.value : null,
+          remove_pending: blockForm.remove_pending.checked
+        })
+      });
+      const data = await res.json();
+      if (!res.ok) { blockStatus.textContent = data.error || 'Failed'; return; }
+      blockStatus.textContent = `Blocked ${data.entry.value}` +
+        (data.removed.length ? `; ${data.removed.length} pending item(s) marked as spam.` : '.');
+      blockForm.value.value = '';
+      blockForm.reason.value = '';
+      loadBlocklist();
+      loadItems();
+      loadStats();
+    });
+
+    loadBlocklist();
+  }
+
+  const auditSection = document.getElementById('auditSection');
+  if (can('audit.view')) {
+    auditSection.hidden = false;
+    const auditForm = document.getElementById('auditForm');
+    const auditTable = document.getElementById('auditTable');
+
+    async function loadAudit(more = false) {
+      const qs = new URLSearchParams();
+      for (const [k, v] of new FormData(auditForm).entries()) if (v) qs.set(k, v);
+      const data = await fetchPage('audit', '/api/admin/audit', qs, more);
+      if (!data) return;
+      fillTable(auditTable, auditRows(data.entries), more);
+    }
+
+    auditForm.addEventListener('submit', (e) => { e.preventDefault(); loadAudit(); });
+    document.getElementById('auditMore').addEventListener('click', () => loadAudit(true));
+    loadAudit();
+  }
+
+  // Staff users (admins only)
+  const usersSection = document.getElementById('usersSection');
+  if (can('users.manage')) {
+    usersSection.hidden = false;
+    const usersTable = document.getElementById('usersTable');
+    const userForm = document.getElementById('userForm');
+    const userStatus = document.getElementById('userStatus');
+    let roles = [];
+
+    async function loadUsers() {
+      const res = await fetch('/api/admin/users');
+      if (res.status === 401) { location.href = '/admin/login.html'; return; }
+      const data = await res.json();
+      roles = data.roles;
+      userForm.role.innerHTML = roles.map(r => `<option ${r === 'viewer' ? 'selected' : ''}>${r}</option>`).join('');
+      usersTable.innerHTML = data.users.map(u => `
+        <tr>
+          <td>${u.id}</td>
+          <td>${u.username}${u.id === me.user.id ? ' <span class="helper">(you)</span>' : ''}</td>
+          <td>
+            <select data-user-role="${u.id}" aria-label="Role for ${u.username}" ${u.id === me.user.id ? 'disabled' : ''}>
+              ${roles.map(r => `<option ${r === u.role ? 'selected' : ''}>${r}</option>`).join('')}
+            </select>
+          </td>
+          <td><span class="badge">${u.disabled ? 'disabled' : 'active'}</span></td>
+          <td><span class="badge">${u.totp_enabled ? 'on' : 'off'}</span>${u.totp_required ? ' <span class="helper">required</span>' : ''}</td>
+          <td>
+            <div class="toolbar">
+              <button class="btn secondary" data-user="${u.id}" data-user-action="${u.totp_required ? 'unrequire-2fa' : 'require-2fa'}">${u.totp_required ? 'Don\'t require 2FA' : 'Require 2FA'}</button>
+              ${u.totp_enabled ? `<button class="btn secondary" data-user="${u.id}" data-user-action="reset-2fa">Reset 2FA</button>` : ''}
+              ${u.id === me.user.id ? '' : `<button class="btn secondary" data-user="${u.id}" data-user-action="${u.disabled ? 'enable' : 'disable'}">${u.disabled ? 'Enable' : 'Disable'}</button>`}
+              <button class="btn secondary" data-user="${u.id}" data-user-action="reset">Reset password</button>
+            </div>
+          </td>
+        </tr>
+      `).join('');
+    }
+
+    async function updateUser(id, body) {
+      const res = await fetch(`/api/admin/users/${id}`, {
+        method: 'PATCH',
+        headers: {'Content-Type':'application/json'},
+        body: JSON.stringify(body)
+      });
+      if (!res.ok) {
+        const data = await res.json().catch(() => ({}));
+        alert(data.error || 'Update failed');
+      }
+      loadUsers();
+    }
+
+    usersTable.addEventListener('change', (e) => {
+      const sel = e.target.closest('select[data-user-role]');
+      if (sel) updateUser(sel.getAttribute('data-user-role'), { role: sel.value });
+    });
+
+    usersTable.addEventListener('click', async (e) => {
+      const btn = e.target.closest('button[data-user]');
+      if (!btn) return;
+      const id = btn.getAttribute('data-user');
+      const action = btn.getAttribute('data-user-action');
+      if (action === 'reset') {
+        const password = prompt('New password (at least 8 characters):');
+        if (!password) return;
+        const res = await fetch(`/api/admin/users/${id}/reset-password`, {
+          method: 'POST',
+          headers: {'Content-Type':'application/json'},
+          body: JSON.stringify({ password })
+        });
+        const data = await res.json();
+        alert(res.ok ? 'Password reset.' : (data.error || 'Reset failed'));
+      } else if (action === 'reset-2fa') {
+        if (!confirm('Remove this user\'s two-factor setup and sign them out? Use this when they lost their phone.')) return;
+        const res = await fetch(`/api/admin/users/${id}/reset-2fa`, { method: 'POST' });
+        if (!res.ok) alert('Reset failed');
+        loadUsers();
+      } else if (action === 'require-2fa' || action === 'unrequire-2fa') {
+        updateUser(id, { require_2fa: action === 'require-2fa' });
+      } else {
+        updateUser(id, { disabled: action === 'disable' });
+      }
+    });
+
+    userForm.addEventListener('submit', async (e) => {
+      e.preventDefault();
+      userStatus.textContent = 'Creating...';
+      const body = { username: userForm.username.value.trim(), password: userForm.password.value, role: userForm.role.value };
+      const res = await fetch('/api/admin/users', {
+        method: 'POST',
+        headers: {'Content-Type':'application/json'},
+        body: JSON.stringify(body)
+      });
+      const data = await res.json();
+      userStatus.textContent = res.ok ? `Created ${data.user.username}.` : (data.error || 'Failed');
+      if (res.ok) { userForm.reset(); loadUsers(); }
+    });
+
+    loadUsers();
+  }
 })();
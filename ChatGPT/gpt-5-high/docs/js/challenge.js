@@ -0,0 +1,105 @@
+// challenge.js - Solves the server's proof-of-work challenge for the public forms.
+// A challenge is fetched and solved in the background as soon as the page loads,
+// so by the time someone has filled in a form the answer is usually ready.
+(function(){
+  // --- SHA-256 (plain JS so it also works on http:// where crypto.subtle is missing) ---
+  const K = new Uint32Array(64);
+  const H0 = new Uint32Array(8);
+  (function initConstants(){
+    const frac = (x) => ((x - Math.floor(x)) * 0x100000000) >>> 0;
+    let n = 0;
+    for (let p = 2; n < 64; p++) {
+      let prime = true;
+      for (let d = 2; d * d <= p; d++) if (p % d === 0) { prime = false; break; }
+      if (!prime) continue;
+      if (n < 8) H0[n] = frac(Math.sqrt(p));
+      K[n++] = frac(Math.cbrt(p));
+    }
+  })();
+
+  const W = new Uint32Array(64);
+  const rotr = (x, n) => (x >>> n) | (x << (32 - n));
+
+  // ASCII string -> 8 state words
+  function sha256(str) {
+    const len = str.length;
+    const blocks = ((len + 9 + 63) >> 6);
+    const bytes = new Uint8Array(blocks * 64);
+    for (let i = 0; i < len; i++) bytes[i] = str.charCodeAt(i);
+    bytes[len] = 0x80;
+    const bitLen = len * 8;
+    bytes[bytes.length - 4] = bitLen >>> 24;
+    bytes[bytes.length - 3] = bitLen >>> 16;
+    bytes[bytes.length - 2] = bitLen >>> 8;
+    bytes[bytes.length - 1] = bitLen;
+
+    const h = H0.slice();
+    for (let b = 0; b < blocks; b++) {
+      for (let i = 0; i < 16; i++) {
+        const o = b * 64 + i * 4;
+        W[i] = (bytes[o] << 24) | (bytes[o + 1] << 16) | (bytes[o + 2] << 8) | bytes[o + 3];
+      }
+      for (let i = 16; i < 64; i++) {
+        const s0 = rotr(W[i - 15], 7) ^ rotr(W[i - 15], 18) ^ (W[i - 15] >>> 3);
+        const s1 = rotr(W[i - 2], 17) ^ rotr(W[i - 2], 19) ^ (W[i - 2] >>> 10);
+        W[i] = W[i - 16] + s0 + W[i - 7] + s1;
+      }
+      let [a, bb, c, d, e, f, g, hh] = h;
+      for (let i = 0; i < 64; i++) {
+        const t1 = hh + (rotr(e, 6) ^ rotr(e, 11) ^ rotr(e, 25)) + ((e & f) ^ (~e & g)) + K[i] + W[i];
+        const t2 = (rotr(a, 2) ^ rotr(a, 13) ^ rotr(a, 22)) + ((a & bb) ^ (a & c) ^ (bb & c));
+        hh = g; g = f; f = e; e = (d + t1) >>> 0;
+        d = c; c = bb; bb = a; a = (t1 + t2) >>> 0;
+      }
+      h[0] += a; h[1] += bb; h[2] += c; h[3] += d; h[4] += e; h[5] += f; h[6] += g; h[7] += hh;
+    }
+    return h;
+  }
+
+  function leadingZeroBits(words) {
+    let bits = 0;
+    for (const w of words) {
+      if (w === 0) { bits += 32; continue; }
+      return bits + Math.clz32(w);
+    }
+    return bits;
+  }
+
+  // Try nonces in slices so the page stays responsive while solving
+  function solve({ challenge, bits, expires_at }) {
+    return new Promise((resolve) => {
+      let n = 0;
+      (function step(){
+        const end = n + 20000;
+        for (; n < end; n++) {
+          if (leadingZeroBits(sha256(`${challenge}:${n}`)) >= bits) {
+            return resolve({ challenge, challenge_solution: String(n), expires_at });
+          }
+        }
+        setTimeout(step, 0);
+      })();
+    });
+  }
+
+  let pending = null;
+  function prepare() {
+    pending = fetch('/api/challenge', { cache: 'no-store' })
+      .then(res => res.json())
+      .then(solve);
+    pending.catch(() => { pending = null; });
+    return pending;
+  }
+
+  // Adds challenge + challenge_solution to a FormData; each solution works once,
+  // so the next one starts solving right away
+  async function append(fd) {
+    let solved = await (pending || prepare());
+    if (Date.parse(solved.expires_at) < Date.now() + 30000) solved = await prepare();
+    fd.set('challenge', solved.challenge);
+    fd.set('challenge_solution', solved.challenge_solution);
+    prepare();
+  }
+
+  prepare();
+  window.Challenge = { append };
+})();
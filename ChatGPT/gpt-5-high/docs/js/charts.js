@@ -0,0 +1,101 @@
+// charts.js - Tiny SVG charts for the admin dashboard (no external libraries;
+// the CSP only allows scripts from this site). Colors come from style.css.
+window.Charts = (function(){
+  const NS = 'http://www.w3.org/2000/svg';
+
+  function el(name, attrs = {}, text) {
+    const node = document.createElementNS(NS, name);
+    for (const [k, v] of Object.entries(attrs)) node.setAttribute(k, v);
+    if (text !== undefined) node.textContent = text;
+    return node;
+  }
+
+  function svg(width, height, label) {
+    const root = el('svg', { viewBox: `0 0 ${width} ${height}`, class: 'chart', role: 'img', 'aria-label': label });
+    root.appendChild(el('title', {}, label));
+    return root;
+  }
+
+  // Round the axis maximum up to a readable number
+  function niceMax(value) {
+    if (value <= 5) return 5;
+    const step = 10 ** Math.floor(Math.log10(value));
+    return Math.ceil(value / step) * step;
+  }
+
+  // Grouped vertical bars: labels along the x axis, one bar per series
+  function bars(container, { labels, series, label }) {
+    const width = 640, height = 220, left = 32, bottom = 28, top = 24;
+    const plotH = height - bottom - top;
+    const max = niceMax(Math.max(0, ...series.flatMap(s => s.values)));
+    const groupW = (width - left) / Math.max(1, labels.length);
+    const barW = Math.max(2, (groupW - 6) / series.length);
+    const root = svg(width, height, label);
+
+    for (const tick of [0, max / 2, max]) {
+      const y = top + plotH - (tick / max) * plotH;
+      root.appendChild(el('line', { x1: left, x2: width, y1: y, y2: y, class: 'grid-line' }));
+      root.appendChild(el('text', { x: left - 4, y: y + 4, 'text-anchor': 'end', class: 'axis' }, String(tick)));
+    }
+    labels.forEach((name, i) => {
+      series.forEach((s, j) => {
+        const h = (s.values[i] / max) * plotH;
+        const rect = el('rect', {
+          x: left + i * groupW + 3 + j * barW, y: top + plotH - h, width: barW - 1, height: h, class: `s${j}`
+        });
+        rect.appendChild(el('title', {}, `${s.name} (${name}): ${s.values[i]}`));
+        root.appendChild(rect);
+      });
+      // Label every few groups so they don't overlap
+      if (i % Math.ceil(labels.length / 8) === 0) {
+        root.appendChild(el('text', { x: left + i * groupW + groupW / 2, y: height - 8, 'text-anchor': 'middle', class: 'axis' }, name));
+      }
+    });
+    series.forEach((s, j) => {
+      root.appendChild(el('rect', { x: left + j * 110, y: 4, width: 10, height: 10, class: `s${j}` }));
+      root.appendChild(el('text', { x: left + j * 110 + 14, y: 13, class: 'axis' }, s.name));
+    });
+    container.replaceChildren(root);
+  }
+
+  // Horizontal bars, one row per entry: [{ label, value, text }]; `max` defaults to the largest value
+  function hbars(container, { rows, label, max }) {
+    const rowH = 22, width = 640, labelW = 180, valueW = 70;
+    const height = Math.max(1, rows.length) * rowH + 4;
+    const scale = max || Math.max(1, ...rows.map(r => r.value));
+    const root = svg(width, height, label);
+    if (!rows.length) {
+      root.appendChild(el('text', { x: 0, y: 16, class: 'axis' }, 'No data for this range'));
+    }
+    rows.forEach((r, i) => {
+      const y = i * rowH + 2;
+      const w = ((width - labelW - valueW) * r.value) / scale;
+      root.appendChild(el('text', { x: labelW - 6, y: y + 14, 'text-anchor': 'end', class: 'axis' }, r.label));
+      const rect = el('rect', { x: labelW, y, width: Math.max(1, w), height: rowH - 6, class: 's0' });
+      rect.appendChild(el('title', {}, `${r.label}: ${r.text ?? r.value}`));
+      root.appendChild(rect);
+      root.appendChild(el('text', { x: labelW + w + 6, y: y + 14, class: 'axis' }, r.text ?? String(r.value)));
+    });
+    container.replaceChildren(root);
+  }
+
+  // One bar split into parts: [{ name, value }]
+  function stacked(container, { parts, label }) {
+    const width = 640, height = 56;
+    const total = parts.reduce((t, p) => t + p.value, 0);
+    const root = svg(width, height, label);
+    let x = 0;
+    parts.forEach((p, j) => {
+      const w = total ? (width * p.value) / total : 0;
+      const rect = el('rect', { x, y: 0, width: w, height: 24, class: `s${j}` });
+      rect.appendChild(el('title', {}, `${p.name}: ${p.value}`));
+      root.appendChild(rect);
+      x += w;
+      root.appendChild(el('rect', { x: j * 160, y: 36, width: 10, height: 10, class: `s${j}` }));
+      root.appendChild(el('text', { x: j * 160 + 14, y: 45, class: 'axis' }, `${p.name}: ${p.value}`));
+    });
+    container.replaceChildren(root);
+  }
+
+  return { bars, hbars, stacked };
+})();
@@ -14,8 +14,8 @@
     document.title = `${data.title} • Lost & Found`;
 
     const photo = document.getElementById('photo');
-    if (data.photo_filename) {
-      photo.src = `/uploads/${data.photo_filename}`;
+    if (data.photo_url) {
+      photo.src = data.photo_url;
       photo.alt = `Photo of ${data.title}`;
     } else {
       photo.alt = 'No photo provided';
@@ -28,6 +28,25 @@
     document.getElementById('location_found').textContent = `Location: ${data.location_found}`;
     document.getElementById('description').textContent = data.description;
 
+    // Identifying questions set by staff (answers are checked server-side)
+    const questions = data.verification_questions || [];
+    const verifyFields = document.getElementById('verifyFields');
+    const verifyQuestions = document.getElementById('verifyQuestions');
+    verifyFields.hidden = questions.length === 0;
+    verifyQuestions.innerHTML = '';
+    for (const q of questions) {
+      const field = document.createElement('div');
+      field.className = 'field';
+      const label = document.createElement('label');
+      label.htmlFor = `answer_${q.id}`;
+      label.textContent = q.question;
+      const input = document.createElement('input');
+      input.id = input.name = `answer_${q.id}`;
+      input.maxLength = 300;
+      field.append(label, input);
+      verifyQuestions.appendChild(field);
+    }
+
     const statusMap = { pending: 'Pending review', approved: 'Available', claimed: 'Claimed', archived: 'Archived' };
     document.getElementById('statusItem').textContent = `Status: ${statusMap[data.status] || data.status}`;
   }
@@ -37,13 +56,15 @@
     claimStatus.textContent = 'Submitting...';
     const fd = new FormData(claimForm);
     try {
+      await Challenge.append(fd);
       const res = await fetch(`/api/items/${id}/claim`, { method: 'POST', body: fd });
       const data = await res.json();
       if (!res.ok) {
         claimStatus.textContent = data.error || 'Failed to submit claim';
         return;
       }
-      claimStatus.innerHTML = '<span class="alert ok">Claim submitted! The admin will contact you if more info is needed.</span>';
+      claimStatus.innerHTML = `<span class="alert ok">Claim submitted! Follow its status, update your contact details or withdraw it on your
+        <a href="/track.html#${data.tracking_token}">private tracking page</a>. We also emailed you the link.</span>`;
       claimForm.reset();
     } catch (e) {
       console.error(e);
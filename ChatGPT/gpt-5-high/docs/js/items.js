@@ -8,6 +8,10 @@
 
   let page = 1;
   const limit = 12;
+  // Page number -> the cursor that fetches it (the API's next_cursor), for pages already
+  // reached; others (a deep link) are fetched by page number. The total only comes with those.
+  let cursors = {};
+  let total = 0;
 
   function paramsFromForm() {
     const data = new FormData(form);
@@ -18,6 +22,11 @@
     return o;
   }
 
+  function restart() {
+    page = 1;
+    cursors = {};
+  }
+
   function setDisabled(btn, disabled) {
     btn.disabled = disabled;
     btn.setAttribute('aria-disabled', disabled ? 'true' : 'false');
@@ -33,9 +42,16 @@
     setDisabled(prevBtn, true);
     setDisabled(nextBtn, true);
 
-    const res = await fetch(`/api/items?${qs}`);
+    const apiParams = new URLSearchParams(p);
+    if (cursors[page]) {
+      apiParams.delete('page');
+      apiParams.set('cursor', cursors[page]);
+    }
+    const res = await fetch(`/api/items?${apiParams}`);
     const data = await res.json();
-    statusEl.textContent = `${data.total} item(s) found`;
+    if (data.total !== undefined) total = data.total;
+    cursors[page + 1] = data.next_cursor;
+    statusEl.textContent = `${total} item(s) found`;
 
     if (!data.items || data.items.length === 0) {
       results.innerHTML = '<p class="helper">No items match your filters. Try broadening your search.</p>';
@@ -46,10 +62,11 @@
     results.innerHTML = data.items.map(it => `
       <article class="card item-card">
         <a href="/item.html?id=${it.id}" aria-label="View details: ${it.title}">
-          <img src="${it.photo_filename ? '/uploads/' + it.photo_filename : 'data:image/svg+xml;utf8,<svg xmlns=%22http://www.w3.org/2000/svg%22 width=%22400%22 height=%22250%22><rect width=%22400%22 height=%22250%22 fill=%22%23f2f2f2%22/><text x=%2220%22 y=%22130%22 fill=%22%23999%22 font-family=%22Arial%22 font-size=%2220%22>Photo not provided</text></svg>'}"
+          <img loading="lazy" src="${it.thumb_url || 'data:image/svg+xml;utf8,<svg xmlns=%22http://www.w3.org/2000/svg%22 width=%22400%22 height=%22250%22><rect width=%22400%22 height=%22250%22 fill=%22%23f2f2f2%22/><text x=%2220%22 y=%22130%22 fill=%22%23999%22 font-family=%22Arial%22 font-size=%2220%22>Photo not provided</text></svg>'}"
             alt="${it.title ? 'Photo of ' + it.title : 'No photo available'}">
         </a>
         <h3 style="margin:.5rem 0">${it.title}</h3>
+        ${it.snippet ? `<p class="helper snippet">${it.snippet}</p>` : ''}
         <div class="meta">
           <span class="badge">${it.category}</span>
           <span>Found: ${it.date_found}</span>
@@ -61,25 +78,26 @@
       </article>
     `).join('');
 
-    const totalPages = Math.ceil(data.total / data.limit);
-    pageInfo.textContent = `Page ${data.page} of ${totalPages || 1}`;
-    setDisabled(prevBtn, data.page <= 1);
-    setDisabled(nextBtn, data.page >= totalPages);
+    const totalPages = Math.ceil(total / data.limit);
+    pageInfo.textContent = `Page ${page} of ${totalPages || 1}`;
+    setDisabled(prevBtn, page <= 1);
+    setDisabled(nextBtn, !data.next_cursor);
   }
 
   form.addEventListener('submit', (e) => {
     e.preventDefault();
-    page = 1;
+    restart();
     search();
   });
   document.getElementById('clearBtn').addEventListener('click', () => {
-    form.reset(); page = 1; search();
+    form.reset(); restart(); search();
   });
 
   prevBtn.addEventListener('click', () => { if (page > 1) { page -= 1; search(); } });
   nextBtn.addEventListener('click', () => { page += 1; search(); });
 
-  // Load from URL params (deep link)
+  // Load from URL params (deep link) once the category/location options exist
+  await window.Taxonomy.ready;
   const urlParams = new URLSearchParams(location.search);
   for (const [k,v] of urlParams.entries()) {
     const input = form.querySelector(`[name="${k}"]`);
@@ -0,0 +1,25 @@
+(function(){
+  const form = document.getElementById('lostForm');
+  const status = document.getElementById('status');
+
+  form.addEventListener('submit', async (e) => {
+    e.preventDefault();
+    status.textContent = 'Submitting...';
+    const fd = new FormData(form);
+
+    try {
+      await Challenge.append(fd);
+      const res = await fetch('/api/lost-reports', { method: 'POST', body: fd });
+      const data = await res.json();
+      if (!res.ok) {
+        status.textContent = data.error || 'Submission failed';
+        return;
+      }
+      status.innerHTML = '<span class="alert ok">Thanks! We will contact you if a matching item is turned in.</span>';
+      form.reset();
+    } catch (err) {
+      console.error(err);
+      status.textContent = 'Network error';
+    }
+  });
+})();
@@ -8,13 +8,15 @@
     const fd = new FormData(form);
 
     try {
+      await Challenge.append(fd);
       const res = await fetch('/api/items', { method: 'POST', body: fd });
       const data = await res.json();
       if (!res.ok) {
         status.textContent = data.error || 'Submission failed';
         return;
       }
-      status.innerHTML = '<span class="alert ok">Thank you! Your item was submitted for review.</span>';
+      status.innerHTML = `<span class="alert ok">Thank you! Your item was submitted for review.
+        Bookmark your <a href="/track.html#${data.tracking_token}">private tracking page</a> to follow it.</span>`;
       form.reset();
     } catch (err) {
       console.error(err);
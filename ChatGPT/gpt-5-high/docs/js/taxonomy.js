@@ -0,0 +1,63 @@
+// taxonomy.js - Fills the category and location pickers from /api/taxonomy so every
+// form offers the same staff-managed lists. Mark a <select> with data-taxonomy="categories"
+// or data-taxonomy="locations"; options already in the markup ("All categories") stay first.
+// A location select can name a free-text input in data-fallback: that input is used
+// instead until staff have set up a location list.
+(function(){
+  let pending = null;
+  function load() {
+    if (!pending) {
+      pending = fetch('/api/taxonomy').then(res => {
+        if (!res.ok) throw new Error('Failed to load categories and locations');
+        return res.json();
+      });
+      pending.catch(() => { pending = null; });
+    }
+    return pending;
+  }
+
+  // Buildings, then their floors, then rooms, indented by depth
+  function flatten(nodes, depth = 0, out = []) {
+    for (const n of nodes) {
+      out.push({ value: n.id, text: '    '.repeat(depth) + n.name, title: n.label });
+      flatten(n.children, depth + 1, out);
+    }
+    return out;
+  }
+
+  function toggle(el, on) {
+    if (!el) return;
+    el.disabled = !on;
+    (el.closest('.field') || el).hidden = !on;
+  }
+
+  async function fill() {
+    const selects = document.querySelectorAll('select[data-taxonomy]');
+    if (!selects.length) return null;
+    let data;
+    try {
+      data = await load();
+    } catch (e) {
+      console.error(e);
+      return null;
+    }
+    selects.forEach(select => {
+      const options = select.dataset.taxonomy === 'locations'
+        ? flatten(data.locations)
+        : data.categories.map(c => ({ value: c.name, text: c.name }));
+      for (const o of options) {
+        const option = new Option(o.text, o.value);
+        if (o.title) option.title = o.title;
+        select.add(option);
+      }
+      if (select.dataset.taxonomy === 'locations') {
+        const hasList = options.length > 0;
+        toggle(select, hasList);
+        toggle(document.getElementById(select.dataset.fallback), !hasList);
+      }
+    });
+    return data;
+  }
+
+  window.Taxonomy = { load, ready: fill() };
+})();
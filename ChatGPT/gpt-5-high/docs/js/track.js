@@ -0,0 +1,155 @@
+// track.js - Status page for a found-item report or a claim. The token lives in
+// the URL fragment so it is never sent in Referer headers or server access logs
+// for the page itself.
+(function(){
+  const tokenForm = document.getElementById('tokenForm');
+  const status = document.getElementById('status');
+  const details = document.getElementById('details');
+  const contactForm = document.getElementById('contactForm');
+  const actionStatus = document.getElementById('actionStatus');
+  const replyForm = document.getElementById('replyForm');
+  const messagesList = document.getElementById('messagesList');
+
+  const LABELS = {
+    pending: 'Waiting for review', approved: 'Approved', claimed: 'Returned to owner', archived: 'Archived',
+    new: 'Received', in_review: 'Being reviewed', rejected: 'Not approved', resolved: 'Picked up', withdrawn: 'Withdrawn'
+  };
+  const label = (s) => LABELS[s] || s;
+
+  // Accept a full link or just the code
+  const tokenFrom = (value) => String(value || '').trim().split('#').pop();
+  let token = tokenFrom(location.hash);
+
+  async function call(method, path = '', body) {
+    const res = await fetch(`/api/track/${encodeURIComponent(token)}${path}`, {
+      method,
+      headers: body ? { 'Content-Type': 'application/json' } : undefined,
+      body: body ? JSON.stringify(body) : undefined
+    });
+    const data = await res.json();
+    if (!res.ok) throw new Error(data.error || 'Request failed');
+    return data;
+  }
+
+  function render(d) {
+    details.hidden = false;
+    tokenForm.hidden = true;
+    status.textContent = '';
+    document.getElementById('title').textContent = d.type === 'claim' ? `Your claim for "${d.title}"` : `Found item: ${d.title}`;
+    document.getElementById('currentStatus').textContent = label(d.status);
+    document.getElementById('submitted').textContent = `Submitted ${d.submitted_at}`;
+
+    const msg = document.getElementById('staffMessage');
+    msg.innerHTML = '';
+    if (d.staff_message) {
+      const box = document.createElement('div');
+      box.className = 'alert info';
+      box.textContent = `Message from staff (${d.staff_message_at}): ${d.staff_message}`;
+      msg.appendChild(box);
+    }
+    const decision = document.getElementById('decision');
+    decision.textContent = '';
+    if (d.decision_reason) decision.textContent = `Reason: ${d.decision_reason}`;
+    if (d.type === 'claim' && d.status === 'approved') decision.textContent = 'Please pick up your item at the main office and bring your student ID.';
+
+    const timeline = document.getElementById('timeline');
+    timeline.innerHTML = '';
+    for (const step of d.timeline) {
+      const li = document.createElement('li');
+      li.textContent = `${label(step.status)} — ${step.at}`;
+      timeline.appendChild(li);
+    }
+
+    const unread = document.getElementById('unreadBadge');
+    unread.hidden = !d.unread_messages;
+    unread.textContent = `${d.unread_messages} new`;
+    document.getElementById('messagesBox').hidden = d.type !== 'claim';
+    replyForm.hidden = !d.can_message;
+
+    contactForm.hidden = !d.can_update_contact;
+    contactForm.name.value = d.contact.name;
+    contactForm.email.value = d.contact.email;
+    document.getElementById('withdrawBox').hidden = !d.can_withdraw;
+  }
+
+  // Conversation with staff (claims only); loading it marks staff messages as read
+  async function loadMessages() {
+    const { messages } = await call('GET', '/messages');
+    messagesList.innerHTML = '';
+    for (const m of messages) {
+      const li = document.createElement('li');
+      li.className = m.sender;
+      const meta = document.createElement('div');
+      meta.className = 'helper';
+      meta.textContent = `${m.sender === 'staff' ? 'Staff' : 'You'} • ${m.created_at}`;
+      const body = document.createElement('p');
+      body.textContent = m.body;
+      li.append(meta, body);
+      if (m.has_attachment) {
+        const link = document.createElement('a');
+        link.href = `/api/track/${encodeURIComponent(token)}/messages/${m.id}/attachment`;
+        link.target = '_blank';
+        link.rel = 'noopener';
+        link.textContent = 'View attachment';
+        li.appendChild(link);
+      }
+      messagesList.appendChild(li);
+    }
+  }
+
+  async function load() {
+    if (!token) { tokenForm.hidden = false; return; }
+    status.textContent = 'Loading...';
+    try {
+      const d = await call('GET');
+      render(d);
+      if (d.type === 'claim') await loadMessages();
+    } catch (err) {
+      details.hidden = true;
+      tokenForm.hidden = false;
+      status.textContent = err.message;
+    }
+  }
+
+  tokenForm.addEventListener('submit', (e) => {
+    e.preventDefault();
+    token = tokenFrom(tokenForm.token.value);
+    history.replaceState(null, '', `#${token}`);
+    load();
+  });
+
+  contactForm.addEventListener('submit', async (e) => {
+    e.preventDefault();
+    actionStatus.textContent = 'Saving...';
+    try {
+      render(await call('PATCH', '/contact', { name: contactForm.name.value, email: contactForm.email.value }));
+      actionStatus.textContent = 'Contact details updated.';
+    } catch (err) {
+      actionStatus.textContent = err.message;
+    }
+  });
+
+  replyForm.addEventListener('submit', async (e) => {
+    e.preventDefault();
+    actionStatus.textContent = 'Sending...';
+    const res = await fetch(`/api/track/${encodeURIComponent(token)}/messages`, { method: 'POST', body: new FormData(replyForm) });
+    const data = await res.json();
+    if (!res.ok) { actionStatus.textContent = data.error || 'Sending failed'; return; }
+    actionStatus.textContent = 'Message sent.';
+    replyForm.reset();
+    loadMessages();
+  });
+
+  document.getElementById('withdrawBtn').addEventListener('click', async () => {
+    if (!confirm('Withdraw this claim? Staff will stop reviewing it.')) return;
+    actionStatus.textContent = 'Withdrawing...';
+    try {
+      render(await call('POST', '/withdraw'));
+      actionStatus.textContent = 'Your claim was withdrawn.';
+    } catch (err) {
+      actionStatus.textContent = err.message;
+    }
+  });
+
+  load();
+})();
@@ -0,0 +1,192 @@
+// abuse.js - Spam protection for the public submission endpoints: a self-hosted
+// proof-of-work challenge, a honeypot field, duplicate detection, per-email daily
+// quotas and the staff-managed blocklist of emails/IPs.
+
+const crypto = require('crypto');
+const { run, get, all } = require('./db');
+
+// Leading zero bits the client must find; 0 turns the challenge off (scripts, local testing)
+const CHALLENGE_BITS = parseInt(process.env.CHALLENGE_BITS ?? '16');
+const CHALLENGE_TTL_MS = 10 * 60 * 1000;
+const CHALLENGE_SECRET = process.env.CHALLENGE_SECRET || crypto.randomBytes(32).toString('hex');
+// Bots fill in every field; people never see this one
+const HONEYPOT_FIELD = 'website';
+const DUPLICATE_WINDOW_HOURS = 72;
+// IP blocks are always temporary (see migrations/004_blocklist_expiry.js, which uses the same maximum)
+const MAX_IP_BLOCK_DAYS = 90;
+// Submissions per email address per 24 hours
+const DAILY_LIMITS = { items: 10, claims: 5, lost_reports: 5 };
+const EMAIL_COLUMN = { items: 'reporter_email', claims: 'claimant_email', lost_reports: 'reporter_email' };
+
+// A submission we won't accept. `silent` ones (honeypot) get a fake success so bots learn nothing.
+class SubmissionRejected extends Error {
+  constructor(status, message, { silent = false } = {}) {
+    super(message);
+    this.status = status;
+    this.silent = silent;
+  }
+}
+
+// --- Proof-of-work challenge ---
+
+const sign = (payload) => crypto.createHmac('sha256', CHALLENGE_SECRET).update(payload).digest('hex').slice(0, 32);
+
+// Solved challenges are remembered until they expire so each one works once
+const usedChallenges = new Map();
+function pruneUsed(now = Date.now()) {
+  for (const [challenge, expires] of usedChallenges) if (expires < now) usedChallenges.delete(challenge);
+}
+
+// "<expires>.<random>.<bits>.<signature>": stateless until it is used
+function issueChallenge() {
+  const expires = Date.now() + CHALLENGE_TTL_MS;
+  const payload = `${expires}.${crypto.randomBytes(12).toString('hex')}.${CHALLENGE_BITS}`;
+  return { challenge: `${payload}.${sign(payload)}`, bits: CHALLENGE_BITS, expires_at: new Date(expires).toISOString() };
+}
+
+function leadingZeroBits(buffer) {
+  let bits = 0;
+  for (const byte of buffer) {
+    if (byte === 0) { bits += 8; continue; }
+    return bits + Math.clz32(byte) - 24;
+  }
+  return bits;
+}
+
+// The client must find `solution` so sha256("<challenge>:<solution>") starts with `bits` zero bits
+function verifyChallenge(challenge, solution) {
+  if (!CHALLENGE_BITS) return;
+  const fail = () => { throw new SubmissionRejected(400, 'Verification failed, please reload the page and try again'); };
+  const parts = String(challenge || '').split('.');
+  if (parts.length !== 4 || !/^\d{1,12}$/.test(String(solution || ''))) fail();
+
+  const [expires, , bits, signature] = parts;
+  const expected = sign(parts.slice(0, 3).join('.'));
+  if (signature.length !== expected.length ||
+      !crypto.timingSafeEqual(Buffer.from(signature), Buffer.from(expected))) fail();
+  const now = Date.now();
+  if (Number(expires) < now || Number(bits) < CHALLENGE_BITS) fail();
+  pruneUsed(now);
+  if (usedChallenges.has(challenge)) fail();
+
+  const hash = crypto.createHash('sha256').update(`${challenge}:${solution}`).digest();
+  if (leadingZeroBits(hash) < Number(bits)) fail();
+  usedChallenges.set(challenge, Number(expires));
+}
+
+// --- Duplicates ---
+
+const normalize = (s) => String(s || '').toLowerCase().replace(/\s+/g, ' ').trim();
+
+// Same fields (ignoring case and spacing) -> same hash
+function contentHash(...fields) {
+  return crypto.createHash('sha256').update(fields.map(normalize).join('\u0000')).digest('hex');
+}
+
+async function checkDuplicate(table, column, hash, message) {
+  if (!hash) return;
+  const dup = await get(
+    `SELECT id FROM ${table} WHERE ${column} = ? AND created_at >= datetime('now', ?) LIMIT 1`,
+    [hash, `-${DUPLICATE_WINDOW_HOURS} hours`]
+  );
+  if (dup) throw new SubmissionRejected(409, message);
+}
+
+// --- Blocklist ---
+
+// IPv4 clients show up as ::ffff:1.2.3.4 on a dual-stack socket; store and compare the plain form
+const normalizeIp = (ip) => String(ip || '').trim().replace(/^::ffff:(\d+\.\d+\.\d+\.\d+)$/, '$1');
+const clientIp = (req) => normalizeIp(req.ip) || null;
+const blockValue = (kind, value) => (kind === 'email' ? normalize(value) : normalizeIp(value));
+
+async function isBlocked(email, ip) {
+  const row = await get(
+    `SELECT id FROM blocklist WHERE ((kind = 'email' AND value = ?) OR (kind = 'ip' AND value = ?))
+     AND (expires_at IS NULL OR expires_at > datetime('now')) LIMIT 1`,
+    [blockValue('email', email), blockValue('ip', ip)]
+  );
+  return !!row;
+}
+
+async function listBlocked() {
+  return all(
+    `SELECT b.id, b.kind, b.value, b.reason, b.created_at, b.expires_at,
+            b.expires_at IS NOT NULL AND b.expires_at <= datetime('now') AS expired, u.username AS created_by
+     FROM blocklist b LEFT JOIN users u ON u.id = b.created_by ORDER BY b.created_at DESC, b.id DESC`
+  );
+}
+
+// Idempotent: blocking an already blocked value keeps the original entry, but an IP
+// block only ever gets longer. IPs need `days` (1..MAX_IP_BLOCK_DAYS); emails never expire.
+async function block(kind, value, { reason = null, staffId = null, days = null } = {}) {
+  const v = blockValue(kind, value);
+  if (!v) return null;
+  if (kind === 'ip' && ipBlockDays(days) === null) {
+    throw new RangeError(`IP blocks need an expiry of 1 to ${MAX_IP_BLOCK_DAYS} days`);
+  }
+  await run(
+    `INSERT INTO blocklist (kind, value, reason, created_by, expires_at)
+     VALUES (?, ?, ?, ?, CASE WHEN ? = 'ip' THEN datetime('now', ?) END)
+     ON CONFLICT (kind, value) DO UPDATE SET expires_at = max(blocklist.expires_at, excluded.expires_at)
+     WHERE blocklist.expires_at IS NOT NULL`,
+    [kind, v, reason, staffId, kind, `+${days} days`]
+  );
+  return get(`SELECT * FROM blocklist WHERE kind = ? AND value = ?`, [kind, v]);
+}
+
+// ?days= for an IP block: a whole number of days within the limit, otherwise null
+function ipBlockDays(value) {
+  const days = Number(value);
+  return Number.isInteger(days) && days >= 1 && days <= MAX_IP_BLOCK_DAYS ? days : null;
+}
+
+async function unblock(id) {
+  const row = await get(`SELECT * FROM blocklist WHERE id = ?`, [id]);
+  if (row) await run(`DELETE FROM blocklist WHERE id = ?`, [id]);
+  return row;
+}
+
+// Mark every pending item from this email/IP as spam; returns the affected ids
+async function removePending({ email = null, ip = null }) {
+  const rows = await all(
+    `SELECT id FROM items WHERE status = 'pending'
+     AND ((? IS NOT NULL AND lower(reporter_email) = ?) OR (? IS NOT NULL AND submitter_ip = ?))`,
+    [email, blockValue('email', email), ip, blockValue('ip', ip)]
+  );
+  if (rows.length) {
+    await run(`UPDATE items SET status = 'spam' WHERE id IN (${rows.map(() => '?').join(',')})`, rows.map(r => r.id));
+  }
+  return rows.map(r => r.id);
+}
+
+// --- The check every public submission goes through ---
+
+// kind: items | claims | lost_reports. Throws SubmissionRejected.
+async function checkSubmission(req, kind, { email, contentHash: hash }) {
+  if (req.body[HONEYPOT_FIELD]) throw new SubmissionRejected(201, 'Submitted for review', { silent: true });
+  verifyChallenge(req.body.challenge, req.body.challenge_solution);
+
+  if (await isBlocked(email, clientIp(req))) throw new SubmissionRejected(403, 'Submissions from this address are not accepted');
+
+  const column = EMAIL_COLUMN[kind];
+  const recent = await get(
+    `SELECT COUNT(*) AS n FROM ${kind} WHERE lower(${column}) = ? AND created_at >= datetime('now', '-1 day')`,
+    [normalize(email)]
+  );
+  if (recent.n >= DAILY_LIMITS[kind]) {
+    throw new SubmissionRejected(429, 'Daily submission limit reached for this email address, please try again tomorrow');
+  }
+
+  await checkDuplicate(kind, 'content_hash', hash, 'This looks like a duplicate of something already submitted');
+}
+
+// Item photos, after checkSubmission: hashing means decoding the image, so it waits until
+// the submission has passed the cheap checks
+async function checkPhotoDuplicate(photoHash) {
+  await checkDuplicate('items', 'photo_hash', photoHash, 'This photo was already submitted with another item');
+}
+
+module.exports = {
+  SubmissionRejected, issueChallenge, verifyChallenge, contentHash, checkSubmission, checkPhotoDuplicate, clientIp,
+  isBlocked, listBlocked, block, unblock, ipBlockDays, removePending, HONEYPOT_FIELD, CHALLENGE_BITS, MAX_IP_BLOCK_DAYS
+};
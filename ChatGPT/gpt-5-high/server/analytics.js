@@ -0,0 +1,119 @@
+// analytics.js - Reporting numbers for the admin dashboard: weekly activity,
+// return rate by category, time to claim, top locations and claim outcomes.
+// Everything is limited to items/claims reported within [from, to].
+
+const { get, all } = require('./db');
+
+const DEFAULT_WEEKS = 12;
+const MAX_DAYS = 366 * 3;
+const TOP_LOCATIONS = 10;
+
+const DAY = 86400000;
+const isoDate = (d) => d.toISOString().slice(0, 10);
+
+// Monday of the week containing `date` (same rule as WEEK_SQL)
+function weekStart(date) {
+  const d = new Date(`${date}T00:00:00Z`);
+  d.setUTCDate(d.getUTCDate() - ((d.getUTCDay() + 6) % 7));
+  return isoDate(d);
+}
+const WEEK_SQL = (col) => `date(${col}, 'weekday 0', '-6 days')`;
+
+// Query-string dates -> { from, to } (inclusive, YYYY-MM-DD); null if invalid
+function parseRange({ from = '', to = '' } = {}, now = new Date()) {
+  const valid = (s) => /^\d{4}-\d{2}-\d{2}$/.test(s) && !Number.isNaN(Date.parse(s));
+  if ((from && !valid(from)) || (to && !valid(to))) return null;
+  const end = to || isoDate(now);
+  const start = from || isoDate(new Date(Date.parse(weekStart(end)) - (DEFAULT_WEEKS - 1) * 7 * DAY));
+  const days = (Date.parse(end) - Date.parse(start)) / DAY;
+  if (days < 0 || days > MAX_DAYS) return null;
+  return { from: start, to: end };
+}
+
+function median(values) {
+  if (!values.length) return null;
+  const sorted = [...values].sort((a, b) => a - b);
+  const mid = Math.floor(sorted.length / 2);
+  return sorted.length % 2 ? sorted[mid] : (sorted[mid - 1] + sorted[mid]) / 2;
+}
+
+const round1 = (n) => (n === null ? null : Math.round(n * 10) / 10);
+
+// Items reported and returned per week, with empty weeks filled in
+async function weekly({ from, to }) {
+  const reported = await all(
+    `SELECT ${WEEK_SQL('created_at')} AS week, COUNT(*) AS n FROM items
+     WHERE created_at >= ? AND created_at < date(?, '+1 day') GROUP BY week`, [from, to]
+  );
+  const claimed = await all(
+    `SELECT ${WEEK_SQL('claimed_at')} AS week, COUNT(*) AS n FROM items
+     WHERE claimed_at >= ? AND claimed_at < date(?, '+1 day') GROUP BY week`, [from, to]
+  );
+  const byWeek = (rows) => Object.fromEntries(rows.map(r => [r.week, r.n]));
+  const r = byWeek(reported);
+  const c = byWeek(claimed);
+
+  const series = [];
+  for (let t = Date.parse(weekStart(from)); t <= Date.parse(to); t += 7 * DAY) {
+    const week = isoDate(new Date(t));
+    series.push({ week, reported: r[week] || 0, claimed: c[week] || 0 });
+  }
+  return series;
+}
+
+async function summary(range) {
+  const { from, to } = range;
+  const inRange = `created_at >= ? AND created_at < date(?, '+1 day')`;
+
+  const byCategory = await all(
+    `SELECT category, COUNT(*) AS reported, SUM(status = 'claimed') AS claimed
+     FROM items WHERE ${inRange} GROUP BY category ORDER BY reported DESC`, [from, to]
+  );
+
+  const durations = await all(
+    `SELECT julianday(claimed_at) - julianday(created_at) AS days FROM items
+     WHERE status = 'claimed' AND claimed_at IS NOT NULL AND ${inRange}`, [from, to]
+  );
+
+  // Free-text locations: group case/space-insensitively, show the most common spelling
+  const locations = await all(
+    `SELECT location_found AS location, COUNT(*) AS n FROM items
+     WHERE ${inRange} GROUP BY lower(trim(location_found)) ORDER BY n DESC, location LIMIT ?`,
+    [from, to, TOP_LOCATIONS]
+  );
+
+  const claims = await get(
+    `SELECT COUNT(*) AS total,
+            SUM(status IN ('approved', 'resolved')) AS approved,
+            SUM(status = 'rejected') AS rejected,
+            SUM(status IN ('new', 'in_review')) AS pending
+     FROM claims WHERE ${inRange}`, [from, to]
+  );
+  const decided = (claims.approved || 0) + (claims.rejected || 0);
+
+  const totals = byCategory.reduce((t, c) => ({ reported: t.reported + c.reported, claimed: t.claimed + c.claimed }), { reported: 0, claimed: 0 });
+
+  return {
+    range,
+    totals: { ...totals, return_rate: totals.reported ? round1(100 * totals.claimed / totals.reported) : null },
+    weekly: await weekly(range),
+    categories: byCategory.map(c => ({
+      category: c.category, reported: c.reported, claimed: c.claimed,
+      return_rate: round1(100 * c.claimed / c.reported)
+    })),
+    time_to_claim: {
+      count: durations.length,
+      median_days: round1(median(durations.map(d => Math.max(0, d.days))))
+    },
+    top_locations: locations,
+    claims: {
+      total: claims.total,
+      approved: claims.approved || 0,
+      rejected: claims.rejected || 0,
+      pending: claims.pending || 0,
+      approval_rate: decided ? round1(100 * (claims.approved || 0) / decided) : null
+    }
+  };
+}
+
+module.exports = { summary, parseRange, median, weekStart };
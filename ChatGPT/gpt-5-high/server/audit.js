@@ -0,0 +1,68 @@
+// audit.js - Append-only audit log of staff actions and logins.
+// Rows are never updated or deleted (enforced by triggers in db.js), so the before/after
+// snapshots leave out reporters' and claimants' personal data: retention could never
+// remove it from here.
+
+const { run, all } = require('./db');
+const { keyset, pageSize } = require('./pagination');
+
+const PERSONAL_FIELDS = new Set([
+  'reporter_name', 'reporter_email', 'claimant_name', 'claimant_email', 'student_id',
+  'submitter_ip', 'message', 'body', 'to_email', 'email'
+]);
+const OMITTED = '[personal data]';
+
+function snapshot(value) {
+  if (value === undefined || value === null) return null;
+  return JSON.stringify(value, (key, v) => (PERSONAL_FIELDS.has(key) && v !== null && v !== '' ? OMITTED : v));
+}
+
+// Record one action. `actor` defaults to the signed-in staff member; pass it
+// explicitly for events where the session isn't set up yet (e.g. failed logins).
+// Never throws: losing an audit row is logged loudly but must not undo the action.
+async function record(req, { action, targetType = null, targetId = null, before, after, actor }) {
+  const who = actor || (req.session && req.session.user) || {};
+  try {
+    await run(
+      `INSERT INTO audit_log (actor_id, actor_username, action, target_type, target_id, before_json, after_json, ip)
+       VALUES (?, ?, ?, ?, ?, ?, ?, ?)`,
+      [who.id || null, who.username || null, action, targetType, targetId,
+        snapshot(before), snapshot(after), req.ip || null]
+    );
+  } catch (e) {
+    console.error('AUDIT WRITE FAILED', action, targetType, targetId, e);
+  }
+}
+
+// Filterable listing, newest first, a page at a time -> { entries, next_cursor }
+async function list({ actor = '', action = '', target_type = '', target_id = '', date_from = '', date_to = '', limit = 200, cursor = '' } = {}) {
+  const where = [];
+  const params = [];
+  if (actor) { where.push('actor_username = ?'); params.push(actor); }
+  if (action) { where.push('action LIKE ?'); params.push(`${action}%`); }
+  if (target_type) { where.push('target_type = ?'); params.push(target_type); }
+  if (target_id) { where.push('target_id = ?'); params.push(parseInt(target_id)); }
+  if (date_from) { where.push('created_at >= ?'); params.push(date_from); }
+  if (date_to) { where.push('created_at < date(?, \'+1 day\')'); params.push(date_to); }
+  const list = keyset([['id', 'id']], { cursor, limit: pageSize(limit, 200, 500), where, params });
+  const whereSql = where.length ? `WHERE ${where.join(' AND ')}` : '';
+
+  const { rows, next_cursor } = list.page(await all(
+    `SELECT * FROM audit_log ${whereSql} ${list.orderSql} LIMIT ?`, [...params, list.fetch]
+  ));
+  const entries = rows.map(r => ({
+    id: r.id,
+    actor_id: r.actor_id,
+    actor_username: r.actor_username,
+    action: r.action,
+    target_type: r.target_type,
+    target_id: r.target_id,
+    before: r.before_json ? JSON.parse(r.before_json) : null,
+    after: r.after_json ? JSON.parse(r.after_json) : null,
+    ip: r.ip,
+    created_at: r.created_at
+  }));
+  return { entries, next_cursor };
+}
+
+module.exports = { record, list, OMITTED };
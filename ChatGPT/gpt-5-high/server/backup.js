@@ -0,0 +1,321 @@
+// backup.js - Snapshots of everything the app stores: the SQLite database, copied
+// with SQLite's online backup API (safe while the server is running, and includes
+// what is still in the WAL), plus the public and private upload folders, in one zip
+// with a manifest of SHA-256 checksums. Only the newest BACKUP_KEEP archives are kept.
+//
+// Command line (from server/):
+//   npm run backup                       create a backup
+//   npm run backup -- list
+//   npm run backup -- verify <file>
+//   npm run backup -- restore <file>     refused while the server is running (server.pid,
+//                                        see pidfile.js); the current data is backed up
+//                                        before it is replaced
+//
+// The server never builds an archive itself: zipping every upload is memory-heavy and
+// synchronous, so createBackup() runs `backup.js create` in a child process.
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { execFile } = require('child_process');
+const sqlite3 = require('sqlite3');
+const AdmZip = require('adm-zip');
+const db = require('./db');
+const { UPLOAD_DIR, PRIVATE_DIR } = require('./files');
+const migrate = require('./migrate');
+const pidfile = require('./pidfile');
+
+const BACKUP_DIR = process.env.BACKUP_DIR || path.join(__dirname, 'backups');
+const BACKUP_KEEP = Math.max(1, parseInt(process.env.BACKUP_KEEP || '10'));
+const INTERVAL_MS = parseInt(process.env.BACKUP_INTERVAL_MS || '0'); // 0 = no scheduled backups
+const FORMAT = 1;
+const DB_ENTRY = 'database.sqlite3';
+const FOLDERS = { uploads: UPLOAD_DIR, private_uploads: PRIVATE_DIR };
+const NAME_PATTERN = /^backup-\d{8}-\d{6}(-\d+)?\.zip$/;
+
+class BackupError extends Error {}
+
+const sha256 = (buffer) => crypto.createHash('sha256').update(buffer).digest('hex');
+
+// Only the database and plain files directly inside the two upload folders
+const safeEntry = (name) => name === DB_ENTRY ||
+  /^(uploads|private_uploads)\/[^/\\]+$/.test(name) && !name.endsWith('/..') && !name.endsWith('/.');
+
+// Opens a second connection (the app's one is in db.js) and runs fn(conn) with it
+function withConnection(file, mode, fn) {
+  return new Promise((resolve, reject) => {
+    const conn = new sqlite3.Database(file, mode, (err) => {
+      if (err) return reject(err);
+      Promise.resolve().then(() => fn(conn)).then(
+        value => conn.close(() => resolve(value)),
+        error => conn.close(() => reject(error))
+      );
+    });
+  });
+}
+
+// Through its own read-only connection the backup only sees committed data, never
+// half of a transaction running on the app's connection
+function snapshotDatabase(target) {
+  return withConnection(db.DB_PATH, sqlite3.OPEN_READONLY, conn => new Promise((resolve, reject) => {
+    const backup = conn.backup(target, (err) => {
+      if (err) return reject(err);
+      backup.step(-1, (err2) => {
+        backup.finish(() => (err2 || !backup.completed ? reject(err2 || new Error('Backup incomplete')) : resolve()));
+      });
+    });
+  }));
+}
+
+function folderFiles(dir) {
+  if (!fs.existsSync(dir)) return [];
+  return fs.readdirSync(dir, { withFileTypes: true }).filter(d => d.isFile()).map(d => d.name).sort();
+}
+
+// backup-YYYYMMDD-HHMMSS.zip (UTC), so names sort by age
+function nextName(now = new Date()) {
+  const stamp = now.toISOString().replace(/[-:]/g, '').replace('T', '-').slice(0, 15);
+  let name = `backup-${stamp}.zip`;
+  for (let n = 2; fs.existsSync(path.join(BACKUP_DIR, name)); n++) name = `backup-${stamp}-${n}.zip`;
+  return name;
+}
+
+// Newest first
+function listBackups() {
+  if (!fs.existsSync(BACKUP_DIR)) return [];
+  return fs.readdirSync(BACKUP_DIR)
+    .filter(name => NAME_PATTERN.test(name))
+    .sort().reverse()
+    .map(name => {
+      const stat = fs.statSync(path.join(BACKUP_DIR, name));
+      return { name, size: stat.size, created_at: stat.mtime.toISOString() };
+    });
+}
+
+// Full path of a backup by name, or null (names from requests never escape BACKUP_DIR)
+function backupPath(name) {
+  if (!NAME_PATTERN.test(String(name))) return null;
+  const file = path.join(BACKUP_DIR, name);
+  return fs.existsSync(file) ? file : null;
+}
+
+// Deletes all but the newest BACKUP_KEEP archives; returns the removed names
+function rotate() {
+  const removed = listBackups().slice(BACKUP_KEEP).map(b => b.name);
+  for (const name of removed) fs.unlinkSync(path.join(BACKUP_DIR, name));
+  return removed;
+}
+
+// Builds the archive in this process. reason: manual (dashboard), cli, schedule, pre-restore.
+// Returns { backup, files, removed } - the new backup, its file count and rotated-out names.
+async function writeBackup({ reason }) {
+  fs.mkdirSync(BACKUP_DIR, { recursive: true });
+  const tmpDb = path.join(BACKUP_DIR, `.tmp-${process.pid}-${Date.now()}.sqlite3`);
+  const zip = new AdmZip();
+  const files = [];
+  const add = (entry, data) => {
+    zip.addFile(entry, data);
+    files.push({ path: entry, size: data.length, sha256: sha256(data) });
+  };
+  try {
+    await snapshotDatabase(tmpDb);
+    add(DB_ENTRY, fs.readFileSync(tmpDb));
+  } finally {
+    fs.rmSync(tmpDb, { force: true });
+  }
+  for (const [folder, dir] of Object.entries(FOLDERS)) {
+    for (const name of folderFiles(dir)) add(`${folder}/${name}`, fs.readFileSync(path.join(dir, name)));
+  }
+
+  const { current } = await migrate.status();
+  const manifest = {
+    format: FORMAT,
+    created_at: new Date().toISOString(),
+    reason,
+    schema_version: current,
+    files
+  };
+  zip.addFile('manifest.json', Buffer.from(JSON.stringify(manifest, null, 2)));
+
+  // Written under a temporary name first so a crash never leaves a half archive in the list
+  const name = nextName();
+  const tmpZip = path.join(BACKUP_DIR, `.tmp-${name}`);
+  fs.writeFileSync(tmpZip, zip.toBuffer());
+  fs.renameSync(tmpZip, path.join(BACKUP_DIR, name));
+  const removed = rotate();
+  return { backup: listBackups().find(b => b.name === name), files: files.length, removed };
+}
+
+let running = null;
+
+// Same result as writeBackup, but built by `backup.js create` in a child process so the
+// server keeps answering requests meanwhile
+function createBackup({ reason = 'manual' } = {}) {
+  if (running) return Promise.reject(new BackupError('A backup is already running'));
+  running = new Promise((resolve, reject) => {
+    execFile(process.execPath, [__filename, 'create', '--reason', reason, '--json'], (err, stdout, stderr) => {
+      if (err) return reject(new BackupError(`Backup failed: ${(stderr || err.message).trim()}`));
+      resolve(JSON.parse(stdout));
+    });
+  });
+  return running.finally(() => { running = null; });
+}
+
+// Integrity check plus "not from newer code" on a database file from an archive
+async function checkDatabase(buffer) {
+  const tmp = path.join(BACKUP_DIR, `.verify-${process.pid}-${Date.now()}.sqlite3`);
+  fs.mkdirSync(BACKUP_DIR, { recursive: true });
+  fs.writeFileSync(tmp, buffer);
+  try {
+    // Read-write: the FTS5 part of integrity_check needs it (this is a throwaway copy)
+    return await withConnection(tmp, sqlite3.OPEN_READWRITE, conn => new Promise((resolve) => {
+      conn.get(`PRAGMA integrity_check`, (err, row) => {
+        if (err) return resolve([`database cannot be read: ${err.message}`]);
+        if (row.integrity_check !== 'ok') return resolve([`database integrity check failed: ${row.integrity_check}`]);
+        conn.get(`SELECT MAX(version) AS version FROM schema_migrations`, (err2, schema) => {
+          if (err2) return resolve([`database has no schema_migrations table: ${err2.message}`]);
+          const known = migrate.available();
+          const latest = known.length ? known[known.length - 1].version : 0;
+          resolve(schema.version > latest
+            ? [`database is at schema version ${schema.version}, newer than this code (${latest})`] : []);
+        });
+      });
+    }));
+  } catch (e) {
+    return [`database cannot be opened: ${e.message}`];
+  } finally {
+    for (const suffix of ['', '-wal', '-shm']) fs.rmSync(tmp + suffix, { force: true });
+  }
+}
+
+// Checks every file against the manifest before anything is touched.
+// Returns { manifest, files: Map(entry -> Buffer) }; throws BackupError listing the problems.
+async function verifyBackup(file) {
+  let entries;
+  try {
+    entries = new AdmZip(file).getEntries().filter(e => !e.isDirectory);
+  } catch (e) {
+    throw new BackupError(`${path.basename(file)} is not a readable backup archive: ${e.message}`);
+  }
+  const byName = new Map(entries.map(e => [e.entryName, e]));
+  let manifest;
+  try {
+    manifest = JSON.parse(byName.get('manifest.json').getData().toString('utf8'));
+  } catch (e) {
+    throw new BackupError(`${path.basename(file)} has no readable manifest.json`);
+  }
+  if (manifest.format !== FORMAT || !Array.isArray(manifest.files)) {
+    throw new BackupError(`${path.basename(file)} is not a backup format this version can restore`);
+  }
+
+  const problems = [];
+  const files = new Map();
+  for (const f of manifest.files) {
+    if (!safeEntry(f.path)) { problems.push(`unexpected path in manifest: ${f.path}`); continue; }
+    const entry = byName.get(f.path);
+    if (!entry) { problems.push(`${f.path} is missing`); continue; }
+    let data;
+    try { data = entry.getData(); } catch (e) { problems.push(`${f.path} cannot be read: ${e.message}`); continue; }
+    if (data.length !== f.size || sha256(data) !== f.sha256) problems.push(`${f.path} does not match its checksum`);
+    else files.set(f.path, data);
+  }
+  for (const name of byName.keys()) {
+    if (name !== 'manifest.json' && !manifest.files.some(f => f.path === name)) problems.push(`${name} is not in the manifest`);
+  }
+  if (!manifest.files.some(f => f.path === DB_ENTRY)) problems.push('the database is missing');
+  if (files.has(DB_ENTRY)) problems.push(...await checkDatabase(files.get(DB_ENTRY)));
+
+  if (problems.length) throw new BackupError(`${path.basename(file)} failed verification:\n  ${problems.join('\n  ')}`);
+  return { manifest, files };
+}
+
+// Replaces the database and both upload folders with the archive's contents. Refused while
+// the server is running, and the server won't start until it is done (pidfile.js).
+// An older schema is fine, the next start migrates it.
+async function restoreBackup(file, { safetyBackup = true } = {}) {
+  const serverPid = pidfile.acquire();
+  if (serverPid) throw new BackupError(`The server is running (pid ${serverPid}); stop it before restoring`);
+  const { manifest, files } = await verifyBackup(file);
+  const safety = safetyBackup && fs.existsSync(db.DB_PATH) ? await writeBackup({ reason: 'pre-restore' }) : null;
+  await db.close();
+
+  // Unpack next to the live data first so the swap below is only renames
+  const staging = fs.mkdtempSync(path.join(path.dirname(db.DB_PATH), '.restore-'));
+  try {
+    for (const folder of Object.keys(FOLDERS)) fs.mkdirSync(path.join(staging, folder));
+    for (const [entry, data] of files) fs.writeFileSync(path.join(staging, entry), data);
+
+    // The old WAL would otherwise be replayed on top of the restored database
+    for (const suffix of ['-wal', '-shm']) fs.rmSync(db.DB_PATH + suffix, { force: true });
+    fs.renameSync(path.join(staging, DB_ENTRY), db.DB_PATH);
+    for (const [folder, dir] of Object.entries(FOLDERS)) {
+      if (fs.existsSync(dir)) fs.renameSync(dir, path.join(staging, `previous_${folder}`));
+      fs.renameSync(path.join(staging, folder), dir);
+    }
+  } finally {
+    fs.rmSync(staging, { recursive: true, force: true });
+  }
+  return { manifest, safety };
+}
+
+function startScheduler(intervalMs = INTERVAL_MS) {
+  const tick = () => createBackup({ reason: 'schedule' })
+    .then(r => console.log(`Backup: wrote ${r.backup.name}${r.removed.length ? `, removed ${r.removed.join(', ')}` : ''}`))
+    .catch(err => console.error('Scheduled backup failed', err));
+  const timer = setInterval(tick, intervalMs);
+  timer.unref();
+  return timer;
+}
+
+// --- Command line ---
+
+const USAGE = 'Usage: backup [create | list | verify <file> | restore <file> [--no-safety-backup]]';
+
+// A bare name refers to BACKUP_DIR, anything else is a path
+const resolveArchive = (arg) => {
+  if (!arg) throw new BackupError(USAGE);
+  return backupPath(arg) || path.resolve(arg);
+};
+
+async function main([command = 'create', arg, ...rest]) {
+  if (command === 'list') {
+    const backups = listBackups();
+    if (!backups.length) console.log(`No backups in ${BACKUP_DIR}`);
+    for (const b of backups) console.log(`${b.name}  ${(b.size / 1024).toFixed(0).padStart(8)} KB  ${b.created_at}`);
+  } else if (command === 'create') {
+    // createBackup() runs this with --reason and --json, and reads the result from stdout
+    const flags = [arg, ...rest];
+    const reason = flags.includes('--reason') ? flags[flags.indexOf('--reason') + 1] : 'cli';
+    await db.configure();
+    const result = await writeBackup({ reason });
+    if (flags.includes('--json')) {
+      console.log(JSON.stringify(result));
+      return;
+    }
+    console.log(`Wrote ${path.join(BACKUP_DIR, result.backup.name)} (${result.files} files)`);
+    if (result.removed.length) console.log(`Removed old backups: ${result.removed.join(', ')}`);
+  } else if (command === 'verify') {
+    const { manifest } = await verifyBackup(resolveArchive(arg));
+    console.log(`OK: ${manifest.files.length} files, schema version ${manifest.schema_version}, taken ${manifest.created_at}`);
+  } else if (command === 'restore') {
+    await db.configure();
+    const { manifest, safety } = await restoreBackup(resolveArchive(arg), { safetyBackup: !rest.includes('--no-safety-backup') });
+    if (safety) console.log(`Previous data saved as ${safety.backup.name}`);
+    console.log(`Restored ${manifest.files.length} files from the backup taken ${manifest.created_at}`);
+  } else {
+    throw new BackupError(USAGE);
+  }
+}
+
+if (require.main === module) {
+  main(process.argv.slice(2))
+    .then(() => process.exit(0))
+    .catch(err => {
+      console.error(err instanceof BackupError ? err.message : err);
+      process.exit(1);
+    });
+}
+
+module.exports = {
+  createBackup, listBackups, backupPath, verifyBackup, restoreBackup, startScheduler, BackupError, INTERVAL_MS, BACKUP_KEEP
+};
@@ -0,0 +1,183 @@
+// bench.js - Synthetic benchmark for the item lists. Seeds a throwaway database (in the
+// temp folder, never data.sqlite3) with made-up items, starts the real server on it and
+// times list and search requests twice: with the listing indexes rolled back (migration
+// 003) and with them applied. The numbers are medians, in milliseconds per request.
+//
+// Command line (from server/):
+//   npm run bench -- [--items 50000] [--runs 15] [--port 3100]
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { spawn } = require('child_process');
+
+const DIR = fs.mkdtempSync(path.join(os.tmpdir(), 'lostfound-bench-'));
+process.env.DB_PATH = path.join(DIR, 'bench.sqlite3');
+const { run, get, init, close, transaction } = require('./db');
+const listingIndexes = require('./migrations/003_listing_indexes');
+const { encodeCursor } = require('./pagination');
+
+const PER_PAGE = 20;
+
+const THINGS = [
+  ['Electronics', ['headphones', 'charger', 'calculator', 'phone', 'earbuds']],
+  ['Clothing', ['hoodie', 'jacket', 'scarf', 'cap', 'gloves']],
+  ['Water Bottle', ['water bottle', 'thermos']],
+  ['Stationery', ['notebook', 'pencil case', 'binder', 'textbook']],
+  ['Keys', ['car keys', 'locker key', 'key ring']],
+  ['Jewelry', ['bracelet', 'necklace', 'ring', 'watch']],
+  ['ID/Access Card', ['student ID', 'bus pass']]
+];
+const COLORS = ['Black', 'Blue', 'Red', 'Green', 'Silver', 'White', 'Purple', 'Grey'];
+const PLACES = ['Library', 'Gym', 'Cafeteria', 'Main Office', 'Science Wing', 'Auditorium', 'Bus Loop', 'Room 210'];
+// Mostly approved, like a live site
+const STATUSES = [...Array(16).fill('approved'), 'pending', 'pending', 'claimed', 'archived'];
+
+class BenchError extends Error {}
+
+// Seeded, so every run benchmarks the same data
+function random(seed) {
+  return () => {
+    seed = (seed + 0x6D2B79F5) | 0;
+    let t = Math.imul(seed ^ (seed >>> 15), 1 | seed);
+    t = (t + Math.imul(t ^ (t >>> 7), 61 | t)) ^ t;
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+// `count` items spread over the last two years
+async function seed(count) {
+  const rand = random(42);
+  const pick = (list) => list[Math.floor(rand() * list.length)];
+  const now = Date.now();
+  await transaction(async () => {
+    for (let i = 0; i < count; i++) {
+      const [category, things] = pick(THINGS);
+      const title = `${pick(COLORS)} ${pick(things)}`;
+      const place = pick(PLACES);
+      const createdAt = new Date(now - rand() * 730 * 86400000).toISOString().slice(0, 19).replace('T', ' ');
+      await run(
+        `INSERT INTO items (title, description, category, location_found, date_found, status,
+                            reporter_name, reporter_email, created_at)
+         VALUES (?, ?, ?, ?, ?, ?, 'Benchmark', 'bench@example.com', ?)`,
+        [title, `${title} left near the ${place.toLowerCase()}.`, category, place, createdAt.slice(0, 10),
+          pick(STATUSES), createdAt]
+      );
+    }
+  });
+}
+
+function startServer(port) {
+  return spawn(process.execPath, [path.join(__dirname, 'server.js')], {
+    env: { ...process.env, PORT: String(port), RETENTION_DISABLED: 'true' },
+    stdio: ['ignore', 'ignore', 'inherit']
+  });
+}
+
+async function waitForServer(base) {
+  for (let i = 0; i < 100; i++) {
+    try {
+      if ((await fetch(`${base}/api/health`)).ok) return;
+    } catch (e) {
+      // not listening yet
+    }
+    await new Promise(resolve => setTimeout(resolve, 100));
+  }
+  throw new BenchError('The server did not start');
+}
+
+// Median time of `runs` requests, after one to warm up
+async function time(url, runs) {
+  const request = async () => {
+    const res = await fetch(url);
+    if (!res.ok) throw new BenchError(`${url} answered ${res.status}`);
+    await res.json();
+  };
+  await request();
+  const ms = [];
+  for (let i = 0; i < runs; i++) {
+    const start = process.hrtime.bigint();
+    await request();
+    ms.push(Number(process.hrtime.bigint() - start) / 1e6);
+  }
+  ms.sort((a, b) => a - b);
+  return ms[Math.floor(ms.length / 2)];
+}
+
+// The requests to time: [label, path]. The deep page is half-way through the approved items.
+async function scenarios() {
+  const { count } = await get(`SELECT COUNT(*) AS count FROM items WHERE status = 'approved'`);
+  const page = Math.max(2, Math.floor(count / PER_PAGE / 2));
+  const last = await get(
+    `SELECT created_at, id FROM items WHERE status = 'approved'
+     ORDER BY created_at DESC, id DESC LIMIT 1 OFFSET ?`, [(page - 1) * PER_PAGE - 1]
+  );
+  const cursor = encodeCursor([last.created_at, last.id]);
+  return [
+    ['Newest, first page', `/api/items?limit=${PER_PAGE}`],
+    [`Page ${page} with ?page=`, `/api/items?limit=${PER_PAGE}&page=${page}`],
+    [`Page ${page} with ?cursor=`, `/api/items?limit=${PER_PAGE}&cursor=${cursor}`],
+    ['Oldest first', `/api/items?limit=${PER_PAGE}&sort=oldest`],
+    ['Category filter', `/api/items?limit=${PER_PAGE}&category=Electronics`],
+    ['Search "headphones"', `/api/items?limit=${PER_PAGE}&q=headphones`],
+    ['Search by relevance', `/api/items?limit=${PER_PAGE}&q=blue%20jacket&sort=relevance`]
+  ];
+}
+
+// --- Command line ---
+
+const USAGE = 'Usage: bench [--items <count>] [--runs <count>] [--port <port>]';
+
+async function main(args) {
+  const options = { items: 50000, runs: 15, port: 3100 };
+  for (let i = 0; i < args.length; i += 2) {
+    const name = args[i].startsWith('--') ? args[i].slice(2) : '';
+    const value = parseInt(args[i + 1]);
+    if (!(name in options) || !(value > 0)) throw new BenchError(USAGE);
+    options[name] = value;
+  }
+
+  await init();
+  console.log(`Seeding ${options.items} items into ${process.env.DB_PATH} ...`);
+  const seeded = Date.now();
+  await seed(options.items);
+  await run('ANALYZE');
+  console.log(`Seeded in ${((Date.now() - seeded) / 1000).toFixed(1)} s`);
+
+  const base = `http://localhost:${options.port}`;
+  const server = startServer(options.port);
+  try {
+    await waitForServer(base);
+    const list = await scenarios();
+    const results = list.map(([label]) => ({ label }));
+
+    // Every migration is applied by now; take the listing indexes away for the first round
+    await listingIndexes.down();
+    for (let i = 0; i < list.length; i++) results[i].before = await time(base + list[i][1], options.runs);
+    await listingIndexes.up();
+    await run('ANALYZE');
+    for (let i = 0; i < list.length; i++) results[i].after = await time(base + list[i][1], options.runs);
+
+    console.log(`\n${'Request'.padEnd(32)} ${'No indexes'.padStart(12)} ${'Indexes'.padStart(12)}`);
+    for (const r of results) {
+      console.log(`${r.label.padEnd(32)} ${`${r.before.toFixed(1)} ms`.padStart(12)} ${`${r.after.toFixed(1)} ms`.padStart(12)}`);
+    }
+  } finally {
+    server.kill();
+  }
+}
+
+if (require.main === module) {
+  main(process.argv.slice(2))
+    .then(() => 0)
+    .catch(err => {
+      console.error(err instanceof BenchError ? err.message : err);
+      return 1;
+    })
+    .then(code => {
+      close().finally(() => {
+        fs.rmSync(DIR, { recursive: true, force: true });
+        process.exit(code);
+      });
+    });
+}
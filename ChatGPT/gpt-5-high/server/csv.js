@@ -0,0 +1,48 @@
+// csv.js - Minimal RFC 4180 CSV reading and writing (quotes, commas, newlines in cells).
+
+// Spreadsheet apps run cells starting with these as formulas; prefix them with '
+const FORMULA_START = /^[=+\-@\t\r]/;
+
+function cell(value) {
+  if (value === null || value === undefined) return '';
+  let s = String(value);
+  if (FORMULA_START.test(s)) s = `'${s}`;
+  return /[",\r\n]/.test(s) ? `"${s.replace(/"/g, '""')}"` : s;
+}
+
+function row(values) {
+  return values.map(cell).join(',') + '\r\n';
+}
+
+// Text -> array of records (arrays of strings). Accepts \n or \r\n and a leading BOM.
+function parse(text) {
+  const records = [];
+  let record = [];
+  let field = '';
+  let quoted = false;
+  const s = String(text).replace(/^\uFEFF/, '');
+
+  for (let i = 0; i < s.length; i++) {
+    const ch = s[i];
+    if (quoted) {
+      if (ch === '"' && s[i + 1] === '"') { field += '"'; i++; }
+      else if (ch === '"') quoted = false;
+      else field += ch;
+    } else if (ch === '"' && field === '') {
+      quoted = true;
+    } else if (ch === ',') {
+      record.push(field); field = '';
+    } else if (ch === '\n' || ch === '\r') {
+      if (ch === '\r' && s[i + 1] === '\n') i++;
+      record.push(field); field = '';
+      records.push(record); record = [];
+    } else {
+      field += ch;
+    }
+  }
+  if (field !== '' || record.length) { record.push(field); records.push(record); }
+  // Blank lines (e.g. a trailing newline) are not records
+  return records.filter(r => r.length > 1 || r[0] !== '');
+}
+
+module.exports = { cell, row, parse };
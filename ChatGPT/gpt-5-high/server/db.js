@@ -1,16 +1,40 @@
 // db.js - SQLite database setup and helpers (no ORMs, plain SQL)
-// Cleanly initializes schema and seeds an admin if not present.
+// The schema lives in migrations/ (see migrate.js); init() applies it and seeds an admin if not present.
 
 const sqlite3 = require('sqlite3').verbose();
 const path = require('path');
+const { AsyncLocalStorage } = require('async_hooks');
 const bcrypt = require('bcryptjs');
 
-const DB_PATH = path.join(__dirname, 'data.sqlite3');
-const db = new sqlite3.Database(DB_PATH);
+// DB_PATH points elsewhere, e.g. at the throwaway database bench.js seeds
+const DB_PATH = process.env.DB_PATH || path.join(__dirname, 'data.sqlite3');
+const DEFAULT_ADMIN_PASSWORD = 'ChangeMe123!';
+// How long a write waits for the other connection's transaction to finish
+const BUSY_TIMEOUT_MS = 10000;
+
+function open() {
+  const conn = new sqlite3.Database(DB_PATH);
+  conn.configure('busyTimeout', BUSY_TIMEOUT_MS);
+  return conn;
+}
+
+// Transactions get a connection of their own (txDb). On a shared connection, statements
+// from other requests would land inside an open transaction and be rolled back with it;
+// here they wait for its write lock instead, and reads see only committed data (WAL).
+const db = open();
+const txDb = open();
+const txContext = new AsyncLocalStorage();
+
+// The transaction's connection while one is open in this async context. A callback
+// started inside a transaction that runs after it ended goes back to the shared one.
+function connection() {
+  const tx = txContext.getStore();
+  return tx && tx.open ? txDb : db;
+}
 
 function run(sql, params = []) {
   return new Promise((resolve, reject) => {
-    db.run(sql, params, function (err) {
+    connection().run(sql, params, function (err) {
       if (err) reject(err);
       else resolve(this);
     });
@@ -19,7 +43,7 @@ function run(sql, params = []) {
 
 function get(sql, params = []) {
   return new Promise((resolve, reject) => {
-    db.get(sql, params, function (err, row) {
+    connection().get(sql, params, function (err, row) {
       if (err) reject(err);
       else resolve(row);
     });
@@ -28,67 +52,96 @@ function get(sql, params = []) {
 
 function all(sql, params = []) {
   return new Promise((resolve, reject) => {
-    db.all(sql, params, function (err, rows) {
+    connection().all(sql, params, function (err, rows) {
       if (err) reject(err);
       else resolve(rows);
     });
   });
 }
 
-async function init() {
-  await run('PRAGMA foreign_keys = ON;');
+// Runs fn inside BEGIN IMMEDIATE ... COMMIT (ROLLBACK on error) on txDb. Transactions
+// share that connection, so they are queued to keep them from interleaving.
+// Called again from inside fn it nests as a SAVEPOINT, so a failing inner step
+// can be rolled back on its own (used by the bulk admin actions).
+let txQueue = Promise.resolve();
+let savepoints = 0;
+function transaction(fn) {
+  const current = txContext.getStore();
+  if (current && current.open) return savepoint(fn);
+  const result = txQueue.then(() => {
+    const tx = { open: true };
+    return txContext.run(tx, async () => {
+      await run('BEGIN IMMEDIATE');
+      try {
+        const value = await fn();
+        await run('COMMIT');
+        return value;
+      } catch (e) {
+        await run('ROLLBACK').catch(() => {});
+        throw e;
+      } finally {
+        tx.open = false;
+      }
+    });
+  });
+  txQueue = result.catch(() => {});
+  return result;
+}
+
+async function savepoint(fn) {
+  const name = `sp_${++savepoints}`;
+  await run(`SAVEPOINT ${name}`);
+  try {
+    const value = await fn();
+    await run(`RELEASE ${name}`);
+    return value;
+  } catch (e) {
+    await run(`ROLLBACK TO ${name}`).catch(() => {});
+    await run(`RELEASE ${name}`).catch(() => {});
+    throw e;
+  }
+}
+
+// Adds a column to an existing table (CREATE TABLE IF NOT EXISTS won't touch old DBs)
+async function addColumnIfMissing(table, column, definition) {
+  const cols = await all(`PRAGMA table_info(${table})`);
+  if (!cols.some(c => c.name === column)) {
+    await run(`ALTER TABLE ${table} ADD COLUMN ${column} ${definition}`);
+  }
+}
+
+// Connection settings; they can't change inside a transaction, so not part of a migration
+async function configure() {
   await run('PRAGMA journal_mode = WAL;');
+  for (const conn of [db, txDb]) {
+    await new Promise((resolve, reject) => conn.run('PRAGMA foreign_keys = ON;', err => (err ? reject(err) : resolve())));
+  }
+}
+
+// Closes both connections (backup restore, scripts)
+function close() {
+  const closeOne = (conn) => new Promise((resolve, reject) => conn.close(err => (err ? reject(err) : resolve())));
+  return Promise.all([closeOne(db), closeOne(txDb)]);
+}
+
+// Brings the schema up to date (migrate.js, migrations/) and seeds the admin. Throws
+// if the database was migrated by newer code than this.
+async function init() {
+  await configure();
+  await require('./migrate').up();
 
-  await run(`
-    CREATE TABLE IF NOT EXISTS users (
-      id INTEGER PRIMARY KEY AUTOINCREMENT,
-      username TEXT UNIQUE NOT NULL,
-      password_hash TEXT NOT NULL,
-      role TEXT NOT NULL DEFAULT 'admin',
-      created_at DATETIME DEFAULT CURRENT_TIMESTAMP
-    );
-  `);
-
-  await run(`
-    CREATE TABLE IF NOT EXISTS items (
-      id INTEGER PRIMARY KEY AUTOINCREMENT,
-      title TEXT NOT NULL,
-      description TEXT NOT NULL,
-      category TEXT NOT NULL,
-      location_found TEXT NOT NULL,
-      date_found TEXT NOT NULL,
-      photo_filename TEXT,
-      status TEXT NOT NULL DEFAULT 'pending', -- pending, approved, claimed, archived
-      reporter_name TEXT NOT NULL,
-      reporter_email TEXT NOT NULL,
-      created_at DATETIME DEFAULT CURRENT_TIMESTAMP
-    );
-  `);
-
-  await run(`
-    CREATE TABLE IF NOT EXISTS claims (
-      id INTEGER PRIMARY KEY AUTOINCREMENT,
-      item_id INTEGER NOT NULL,
-      claimant_name TEXT NOT NULL,
-      claimant_email TEXT NOT NULL,
-      student_id TEXT,
-      message TEXT NOT NULL,
-      proof_filename TEXT,
-      status TEXT NOT NULL DEFAULT 'new', -- new, in_review, approved, rejected, resolved
-      created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
-      FOREIGN KEY (item_id) REFERENCES items(id) ON DELETE CASCADE
-    );
-  `);
-
-  // Seed default admin if missing
+  // Seed default admin if missing; its published password must be changed on first sign-in
   const admin = await get(`SELECT * FROM users WHERE username = ?`, ['admin']);
   if (!admin) {
-    const hash = await bcrypt.hash('ChangeMe123!', 10);
-    await run(`INSERT INTO users (username, password_hash, role) VALUES (?, ?, ?)`, [
+    const hash = await bcrypt.hash(DEFAULT_ADMIN_PASSWORD, 10);
+    await run(`INSERT INTO users (username, password_hash, role, must_change_password) VALUES (?, ?, ?, 1)`, [
       'admin', hash, 'admin'
     ]);
-    console.log('Seeded default admin: username=admin, password=ChangeMe123!');
+    console.log(`Seeded default admin: username=admin, password=${DEFAULT_ADMIN_PASSWORD} (must be changed on first sign-in)`);
+  } else if (!admin.must_change_password && await bcrypt.compare(DEFAULT_ADMIN_PASSWORD, admin.password_hash)) {
+    // Older databases where the default password was never changed
+    await run(`UPDATE users SET must_change_password = 1 WHERE id = ?`, [admin.id]);
   }
 }
 
-module.exports = { db, run, get, all, init };
+module.exports = { db, DB_PATH, run, get, all, init, configure, close, transaction, addColumnIfMissing };
@@ -0,0 +1,50 @@
+// files.js - Where uploads live on disk and how they get cleaned up.
+// Item photos are public (/uploads); claim evidence (proofs, often student IDs)
+// lives in a separate private folder that is only reachable through an admin route.
+// Shared by item deletion and the retention scheduler.
+
+const fs = require('fs');
+const path = require('path');
+const { all } = require('./db');
+
+const UPLOAD_DIR = path.join(__dirname, 'uploads');
+const PRIVATE_DIR = path.join(__dirname, 'private_uploads');
+for (const dir of [UPLOAD_DIR, PRIVATE_DIR]) {
+  if (!fs.existsSync(dir)) fs.mkdirSync(dir);
+}
+
+// Best-effort unlink of an uploaded file; a missing file is not an error
+function removeUpload(filename, dir = UPLOAD_DIR) {
+  if (!filename) return;
+  fs.unlink(path.join(dir, path.basename(filename)), () => {});
+}
+
+function privatePath(filename) {
+  return path.join(PRIVATE_DIR, path.basename(filename));
+}
+
+// Remove an item's photo (+ thumbnail), the proof files of its claims and
+// any attachments from their message threads
+function removeItemFiles(item, claims = [], attachments = []) {
+  for (const c of claims) removeUpload(c.proof_filename, PRIVATE_DIR);
+  for (const filename of attachments) removeUpload(filename, PRIVATE_DIR);
+  // A photo that couldn't be re-encoded was moved to private storage (images.js)
+  removeUpload(item.photo_filename, item.photo_error ? PRIVATE_DIR : UPLOAD_DIR);
+  removeUpload(item.thumb_filename);
+}
+
+// Proofs uploaded before the split were stored in the public folder; move them
+async function moveLegacyProofs() {
+  const rows = await all(`SELECT proof_filename FROM claims WHERE proof_filename IS NOT NULL`);
+  let moved = 0;
+  for (const { proof_filename } of rows) {
+    const from = path.join(UPLOAD_DIR, path.basename(proof_filename));
+    if (fs.existsSync(from)) {
+      await fs.promises.rename(from, privatePath(proof_filename));
+      moved++;
+    }
+  }
+  return moved;
+}
+
+module.exports = { UPLOAD_DIR, PRIVATE_DIR, removeUpload, removeItemFiles, privatePath, moveLegacyProofs };
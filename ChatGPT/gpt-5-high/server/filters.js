@@ -0,0 +1,33 @@
+// filters.js - Query-string filters for the admin item and claim lists.
+// Shared by the list endpoints and the exports so both always select the same rows.
+
+const { buildMatchQuery } = require('./search');
+
+// { status, q, date_from, date_to } -> { fromSql, where, params } over `items`
+function itemFilter({ status = '', q = '', date_from = '', date_to = '' } = {}) {
+  const where = [];
+  const params = [];
+  const match = buildMatchQuery(q);
+  if (match) { where.push('items_fts MATCH ?'); params.push(match); }
+  if (status) { where.push('items.status = ?'); params.push(status); }
+  if (date_from) { where.push('items.created_at >= ?'); params.push(date_from); }
+  if (date_to) { where.push('items.created_at < date(?, \'+1 day\')'); params.push(date_to); }
+  const fromSql = match ? 'items JOIN items_fts ON items_fts.rowid = items.id' : 'items';
+  return { fromSql, where, params };
+}
+
+// { status, date_from, date_to } -> { fromSql, where, params } over claims `c` joined to items `i`
+function claimFilter({ status = '', date_from = '', date_to = '' } = {}) {
+  const where = [];
+  const params = [];
+  if (status) { where.push('c.status = ?'); params.push(status); }
+  if (date_from) { where.push('c.created_at >= ?'); params.push(date_from); }
+  if (date_to) { where.push('c.created_at < date(?, \'+1 day\')'); params.push(date_to); }
+  return { fromSql: 'claims c JOIN items i ON i.id = c.item_id', where, params };
+}
+
+function whereSql(where) {
+  return where.length ? `WHERE ${where.join(' AND ')}` : '';
+}
+
+module.exports = { itemFilter, claimFilter, whereSql };
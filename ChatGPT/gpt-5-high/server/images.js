@@ -0,0 +1,107 @@
+// images.js - Upload processing: verify the bytes really are an image, strip
+// metadata (EXIF/GPS), and write normalized full-size + thumbnail JPEGs.
+
+const fs = require('fs');
+const path = require('path');
+const sharp = require('sharp');
+const { v4: uuidv4 } = require('uuid');
+const { all, run } = require('./db');
+const { UPLOAD_DIR, removeUpload, privatePath } = require('./files');
+
+const FULL_MAX = 1600; // px, longest side
+const THUMB_MAX = 400;
+const ALLOWED_FORMATS = ['jpeg', 'png', 'webp'];
+
+class InvalidImageError extends Error {}
+
+// Returns sharp's metadata, or throws InvalidImageError when the content
+// isn't a JPEG/PNG/WEBP whatever the client claimed
+async function inspect(buffer) {
+  let meta;
+  try {
+    meta = await sharp(buffer).metadata();
+  } catch (e) {
+    throw new InvalidImageError('Uploaded file is not a valid image');
+  }
+  if (!ALLOWED_FORMATS.includes(meta.format)) {
+    throw new InvalidImageError('Only JPEG/PNG/WEBP images allowed');
+  }
+  return meta;
+}
+
+// rotate() applies the EXIF orientation before the metadata is dropped;
+// sharp writes no metadata unless asked to, so EXIF/GPS never reach disk
+function render(buffer, maxSize, file) {
+  return sharp(buffer)
+    .rotate()
+    .resize({ width: maxSize, height: maxSize, fit: 'inside', withoutEnlargement: true })
+    .flatten({ background: '#ffffff' })
+    .jpeg({ quality: 82, mozjpeg: true })
+    .toFile(file);
+}
+
+// Multer memory-storage file -> { photo_filename, thumb_filename }
+async function processUpload(file, { thumbnail = true, dir = UPLOAD_DIR } = {}) {
+  await inspect(file.buffer);
+  const base = uuidv4();
+  const photo_filename = `${base}.jpg`;
+  await render(file.buffer, FULL_MAX, path.join(dir, photo_filename));
+
+  let thumb_filename = null;
+  if (thumbnail) {
+    thumb_filename = `${base}_thumb.jpg`;
+    await render(file.buffer, THUMB_MAX, path.join(dir, thumb_filename));
+  }
+  return { photo_filename, thumb_filename };
+}
+
+// Perceptual "difference hash": 64 bits as hex. Survives re-encoding and resizing,
+// so the same photo uploaded twice hashes the same even if the bytes differ.
+async function photoHash(buffer) {
+  await inspect(buffer);
+  const pixels = await sharp(buffer).rotate().greyscale().resize(9, 8, { fit: 'fill' }).raw().toBuffer();
+  let bits = '';
+  for (let y = 0; y < 8; y++) {
+    for (let x = 0; x < 8; x++) bits += pixels[y * 9 + x] > pixels[y * 9 + x + 1] ? '1' : '0';
+  }
+  return BigInt(`0b${bits}`).toString(16).padStart(16, '0');
+}
+
+// Public URLs for an item row; old items without a thumbnail fall back to the photo.
+// A photo that couldn't be re-encoded (photo_error) isn't shown.
+function withImageUrls(item) {
+  const photo_url = item.photo_filename && !item.photo_error ? `/uploads/${item.photo_filename}` : null;
+  const thumb_url = item.thumb_filename ? `/uploads/${item.thumb_filename}` : photo_url;
+  return { ...item, photo_url, thumb_url };
+}
+
+// One-off catch-up for photos uploaded before this processing existed: they were stored
+// as sent (EXIF/GPS included) and have no thumbnail. Each is re-encoded through
+// processUpload under a new name and the original file is removed. One that fails is
+// moved to private storage and marked with photo_error, which hides it and stops retries.
+// Returns { reprocessed, failed: [{ id, error }] }.
+async function reprocessLegacyPhotos() {
+  const rows = await all(
+    `SELECT id, photo_filename FROM items WHERE photo_filename IS NOT NULL AND thumb_filename IS NULL AND photo_error IS NULL`
+  );
+  let reprocessed = 0;
+  const failed = [];
+  for (const row of rows) {
+    const original = path.join(UPLOAD_DIR, path.basename(row.photo_filename));
+    try {
+      const buffer = await fs.promises.readFile(original);
+      const { photo_filename, thumb_filename } = await processUpload({ buffer });
+      await run(`UPDATE items SET photo_filename = ?, thumb_filename = ? WHERE id = ?`, [photo_filename, thumb_filename, row.id]);
+      removeUpload(row.photo_filename);
+      reprocessed++;
+    } catch (e) {
+      const error = e.code === 'ENOENT' ? 'Photo file is missing' : String(e.message || e).slice(0, 300);
+      await fs.promises.rename(original, privatePath(row.photo_filename)).catch(() => {});
+      await run(`UPDATE items SET photo_error = ? WHERE id = ?`, [error, row.id]);
+      failed.push({ id: row.id, error });
+    }
+  }
+  return { reprocessed, failed };
+}
+
+module.exports = { inspect, processUpload, photoHash, withImageUrls, reprocessLegacyPhotos, InvalidImageError, FULL_MAX, THUMB_MAX };
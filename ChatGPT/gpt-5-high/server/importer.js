@@ -0,0 +1,162 @@
+// importer.js - Bulk import of found items from a CSV (e.g. backfilling the paper log).
+// Every row is validated and reported on; in dry-run mode nothing is written.
+// Photos can come along in a zip and are referenced by file name in the `photo` column.
+
+const path = require('path');
+const AdmZip = require('adm-zip');
+const { run, transaction } = require('./db');
+const csv = require('./csv');
+const images = require('./images');
+const taxonomy = require('./taxonomy');
+const { removeUpload } = require('./files');
+
+const REQUIRED = ['title', 'description', 'category', 'location_found', 'date_found', 'reporter_name'];
+const OPTIONAL = ['reporter_email', 'status', 'photo'];
+const MAX_LENGTH = {
+  title: 120, description: 2000, category: 60, location_found: 120,
+  reporter_name: 80, reporter_email: 120, photo: 255
+};
+// Items on the paper log were already taken in by staff, so they default to listed
+const STATUSES = ['pending', 'approved', 'claimed', 'archived'];
+const DEFAULT_STATUS = 'approved';
+const MAX_ROWS = 5000;
+// Uncompressed limits for the photo zip, checked against the sizes the zip declares before
+// anything is inflated (adm-zip never inflates an entry past its declared size)
+const MAX_PHOTO_BYTES = 5 * 1024 * 1024;
+const MAX_PHOTOS_TOTAL_BYTES = 200 * 1024 * 1024;
+
+// Problems with the upload as a whole (not a single row)
+class ImportError extends Error {}
+
+// Photo zip -> Map of lower-cased base name -> buffer (folders inside the zip are ignored)
+function readPhotos(zipBuffer) {
+  const photos = new Map();
+  if (!zipBuffer) return photos;
+  let entries;
+  try {
+    entries = new AdmZip(zipBuffer).getEntries();
+  } catch (e) {
+    throw new ImportError('Photos file is not a valid zip archive');
+  }
+  const files = entries.filter(entry => !entry.isDirectory);
+  if (files.length > MAX_ROWS) throw new ImportError(`At most ${MAX_ROWS} photos per zip`);
+  let total = 0;
+  for (const entry of files) {
+    if (entry.header.size > MAX_PHOTO_BYTES) {
+      throw new ImportError(`${entry.entryName} is larger than ${MAX_PHOTO_BYTES / 1024 / 1024} MB uncompressed`);
+    }
+    total += entry.header.size;
+  }
+  if (total > MAX_PHOTOS_TOTAL_BYTES) {
+    throw new ImportError(`Photos add up to more than ${MAX_PHOTOS_TOTAL_BYTES / 1024 / 1024} MB uncompressed; split the import`);
+  }
+  for (const entry of files) photos.set(path.basename(entry.entryName).toLowerCase(), entry.getData());
+  return photos;
+}
+
+function validDate(s) {
+  return /^\d{4}-\d{2}-\d{2}$/.test(s) && !Number.isNaN(Date.parse(s));
+}
+
+// One CSV record -> { values, photo, errors }
+async function checkRow(header, record, photos) {
+  const values = {};
+  const errors = [];
+  header.forEach((col, i) => { values[col] = String(record[i] ?? '').trim(); });
+
+  for (const col of REQUIRED) {
+    if (!values[col]) errors.push(`${col} is required`);
+  }
+  for (const [col, max] of Object.entries(MAX_LENGTH)) {
+    if (values[col] && values[col].length > max) errors.push(`${col} is longer than ${max} characters`);
+  }
+  if (values.date_found && !validDate(values.date_found)) errors.push('date_found must be YYYY-MM-DD');
+  if (values.reporter_email && !/^[^@\s]+@[^@\s]+$/.test(values.reporter_email)) errors.push('reporter_email is not an email address');
+  values.status = (values.status || DEFAULT_STATUS).toLowerCase();
+  if (!STATUSES.includes(values.status)) errors.push(`status must be one of ${STATUSES.join(', ')}`);
+
+  // Same category and location lists as the report form
+  const { errors: taxonomyErrors, ...resolved } = await taxonomy.resolveImported(values);
+  Object.assign(values, resolved);
+  errors.push(...taxonomyErrors);
+
+  let photo = null;
+  if (values.photo) {
+    photo = photos.get(path.basename(values.photo).toLowerCase());
+    if (!photo) {
+      errors.push(`photo "${values.photo}" not found in the zip`);
+    } else {
+      try {
+        await images.inspect(photo);
+      } catch (e) {
+        if (!(e instanceof images.InvalidImageError)) throw e;
+        errors.push(`photo "${values.photo}": ${e.message}`);
+      }
+    }
+  }
+  return { values, photo, errors };
+}
+
+// Validate every row; unless dryRun, insert the valid ones in one transaction.
+// Returns { dry_run, total, valid, imported, failed, rows: [{ row, ok, id?, title, errors }] }
+async function importItems({ csvText, zipBuffer, dryRun = true }) {
+  const records = csv.parse(csvText);
+  if (!records.length) throw new ImportError('CSV file is empty');
+  const header = records[0].map(h => h.trim().toLowerCase());
+  const missing = REQUIRED.filter(c => !header.includes(c));
+  if (missing.length) throw new ImportError(`Missing column(s): ${missing.join(', ')}`);
+  const unknown = header.filter(c => !REQUIRED.includes(c) && !OPTIONAL.includes(c));
+  if (unknown.length) throw new ImportError(`Unknown column(s): ${unknown.join(', ')}`);
+  if (records.length - 1 > MAX_ROWS) throw new ImportError(`At most ${MAX_ROWS} rows per import`);
+
+  const photos = readPhotos(zipBuffer);
+  const checked = [];
+  for (let i = 1; i < records.length; i++) {
+    // Row numbers match the spreadsheet: the header is row 1
+    checked.push({ row: i + 1, ...(await checkRow(header, records[i], photos)) });
+  }
+
+  const valid = checked.filter(c => !c.errors.length);
+  const written = [];
+  if (!dryRun && valid.length) {
+    try {
+      for (const c of valid) {
+        if (c.photo) c.files = await images.processUpload({ buffer: c.photo });
+      }
+      await transaction(async () => {
+        for (const c of valid) {
+          const v = c.values;
+          const { photo_filename = null, thumb_filename = null } = c.files || {};
+          // created_at follows the date found so retention ages backfilled items correctly
+          const result = await run(
+            `INSERT INTO items (title, description, category, location_found, location_id, date_found, photo_filename,
+                                thumb_filename, status, reporter_name, reporter_email, created_at)
+             VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, datetime(?))`,
+            [v.title, v.description, v.category, v.location_found, v.location_id, v.date_found, photo_filename, thumb_filename,
+              v.status, v.reporter_name, v.reporter_email || '', v.date_found]
+          );
+          c.id = result.lastID;
+          written.push(c);
+        }
+      });
+    } catch (e) {
+      for (const c of valid) {
+        if (c.files) { removeUpload(c.files.photo_filename); removeUpload(c.files.thumb_filename); }
+      }
+      throw e;
+    }
+  }
+
+  return {
+    dry_run: dryRun,
+    total: checked.length,
+    valid: valid.length,
+    imported: written.length,
+    failed: checked.length - valid.length,
+    rows: checked.map(c => ({
+      row: c.row, ok: !c.errors.length, id: c.id || null, title: c.values.title, errors: c.errors
+    }))
+  };
+}
+
+module.exports = { importItems, checkRow, ImportError, REQUIRED, OPTIONAL };
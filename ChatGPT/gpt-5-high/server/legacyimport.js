@@ -0,0 +1,233 @@
+// legacyimport.js - One-time import of the items the localStorage-only pilot site
+// (Gemini/gemini-2.5-pro) kept in each browser. Its admin page exports them as a JSON
+// bundle; here the fields are mapped onto this schema, the base64 photos are written
+// to uploads/ like any other upload and the status is kept. Items already in the
+// database (same content hash) are reported as duplicates and skipped, so running
+// the import again, or importing two overlapping browsers, is harmless.
+//
+// Command line (from server/):
+//   npm run import-legacy -- <bundle.json> [--dry-run] [--reporter-name "..."]
+
+const fs = require('fs');
+const { get, run, transaction, init } = require('./db');
+const images = require('./images');
+const abuse = require('./abuse');
+const taxonomy = require('./taxonomy');
+const { removeUpload } = require('./files');
+
+const FORMAT = 'lostandfound-localstorage';
+// The pilot's category slugs -> the categories used here
+const CATEGORIES = {
+  electronics: 'Electronics',
+  clothing: 'Clothing',
+  books: 'Stationery',
+  'water-bottles': 'Water Bottle',
+  keys: 'Keys',
+  other: 'Other'
+};
+const STATUSES = ['pending', 'approved', 'claimed'];
+const MAX_LENGTH = { title: 120, description: 2000, category: 60, location_found: 120 };
+const MAX_ITEMS = 5000;
+// The pilot never asked who found an item; reporter_name is required here
+const DEFAULT_REPORTER = 'Pilot import';
+
+// Problems with the bundle as a whole (not a single item)
+class LegacyImportError extends Error {}
+
+function validDate(s) {
+  return /^\d{4}-\d{2}-\d{2}$/.test(s) && !Number.isNaN(Date.parse(s));
+}
+
+// "data:image/png;base64,..." -> Buffer, or null when it isn't a base64 data URL
+function decodePhoto(dataUrl) {
+  const m = /^data:[^;,]*;base64,([A-Za-z0-9+/=\s]+)$/.exec(dataUrl);
+  return m ? Buffer.from(m[1], 'base64') : null;
+}
+
+// Accepts the exported bundle, or the bare array copied out of localStorage
+function readBundle(text) {
+  let bundle;
+  try {
+    bundle = JSON.parse(text);
+  } catch (e) {
+    throw new LegacyImportError('File is not valid JSON');
+  }
+  if (Array.isArray(bundle)) return bundle;
+  if (!bundle || bundle.format !== FORMAT || !Array.isArray(bundle.items)) {
+    throw new LegacyImportError('Not a Lost & Found pilot export');
+  }
+  if (bundle.version !== 1) throw new LegacyImportError(`Unsupported export version: ${bundle.version}`);
+  return bundle.items;
+}
+
+// One pilot item -> { values, photo, errors }
+async function checkItem(item) {
+  const errors = [];
+  if (!item || typeof item !== 'object') return { values: {}, photo: null, errors: ['not an item'] };
+  const text = (v) => String(v ?? '').trim();
+  const category = text(item.category);
+  const values = {
+    title: text(item.name),
+    description: text(item.description),
+    category: CATEGORIES[category.toLowerCase()] || category,
+    location_found: text(item.location),
+    date_found: text(item.date),
+    status: text(item.status || 'pending').toLowerCase()
+  };
+
+  for (const [col, field] of [['title', 'name'], ['description', 'description'], ['category', 'category'],
+    ['location_found', 'location'], ['date_found', 'date']]) {
+    if (!values[col]) errors.push(`${field} is required`);
+  }
+  for (const [col, max] of Object.entries(MAX_LENGTH)) {
+    if (values[col].length > max) errors.push(`${col} is longer than ${max} characters`);
+  }
+  if (values.date_found && !validDate(values.date_found)) errors.push('date must be YYYY-MM-DD');
+  if (!STATUSES.includes(values.status)) errors.push(`status must be one of ${STATUSES.join(', ')}`);
+  // Same category and location lists as the report form
+  const { errors: taxonomyErrors, ...resolved } = await taxonomy.resolveImported(values);
+  Object.assign(values, resolved);
+  errors.push(...taxonomyErrors);
+
+  let photo = null;
+  if (item.photo) {
+    photo = decodePhoto(String(item.photo));
+    if (!photo) {
+      errors.push('photo is not a base64 data URL');
+    } else {
+      try {
+        await images.inspect(photo);
+      } catch (e) {
+        if (!(e instanceof images.InvalidImageError)) throw e;
+        errors.push(`photo: ${e.message}`);
+      }
+    }
+  }
+  values.content_hash = abuse.contentHash(values.title, values.description, values.category,
+    values.location_found, values.date_found);
+  return { values, photo, errors };
+}
+
+// Validate every item and look for duplicates; unless dryRun, insert the rest in one transaction.
+// Returns { dry_run, total, valid, imported, duplicates, failed,
+//           rows: [{ index, ok, id?, duplicate_of?, title, errors }] }
+async function importLegacy({ text, dryRun = true, reporterName = DEFAULT_REPORTER }) {
+  const items = readBundle(text);
+  if (!items.length) throw new LegacyImportError('The export has no items');
+  if (items.length > MAX_ITEMS) throw new LegacyImportError(`At most ${MAX_ITEMS} items per import`);
+
+  const checked = [];
+  const seen = new Map(); // content hash -> index of its first item in this bundle
+  for (let i = 0; i < items.length; i++) {
+    const c = { index: i + 1, ...(await checkItem(items[i])) };
+    if (!c.errors.length) {
+      const existing = await get(`SELECT id FROM items WHERE content_hash = ? LIMIT 1`, [c.values.content_hash]);
+      if (existing) {
+        c.duplicate_of = `item #${existing.id}`;
+      } else if (seen.has(c.values.content_hash)) {
+        c.duplicate_of = `entry ${seen.get(c.values.content_hash)} of this export`;
+      } else {
+        seen.set(c.values.content_hash, c.index);
+      }
+    }
+    checked.push(c);
+  }
+
+  const valid = checked.filter(c => !c.errors.length && !c.duplicate_of);
+  const written = [];
+  if (!dryRun && valid.length) {
+    try {
+      for (const c of valid) {
+        if (c.photo) {
+          c.values.photo_hash = await images.photoHash(c.photo);
+          c.files = await images.processUpload({ buffer: c.photo });
+        }
+      }
+      await transaction(async () => {
+        for (const c of valid) {
+          const v = c.values;
+          const { photo_filename = null, thumb_filename = null } = c.files || {};
+          // created_at follows the date found so retention ages imported items correctly
+          const result = await run(
+            `INSERT INTO items (title, description, category, location_found, location_id, date_found, photo_filename,
+                                thumb_filename, status, reporter_name, reporter_email, content_hash, photo_hash, created_at)
+             VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, '', ?, ?, datetime(?))`,
+            [v.title, v.description, v.category, v.location_found, v.location_id, v.date_found, photo_filename, thumb_filename,
+              v.status, reporterName, v.content_hash, v.photo_hash || null, v.date_found]
+          );
+          c.id = result.lastID;
+          written.push(c);
+        }
+      });
+    } catch (e) {
+      for (const c of valid) {
+        if (c.files) { removeUpload(c.files.photo_filename); removeUpload(c.files.thumb_filename); }
+      }
+      throw e;
+    }
+  }
+
+  const duplicates = checked.filter(c => c.duplicate_of).length;
+  return {
+    dry_run: dryRun,
+    total: checked.length,
+    valid: valid.length,
+    imported: written.length,
+    duplicates,
+    failed: checked.length - valid.length - duplicates,
+    rows: checked.map(c => ({
+      index: c.index,
+      ok: !c.errors.length && !c.duplicate_of,
+      id: c.id || null,
+      duplicate_of: c.duplicate_of || null,
+      title: c.values.title || '',
+      errors: c.errors
+    }))
+  };
+}
+
+// --- Command line ---
+
+const USAGE = 'Usage: import-legacy <bundle.json> [--dry-run] [--reporter-name <name>]';
+
+async function main(args) {
+  let file = null;
+  let dryRun = false;
+  let reporterName = DEFAULT_REPORTER;
+  for (let i = 0; i < args.length; i++) {
+    if (args[i] === '--dry-run') dryRun = true;
+    else if (args[i] === '--reporter-name') reporterName = String(args[++i] || '').trim();
+    else if (!file && !args[i].startsWith('--')) file = args[i];
+    else throw new LegacyImportError(USAGE);
+  }
+  if (!file || !reporterName) throw new LegacyImportError(USAGE);
+
+  let text;
+  try {
+    text = fs.readFileSync(file, 'utf8');
+  } catch (e) {
+    throw new LegacyImportError(`Cannot read ${file}: ${e.message}`);
+  }
+  await init();
+  const report = await importLegacy({ text, dryRun, reporterName });
+
+  for (const r of report.rows) {
+    if (r.id) console.log(`${String(r.index).padStart(5)}  imported #${r.id}  ${r.title}`);
+    else if (r.duplicate_of) console.log(`${String(r.index).padStart(5)}  duplicate of ${r.duplicate_of}  ${r.title}`);
+    else if (!r.ok) console.log(`${String(r.index).padStart(5)}  rejected  ${r.title}: ${r.errors.join('; ')}`);
+  }
+  console.log(report.dry_run
+    ? `Dry run: ${report.valid} of ${report.total} item(s) would be imported, ${report.duplicates} duplicate(s), ${report.failed} rejected. Nothing was saved.`
+    : `Imported ${report.imported} of ${report.total} item(s); ${report.duplicates} duplicate(s) and ${report.failed} rejected item(s) skipped.`);
+}
+
+if (require.main === module) {
+  main(process.argv.slice(2))
+    .then(() => process.exit(0))
+    .catch(err => {
+      console.error(err instanceof LegacyImportError ? err.message : err);
+      process.exit(1);
+    });
+}
+
+module.exports = { importLegacy, LegacyImportError, CATEGORIES };
@@ -0,0 +1,112 @@
+// logins.js - Login throttling. Every attempt is recorded per username and IP;
+// repeated failures on a username add an exponential delay and then a temporary
+// lockout, and one IP failing across many usernames is locked out as well. The
+// postLimiter in server.js only counts requests per IP, which a spread-out guess
+// against `admin` never hits.
+//
+// An attempt is recorded as a failure *before* the password is checked (begin) and
+// only turned into a success afterwards, so guesses sent in parallel count against
+// each other instead of all slipping through while bcrypt runs.
+
+const { run, get, all, transaction } = require('./db');
+
+const WINDOW_MINUTES = 15;    // failures older than this are forgotten
+const FREE_FAILURES = 3;      // no delay until this many failures in a row
+const MAX_DELAY_SECONDS = 60;
+const USER_LOCK_AFTER = 10;   // failures per username before a lockout
+const IP_LOCK_AFTER = 30;     // failures per IP (any usernames) before a lockout
+const LOCK_MINUTES = 15;
+const KEEP_DAYS = 90;
+const PRUNE_INTERVAL_MS = 24 * 60 * 60 * 1000;
+
+const normalizeUsername = (u) => String(u || '').trim().toLowerCase().slice(0, 40);
+
+// SQLite CURRENT_TIMESTAMP values are UTC without a zone marker
+const parseTime = (t) => new Date(`${String(t).replace(' ', 'T')}Z`).getTime();
+
+// Failures since the last success for this username, newest first
+async function recentUserFailures(username) {
+  return all(
+    `SELECT created_at FROM login_attempts
+     WHERE username = ? AND success = 0 AND created_at >= datetime('now', ?)
+       AND id > COALESCE((SELECT MAX(id) FROM login_attempts WHERE username = ? AND success = 1), 0)
+     ORDER BY id DESC`,
+    [username, `-${WINDOW_MINUTES} minutes`, username]
+  );
+}
+
+// Seconds the caller must wait before trying again (0 = go ahead)
+async function retryAfter(username, ip, now = Date.now()) {
+  const user = normalizeUsername(username);
+  const failures = await recentUserFailures(user);
+  let until = 0;
+  if (failures.length >= USER_LOCK_AFTER) {
+    until = parseTime(failures[0].created_at) + LOCK_MINUTES * 60000;
+  } else if (failures.length >= FREE_FAILURES) {
+    const delay = Math.min(MAX_DELAY_SECONDS, 2 ** (failures.length - FREE_FAILURES));
+    until = parseTime(failures[0].created_at) + delay * 1000;
+  }
+
+  const byIp = await get(
+    `SELECT COUNT(*) AS n, MAX(created_at) AS last FROM login_attempts
+     WHERE ip = ? AND success = 0 AND created_at >= datetime('now', ?)`,
+    [ip, `-${WINDOW_MINUTES} minutes`]
+  );
+  if (byIp.n >= IP_LOCK_AFTER) until = Math.max(until, parseTime(byIp.last) + LOCK_MINUTES * 60000);
+
+  return Math.max(0, Math.ceil((until - now) / 1000));
+}
+
+// Checks the throttle and, if the caller may go ahead, reserves the attempt as a
+// failure in the same transaction. Returns { wait } (seconds) or { id } of the reserved row.
+async function begin(username, ip) {
+  return transaction(async () => {
+    const wait = await retryAfter(username, ip);
+    if (wait) return { wait };
+    const result = await run(
+      `INSERT INTO login_attempts (username, ip, success) VALUES (?, ?, 0)`,
+      [normalizeUsername(username), ip || null]
+    );
+    return { id: result.lastID };
+  });
+}
+
+// The reserved attempt turned out right
+async function succeeded(id) {
+  await run(`UPDATE login_attempts SET success = 1 WHERE id = ?`, [id]);
+}
+
+// The attempt neither failed nor completed a sign-in (password right, 2FA still to come)
+async function discard(id) {
+  await run(`DELETE FROM login_attempts WHERE id = ?`, [id]);
+}
+
+// Failed attempts on this account between its previous successful login and now,
+// shown to the user once they're signed in. Call before marking attempt `current`
+// as succeeded; it is left out.
+async function failuresSinceLastLogin(username, current, limit = 20) {
+  const user = normalizeUsername(username);
+  return all(
+    `SELECT ip, created_at FROM login_attempts
+     WHERE username = ? AND success = 0 AND id != ?
+       AND id > COALESCE((SELECT MAX(id) FROM login_attempts WHERE username = ? AND success = 1), 0)
+     ORDER BY id DESC LIMIT ?`,
+    [user, current, user, limit]
+  );
+}
+
+// Old attempts are only useful for the windows above and the "since last login" notice
+async function prune(days = KEEP_DAYS) {
+  await run(`DELETE FROM login_attempts WHERE created_at < datetime('now', ?)`, [`-${days} days`]);
+}
+
+// Prunes now and then once a day
+function startPruning(intervalMs = PRUNE_INTERVAL_MS) {
+  const tick = () => prune().catch(err => console.error('Pruning login attempts failed', err));
+  tick();
+  const timer = setInterval(tick, intervalMs);
+  timer.unref();
+  return timer;
+}
+
+module.exports = { retryAfter, begin, succeeded, discard, failuresSinceLastLogin, prune, startPruning, LOCK_MINUTES };
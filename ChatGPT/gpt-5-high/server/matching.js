@@ -0,0 +1,125 @@
+// matching.js - Scores found items against open lost reports.
+// Plain heuristics: category, date window, location similarity, keyword overlap.
+
+const { run, get, all } = require('./db');
+
+// Weights add up to 100 so a score reads as a percentage
+const WEIGHTS = { category: 30, date: 20, location: 20, keywords: 30 };
+const MIN_SCORE = 35;        // below this a pairing is not worth showing
+const DATE_WINDOW_DAYS = 30; // items found this long after the loss still count
+
+const STOPWORDS = new Set([
+  'a', 'an', 'and', 'the', 'of', 'in', 'on', 'at', 'to', 'for', 'with', 'by', 'from',
+  'my', 'it', 'is', 'was', 'its', 'near', 'room', 'floor', 'left', 'found', 'lost'
+]);
+
+function tokenize(text) {
+  return String(text || '')
+    .toLowerCase()
+    .split(/[^a-z0-9]+/)
+    .filter(t => t.length > 1 && !STOPWORDS.has(t));
+}
+
+// Jaccard similarity of two token lists (0..1)
+function overlap(a, b) {
+  const setA = new Set(a);
+  const setB = new Set(b);
+  if (!setA.size || !setB.size) return 0;
+  let shared = 0;
+  for (const t of setA) if (setB.has(t)) shared++;
+  return shared / (setA.size + setB.size - shared);
+}
+
+function daysBetween(from, to) {
+  const a = Date.parse(from);
+  const b = Date.parse(to);
+  if (Number.isNaN(a) || Number.isNaN(b)) return null;
+  return Math.round((b - a) / 86400000);
+}
+
+// Returns { score, reasons } for one found item vs one lost report
+function scorePair(item, report) {
+  const reasons = [];
+  let score = 0;
+
+  if (item.category && item.category === report.category) {
+    score += WEIGHTS.category;
+    reasons.push('same category');
+  }
+
+  // Found on the day it was lost (allow a day of slack) up to DATE_WINDOW_DAYS later
+  const gap = daysBetween(report.date_lost, item.date_found);
+  if (gap !== null && gap >= -1 && gap <= DATE_WINDOW_DAYS) {
+    const closeness = 1 - Math.max(0, gap) / DATE_WINDOW_DAYS;
+    score += WEIGHTS.date * closeness;
+    reasons.push(gap <= 0 ? 'found the same day' : `found ${gap} day(s) later`);
+  }
+
+  const loc = overlap(tokenize(item.location_found), tokenize(report.location_lost));
+  if (loc > 0) {
+    score += WEIGHTS.location * loc;
+    reasons.push('similar location');
+  }
+
+  const itemWords = tokenize(`${item.title} ${item.description}`);
+  const reportWords = tokenize(`${report.title} ${report.description}`);
+  // Keyword overlap is scored against the shorter text so a terse report isn't penalized
+  const shared = reportWords.filter(t => itemWords.includes(t));
+  const uniqueShared = [...new Set(shared)];
+  const base = Math.min(new Set(itemWords).size, new Set(reportWords).size);
+  if (uniqueShared.length && base) {
+    score += WEIGHTS.keywords * Math.min(1, uniqueShared.length / base);
+    reasons.push(`keywords: ${uniqueShared.slice(0, 5).join(', ')}`);
+  }
+
+  return { score: Math.round(score), reasons };
+}
+
+async function saveCandidate(reportId, itemId, result) {
+  await run(
+    `INSERT INTO matches (lost_report_id, item_id, score, reasons)
+     VALUES (?, ?, ?, ?)
+     ON CONFLICT (lost_report_id, item_id)
+     DO UPDATE SET score = excluded.score, reasons = excluded.reasons
+     WHERE matches.status = 'candidate'`,
+    [reportId, itemId, result.score, result.reasons.join('; ')]
+  );
+}
+
+// Score a (new or edited) found item against every open lost report
+async function matchItem(itemId) {
+  const item = await get(`SELECT * FROM items WHERE id = ?`, [itemId]);
+  if (!item || item.lost_report_id || ['claimed', 'archived', 'spam'].includes(item.status)) return 0;
+
+  const reports = await all(`SELECT * FROM lost_reports WHERE status = 'open'`);
+  let found = 0;
+  for (const report of reports) {
+    const result = scorePair(item, report);
+    if (result.score >= MIN_SCORE) {
+      await saveCandidate(report.id, item.id, result);
+      found++;
+    }
+  }
+  return found;
+}
+
+// Score a new lost report against items that are still waiting for an owner
+async function matchLostReport(reportId) {
+  const report = await get(`SELECT * FROM lost_reports WHERE id = ?`, [reportId]);
+  if (!report || report.status !== 'open') return 0;
+
+  const items = await all(
+    `SELECT * FROM items WHERE status IN ('pending', 'approved') AND lost_report_id IS NULL`
+  );
+  let found = 0;
+  for (const item of items) {
+    const result = scorePair(item, report);
+    if (result.score >= MIN_SCORE) {
+      await saveCandidate(report.id, item.id, result);
+      found++;
+    }
+  }
+  return found;
+}
+
+module.exports = { scorePair, matchItem, matchLostReport, MIN_SCORE };
@@ -0,0 +1,75 @@
+// messages.js - Per-claim conversation between staff and the claimant.
+// Staff post from the dashboard; the claimant replies from their tracking page
+// (or the link in the email each staff message sends). Each side's unread
+// count is the other side's messages with no read_at yet.
+
+const { run, get, all } = require('./db');
+const notifications = require('./notifications');
+
+const MAX_BODY = 2000;
+// Claimants can't reply once a claim is closed from their side
+const CLOSED_FOR_CLAIMANT = ['withdrawn'];
+
+const other = (reader) => (reader === 'staff' ? 'claimant' : 'staff');
+
+// Thread oldest first; `reader` marks the other side's messages as read
+async function thread(claimId, reader) {
+  if (reader) {
+    await run(
+      `UPDATE claim_messages SET read_at = CURRENT_TIMESTAMP WHERE claim_id = ? AND sender = ? AND read_at IS NULL`,
+      [claimId, other(reader)]
+    );
+  }
+  const rows = await all(
+    `SELECT m.id, m.sender, m.body, m.attachment_filename IS NOT NULL AS has_attachment, m.read_at, m.created_at,
+            u.username AS staff_username
+     FROM claim_messages m
+     LEFT JOIN users u ON u.id = m.staff_id
+     WHERE m.claim_id = ? ORDER BY m.id`, [claimId]
+  );
+  return rows.map(r => ({ ...r, has_attachment: !!r.has_attachment }));
+}
+
+// Messages from the other side that `reader` hasn't opened yet
+async function unreadCount(claimId, reader) {
+  const row = await get(
+    `SELECT COUNT(*) AS n FROM claim_messages WHERE claim_id = ? AND sender = ? AND read_at IS NULL`,
+    [claimId, other(reader)]
+  );
+  return row.n;
+}
+
+async function post({ claimId, sender, staffId = null, body, attachment = null }) {
+  const result = await run(
+    `INSERT INTO claim_messages (claim_id, sender, staff_id, body, attachment_filename) VALUES (?, ?, ?, ?, ?)`,
+    [claimId, sender, staffId, body, attachment]
+  );
+  return get(`SELECT id, sender, body, created_at FROM claim_messages WHERE id = ?`, [result.lastID]);
+}
+
+// Email the claimant that staff wrote; the link carries a fresh tracking token
+async function notifyClaimant(claimId, message, trackingUrl) {
+  const claim = await get(`SELECT * FROM claims WHERE id = ?`, [claimId]);
+  const item = await get(`SELECT * FROM items WHERE id = ?`, [claim.item_id]);
+  await notifications.enqueue('claim_message', claim.claimant_email, { item, claim, message, tracking_url: trackingUrl });
+}
+
+async function attachment(claimId, messageId) {
+  return get(
+    `SELECT id, attachment_filename FROM claim_messages WHERE id = ? AND claim_id = ? AND attachment_filename IS NOT NULL`,
+    [messageId, claimId]
+  );
+}
+
+// Attachment file names for every claim on an item (for deletion/purge)
+async function attachmentsForItem(itemId) {
+  const rows = await all(
+    `SELECT m.attachment_filename FROM claim_messages m JOIN claims c ON c.id = m.claim_id
+     WHERE c.item_id = ? AND m.attachment_filename IS NOT NULL`, [itemId]
+  );
+  return rows.map(r => r.attachment_filename);
+}
+
+module.exports = {
+  thread, unreadCount, post, notifyClaimant, attachment, attachmentsForItem, MAX_BODY, CLOSED_FOR_CLAIMANT
+};
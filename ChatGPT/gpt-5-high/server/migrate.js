@@ -0,0 +1,197 @@
+// migrate.js - Versioned schema migrations. Each file in migrations/ is named
+// NNN_short_name.js and exports up() and, where it can be undone, down(). Every
+// migration runs in its own transaction together with its schema_migrations row,
+// so a failing one leaves the database exactly as it was.
+//
+// Command line (from server/):
+//   npm run migrate                     show status
+//   npm run migrate -- up [version]     apply pending migrations (up to version)
+//   npm run migrate -- down [steps]     roll back the latest migration(s), default 1
+//   npm run migrate -- create <name>    start a new migration file
+//
+// The server applies pending migrations itself on startup (db.init()).
+
+const fs = require('fs');
+const path = require('path');
+const db = require('./db');
+const { run, all, transaction } = db;
+
+const MIGRATIONS_DIR = path.join(__dirname, 'migrations');
+const FILE_PATTERN = /^(\d+)_([a-z0-9_]+)\.js$/;
+
+class MigrationError extends Error {}
+
+// Migration files on disk, oldest first
+function available() {
+  const found = fs.readdirSync(MIGRATIONS_DIR)
+    .map(file => file.match(FILE_PATTERN))
+    .filter(Boolean)
+    .map(m => ({ version: parseInt(m[1], 10), name: m[2], file: m[0] }))
+    .sort((a, b) => a.version - b.version);
+  for (let i = 1; i < found.length; i++) {
+    if (found[i].version === found[i - 1].version) {
+      throw new MigrationError(`Two migrations share version ${found[i].version}: ${found[i - 1].file}, ${found[i].file}`);
+    }
+  }
+  return found;
+}
+
+const failed = (migration, verb, err) =>
+  new MigrationError(`${migration.file} failed and was not ${verb}: ${err.message}`);
+
+const load = (migration) => require(path.join(MIGRATIONS_DIR, migration.file));
+
+async function ensureTable() {
+  await run(`
+    CREATE TABLE IF NOT EXISTS schema_migrations (
+      version INTEGER PRIMARY KEY,
+      name TEXT NOT NULL,
+      applied_at DATETIME DEFAULT CURRENT_TIMESTAMP
+    );
+  `);
+}
+
+// { current, latest, migrations: [{ version, name, applied_at, missing }] }
+// `missing` marks versions recorded in the database with no file here (newer code ran on it)
+async function status() {
+  await ensureTable();
+  const applied = await all(`SELECT version, name, applied_at FROM schema_migrations ORDER BY version`);
+  const known = available();
+  const appliedAt = new Map(applied.map(r => [r.version, r.applied_at]));
+  const migrations = known.map(m => ({
+    version: m.version, name: m.name, applied_at: appliedAt.get(m.version) || null, missing: false
+  }));
+  for (const r of applied) {
+    if (!known.some(m => m.version === r.version)) migrations.push({ ...r, missing: true });
+  }
+  migrations.sort((a, b) => a.version - b.version);
+  return {
+    current: applied.length ? applied[applied.length - 1].version : 0,
+    latest: known.length ? known[known.length - 1].version : 0,
+    migrations
+  };
+}
+
+// A database migrated by newer code may have columns/tables this code would mishandle
+async function assertNotNewer() {
+  const { current, latest } = await status();
+  if (current > latest) {
+    throw new MigrationError(
+      `Database schema is at version ${current} but this code only knows migrations up to ${latest}. ` +
+      'Upgrade the app, or restore a backup taken with this version.'
+    );
+  }
+}
+
+// Applies pending migrations in order (up to and including `target`); returns the ones applied
+async function up(target = Infinity) {
+  await assertNotNewer();
+  const applied = new Set((await all(`SELECT version FROM schema_migrations`)).map(r => r.version));
+  const done = [];
+  for (const migration of available()) {
+    if (migration.version > target || applied.has(migration.version)) continue;
+    const { up: apply } = load(migration);
+    await transaction(async () => {
+      await apply();
+      await run(`INSERT INTO schema_migrations (version, name) VALUES (?, ?)`, [migration.version, migration.name]);
+    }).catch(err => { throw failed(migration, 'applied', err); });
+    done.push(migration);
+  }
+  return done;
+}
+
+// Rolls back the latest `steps` applied migrations, newest first; returns the ones rolled back
+async function down(steps = 1) {
+  await assertNotNewer();
+  const latest = await all(`SELECT version FROM schema_migrations ORDER BY version DESC LIMIT ?`, [steps]);
+  const known = new Map(available().map(m => [m.version, m]));
+  // Refuse up front rather than stop half-way down
+  for (const { version } of latest) {
+    const migration = known.get(version);
+    if (typeof load(migration).down !== 'function') throw new MigrationError(`${migration.file} cannot be rolled back`);
+  }
+  const done = [];
+  for (const { version } of latest) {
+    const migration = known.get(version);
+    const { down: revert } = load(migration);
+    await transaction(async () => {
+      await revert();
+      await run(`DELETE FROM schema_migrations WHERE version = ?`, [version]);
+    }).catch(err => { throw failed(migration, 'rolled back', err); });
+    done.push(migration);
+  }
+  return done;
+}
+
+const TEMPLATE = (file) => `// ${file} - describe the schema change
+
+const { run } = require('../db');
+
+async function up() {
+}
+
+async function down() {
+}
+
+module.exports = { up, down };
+`;
+
+// Writes the next numbered file; returns its path
+function create(name) {
+  const slug = String(name || '').toLowerCase().replace(/[^a-z0-9]+/g, '_').replace(/^_|_$/g, '');
+  if (!slug) throw new MigrationError('Give the migration a name, e.g. add_item_tags');
+  const known = available();
+  const version = (known.length ? known[known.length - 1].version : 0) + 1;
+  const file = `${String(version).padStart(3, '0')}_${slug}.js`;
+  const target = path.join(MIGRATIONS_DIR, file);
+  fs.writeFileSync(target, TEMPLATE(file), { flag: 'wx' });
+  return target;
+}
+
+// --- Command line ---
+
+const label = (m) => `${String(m.version).padStart(3, '0')} ${m.name}`;
+
+async function printStatus() {
+  const { current, latest, migrations } = await status();
+  console.log(`Schema version ${current} (latest available ${latest})`);
+  for (const m of migrations) {
+    const state = m.missing ? `applied ${m.applied_at}, NO FILE (newer code?)`
+      : m.applied_at ? `applied ${m.applied_at}` : 'pending';
+    console.log(`  ${m.applied_at ? '[x]' : '[ ]'} ${label(m).padEnd(40)} ${state}`);
+  }
+}
+
+async function main([command = 'status', arg]) {
+  if (command === 'create') {
+    console.log(`Created ${path.relative(process.cwd(), create(arg))}`);
+    return;
+  }
+  await db.configure();
+  if (command === 'status') {
+    await printStatus();
+  } else if (command === 'up') {
+    const target = arg === undefined ? Infinity : parseInt(arg, 10);
+    if (Number.isNaN(target)) throw new MigrationError('Usage: migrate up [version]');
+    const done = await up(target);
+    console.log(done.length ? done.map(m => `Applied ${label(m)}`).join('\n') : 'Nothing to apply');
+  } else if (command === 'down') {
+    const steps = arg === undefined ? 1 : parseInt(arg, 10);
+    if (!(steps > 0)) throw new MigrationError('Usage: migrate down [steps]');
+    const done = await down(steps);
+    console.log(done.length ? done.map(m => `Rolled back ${label(m)}`).join('\n') : 'Nothing to roll back');
+  } else {
+    throw new MigrationError('Usage: migrate [status | up [version] | down [steps] | create <name>]');
+  }
+}
+
+if (require.main === module) {
+  main(process.argv.slice(2))
+    .then(() => process.exit(0))
+    .catch(err => {
+      console.error(err instanceof MigrationError ? err.message : err);
+      process.exit(1);
+    });
+}
+
+module.exports = { available, status, up, down, create, MigrationError };
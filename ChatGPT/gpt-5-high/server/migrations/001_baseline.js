@@ -0,0 +1,386 @@
+// 001_baseline.js - The schema as it stood when versioned migrations were introduced.
+// Everything here is IF NOT EXISTS / addColumnIfMissing so databases created by the
+// old unversioned init() (any age) are brought up to date and then tracked normally.
+// Later changes go in new numbered files; never edit this one.
+
+const { run, get, addColumnIfMissing } = require('../db');
+
+// Full-text index over items (external content table kept in sync by triggers,
+// so every INSERT/UPDATE/DELETE on items - including admin edits - reindexes)
+async function initSearchIndex() {
+  await run(`
+    CREATE VIRTUAL TABLE IF NOT EXISTS items_fts USING fts5(
+      title, description, category, location_found,
+      content='items', content_rowid='id', tokenize='porter unicode61'
+    );
+  `);
+  await run(`
+    CREATE TRIGGER IF NOT EXISTS items_fts_ai AFTER INSERT ON items BEGIN
+      INSERT INTO items_fts (rowid, title, description, category, location_found)
+      VALUES (new.id, new.title, new.description, new.category, new.location_found);
+    END;
+  `);
+  await run(`
+    CREATE TRIGGER IF NOT EXISTS items_fts_ad AFTER DELETE ON items BEGIN
+      INSERT INTO items_fts (items_fts, rowid, title, description, category, location_found)
+      VALUES ('delete', old.id, old.title, old.description, old.category, old.location_found);
+    END;
+  `);
+  await run(`
+    CREATE TRIGGER IF NOT EXISTS items_fts_au AFTER UPDATE OF title, description, category, location_found ON items BEGIN
+      INSERT INTO items_fts (items_fts, rowid, title, description, category, location_found)
+      VALUES ('delete', old.id, old.title, old.description, old.category, old.location_found);
+      INSERT INTO items_fts (rowid, title, description, category, location_found)
+      VALUES (new.id, new.title, new.description, new.category, new.location_found);
+    END;
+  `);
+
+  // Databases created before the index existed need a one-time backfill
+  const indexed = await get(`SELECT COUNT(*) as c FROM items_fts_docsize`);
+  const total = await get(`SELECT COUNT(*) as c FROM items`);
+  if (indexed.c !== total.c) {
+    await run(`INSERT INTO items_fts (items_fts) VALUES ('rebuild')`);
+  }
+}
+
+// Public tracking links and the status timeline they show. status_history is
+// filled by triggers so every status change (admin, bulk, retention, hand-off,
+// withdrawal) lands on the timeline without each caller having to remember it.
+async function initTracking() {
+  await run(`
+    CREATE TABLE IF NOT EXISTS tracking_tokens (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      token_hash TEXT UNIQUE NOT NULL, -- sha256 of the token; the token itself is only given to the submitter
+      target_type TEXT NOT NULL,       -- item, claim
+      target_id INTEGER NOT NULL,
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+    );
+  `);
+  await run(`CREATE INDEX IF NOT EXISTS idx_tracking_tokens_target ON tracking_tokens (target_type, target_id)`);
+  await run(`
+    CREATE TABLE IF NOT EXISTS status_history (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      target_type TEXT NOT NULL, -- item, claim
+      target_id INTEGER NOT NULL,
+      status TEXT NOT NULL,
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+    );
+  `);
+  await run(`CREATE INDEX IF NOT EXISTS idx_status_history_target ON status_history (target_type, target_id)`);
+
+  for (const [table, type] of [['items', 'item'], ['claims', 'claim']]) {
+    await run(`
+      CREATE TRIGGER IF NOT EXISTS ${table}_status_ai AFTER INSERT ON ${table} BEGIN
+        INSERT INTO status_history (target_type, target_id, status, created_at)
+        VALUES ('${type}', new.id, new.status, COALESCE(new.created_at, CURRENT_TIMESTAMP));
+      END;
+    `);
+    await run(`
+      CREATE TRIGGER IF NOT EXISTS ${table}_status_au AFTER UPDATE OF status ON ${table}
+      WHEN old.status IS NOT new.status BEGIN
+        INSERT INTO status_history (target_type, target_id, status) VALUES ('${type}', new.id, new.status);
+      END;
+    `);
+    await run(`
+      CREATE TRIGGER IF NOT EXISTS ${table}_tracking_ad AFTER DELETE ON ${table} BEGIN
+        DELETE FROM status_history WHERE target_type = '${type}' AND target_id = old.id;
+        DELETE FROM tracking_tokens WHERE target_type = '${type}' AND target_id = old.id;
+      END;
+    `);
+    // Rows from before the timeline existed start with their current status
+    await run(`
+      INSERT INTO status_history (target_type, target_id, status, created_at)
+      SELECT '${type}', t.id, t.status, t.created_at FROM ${table} t
+      WHERE NOT EXISTS (SELECT 1 FROM status_history h WHERE h.target_type = '${type}' AND h.target_id = t.id)
+    `);
+  }
+}
+
+async function up() {
+  await run(`
+    CREATE TABLE IF NOT EXISTS users (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      username TEXT UNIQUE NOT NULL,
+      password_hash TEXT NOT NULL,
+      role TEXT NOT NULL DEFAULT 'admin', -- viewer, moderator, admin (see permissions.js)
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+    );
+  `);
+
+  await run(`
+    CREATE TABLE IF NOT EXISTS items (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      title TEXT NOT NULL,
+      description TEXT NOT NULL,
+      category TEXT NOT NULL,
+      location_found TEXT NOT NULL,
+      date_found TEXT NOT NULL,
+      photo_filename TEXT,
+      status TEXT NOT NULL DEFAULT 'pending', -- pending, approved, claimed, archived, spam
+      reporter_name TEXT NOT NULL,
+      reporter_email TEXT NOT NULL,
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+    );
+  `);
+
+  await run(`
+    CREATE TABLE IF NOT EXISTS claims (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      item_id INTEGER NOT NULL,
+      claimant_name TEXT NOT NULL,
+      claimant_email TEXT NOT NULL,
+      student_id TEXT,
+      message TEXT NOT NULL,
+      proof_filename TEXT,
+      status TEXT NOT NULL DEFAULT 'new', -- new, in_review, approved, rejected, resolved, withdrawn
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      FOREIGN KEY (item_id) REFERENCES items(id) ON DELETE CASCADE
+    );
+  `);
+
+  await run(`
+    CREATE TABLE IF NOT EXISTS lost_reports (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      title TEXT NOT NULL,
+      description TEXT NOT NULL,
+      category TEXT NOT NULL,
+      location_lost TEXT NOT NULL,
+      date_lost TEXT NOT NULL,
+      reporter_name TEXT NOT NULL,
+      reporter_email TEXT NOT NULL,
+      status TEXT NOT NULL DEFAULT 'open', -- open, matched, closed
+      matched_item_id INTEGER,
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      FOREIGN KEY (matched_item_id) REFERENCES items(id) ON DELETE SET NULL
+    );
+  `);
+
+  // Candidate pairings produced by the matching engine (matching.js)
+  await run(`
+    CREATE TABLE IF NOT EXISTS matches (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      lost_report_id INTEGER NOT NULL,
+      item_id INTEGER NOT NULL,
+      score INTEGER NOT NULL,
+      reasons TEXT,
+      status TEXT NOT NULL DEFAULT 'candidate', -- candidate, linked, dismissed
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      UNIQUE (lost_report_id, item_id),
+      FOREIGN KEY (lost_report_id) REFERENCES lost_reports(id) ON DELETE CASCADE,
+      FOREIGN KEY (item_id) REFERENCES items(id) ON DELETE CASCADE
+    );
+  `);
+
+  // Hidden identifying details a claimant must know (never sent to the public API)
+  await run(`
+    CREATE TABLE IF NOT EXISTS item_secrets (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      item_id INTEGER NOT NULL,
+      question TEXT NOT NULL,
+      answer TEXT NOT NULL,
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      FOREIGN KEY (item_id) REFERENCES items(id) ON DELETE CASCADE
+    );
+  `);
+
+  await run(`
+    CREATE TABLE IF NOT EXISTS claim_answers (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      claim_id INTEGER NOT NULL,
+      secret_id INTEGER NOT NULL,
+      answer TEXT NOT NULL,
+      score INTEGER NOT NULL DEFAULT 0, -- 0-100
+      FOREIGN KEY (claim_id) REFERENCES claims(id) ON DELETE CASCADE,
+      FOREIGN KEY (secret_id) REFERENCES item_secrets(id) ON DELETE CASCADE
+    );
+  `);
+
+  // Conversation between staff and the claimant (messages.js)
+  await run(`
+    CREATE TABLE IF NOT EXISTS claim_messages (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      claim_id INTEGER NOT NULL,
+      sender TEXT NOT NULL,        -- staff, claimant
+      staff_id INTEGER,            -- who wrote it when sender = 'staff'
+      body TEXT NOT NULL,
+      attachment_filename TEXT,    -- in the private upload folder
+      read_at DATETIME,            -- when the other side first saw it
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      FOREIGN KEY (claim_id) REFERENCES claims(id) ON DELETE CASCADE,
+      FOREIGN KEY (staff_id) REFERENCES users(id) ON DELETE SET NULL
+    );
+  `);
+  await run(`CREATE INDEX IF NOT EXISTS idx_claim_messages_claim ON claim_messages (claim_id, sender, read_at)`);
+
+  // Outgoing email queue (notifications.js); rows are kept as a delivery log
+  await run(`
+    CREATE TABLE IF NOT EXISTS outbox (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      to_email TEXT NOT NULL,
+      template TEXT NOT NULL,
+      subject TEXT NOT NULL,
+      body TEXT NOT NULL,
+      status TEXT NOT NULL DEFAULT 'queued', -- queued, sent, failed
+      attempts INTEGER NOT NULL DEFAULT 0,
+      last_error TEXT,
+      next_attempt_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      item_id INTEGER,
+      claim_id INTEGER,
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      sent_at DATETIME
+    );
+  `);
+
+  // Append-only record of staff actions (audit.js)
+  await run(`
+    CREATE TABLE IF NOT EXISTS audit_log (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      actor_id INTEGER,
+      actor_username TEXT,
+      action TEXT NOT NULL, -- e.g. item.approve, claim.status, auth.login_failed
+      target_type TEXT,     -- item, claim, lost_report, match, user, notification
+      target_id INTEGER,
+      before_json TEXT,
+      after_json TEXT,
+      ip TEXT,
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+    );
+  `);
+  await run(`
+    CREATE TRIGGER IF NOT EXISTS audit_log_no_update BEFORE UPDATE ON audit_log BEGIN
+      SELECT RAISE(ABORT, 'audit_log is append-only');
+    END;
+  `);
+  await run(`
+    CREATE TRIGGER IF NOT EXISTS audit_log_no_delete BEFORE DELETE ON audit_log BEGIN
+      SELECT RAISE(ABORT, 'audit_log is append-only');
+    END;
+  `);
+
+  // Retention rules per category ('*' is the fallback) and what the scheduler did
+  await run(`
+    CREATE TABLE IF NOT EXISTS retention_rules (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      category TEXT UNIQUE NOT NULL,
+      archive_after_days INTEGER, -- NULL = never archive automatically
+      purge_after_days INTEGER,   -- NULL = never purge photos/personal data
+      updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+    );
+  `);
+  await run(`
+    CREATE TABLE IF NOT EXISTS retention_runs (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      trigger TEXT NOT NULL, -- schedule, manual
+      archived INTEGER NOT NULL DEFAULT 0,
+      purged INTEGER NOT NULL DEFAULT 0,
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+    );
+  `);
+  await run(`
+    CREATE TABLE IF NOT EXISTS retention_actions (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      run_id INTEGER NOT NULL,
+      item_id INTEGER NOT NULL,
+      item_title TEXT,
+      category TEXT,
+      action TEXT NOT NULL, -- archive, purge
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      FOREIGN KEY (run_id) REFERENCES retention_runs(id) ON DELETE CASCADE
+    );
+  `);
+  // The required '*' rule starts out doing nothing: nothing is archived, emailed or
+  // purged until an admin sets the periods
+  const hasRules = await get(`SELECT id FROM retention_rules LIMIT 1`);
+  if (!hasRules) {
+    await run(`INSERT INTO retention_rules (category, archive_after_days, purge_after_days) VALUES ('*', NULL, NULL)`);
+  }
+
+  await initSearchIndex();
+
+  await addColumnIfMissing('users', 'disabled', 'INTEGER NOT NULL DEFAULT 0'); // 1 = cannot sign in
+  // Claim verification + hand-off record
+  await addColumnIfMissing('claims', 'verification_score', 'INTEGER'); // NULL when the item has no secrets
+  await addColumnIfMissing('claims', 'decision_reason', 'TEXT');
+  await addColumnIfMissing('claims', 'pickup_at', 'DATETIME');
+  await addColumnIfMissing('claims', 'handed_off_by', 'INTEGER REFERENCES users(id) ON DELETE SET NULL');
+  await addColumnIfMissing('claims', 'id_checked', 'TEXT');
+  await addColumnIfMissing('items', 'thumb_filename', 'TEXT'); // small variant of photo_filename (images.js)
+  await addColumnIfMissing('items', 'purged_at', 'DATETIME'); // photos + personal data removed by retention
+  await addColumnIfMissing('items', 'lost_report_id', 'INTEGER REFERENCES lost_reports(id) ON DELETE SET NULL');
+  await addColumnIfMissing('items', 'claimed_at', 'DATETIME'); // when it went back to its owner (analytics)
+  // Note from staff shown on the submitter's tracking page
+  await addColumnIfMissing('items', 'staff_message', 'TEXT');
+  await addColumnIfMissing('items', 'staff_message_at', 'DATETIME');
+  await addColumnIfMissing('claims', 'staff_message', 'TEXT');
+  await addColumnIfMissing('claims', 'staff_message_at', 'DATETIME');
+  // Older claimed items: take the hand-off time where there is one
+  await run(`
+    UPDATE items SET claimed_at = (SELECT MAX(c.pickup_at) FROM claims c WHERE c.item_id = items.id AND c.status = 'resolved')
+    WHERE status = 'claimed' AND claimed_at IS NULL
+  `);
+
+  // Spam protection (abuse.js): duplicate detection and who submitted what
+  for (const table of ['items', 'claims', 'lost_reports']) {
+    await addColumnIfMissing(table, 'content_hash', 'TEXT');
+    await addColumnIfMissing(table, 'submitter_ip', 'TEXT');
+    await run(`CREATE INDEX IF NOT EXISTS idx_${table}_content_hash ON ${table} (content_hash)`);
+  }
+  await addColumnIfMissing('items', 'photo_hash', 'TEXT');
+  await run(`CREATE INDEX IF NOT EXISTS idx_items_photo_hash ON items (photo_hash)`);
+  await run(`
+    CREATE TABLE IF NOT EXISTS blocklist (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      kind TEXT NOT NULL, -- email, ip
+      value TEXT NOT NULL,
+      reason TEXT,
+      created_by INTEGER REFERENCES users(id) ON DELETE SET NULL,
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      UNIQUE (kind, value)
+    );
+  `);
+
+  // Every sign-in attempt, for throttling and the "failed attempts since your last login" notice (logins.js)
+  await run(`
+    CREATE TABLE IF NOT EXISTS login_attempts (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      username TEXT NOT NULL,
+      ip TEXT,
+      success INTEGER NOT NULL,
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+    );
+  `);
+  await run(`CREATE INDEX IF NOT EXISTS idx_login_attempts_username ON login_attempts (username, success, id)`);
+  await run(`CREATE INDEX IF NOT EXISTS idx_login_attempts_ip ON login_attempts (ip, created_at)`);
+  await addColumnIfMissing('users', 'must_change_password', 'INTEGER NOT NULL DEFAULT 0');
+  // Two-factor authentication (twofactor.js); totp_required is set by an admin
+  await addColumnIfMissing('users', 'totp_secret', 'TEXT');
+  await addColumnIfMissing('users', 'totp_enabled', 'INTEGER NOT NULL DEFAULT 0');
+  await addColumnIfMissing('users', 'totp_last_counter', 'INTEGER'); // last accepted time step (no replays)
+  await addColumnIfMissing('users', 'totp_required', 'INTEGER NOT NULL DEFAULT 0');
+  await run(`
+    CREATE TABLE IF NOT EXISTS recovery_codes (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+      code_hash TEXT NOT NULL,
+      used_at DATETIME
+    );
+  `);
+  await run(`CREATE INDEX IF NOT EXISTS idx_recovery_codes_user ON recovery_codes (user_id)`);
+
+  // Staff sessions (sessions.js); expires_at is epoch milliseconds
+  await run(`
+    CREATE TABLE IF NOT EXISTS sessions (
+      sid TEXT PRIMARY KEY,
+      user_id INTEGER REFERENCES users(id) ON DELETE CASCADE,
+      data TEXT NOT NULL,
+      expires_at INTEGER NOT NULL
+    );
+  `);
+  await run(`CREATE INDEX IF NOT EXISTS idx_sessions_user ON sessions (user_id)`);
+
+  await initTracking();
+}
+
+// No down(): undoing the baseline would drop every table and all data with it, so the
+// runner refuses to roll it back.
+module.exports = { up };
@@ -0,0 +1,56 @@
+// 002_taxonomy.js - Admin-managed categories and the building -> floor -> room
+// location list (taxonomy.js). Items keep the location's full name in location_found
+// and point at it with location_id; there is no foreign key because locations are
+// retired rather than deleted, and a referenced column could not be dropped again.
+
+const { run, all } = require('../db');
+
+// The options the report and browse pages used to hard-code
+const DEFAULT_CATEGORIES = ['Clothing', 'Electronics', 'ID/Access Card', 'Jewelry', 'Keys', 'Stationery', 'Water Bottle'];
+
+async function up() {
+  await run(`
+    CREATE TABLE categories (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      name TEXT NOT NULL UNIQUE COLLATE NOCASE,
+      sort_order INTEGER NOT NULL DEFAULT 0, -- then by name
+      active INTEGER NOT NULL DEFAULT 1,     -- retired categories stay for old items and filters
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+    );
+  `);
+  for (const name of DEFAULT_CATEGORIES) await run(`INSERT INTO categories (name) VALUES (?)`, [name]);
+  await run(`INSERT INTO categories (name, sort_order) VALUES ('Other', 1)`);
+  // Anything else already in use is kept, retired, so staff can see it and rename it
+  const used = await all(`
+    SELECT DISTINCT category AS name FROM items
+    UNION SELECT DISTINCT category FROM lost_reports
+  `);
+  for (const { name } of used) {
+    if (name && name.trim()) await run(`INSERT OR IGNORE INTO categories (name, active) VALUES (?, 0)`, [name.trim()]);
+  }
+
+  await run(`
+    CREATE TABLE locations (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      parent_id INTEGER REFERENCES locations(id),
+      kind TEXT NOT NULL, -- building, floor, room (follows from the depth)
+      name TEXT NOT NULL,
+      sort_order INTEGER NOT NULL DEFAULT 0,
+      active INTEGER NOT NULL DEFAULT 1,
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+    );
+  `);
+  await run(`CREATE UNIQUE INDEX idx_locations_name ON locations (COALESCE(parent_id, 0), name COLLATE NOCASE)`);
+
+  await run(`ALTER TABLE items ADD COLUMN location_id INTEGER`);
+  await run(`CREATE INDEX idx_items_location ON items (location_id)`);
+}
+
+async function down() {
+  await run(`DROP INDEX IF EXISTS idx_items_location`);
+  await run(`ALTER TABLE items DROP COLUMN location_id`);
+  await run(`DROP TABLE IF EXISTS locations`);
+  await run(`DROP TABLE IF EXISTS categories`);
+}
+
+module.exports = { up, down };
@@ -0,0 +1,30 @@
+// 003_listing_indexes.js - Indexes for the public and admin lists, which filter by
+// status (or category) and page newest-first through pagination.js. SQLite appends the
+// rowid to every index, so (status, created_at) also covers the id tie-breaker.
+// Measure with `npm run bench` before and after (bench.js).
+
+const { run } = require('../db');
+
+const INDEXES = [
+  ['idx_items_status_created', 'items (status, created_at)'],
+  ['idx_items_category_status', 'items (category, status, created_at)'],
+  ['idx_items_created', 'items (created_at)'],
+  ['idx_claims_item', 'claims (item_id)'],
+  ['idx_claims_status_created', 'claims (status, created_at)'],
+  ['idx_claims_created', 'claims (created_at)'],
+  ['idx_lost_reports_status_created', 'lost_reports (status, created_at)'],
+  ['idx_matches_status_score', 'matches (status, score)'],
+  ['idx_matches_item', 'matches (item_id)'],
+  ['idx_outbox_status', 'outbox (status)'],
+  ['idx_audit_log_target', 'audit_log (target_type, target_id)']
+];
+
+async function up() {
+  for (const [name, on] of INDEXES) await run(`CREATE INDEX ${name} ON ${on}`);
+}
+
+async function down() {
+  for (const [name] of INDEXES) await run(`DROP INDEX IF EXISTS ${name}`);
+}
+
+module.exports = { up, down };
@@ -0,0 +1,17 @@
+// 004_blocklist_expiry.js - Blocklist entries can expire. IP addresses are shared (school
+// networks, phone carriers) and reassigned, so IP blocks always carry an expiry; email
+// blocks keep expires_at NULL and last until staff remove them.
+
+const { run } = require('../db');
+
+async function up() {
+  await run(`ALTER TABLE blocklist ADD COLUMN expires_at DATETIME`);
+  // IPs blocked so far were blocked for good; give them the longest expiry instead
+  await run(`UPDATE blocklist SET expires_at = datetime('now', '+90 days') WHERE kind = 'ip'`);
+}
+
+async function down() {
+  await run(`ALTER TABLE blocklist DROP COLUMN expires_at`);
+}
+
+module.exports = { up, down };
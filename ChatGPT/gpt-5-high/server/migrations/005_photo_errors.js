@@ -0,0 +1,16 @@
+// 005_photo_errors.js - Why an item's photo is hidden. Photos uploaded before metadata
+// stripping are re-encoded on startup (images.reprocessLegacyPhotos); one that can't be
+// (missing file, not an image) may still carry EXIF/GPS, so it is moved out of the public
+// folder, hidden and marked here instead of being retried on every start.
+
+const { run } = require('../db');
+
+async function up() {
+  await run(`ALTER TABLE items ADD COLUMN photo_error TEXT`);
+}
+
+async function down() {
+  await run(`ALTER TABLE items DROP COLUMN photo_error`);
+}
+
+module.exports = { up, down };
@@ -0,0 +1,157 @@
+// moderation.js - Item and claim moderation actions, shared by the single-row
+// admin endpoints and the bulk ones. Each action does its database work (status
+// change, notification, audit row) so a surrounding transaction covers all of it;
+// file cleanup and re-matching are left to the caller until after commit.
+
+const { run, get, all, transaction } = require('./db');
+const notifications = require('./notifications');
+const audit = require('./audit');
+const verification = require('./verification');
+const messages = require('./messages');
+const abuse = require('./abuse');
+
+const ITEM_STATUS_ACTIONS = { approve: 'approved', archive: 'archived', mark_claimed: 'claimed' };
+const ITEM_ACTIONS = [...Object.keys(ITEM_STATUS_ACTIONS), 'edit', 'spam', 'delete'];
+const CLAIM_STATUSES = ['new', 'in_review', 'approved', 'rejected', 'resolved'];
+const MAX_BULK = 1000;
+
+// An action that can't be applied to this row; `status` is the HTTP status to answer with
+class ActionError extends Error {
+  constructor(status, message) {
+    super(message);
+    this.status = status;
+  }
+}
+
+// action: approve | archive | mark_claimed | edit (with `fields`) | spam (with optional
+// `fields.block_ip_days`) | delete
+// Returns { before, item, claims, attachments } - the last two (for file cleanup) only on delete;
+// spam adds `also_removed`, the ids of the offender's other pending items
+async function itemAction(req, id, action, fields = {}) {
+  if (!ITEM_ACTIONS.includes(action)) throw new ActionError(400, 'Unknown action');
+  const item = await get(`SELECT * FROM items WHERE id = ?`, [id]);
+  if (!item) throw new ActionError(404, 'Not found');
+
+  if (action === 'delete') {
+    const claims = await all(`SELECT * FROM claims WHERE item_id = ?`, [id]);
+    const attachments = await messages.attachmentsForItem(id);
+    await run(`DELETE FROM items WHERE id = ?`, [id]);
+    // Claims are removed by the cascade, so keep them in the snapshot
+    await audit.record(req, { action: 'item.delete', targetType: 'item', targetId: id, before: { ...item, claims } });
+    return { before: item, item: null, claims, attachments };
+  }
+
+  if (action === 'spam') return markSpam(req, item, { blockIpDays: fields.block_ip_days });
+
+  if (action === 'edit') {
+    const { title, description, category, location_found, location_id = null, date_found } = fields;
+    await run(
+      `UPDATE items SET title = ?, description = ?, category = ?, location_found = ?, location_id = ?, date_found = ? WHERE id = ?`,
+      [title, description, category, location_found, location_id, date_found, id]
+    );
+  } else {
+    // Status actions notify the reporter only when the status actually changes
+    const next = ITEM_STATUS_ACTIONS[action];
+    await run(
+      `UPDATE items SET status = ?, claimed_at = CASE WHEN ? = 'claimed' THEN COALESCE(claimed_at, CURRENT_TIMESTAMP) END
+       WHERE id = ?`, [next, next, id]
+    );
+    if (item.status !== next) await notifications.notifyItem(next, id);
+  }
+
+  const updated = await get(`SELECT * FROM items WHERE id = ?`, [id]);
+  await audit.record(req, { action: `item.${action}`, targetType: 'item', targetId: id, before: item, after: updated });
+  return { before: item, item: updated };
+}
+
+// Spam disposition: hide the item (no email to the "reporter"), block their email and
+// sweep their other pending items into spam as well. The IP address is shared by everyone
+// on the same network, so it is only blocked when staff ask for it (`blockIpDays`), and
+// only then are pending items from that IP swept too.
+async function markSpam(req, item, { blockIpDays = null } = {}) {
+  const reason = `Spam: item #${item.id}`;
+  const staffId = req.user ? req.user.id : null;
+  const blockIp = !!(blockIpDays && item.submitter_ip);
+  await run(`UPDATE items SET status = 'spam' WHERE id = ?`, [item.id]);
+  await abuse.block('email', item.reporter_email, { reason, staffId });
+  if (blockIp) await abuse.block('ip', item.submitter_ip, { reason, staffId, days: blockIpDays });
+  const alsoRemoved = await abuse.removePending({ email: item.reporter_email, ip: blockIp ? item.submitter_ip : null });
+
+  const updated = await get(`SELECT * FROM items WHERE id = ?`, [item.id]);
+  await audit.record(req, {
+    action: 'item.spam', targetType: 'item', targetId: item.id, before: item,
+    after: { ...updated, also_removed: alsoRemoved }
+  });
+  return { before: item, item: updated, also_removed: alsoRemoved };
+}
+
+// Move a claim to `status` (resolving goes through the hand-off instead).
+// Approving auto-rejects the item's other open claims. Returns { claim, autoRejected }.
+async function claimAction(req, id, status, reason = null) {
+  if (!CLAIM_STATUSES.includes(status)) throw new ActionError(400, 'Invalid status');
+  if (status === 'resolved') throw new ActionError(400, 'Use the hand-off form to resolve a claim');
+
+  const before = await get(`SELECT * FROM claims WHERE id = ?`, [id]);
+  if (!before) throw new ActionError(404, 'Not found');
+  if (before.status === 'resolved') throw new ActionError(409, 'Claim is already resolved');
+  if (before.status === 'withdrawn') throw new ActionError(409, 'Claim was withdrawn by the claimant');
+
+  let autoRejected = [];
+  try {
+    if (status === 'approved' && before.status !== 'approved') {
+      autoRejected = await verification.approveClaim(id);
+    } else {
+      await run(
+        `UPDATE claims SET status = ?, decision_reason = ? WHERE id = ?`,
+        [status, status === 'rejected' ? reason : null, id]
+      );
+    }
+  } catch (e) {
+    if (e instanceof verification.ClaimConflictError) throw new ActionError(409, e.message);
+    throw e;
+  }
+
+  if (before.status !== status) await notifications.notifyClaim(id);
+  const claim = await get(`SELECT * FROM claims WHERE id = ?`, [id]);
+  await audit.record(req, { action: 'claim.status', targetType: 'claim', targetId: id, before, after: claim });
+
+  for (const otherId of autoRejected) {
+    await notifications.notifyClaim(otherId);
+    await audit.record(req, {
+      action: 'claim.auto_reject', targetType: 'claim', targetId: otherId,
+      after: { status: 'rejected', reason: `Claim #${id} approved` }
+    });
+  }
+  return { claim, autoRejected };
+}
+
+// Apply `fn(id)` to every id in one transaction, each in its own savepoint:
+// a failing id is rolled back and reported without undoing the others.
+// With `atomic`, any failure rolls back the whole batch.
+// Returns { results: [{ id, ok, error?, value? }], succeeded, failed, rolled_back }
+async function bulk(ids, fn, { atomic = false } = {}) {
+  const results = [];
+  const rollback = new Error('rollback');
+  try {
+    await transaction(async () => {
+      for (const id of ids) {
+        try {
+          const value = await transaction(() => fn(id));
+          results.push({ id, ok: true, value });
+        } catch (e) {
+          if (!(e instanceof ActionError)) console.error(`Bulk action failed for #${id}`, e);
+          results.push({ id, ok: false, error: e instanceof ActionError ? e.message : 'Unexpected error' });
+        }
+      }
+      if (atomic && results.some(r => !r.ok)) throw rollback;
+    });
+  } catch (e) {
+    if (e !== rollback) throw e;
+  }
+  const failed = results.filter(r => !r.ok).length;
+  return { results, succeeded: results.length - failed, failed, rolled_back: atomic && failed > 0 };
+}
+
+module.exports = {
+  itemAction, claimAction, bulk, ActionError, ITEM_ACTIONS, CLAIM_STATUSES, MAX_BULK
+};
@@ -0,0 +1,211 @@
+// notifications.js - Templated email notifications via a persistent outbox.
+// Messages are queued in the `outbox` table and delivered by a small worker
+// with retries. The transport is pluggable: console (default), file or SMTP.
+
+const fs = require('fs');
+const path = require('path');
+const { run, get, all } = require('./db');
+
+const MAX_ATTEMPTS = 5;
+const PUBLIC_URL = process.env.PUBLIC_URL || `http://localhost:${process.env.PORT || 3000}`;
+
+const itemLink = (item) => `${PUBLIC_URL}/item.html?id=${item.id}`;
+
+// Each template gets { item, claim } and returns { subject, text }
+const TEMPLATES = {
+  item_approved: ({ item }) => ({
+    subject: `Your found item "${item.title}" is now listed`,
+    text: `Hi ${item.reporter_name},\n\nThanks for turning in "${item.title}". It has been approved and is now visible to students looking for lost items:\n${itemLink(item)}\n`
+  }),
+  item_claimed: ({ item }) => ({
+    subject: `"${item.title}" has been returned to its owner`,
+    text: `Hi ${item.reporter_name},\n\nGood news: the item you turned in ("${item.title}") has been claimed by its owner. Thank you for helping out!\n`
+  }),
+  item_archived: ({ item }) => ({
+    subject: `"${item.title}" has been archived`,
+    text: `Hi ${item.reporter_name},\n\nThe item you turned in ("${item.title}") has been archived and is no longer listed. Thank you for reporting it.\n`
+  }),
+  claim_new: ({ item, claim, tracking_url }) => ({
+    subject: `We received your claim for "${item.title}"`,
+    text: `Hi ${claim.claimant_name},\n\nWe received your claim for "${item.title}". A staff member will review it and follow up by email.\n` +
+      (tracking_url ? `\nCheck its status, update your contact details or withdraw it here (keep this link private):\n${tracking_url}\n` : '')
+  }),
+  claim_in_review: ({ item, claim }) => ({
+    subject: `Your claim for "${item.title}" is being reviewed`,
+    text: `Hi ${claim.claimant_name},\n\nA staff member is now reviewing your claim for "${item.title}". We may contact you for more details.\n`
+  }),
+  claim_approved: ({ item, claim }) => ({
+    subject: `Your claim for "${item.title}" was approved`,
+    text: `Hi ${claim.claimant_name},\n\nYour claim for "${item.title}" was approved. Please pick it up at the main office and bring your student ID.\n`
+  }),
+  claim_rejected: ({ item, claim }) => ({
+    subject: `Update on your claim for "${item.title}"`,
+    text: `Hi ${claim.claimant_name},\n\nUnfortunately we could not verify your claim for "${item.title}".${claim.decision_reason ? `\nReason: ${claim.decision_reason}` : ''}\nIf you believe this is a mistake, please visit the main office.\n`
+  }),
+  claim_message: ({ item, claim, message, tracking_url }) => ({
+    subject: `New message about your claim for "${item.title}"`,
+    text: `Hi ${claim.claimant_name},\n\nStaff sent you a message about your claim for "${item.title}":\n\n${message.body}\n\n` +
+      `Reply or see the whole conversation here (keep this link private):\n${tracking_url}\n`
+  }),
+  claim_withdrawn: ({ item, claim }) => ({
+    subject: `Your claim for "${item.title}" was withdrawn`,
+    text: `Hi ${claim.claimant_name},\n\nYour claim for "${item.title}" has been withdrawn as requested. No further action is needed.\n`
+  }),
+  claim_resolved: ({ item, claim }) => ({
+    subject: `Your claim for "${item.title}" is complete`,
+    text: `Hi ${claim.claimant_name},\n\nOur records show "${item.title}" has been handed back to you. This claim is now closed.\n`
+  })
+};
+
+// --- Transports: { name, send({ to, subject, text }) -> Promise } ---
+
+function consoleTransport() {
+  return {
+    name: 'console',
+    async send(msg) {
+      console.log(`[mail] to=${msg.to} subject=${JSON.stringify(msg.subject)}\n${msg.text}`);
+    }
+  };
+}
+
+// Appends one JSON line per message; handy for tests and local review
+function fileTransport(file = process.env.MAIL_FILE || path.join(__dirname, 'mail.log')) {
+  return {
+    name: 'file',
+    file,
+    async send(msg) {
+      const line = JSON.stringify({ ...msg, sent_at: new Date().toISOString() }) + '\n';
+      await fs.promises.appendFile(file, line);
+    }
+  };
+}
+
+function smtpTransport() {
+  const nodemailer = require('nodemailer');
+  const transporter = nodemailer.createTransport({
+    host: process.env.SMTP_HOST,
+    port: parseInt(process.env.SMTP_PORT || '587'),
+    secure: process.env.SMTP_SECURE === 'true',
+    auth: process.env.SMTP_USER ? { user: process.env.SMTP_USER, pass: process.env.SMTP_PASS } : undefined
+  });
+  const from = process.env.MAIL_FROM || 'Lost & Found <no-reply@localhost>';
+  return {
+    name: 'smtp',
+    async send(msg) {
+      await transporter.sendMail({ from, to: msg.to, subject: msg.subject, text: msg.text });
+    }
+  };
+}
+
+function transportFromEnv() {
+  switch (process.env.MAIL_TRANSPORT) {
+    case 'smtp': return smtpTransport();
+    case 'file': return fileTransport();
+    default: return consoleTransport();
+  }
+}
+
+let transport = transportFromEnv();
+
+function setTransport(t) {
+  transport = t;
+}
+
+// --- Outbox ---
+
+// Render a template and queue it. Never throws: a notification problem
+// must not fail the admin action that triggered it.
+async function enqueue(template, to, data) {
+  try {
+    const render = TEMPLATES[template];
+    if (!render) throw new Error(`Unknown template: ${template}`);
+    if (!to) return null;
+    const { subject, text } = render(data);
+    const result = await run(
+      `INSERT INTO outbox (to_email, template, subject, body, item_id, claim_id) VALUES (?, ?, ?, ?, ?, ?)`,
+      [to, template, subject, text, data.item?.id || null, data.claim?.id || null]
+    );
+    return result.lastID;
+  } catch (e) {
+    console.error('Failed to queue notification', e);
+    return null;
+  }
+}
+
+async function notifyItem(event, itemId) {
+  const item = await get(`SELECT * FROM items WHERE id = ?`, [itemId]);
+  if (item) await enqueue(`item_${event}`, item.reporter_email, { item });
+}
+
+// `extra` is passed through to the template (e.g. the tracking link, known only at submission)
+async function notifyClaim(claimId, extra = {}) {
+  const claim = await get(`SELECT * FROM claims WHERE id = ?`, [claimId]);
+  if (!claim) return;
+  const item = await get(`SELECT * FROM items WHERE id = ?`, [claim.item_id]);
+  await enqueue(`claim_${claim.status}`, claim.claimant_email, { ...extra, item, claim });
+}
+
+// Deliver one message; on failure back off 1, 2, 4, 8... minutes until MAX_ATTEMPTS
+async function deliver(msg) {
+  try {
+    await transport.send({ to: msg.to_email, subject: msg.subject, text: msg.body });
+    await run(
+      `UPDATE outbox SET status = 'sent', attempts = attempts + 1, last_error = NULL, sent_at = CURRENT_TIMESTAMP WHERE id = ?`,
+      [msg.id]
+    );
+    return true;
+  } catch (e) {
+    const attempts = msg.attempts + 1;
+    const status = attempts >= MAX_ATTEMPTS ? 'failed' : 'queued';
+    const delayMinutes = 2 ** (attempts - 1);
+    await run(
+      `UPDATE outbox SET status = ?, attempts = ?, last_error = ?, next_attempt_at = datetime('now', ?) WHERE id = ?`,
+      [status, attempts, String(e.message || e).slice(0, 500), `+${delayMinutes} minutes`, msg.id]
+    );
+    return false;
+  }
+}
+
+let processing = false;
+
+async function processOutbox(batchSize = 20) {
+  if (processing) return { sent: 0, failed: 0 };
+  processing = true;
+  let sent = 0;
+  let failed = 0;
+  try {
+    const due = await all(
+      `SELECT * FROM outbox WHERE status = 'queued' AND next_attempt_at <= CURRENT_TIMESTAMP
+       ORDER BY id LIMIT ?`, [batchSize]
+    );
+    for (const msg of due) {
+      if (await deliver(msg)) sent++;
+      else failed++;
+    }
+  } finally {
+    processing = false;
+  }
+  return { sent, failed };
+}
+
+function startWorker(intervalMs = parseInt(process.env.MAIL_INTERVAL_MS || '15000')) {
+  const timer = setInterval(() => {
+    processOutbox().catch(err => console.error('Outbox worker failed', err));
+  }, intervalMs);
+  timer.unref();
+  return timer;
+}
+
+// Put a failed (or stuck) message back in the queue for immediate delivery
+async function retry(id) {
+  await run(
+    `UPDATE outbox SET status = 'queued', attempts = 0, next_attempt_at = CURRENT_TIMESTAMP WHERE id = ? AND status != 'sent'`,
+    [id]
+  );
+  return get(`SELECT * FROM outbox WHERE id = ?`, [id]);
+}
+
+module.exports = {
+  PUBLIC_URL, TEMPLATES, enqueue, notifyItem, notifyClaim, processOutbox, startWorker, retry,
+  setTransport, consoleTransport, fileTransport, smtpTransport
+};
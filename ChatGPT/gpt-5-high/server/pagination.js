@@ -0,0 +1,56 @@
+// pagination.js - Cursor ("keyset") pagination for the list endpoints. A page ends with
+// next_cursor, an opaque token naming the last row sent; the next request continues after
+// that row through the index instead of counting past OFFSET rows, so page 500 costs the
+// same as page 1 and rows added meanwhile don't shift anything by one.
+
+// A cursor we didn't issue (or issued for a different sort); answer 400
+class CursorError extends Error {
+  constructor() {
+    super('Invalid cursor');
+  }
+}
+
+function encodeCursor(values) {
+  return Buffer.from(JSON.stringify(values)).toString('base64url');
+}
+
+function decodeCursor(cursor) {
+  let value;
+  try {
+    value = JSON.parse(Buffer.from(String(cursor), 'base64url').toString('utf8'));
+  } catch (e) {
+    throw new CursorError();
+  }
+  if (!value || typeof value !== 'object') throw new CursorError();
+  return value;
+}
+
+// ?limit= clamped to 1..max
+function pageSize(value, fallback, max) {
+  return Math.max(1, Math.min(max, parseInt(value) || fallback));
+}
+
+// `keys` are [sql, rowField] pairs giving the sort order; together they must be unique,
+// so end with the id. Pushes the "after the cursor" condition onto where/params and
+// returns the ORDER BY plus page(rows), which turns the limit + 1 rows fetched into
+// { rows, next_cursor }.
+function keyset(keys, { cursor, limit, desc = true, where, params }) {
+  if (cursor) {
+    const after = decodeCursor(cursor);
+    if (!Array.isArray(after) || after.length !== keys.length) throw new CursorError();
+    where.push(`(${keys.map(k => k[0]).join(', ')}) ${desc ? '<' : '>'} (${keys.map(() => '?').join(', ')})`);
+    params.push(...after);
+  }
+  return {
+    orderSql: `ORDER BY ${keys.map(k => `${k[0]} ${desc ? 'DESC' : 'ASC'}`).join(', ')}`,
+    fetch: limit + 1,
+    page(rows) {
+      if (rows.length <= limit) return { rows, next_cursor: null };
+      rows = rows.slice(0, limit);
+      const last = rows[rows.length - 1];
+      return { rows, next_cursor: encodeCursor(keys.map(k => last[k[1]])) };
+    }
+  };
+}
+
+module.exports = { keyset, pageSize, encodeCursor, decodeCursor, CursorError };
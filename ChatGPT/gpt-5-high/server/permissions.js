@@ -0,0 +1,94 @@
+// permissions.js - Staff roles and the permission middleware used by /api/admin/*.
+// Roles are cumulative: moderator can do everything a viewer can, and so on.
+
+const { get } = require('./db');
+
+const VIEWER = [
+  'items.view', 'claims.view', 'lost.view', 'stats.view', 'notifications.view'
+];
+const MODERATOR = [
+  ...VIEWER,
+  'items.moderate',     // approve / archive / mark claimed / edit
+  'items.import',       // bulk CSV import (backfilling the paper log)
+  'items.export',       // CSV/JSON exports include reporter contact details
+  'claims.export',
+  'claims.review',      // move claims between statuses
+  'claims.view_proof',  // open uploaded claim evidence (IDs, receipts)
+  'lost.manage',        // close lost reports, link or dismiss matches
+  'notifications.manage',
+  'abuse.manage',       // email/IP blocklist for spam
+  'audit.view'
+];
+const ADMIN = [
+  ...MODERATOR,
+  'items.delete',
+  'retention.manage',   // edit retention rules, run archival/disposal now
+  'taxonomy.manage',    // categories, locations, merging free-text locations
+  'backups.manage',     // archives hold every record, password hash and upload
+  'users.manage'
+];
+
+const ROLES = { viewer: VIEWER, moderator: MODERATOR, admin: ADMIN };
+
+function permissionsFor(role) {
+  return ROLES[role] || [];
+}
+
+function can(user, permission) {
+  return !!user && permissionsFor(user.role).includes(permission);
+}
+
+// Loads the signed-in user fresh from the DB so role changes and disabled accounts
+// take effect immediately. Sets req.user and returns it; null when nobody (or a
+// disabled account) is signed in.
+async function loadUser(req) {
+  const sessionUser = req.session && req.session.user;
+  if (!sessionUser) return null;
+  const user = await get(
+    `SELECT id, username, role, disabled, must_change_password, totp_enabled, totp_required FROM users WHERE id = ?`,
+    [sessionUser.id]
+  );
+  if (!user || user.disabled) return null;
+  req.session.user = { id: user.id, username: user.username, role: user.role };
+  req.user = {
+    ...req.session.user,
+    must_change_password: !!user.must_change_password,
+    must_enroll_2fa: !!user.totp_required && !user.totp_enabled
+  };
+  return req.user;
+}
+
+// For public routes that show staff more: true only for a signed-in account that
+// has finished its setup and holds `permission`
+async function staffCan(req, permission) {
+  const user = await loadUser(req);
+  return !!user && !user.must_change_password && !user.must_enroll_2fa && can(user, permission);
+}
+
+// Checks `permission` against the freshly loaded user (omit it to only require a
+// signed-in staff member). Accounts with setup left to do (change the initial
+// password, enroll in a required 2FA) can only reach routes marked `setup: true`
+// until they do.
+function requirePermission(permission, { setup = false } = {}) {
+  return async (req, res, next) => {
+    try {
+      if (!req.session || !req.session.user) return res.status(401).json({ error: 'Unauthorized' });
+      const user = await loadUser(req);
+      if (!user) return req.session.destroy(() => res.status(401).json({ error: 'Unauthorized' }));
+
+      if (user.must_change_password && !setup) {
+        return res.status(403).json({ error: 'Change your password to continue', must_change_password: true });
+      }
+      if (user.must_enroll_2fa && !setup) {
+        return res.status(403).json({ error: 'Set up two-factor authentication to continue', must_enroll_2fa: true });
+      }
+
+      if (permission && !can(user, permission)) return res.status(403).json({ error: 'Forbidden' });
+      next();
+    } catch (e) {
+      next(e);
+    }
+  };
+}
+
+module.exports = { ROLES, permissionsFor, can, requirePermission, staffCan };
@@ -0,0 +1,89 @@
+// pidfile.js - server.pid next to the database names the process that owns the data:
+// the running server, or `npm run backup -- restore` while it swaps the files. Each
+// refuses to start while the other holds it. A file left behind by a process that
+// has died (killed, crashed) is taken over.
+//
+// The file holds "<pid> <start>", where start is when that process started (from
+// /proc, where there is one), so a later process that happens to get the same pid -
+// in a container the restarted server is PID 1 again - isn't taken for the owner.
+
+const fs = require('fs');
+const path = require('path');
+const { DB_PATH } = require('./db');
+
+const PID_FILE = path.join(path.dirname(DB_PATH), 'server.pid');
+const EXIT_CODES = { SIGINT: 130, SIGTERM: 143 };
+
+let held = false;
+
+// Start time of a process in clock ticks since boot, or '-' where /proc isn't available
+function startTime(pid) {
+  try {
+    // Field 22; the command name (field 2) is in parentheses and may contain spaces
+    const stat = fs.readFileSync(`/proc/${pid}/stat`, 'utf8');
+    return stat.slice(stat.lastIndexOf(')') + 2).split(' ')[19] || '-';
+  } catch (e) {
+    return '-';
+  }
+}
+
+function alive(pid) {
+  try {
+    process.kill(pid, 0);
+    return true;
+  } catch (e) {
+    return e.code === 'EPERM';
+  }
+}
+
+// Whether the file's contents name a process that is still running (and isn't this one)
+function isLive(contents) {
+  const [pid, start] = String(contents).trim().split(/\s+/);
+  const n = parseInt(pid);
+  if (!(n > 0) || n === process.pid || !alive(n)) return false;
+  return !start || start === '-' || startTime(n) === '-' || startTime(n) === start;
+}
+
+// The pid of the other live process holding the file, otherwise null
+function holder() {
+  let contents;
+  try {
+    contents = fs.readFileSync(PID_FILE, 'utf8');
+  } catch (e) {
+    return null;
+  }
+  return isLive(contents) ? parseInt(contents) : null;
+}
+
+// Takes the file for this process and releases it on exit, Ctrl+C or SIGTERM.
+// Returns null when taken, or the pid of the live process holding it.
+function acquire() {
+  for (let attempt = 0; attempt < 2; attempt++) {
+    try {
+      fs.writeFileSync(PID_FILE, `${process.pid} ${startTime(process.pid)}`, { flag: 'wx' });
+      held = true;
+      process.on('exit', release);
+      for (const signal of Object.keys(EXIT_CODES)) {
+        process.once(signal, () => {
+          release();
+          process.exit(EXIT_CODES[signal]);
+        });
+      }
+      return null;
+    } catch (e) {
+      if (e.code !== 'EEXIST') throw e;
+      const pid = holder();
+      if (pid) return pid;
+      fs.rmSync(PID_FILE, { force: true }); // stale
+    }
+  }
+  throw new Error(`Could not create ${PID_FILE}`);
+}
+
+function release() {
+  if (!held) return;
+  held = false;
+  fs.rmSync(PID_FILE, { force: true });
+}
+
+module.exports = { acquire, release, holder, isLive, PID_FILE };
@@ -0,0 +1,84 @@
+// reports.js - Streaming CSV/JSON exports of items and claims for monthly reporting.
+// Rows are read in id-ordered batches and written as they arrive, so a full
+// export never has to fit in memory.
+
+const { once } = require('events');
+const { all } = require('./db');
+const csv = require('./csv');
+const { itemFilter, claimFilter, whereSql } = require('./filters');
+const { withImageUrls } = require('./images');
+
+const BATCH_SIZE = 500;
+
+const ITEM_COLUMNS = [
+  'id', 'title', 'description', 'category', 'location_found', 'date_found', 'status',
+  'reporter_name', 'reporter_email', 'photo_url', 'created_at'
+];
+const CLAIM_COLUMNS = [
+  'id', 'item_id', 'item_title', 'claimant_name', 'claimant_email', 'student_id', 'message', 'status',
+  'verification_score', 'decision_reason', 'pickup_at', 'id_checked', 'created_at'
+];
+
+// Keyset pagination on `idColumn`; stops early if the client went away
+async function* batches(res, selectSql, { fromSql, where, params }, idColumn) {
+  let lastId = 0;
+  while (!res.destroyed) {
+    const rows = await all(
+      `${selectSql} FROM ${fromSql} ${whereSql([...where, `${idColumn} > ?`])} ORDER BY ${idColumn} LIMIT ?`,
+      [...params, lastId, BATCH_SIZE]
+    );
+    if (rows.length) yield rows;
+    if (rows.length < BATCH_SIZE) return;
+    lastId = rows[rows.length - 1].id;
+  }
+}
+
+async function write(res, chunk) {
+  if (!res.write(chunk)) await once(res, 'drain');
+}
+
+async function stream(res, { name, format, columns, rows, map = r => r }) {
+  const stamp = new Date().toISOString().slice(0, 10);
+  const isCsv = format === 'csv';
+  res.set('Content-Type', isCsv ? 'text/csv; charset=utf-8' : 'application/json; charset=utf-8');
+  res.set('Content-Disposition', `attachment; filename="${name}-${stamp}.${isCsv ? 'csv' : 'json'}"`);
+  res.set('Cache-Control', 'no-store');
+
+  await write(res, isCsv ? csv.row(columns) : '[');
+  let first = true;
+  for await (const batch of rows) {
+    let chunk = '';
+    for (const r of batch.map(map)) {
+      if (isCsv) {
+        chunk += csv.row(columns.map(c => r[c]));
+      } else {
+        const picked = Object.fromEntries(columns.map(c => [c, r[c] ?? null]));
+        chunk += (first ? '\n' : ',\n') + JSON.stringify(picked);
+      }
+      first = false;
+    }
+    await write(res, chunk);
+  }
+  res.end(isCsv ? '' : '\n]\n');
+}
+
+function exportItems(res, format, query) {
+  return stream(res, {
+    name: 'items',
+    format,
+    columns: ITEM_COLUMNS,
+    rows: batches(res, 'SELECT items.*', itemFilter(query), 'items.id'),
+    map: withImageUrls
+  });
+}
+
+function exportClaims(res, format, query) {
+  return stream(res, {
+    name: 'claims',
+    format,
+    columns: CLAIM_COLUMNS,
+    rows: batches(res, 'SELECT c.*, i.title as item_title', claimFilter(query), 'c.id')
+  });
+}
+
+module.exports = { exportItems, exportClaims, ITEM_COLUMNS, CLAIM_COLUMNS };
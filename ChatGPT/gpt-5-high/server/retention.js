@@ -0,0 +1,139 @@
+// retention.js - Scheduled archival and disposal of old items.
+// Rules are per category with a '*' fallback: approved items are archived after
+// archive_after_days, and claimed/archived/spam items lose their photos and personal
+// data after purge_after_days. Ages count from when the item was reported.
+
+const { run, get, all, transaction } = require('./db');
+const { removeItemFiles } = require('./files');
+const notifications = require('./notifications');
+const tracking = require('./tracking');
+const messages = require('./messages');
+
+const DAY_MS = 86400000;
+const REDACTED = '[removed]';
+
+async function loadRules() {
+  const rows = await all(`SELECT category, archive_after_days, purge_after_days FROM retention_rules ORDER BY category`);
+  const byCategory = new Map(rows.map(r => [r.category, r]));
+  return { rows, ruleFor: (category) => byCategory.get(category) || byCategory.get('*') || null };
+}
+
+// SQLite CURRENT_TIMESTAMP values are UTC without a zone marker
+function reportedAt(item) {
+  return new Date(`${String(item.created_at).replace(' ', 'T')}Z`);
+}
+
+function dueDate(item, days) {
+  return new Date(reportedAt(item).getTime() + days * DAY_MS);
+}
+
+// What a run would do right now, without changing anything
+async function plan(now = new Date()) {
+  const { ruleFor } = await loadRules();
+  const candidates = await all(
+    `SELECT id, title, category, status, created_at FROM items
+     WHERE status = 'approved' OR (status IN ('archived', 'claimed', 'spam') AND purged_at IS NULL)`
+  );
+
+  const archive = [];
+  const purge = [];
+  for (const item of candidates) {
+    const rule = ruleFor(item.category);
+    if (!rule) continue;
+    // An item old enough to purge is archived and purged in the same run
+    if (item.status === 'approved' && rule.archive_after_days !== null && dueDate(item, rule.archive_after_days) <= now) {
+      archive.push(item);
+    }
+    const archivedNow = item.status !== 'approved' || archive.includes(item);
+    if (archivedNow && rule.purge_after_days !== null && dueDate(item, rule.purge_after_days) <= now) {
+      purge.push(item);
+    }
+  }
+  return { archive, purge };
+}
+
+// Drop photos, claim proofs, messages and contact details, including the copies in
+// emails sent about the item; keep the item record for statistics
+async function purgeItem(itemId) {
+  const item = await get(`SELECT * FROM items WHERE id = ?`, [itemId]);
+  const claims = await all(`SELECT * FROM claims WHERE item_id = ?`, [itemId]);
+  const attachments = await messages.attachmentsForItem(itemId);
+  await transaction(async () => {
+    await run(
+      `UPDATE items SET photo_filename = NULL, thumb_filename = NULL, reporter_name = ?, reporter_email = ?, staff_message = NULL, submitter_ip = NULL, purged_at = CURRENT_TIMESTAMP
+       WHERE id = ?`, [REDACTED, REDACTED, itemId]
+    );
+    await run(
+      `UPDATE claims SET claimant_name = ?, claimant_email = ?, student_id = NULL, message = ?, proof_filename = NULL, staff_message = NULL, submitter_ip = NULL
+       WHERE item_id = ?`, [REDACTED, REDACTED, REDACTED, itemId]
+    );
+    await run(
+      `UPDATE claim_messages SET body = ?, attachment_filename = NULL
+       WHERE claim_id IN (SELECT id FROM claims WHERE item_id = ?)`, [REDACTED, itemId]
+    );
+    // Emails not yet delivered are dropped with them
+    await run(
+      `UPDATE outbox SET to_email = ?, body = ?,
+              status = CASE WHEN status = 'sent' THEN 'sent' ELSE 'failed' END,
+              last_error = CASE WHEN status = 'sent' THEN last_error ELSE 'Removed by retention' END
+       WHERE item_id = ? OR claim_id IN (SELECT id FROM claims WHERE item_id = ?)`, [REDACTED, REDACTED, itemId, itemId]
+    );
+    await tracking.revokeForItem(itemId);
+  });
+  removeItemFiles(item, claims, attachments);
+}
+
+// Apply the current plan and record each action under a run
+async function execute(trigger = 'schedule', now = new Date()) {
+  const { archive, purge } = await plan(now);
+  const runRow = await run(
+    `INSERT INTO retention_runs (trigger, archived, purged) VALUES (?, ?, ?)`,
+    [trigger, archive.length, purge.length]
+  );
+  const runId = runRow.lastID;
+
+  for (const item of archive) {
+    await run(`UPDATE items SET status = 'archived' WHERE id = ? AND status = 'approved'`, [item.id]);
+    await run(
+      `INSERT INTO retention_actions (run_id, item_id, item_title, category, action) VALUES (?, ?, ?, ?, 'archive')`,
+      [runId, item.id, item.title, item.category]
+    );
+    await notifications.notifyItem('archived', item.id);
+  }
+  for (const item of purge) {
+    await purgeItem(item.id);
+    await run(
+      `INSERT INTO retention_actions (run_id, item_id, item_title, category, action) VALUES (?, ?, ?, ?, 'purge')`,
+      [runId, item.id, item.title, item.category]
+    );
+  }
+  return { run_id: runId, archived: archive.length, purged: purge.length };
+}
+
+// Approved items that will be archived within `days`, soonest first
+async function expiringSoon(days = 7, now = new Date()) {
+  const { ruleFor } = await loadRules();
+  const items = await all(`SELECT id, title, category, location_found, date_found, created_at FROM items WHERE status = 'approved'`);
+  const horizon = new Date(now.getTime() + days * DAY_MS);
+  return items
+    .map(item => {
+      const rule = ruleFor(item.category);
+      if (!rule || rule.archive_after_days === null) return null;
+      const archiveAt = dueDate(item, rule.archive_after_days);
+      return archiveAt <= horizon ? { ...item, archive_at: archiveAt.toISOString() } : null;
+    })
+    .filter(Boolean)
+    .sort((a, b) => a.archive_at.localeCompare(b.archive_at));
+}
+
+function startScheduler(intervalMs = parseInt(process.env.RETENTION_INTERVAL_MS || String(6 * 60 * 60 * 1000))) {
+  const tick = () => execute('schedule')
+    .then(r => { if (r.archived || r.purged) console.log(`Retention: archived ${r.archived}, purged ${r.purged}`); })
+    .catch(err => console.error('Retention run failed', err));
+  const timer = setInterval(tick, intervalMs);
+  timer.unref();
+  setTimeout(tick, 60 * 1000).unref(); // first pass shortly after startup
+  return timer;
+}
+
+module.exports = { loadRules, plan, execute, expiringSoon, startScheduler };
@@ -0,0 +1,53 @@
+// search.js - Turns a user keyword query into an FTS5 MATCH expression
+// and renders highlighted snippets safely.
+
+// Private markers passed to snippet(); replaced after HTML escaping
+const MARK_START = '\u0001';
+const MARK_END = '\u0002';
+
+function words(text) {
+  return String(text || '').match(/[\p{L}\p{N}]+/gu) || [];
+}
+
+// blue bottle     -> "blue"* AND "bottle"*   (every word, prefix match)
+// "water bottle"  -> "water bottle"          (exact phrase)
+// Returns '' when the query has nothing searchable in it.
+function buildMatchQuery(q) {
+  const terms = [];
+  const re = /"([^"]*)"?|(\S+)/g;
+  let m;
+  while ((m = re.exec(String(q || '')))) {
+    if (m[1] !== undefined) {
+      const phrase = words(m[1]);
+      if (phrase.length) terms.push(`"${phrase.join(' ')}"`);
+    } else {
+      for (const w of words(m[2])) terms.push(`"${w}"*`);
+    }
+  }
+  return terms.join(' AND ');
+}
+
+function escapeHtml(s) {
+  return String(s)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+}
+
+// snippet() output -> HTML with matched terms wrapped in <mark>
+function snippetToHtml(snippet) {
+  if (!snippet) return '';
+  return escapeHtml(snippet)
+    .split(MARK_START).join('<mark>')
+    .split(MARK_END).join('</mark>');
+}
+
+// SQL fragment selecting the best-matching snippet of the current FTS row
+const SNIPPET_SQL = `snippet(items_fts, -1, char(1), char(2), '…', 12)`;
+
+// Column weights for bm25(): title matters most, then description
+const RANK_SQL = 'bm25(items_fts, 10.0, 4.0, 2.0, 2.0)';
+
+module.exports = { buildMatchQuery, snippetToHtml, escapeHtml, SNIPPET_SQL, RANK_SQL };
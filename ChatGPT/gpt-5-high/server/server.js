@@ -3,18 +3,43 @@
 
 const express = require('express');
 const path = require('path');
-const fs = require('fs');
+const net = require('net');
 const helmet = require('helmet');
-const session = require('express-session');
 const rateLimit = require('express-rate-limit');
 const multer = require('multer');
 const bcrypt = require('bcryptjs');
-const { v4: uuidv4 } = require('uuid');
 
-const { db, run, get, all, init } = require('./db');
+const { db, run, get, all, init, transaction } = require('./db');
+const { matchItem, matchLostReport } = require('./matching');
+const { buildMatchQuery, snippetToHtml, SNIPPET_SQL, RANK_SQL } = require('./search');
+const notifications = require('./notifications');
+const { ROLES, permissionsFor, can, requirePermission, staffCan } = require('./permissions');
+const audit = require('./audit');
+const verification = require('./verification');
+const { UPLOAD_DIR, PRIVATE_DIR, removeUpload, removeItemFiles, privatePath, moveLegacyProofs } = require('./files');
+const images = require('./images');
+const retention = require('./retention');
+const { itemFilter, claimFilter, whereSql } = require('./filters');
+const reports = require('./reports');
+const importer = require('./importer');
+const legacyImport = require('./legacyimport');
+const moderation = require('./moderation');
+const analytics = require('./analytics');
+const tracking = require('./tracking');
+const messages = require('./messages');
+const abuse = require('./abuse');
+const sessions = require('./sessions');
+const logins = require('./logins');
+const twofactor = require('./twofactor');
+const backup = require('./backup');
+const taxonomy = require('./taxonomy');
+const pidfile = require('./pidfile');
+const { keyset, pageSize, encodeCursor, decodeCursor, CursorError } = require('./pagination');
 
 const app = express();
 const PORT = process.env.PORT || 3000;
+// Behind a reverse proxy, set TRUST_PROXY (e.g. 1) so req.ip is the client's address (blocklist)
+if (process.env.TRUST_PROXY) app.set('trust proxy', parseInt(process.env.TRUST_PROXY) || process.env.TRUST_PROXY);
 
 // Security and parsing
 app.use(helmet({
@@ -32,176 +57,265 @@ app.use(helmet({
 app.use(express.json({ limit: '2mb' }));
 app.use(express.urlencoded({ extended: true }));
 
-// Sessions (MemoryStore for demo; for production, use a store)
-app.use(session({
-  name: 'lf.sid',
-  secret: process.env.SESSION_SECRET || 'demo-change-me',
-  resave: false,
-  saveUninitialized: false,
-  cookie: { httpOnly: true, sameSite: 'lax', maxAge: 1000 * 60 * 60 * 4 } // 4 hours
-}));
+// Sessions (stored in SQLite, see sessions.js) + CSRF tokens for everything the dashboard changes
+try {
+  app.use(sessions.middleware());
+} catch (e) {
+  console.error(e.message);
+  process.exit(1);
+}
+app.use(['/api/admin', '/api/auth'], sessions.csrfProtection({ exempt: ['/login'] }));
 
-// Rate limit for abuse prevention on POST endpoints
-const postLimiter = rateLimit({ windowMs: 60 * 1000, max: 60 });
-app.use(['/api/items', '/api/auth/login', '/api/items/*/claim'], postLimiter);
+// Rate limit for abuse prevention on POST endpoints. The item list itself (GET /api/items)
+// is left out: browsing pages through it a request at a time.
+const postLimiter = rateLimit({
+  windowMs: 60 * 1000,
+  max: 60,
+  skip: (req) => req.method === 'GET' && req.baseUrl === '/api/items' && req.path === '/'
+});
+app.use(['/api/items', '/api/auth/login', '/api/items/*/claim', '/api/lost-reports', '/api/track'], postLimiter);
 
 // Static files
 const PUBLIC_DIR = path.join(__dirname, 'public');
-const UPLOAD_DIR = path.join(__dirname, 'uploads');
-if (!fs.existsSync(UPLOAD_DIR)) fs.mkdirSync(UPLOAD_DIR);
 app.use('/uploads', express.static(UPLOAD_DIR, { fallthrough: true }));
 app.use(express.static(PUBLIC_DIR));
 
-// Multer upload config
-const storage = multer.diskStorage({
-  destination: (req, file, cb) => cb(null, UPLOAD_DIR),
-  filename: (req, file, cb) => {
-    const ext = path.extname(file.originalname || '');
-    cb(null, `${uuidv4()}${ext.toLowerCase()}`);
-  }
-});
+// Multer upload config: files stay in memory until images.js has verified and
+// re-encoded them, so unprocessed originals never land in the public folder
+const storage = multer.memoryStorage();
 const fileFilter = (req, file, cb) => {
   const ok = ['image/jpeg', 'image/png', 'image/webp'].includes(file.mimetype);
   cb(ok ? null : new Error('Only JPEG/PNG/WEBP images allowed'), ok);
 };
 const upload = multer({ storage, fileFilter, limits: { fileSize: 5 * 1024 * 1024 } });
+// Bulk import: a CSV plus an optional zip of photos (each photo is verified by images.js)
+const importUpload = multer({ storage, limits: { fileSize: 50 * 1024 * 1024 } })
+  .fields([{ name: 'file', maxCount: 1 }, { name: 'photos', maxCount: 1 }]);
+// Pilot export: one JSON file with the photos inline as base64
+const legacyUpload = multer({ storage, limits: { fileSize: 50 * 1024 * 1024 } }).single('file');
 
 // Helpers
-function isAdmin(req) {
-  return req.session && req.session.user && req.session.user.role === 'admin';
-}
-function requireAdmin(req, res, next) {
-  if (!isAdmin(req)) return res.status(401).json({ error: 'Unauthorized' });
-  next();
-}
 function sanitizeString(s, max = 500) {
   if (!s) return '';
   return String(s).slice(0, max).trim();
 }
+// Matching is best-effort: a scoring failure must never fail the request that triggered it
+function runMatching(fn, id) {
+  fn(id).catch(err => console.error('Matching failed', err));
+}
+
+// Spam checks failed: honeypot hits get a fake success so bots don't adapt
+function sendRejection(res, e) {
+  if (e.silent) return res.status(201).json({ message: e.message });
+  res.status(e.status).json({ error: e.message });
+}
 
 // Health
 app.get('/api/health', (req, res) => res.json({ ok: true }));
 
-// Items: list/search
+// Items: list/search. Pass next_cursor back as ?cursor= for the following page;
+// ?page= (OFFSET) still works for old links. The total is only counted for a first request.
 app.get('/api/items', async (req, res) => {
   try {
     const {
-      q = '', category = '', location = '',
+      q = '', category = '', location = '', location_id = '',
       status = 'approved', date_from = '', date_to = '',
-      sort = 'newest', page = 1, limit = 20
+      sort = 'newest', page = 1, limit = 20, cursor = ''
     } = req.query;
 
-    const pageNum = Math.max(1, parseInt(page));
-    const perPage = Math.max(1, Math.min(50, parseInt(limit)));
+    // Anything but approved items (including no status filter) is for staff who can view items
+    if (status !== 'approved' && !(await staffCan(req, 'items.view'))) {
+      return res.status(403).json({ error: 'Only approved items are listed' });
+    }
+
+    const pageNum = Math.max(1, parseInt(page) || 1);
+    const perPage = pageSize(limit, 20, 50);
 
     const where = [];
     const params = [];
+    const match = buildMatchQuery(q);
 
+    if (match) {
+      where.push('items_fts MATCH ?');
+      params.push(match);
+    }
     if (status) {
-      where.push('status = ?');
+      where.push('items.status = ?');
       params.push(status);
     }
-    if (q) {
-      where.push('(title LIKE ? OR description LIKE ?)');
-      params.push(`%${q}%`, `%${q}%`);
-    }
     if (category) {
-      where.push('category = ?');
+      where.push('items.category = ?');
       params.push(category);
     }
     if (location) {
-      where.push('location_found LIKE ?');
+      where.push('items.location_found LIKE ?');
       params.push(`%${location}%`);
     }
+    // A building or floor includes everything below it
+    if (parseInt(location_id)) {
+      where.push(`items.location_id IN (${taxonomy.SUBTREE_SQL})`);
+      params.push(parseInt(location_id));
+    }
     if (date_from) {
-      where.push('date_found >= ?');
+      where.push('items.date_found >= ?');
       params.push(date_from);
     }
     if (date_to) {
-      where.push('date_found <= ?');
+      where.push('items.date_found <= ?');
       params.push(date_to);
     }
 
-    const whereSql = where.length ? `WHERE ${where.join(' AND ')}` : '';
-    const orderSql = sort === 'oldest' ? 'ORDER BY created_at ASC' : 'ORDER BY created_at DESC';
+    const fromSql = match ? 'items JOIN items_fts ON items_fts.rowid = items.id' : 'items';
+    let total;
+    if (!cursor) {
+      const totalRow = await get(`SELECT COUNT(*) as count FROM ${fromSql} ${whereSql(where)}`, params);
+      total = totalRow?.count || 0;
+    }
 
-    const totalRow = await get(`SELECT COUNT(*) as count FROM items ${whereSql}`, params);
-    const total = totalRow?.count || 0;
+    let offset = cursor ? 0 : (pageNum - 1) * perPage;
+    let list;
+    if (sort === 'relevance' && match) {
+      // A rank can't be resumed from, so this cursor carries the offset instead
+      if (cursor) {
+        offset = decodeCursor(cursor).offset;
+        if (!Number.isInteger(offset) || offset < 0) throw new CursorError();
+      }
+      list = {
+        orderSql: `ORDER BY ${RANK_SQL}, items.created_at DESC, items.id DESC`,
+        fetch: perPage + 1,
+        page: rows => rows.length > perPage
+          ? { rows: rows.slice(0, perPage), next_cursor: encodeCursor({ offset: offset + perPage }) }
+          : { rows, next_cursor: null }
+      };
+    } else {
+      list = keyset([['items.created_at', 'created_at'], ['items.id', 'id']],
+        { cursor, limit: perPage, desc: sort !== 'oldest', where, params });
+    }
 
-    const offset = (pageNum - 1) * perPage;
-    const rows = await all(
-      `SELECT id, title, description, category, location_found, date_found, photo_filename, status, created_at
-       FROM items ${whereSql} ${orderSql} LIMIT ? OFFSET ?`,
-      [...params, perPage, offset]
-    );
+    const { rows, next_cursor } = list.page(await all(
+      `SELECT items.id, items.title, items.description, items.category, items.location_found, items.date_found,
+              items.photo_filename, items.thumb_filename, items.status, items.created_at
+              ${match ? `, ${SNIPPET_SQL} as snippet` : ''}
+       FROM ${fromSql} ${whereSql(where)} ${list.orderSql} LIMIT ? OFFSET ?`,
+      [...params, list.fetch, offset]
+    ));
+    for (const row of rows) {
+      if (match) row.snippet = snippetToHtml(row.snippet);
+    }
+    const withUrls = rows.map(images.withImageUrls);
 
     res.json({
-      page: pageNum, limit: perPage, total, items: rows
+      ...(cursor ? {} : { page: pageNum, total }), limit: perPage, items: withUrls, next_cursor
     });
   } catch (e) {
+    if (e instanceof CursorError) return res.status(400).json({ error: e.message });
     console.error(e);
     res.status(500).json({ error: 'Failed to fetch items' });
   }
 });
 
-// Item details (approved only unless admin)
+// Categories and locations the report/browse forms offer
+app.get('/api/taxonomy', async (req, res) => {
+  try {
+    res.json(await taxonomy.publicTaxonomy());
+  } catch (e) {
+    console.error(e);
+    res.status(500).json({ error: 'Failed to fetch categories and locations' });
+  }
+});
+
+// Item details (approved only unless staff)
 app.get('/api/items/:id', async (req, res) => {
   try {
     const id = parseInt(req.params.id);
     const item = await get(`SELECT * FROM items WHERE id = ?`, [id]);
     if (!item) return res.status(404).json({ error: 'Not found' });
 
-    if (item.status !== 'approved' && !isAdmin(req)) {
+    if (item.status !== 'approved' && !(await staffCan(req, 'items.view'))) {
       return res.status(403).json({ error: 'Item not accessible' });
     }
-    res.json(item);
+    // Claimants see the questions only; answers stay with staff
+    item.verification_questions = await verification.questionsFor(id);
+    res.json(images.withImageUrls(item));
   } catch (e) {
     console.error(e);
     res.status(500).json({ error: 'Failed to fetch item' });
   }
 });
 
+// Proof-of-work challenge for the public forms (see abuse.js)
+app.get('/api/challenge', (req, res) => {
+  res.set('Cache-Control', 'no-store').json(abuse.issueChallenge());
+});
+
 // Report a found item (public) - multipart
 app.post('/api/items', upload.single('photo'), async (req, res) => {
+  let photo = null;
+  let saved = false;
   try {
     const body = req.body;
 
     const title = sanitizeString(body.title, 120);
     const description = sanitizeString(body.description, 2000);
-    const category = sanitizeString(body.category, 60);
-    const location_found = sanitizeString(body.location_found, 120);
     const date_found = sanitizeString(body.date_found, 10);
     const reporter_name = sanitizeString(body.reporter_name, 80);
     const reporter_email = sanitizeString(body.reporter_email, 120);
 
-    if (!title || !description || !category || !location_found || !date_found || !reporter_name || !reporter_email) {
-      if (req.file) fs.unlink(req.file.path, () => {});
+    if (!title || !description || !date_found || !reporter_name || !reporter_email) {
       return res.status(400).json({ error: 'All required fields must be provided' });
     }
+    const category = await taxonomy.resolveCategory(sanitizeString(body.category, 60));
+    const { location_id, location_found } = await taxonomy.resolveLocation({
+      location_id: body.location_id, location_found: sanitizeString(body.location_found, 120)
+    });
 
-    const photo_filename = req.file ? path.basename(req.file.filename) : null;
+    const content_hash = abuse.contentHash(title, description, category, location_found, date_found);
+    await abuse.checkSubmission(req, 'items', { email: reporter_email, contentHash: content_hash });
+    // Only decode the photo once the cheap checks (challenge, blocklist, quota) have passed
+    const photo_hash = req.file ? await images.photoHash(req.file.buffer) : null;
+    await abuse.checkPhotoDuplicate(photo_hash);
 
-    const result = await run(
-      `INSERT INTO items (title, description, category, location_found, date_found, photo_filename, status, reporter_name, reporter_email)
-       VALUES (?, ?, ?, ?, ?, ?, 'pending', ?, ?)`,
-      [title, description, category, location_found, date_found, photo_filename, reporter_name, reporter_email]
-    );
+    if (req.file) photo = await images.processUpload(req.file);
+    const { photo_filename = null, thumb_filename = null } = photo || {};
+
+    // The item and its tracking token are saved together; matching starts once they're committed
+    const { itemId, token } = await transaction(async () => {
+      const result = await run(
+        `INSERT INTO items (title, description, category, location_found, location_id, date_found, photo_filename, thumb_filename, status,
+                            reporter_name, reporter_email, content_hash, photo_hash, submitter_ip)
+         VALUES (?, ?, ?, ?, ?, ?, ?, ?, 'pending', ?, ?, ?, ?, ?)`,
+        [title, description, category, location_found, location_id, date_found, photo_filename, thumb_filename,
+          reporter_name, reporter_email, content_hash, photo_hash, abuse.clientIp(req)]
+      );
+      return { itemId: result.lastID, token: await tracking.issue('item', result.lastID) };
+    });
+    saved = true;
 
-    res.status(201).json({ id: result.lastID, status: 'pending', message: 'Submitted for review' });
+    runMatching(matchItem, itemId);
+    res.status(201).json({
+      id: itemId, status: 'pending', message: 'Submitted for review',
+      tracking_token: token, tracking_url: tracking.trackingUrl(token)
+    });
   } catch (e) {
+    if (e instanceof abuse.SubmissionRejected) return sendRejection(res, e);
+    if (e instanceof images.InvalidImageError || e instanceof taxonomy.TaxonomyError) {
+      return res.status(400).json({ error: e.message });
+    }
     console.error(e);
-    if (req.file) fs.unlink(req.file.path, () => {});
+    // Only once the insert was rolled back; a saved item still points at the files
+    if (photo && !saved) { removeUpload(photo.photo_filename); removeUpload(photo.thumb_filename); }
     res.status(500).json({ error: 'Failed to submit item' });
   }
 });
 
 // Claim/inquiry on item (public) - multipart optional proof
 app.post('/api/items/:id/claim', upload.single('proof'), async (req, res) => {
+  let proof_filename = null;
+  let saved = false;
   try {
     const id = parseInt(req.params.id);
     const item = await get(`SELECT id, status FROM items WHERE id = ?`, [id]);
-    if (!item || item.status === 'archived') {
-      if (req.file) fs.unlink(req.file.path, () => {});
+    if (!item || ['archived', 'spam'].includes(item.status)) {
       return res.status(404).json({ error: 'Item not found' });
     }
 
@@ -210,217 +324,1541 @@ app.post('/api/items/:id/claim', upload.single('proof'), async (req, res) => {
     const claimant_email = sanitizeString(body.claimant_email, 120);
     const student_id = sanitizeString(body.student_id, 40);
     const message = sanitizeString(body.message, 1500);
-    const proof_filename = req.file ? path.basename(req.file.filename) : null;
 
     if (!claimant_name || !claimant_email || !message) {
-      if (req.file) fs.unlink(req.file.path, () => {});
       return res.status(400).json({ error: 'Name, email, and message are required' });
     }
+    const content_hash = abuse.contentHash(id, claimant_email, message);
+    await abuse.checkSubmission(req, 'claims', { email: claimant_email, contentHash: content_hash });
+    // Proofs are often photos of IDs: strip their metadata too and keep them out of the public folder
+    if (req.file) {
+      ({ photo_filename: proof_filename } = await images.processUpload(req.file, { thumbnail: false, dir: PRIVATE_DIR }));
+    }
+
+    // Answers arrive as answer_<secret id> fields
+    const answers = {};
+    for (const [key, value] of Object.entries(body)) {
+      const m = /^answer_(\d+)$/.exec(key);
+      if (m) answers[m[1]] = value;
+    }
+
+    // The claim, its answer scores and its tracking token are saved together
+    const { claimId, token } = await transaction(async () => {
+      const result = await run(
+        `INSERT INTO claims (item_id, claimant_name, claimant_email, student_id, message, proof_filename, status, content_hash, submitter_ip)
+         VALUES (?, ?, ?, ?, ?, ?, 'new', ?, ?)`,
+        [id, claimant_name, claimant_email, student_id, message, proof_filename, content_hash, abuse.clientIp(req)]
+      );
+      await verification.scoreClaim(result.lastID, id, answers);
+      return { claimId: result.lastID, token: await tracking.issue('claim', result.lastID) };
+    });
+    saved = true;
+
+    // The receipt is queued after commit; failing to queue it doesn't undo the claim
+    notifications.notifyClaim(claimId, { tracking_url: tracking.trackingUrl(token) })
+      .catch(err => console.error('Claim notification failed', err));
+    res.status(201).json({
+      id: claimId, status: 'new', message: 'Claim submitted',
+      tracking_token: token, tracking_url: tracking.trackingUrl(token)
+    });
+  } catch (e) {
+    if (e instanceof abuse.SubmissionRejected) return sendRejection(res, e);
+    if (e instanceof images.InvalidImageError) return res.status(400).json({ error: e.message });
+    console.error(e);
+    if (!saved) removeUpload(proof_filename, PRIVATE_DIR);
+    res.status(500).json({ error: 'Failed to submit claim' });
+  }
+});
+
+// Report a lost item (public) - so found items can be matched against it
+app.post('/api/lost-reports', upload.none(), async (req, res) => {
+  try {
+    const body = req.body;
+
+    const title = sanitizeString(body.title, 120);
+    const description = sanitizeString(body.description, 2000);
+    const location_lost = sanitizeString(body.location_lost, 120);
+    const date_lost = sanitizeString(body.date_lost, 10);
+    const reporter_name = sanitizeString(body.reporter_name, 80);
+    const reporter_email = sanitizeString(body.reporter_email, 120);
+
+    if (!title || !description || !location_lost || !date_lost || !reporter_name || !reporter_email) {
+      return res.status(400).json({ error: 'All required fields must be provided' });
+    }
+    // Same list as found items, so matching by category works
+    const category = await taxonomy.resolveCategory(sanitizeString(body.category, 60));
+    const content_hash = abuse.contentHash(title, description, category, location_lost, date_lost);
+    await abuse.checkSubmission(req, 'lost_reports', { email: reporter_email, contentHash: content_hash });
 
     const result = await run(
-      `INSERT INTO claims (item_id, claimant_name, claimant_email, student_id, message, proof_filename, status)
-       VALUES (?, ?, ?, ?, ?, ?, 'new')`,
-      [id, claimant_name, claimant_email, student_id, message, proof_filename]
+      `INSERT INTO lost_reports (title, description, category, location_lost, date_lost, reporter_name, reporter_email, content_hash, submitter_ip)
+       VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+      [title, description, category, location_lost, date_lost, reporter_name, reporter_email, content_hash, abuse.clientIp(req)]
     );
 
-    res.status(201).json({ id: result.lastID, status: 'new', message: 'Claim submitted' });
+    runMatching(matchLostReport, result.lastID);
+    res.status(201).json({ id: result.lastID, status: 'open', message: 'Lost report submitted' });
   } catch (e) {
+    if (e instanceof abuse.SubmissionRejected) return sendRejection(res, e);
+    if (e instanceof taxonomy.TaxonomyError) return res.status(400).json({ error: e.message });
     console.error(e);
-    if (req.file) fs.unlink(req.file.path, () => {});
-    res.status(500).json({ error: 'Failed to submit claim' });
+    res.status(500).json({ error: 'Failed to submit lost report' });
+  }
+});
+
+// Public tracking (token from the submission response / claim receipt email)
+async function trackTarget(req, res) {
+  const target = await tracking.lookup(req.params.token);
+  if (!target) res.status(404).json({ error: 'Tracking link not found or expired' });
+  return target;
+}
+
+app.get('/api/track/:token', async (req, res) => {
+  try {
+    const target = await trackTarget(req, res);
+    if (!target) return;
+    res.set('Cache-Control', 'no-store');
+    res.json(await tracking.view(target));
+  } catch (e) {
+    console.error(e);
+    res.status(500).json({ error: 'Failed to load status' });
+  }
+});
+
+app.post('/api/track/:token/withdraw', async (req, res) => {
+  try {
+    const target = await trackTarget(req, res);
+    if (!target) return;
+    await tracking.withdraw(req, target);
+    res.json(await tracking.view(target));
+  } catch (e) {
+    if (e instanceof moderation.ActionError) return res.status(e.status).json({ error: e.message });
+    console.error(e);
+    res.status(500).json({ error: 'Failed to withdraw claim' });
+  }
+});
+
+app.patch('/api/track/:token/contact', async (req, res) => {
+  try {
+    const target = await trackTarget(req, res);
+    if (!target) return;
+    await tracking.updateContact(req, target, {
+      name: sanitizeString(req.body.name, 80),
+      email: sanitizeString(req.body.email, 120)
+    });
+    res.json(await tracking.view(target));
+  } catch (e) {
+    if (e instanceof moderation.ActionError) return res.status(e.status).json({ error: e.message });
+    console.error(e);
+    res.status(500).json({ error: 'Failed to update contact details' });
+  }
+});
+
+// Message text (+ optional image attachment, stored privately like proofs) from a multipart request
+async function readMessage(req) {
+  const body = sanitizeString(req.body.body, messages.MAX_BODY);
+  if (!body) throw new moderation.ActionError(400, 'Message text is required');
+  let attachment = null;
+  if (req.file) {
+    ({ photo_filename: attachment } = await images.processUpload(req.file, { thumbnail: false, dir: PRIVATE_DIR }));
+  }
+  return { body, attachment };
+}
+
+function sendPrivateFile(res, filename) {
+  res.set('Cache-Control', 'no-store');
+  res.sendFile(privatePath(filename), (err) => {
+    if (err && !res.headersSent) res.status(404).json({ error: 'File missing' });
+  });
+}
+
+// Claimant side of the claim conversation
+app.get('/api/track/:token/messages', async (req, res) => {
+  try {
+    const target = await trackTarget(req, res);
+    if (!target) return;
+    if (target.target_type !== 'claim') return res.status(400).json({ error: 'Only claims have messages' });
+    const thread = await messages.thread(target.target_id, 'claimant');
+    res.set('Cache-Control', 'no-store');
+    // Claimants see "staff", not which account wrote
+    res.json({ messages: thread.map(({ staff_username, ...m }) => m) });
+  } catch (e) {
+    console.error(e);
+    res.status(500).json({ error: 'Failed to load messages' });
+  }
+});
+
+app.post('/api/track/:token/messages', upload.single('attachment'), async (req, res) => {
+  let attachment = null;
+  try {
+    const target = await trackTarget(req, res);
+    if (!target) return;
+    if (target.target_type !== 'claim') return res.status(400).json({ error: 'Only claims have messages' });
+    const view = await tracking.view(target);
+    if (!view.can_message) return res.status(409).json({ error: 'This claim is closed for messages' });
+
+    let body;
+    ({ body, attachment } = await readMessage(req));
+    const message = await messages.post({ claimId: target.target_id, sender: 'claimant', body, attachment });
+    res.status(201).json({ message });
+  } catch (e) {
+    if (e instanceof moderation.ActionError) return res.status(e.status).json({ error: e.message });
+    if (e instanceof images.InvalidImageError) return res.status(400).json({ error: e.message });
+    console.error(e);
+    removeUpload(attachment, PRIVATE_DIR);
+    res.status(500).json({ error: 'Failed to send message' });
+  }
+});
+
+app.get('/api/track/:token/messages/:messageId/attachment', async (req, res) => {
+  try {
+    const target = await trackTarget(req, res);
+    if (!target) return;
+    const message = target.target_type === 'claim'
+      ? await messages.attachment(target.target_id, parseInt(req.params.messageId))
+      : null;
+    if (!message) return res.status(404).json({ error: 'Not found' });
+    sendPrivateFile(res, message.attachment_filename);
+  } catch (e) {
+    console.error(e);
+    res.status(500).json({ error: 'Failed to load attachment' });
   }
 });
 
 // Auth
+// Reserves a login attempt (logins.js) and returns its id, or answers 429 and returns
+// null while this username/IP is backing off or locked out. Throttled requests are not
+// audited; the failures that caused the lockout already are.
+async function startLoginAttempt(req, res, username) {
+  const { wait, id } = await logins.begin(username, req.ip);
+  if (!wait) return id;
+  res.set('Retry-After', String(wait));
+  res.status(429).json({ error: `Too many failed sign-in attempts. Try again in ${wait} seconds.`, retry_after: wait });
+  return null;
+}
+
+// Last step of a successful sign-in: fresh session ID, CSRF token, "failed attempts" notice
+async function completeLogin(req, res, user, method, attemptId) {
+  const failedAttempts = await logins.failuresSinceLastLogin(user.username, attemptId);
+  await logins.succeeded(attemptId);
+  const csrfToken = await sessions.startSession(req, user);
+  req.session.failedAttempts = failedAttempts;
+  await audit.record(req, { action: 'auth.login', targetType: 'user', targetId: user.id, after: { method } });
+  res.json({
+    message: 'Logged in',
+    user: { username: user.username, role: user.role },
+    csrf_token: csrfToken,
+    must_change_password: !!user.must_change_password
+  });
+}
+
+// Throttled per username and IP; a locked-out attempt isn't even checked.
+// Accounts with 2FA get { two_factor_required: true } and finish at /api/auth/login/2fa.
 app.post('/api/auth/login', async (req, res) => {
   try {
     const { username = '', password = '' } = req.body;
+    const attemptId = await startLoginAttempt(req, res, username);
+    if (!attemptId) return;
+
+    // The attempt already counts as a failure; it is only cleared once the password checks out
     const user = await get(`SELECT * FROM users WHERE username = ?`, [username.trim()]);
-    if (!user) return res.status(401).json({ error: 'Invalid credentials' });
+    const ok = user ? await bcrypt.compare(password, user.password_hash) : false;
+    if (!ok) {
+      await audit.record(req, {
+        action: 'auth.login_failed', targetType: 'user', targetId: user ? user.id : null,
+        actor: { id: null, username: String(username).trim().slice(0, 40) }
+      });
+      return res.status(401).json({ error: 'Invalid credentials' });
+    }
+    if (user.disabled) {
+      await logins.discard(attemptId);
+      await audit.record(req, { action: 'auth.login_disabled', targetType: 'user', targetId: user.id, actor: user });
+      return res.status(403).json({ error: 'Account disabled' });
+    }
+
+    if (user.totp_enabled) {
+      await logins.discard(attemptId); // the code step records its own attempt
+      await sessions.startPendingLogin(req, user);
+      return res.json({ two_factor_required: true });
+    }
+    await completeLogin(req, res, user, 'password', attemptId);
+  } catch (e) {
+    console.error(e);
+    res.status(500).json({ error: 'Login failed' });
+  }
+});
 
-    const ok = await bcrypt.compare(password, user.password_hash);
-    if (!ok) return res.status(401).json({ error: 'Invalid credentials' });
+// Second step: { code } from the authenticator app or { recovery_code }
+app.post('/api/auth/login/2fa', async (req, res) => {
+  try {
+    const pending = sessions.pendingLogin(req);
+    if (!pending) return res.status(401).json({ error: 'Sign-in expired, enter your password again', restart: true });
+    const user = await get(`SELECT * FROM users WHERE id = ?`, [pending.userId]);
+    if (!user || user.disabled || !user.totp_enabled) {
+      return res.status(401).json({ error: 'Sign-in expired, enter your password again', restart: true });
+    }
+    const attemptId = await startLoginAttempt(req, res, user.username);
+    if (!attemptId) return;
 
-    req.session.user = { id: user.id, username: user.username, role: user.role };
-    res.json({ message: 'Logged in', user: { username: user.username, role: user.role } });
+    const method = await twofactor.verifyLogin(user, req.body);
+    if (!method) {
+      await audit.record(req, { action: 'auth.2fa_failed', targetType: 'user', targetId: user.id, actor: user });
+      return res.status(401).json({ error: 'Invalid code' });
+    }
+    await completeLogin(req, res, user, method, attemptId);
   } catch (e) {
     console.error(e);
     res.status(500).json({ error: 'Login failed' });
   }
 });
 
-app.post('/api/auth/logout', (req, res) => {
+app.post('/api/auth/logout', async (req, res) => {
+  if (req.session && req.session.user) {
+    await audit.record(req, { action: 'auth.logout', targetType: 'user', targetId: req.session.user.id });
+  }
   req.session.destroy(() => res.json({ message: 'Logged out' }));
 });
 
+// Ends every session of the signed-in user, on every device, this one included
+app.post('/api/auth/logout-all', requirePermission(undefined, { setup: true }), async (req, res) => {
+  try {
+    const ended = await sessions.store.destroyForUser(req.user.id);
+    await audit.record(req, { action: 'auth.logout_all', targetType: 'user', targetId: req.user.id, after: { sessions: ended } });
+    req.session.destroy(() => res.json({ message: 'Logged out everywhere', sessions: ended }));
+  } catch (e) {
+    console.error(e);
+    res.status(500).json({ error: 'Logout failed' });
+  }
+});
+
+// Current staff member + what they may do (the dashboard hides the rest) + the CSRF token to send back
+// failed_attempts: failed sign-ins on this account since its previous login (until dismissed)
+app.get('/api/auth/me', requirePermission(undefined, { setup: true }), async (req, res) => {
+  try {
+    res.json({
+      user: req.user,
+      failed_attempts: req.session.failedAttempts || [],
+      two_factor: await twofactor.status(req.user.id),
+      permissions: permissionsFor(req.user.role),
+      csrf_token: req.session.csrfToken,
+      idle_timeout_minutes: sessions.IDLE_TIMEOUT_MS / 60000,
+      active_sessions: await sessions.store.countForUser(req.user.id)
+    });
+  } catch (e) {
+    console.error(e);
+    res.status(500).json({ error: 'Failed to load account' });
+  }
+});
+
+// Admin lists come a page at a time: ?limit= (default 50, at most 200) and ?cursor=
+// set to the next_cursor of the previous page
+function adminPage(req, keys, where, params) {
+  return keyset(keys, { cursor: req.query.cursor, limit: pageSize(req.query.limit, 50, 200), where, params });
+}
+
 // Admin: Items
-app.get('/api/admin/items', requireAdmin, async (req, res) => {
+app.get('/api/admin/items', requirePermission('items.view'), async (req, res) => {
   try {
-    const { status = '', q = '' } = req.query;
-    const where = [];
-    const params = [];
-    if (status) { where.push('status = ?'); params.push(status); }
-    if (q) { where.push('(title LIKE ? OR description LIKE ?)'); params.push(`%${q}%`, `%${q}%`); }
-    const whereSql = where.length ? `WHERE ${where.join(' AND ')}` : '';
-    const items = await all(
-      `SELECT id, title, category, location_found, date_found, status, created_at
-       FROM items ${whereSql} ORDER BY created_at DESC LIMIT 200`, params
-    );
-    res.json({ items });
+    const { fromSql, where, params } = itemFilter(req.query);
+    const list = adminPage(req, [['items.created_at', 'created_at'], ['items.id', 'id']], where, params);
+    const { rows: items, next_cursor } = list.page(await all(
+      `SELECT items.id, items.title, items.category, items.location_found, items.date_found, items.status, items.created_at,
+              items.staff_message
+       FROM ${fromSql} ${whereSql(where)} ${list.orderSql} LIMIT ?`, [...params, list.fetch]
+    ));
+    res.json({ items, next_cursor });
   } catch (e) {
+    if (e instanceof CursorError) return res.status(400).json({ error: e.message });
     console.error(e);
     res.status(500).json({ error: 'Failed to load items' });
   }
 });
 
-app.patch('/api/admin/items/:id', requireAdmin, express.json(), async (req, res) => {
+// Exports stream every matching row (no LIMIT) as CSV or JSON
+function exportFormat(req) {
+  return req.query.format === 'json' ? 'json' : 'csv';
+}
+
+app.get('/api/admin/items/export', requirePermission('items.export'), async (req, res) => {
+  try {
+    const format = exportFormat(req);
+    await audit.record(req, { action: 'item.export', targetType: 'item', after: { format, filters: req.query } });
+    await reports.exportItems(res, format, req.query);
+  } catch (e) {
+    console.error(e);
+    if (res.headersSent) return res.destroy(e);
+    res.status(500).json({ error: 'Failed to export items' });
+  }
+});
+
+// Bulk import from CSV (+ optional zip of photos). dry_run=true only validates.
+app.post('/api/admin/items/import', requirePermission('items.import'), (req, res) => {
+  importUpload(req, res, async (uploadErr) => {
+    if (uploadErr) return res.status(400).json({ error: uploadErr.message });
+    try {
+      const file = req.files && req.files.file && req.files.file[0];
+      if (!file) return res.status(400).json({ error: 'CSV file is required' });
+      const photos = req.files.photos && req.files.photos[0];
+      const dryRun = ['true', '1', 'on'].includes(String(req.body.dry_run));
+
+      const report = await importer.importItems({
+        csvText: file.buffer.toString('utf8'),
+        zipBuffer: photos ? photos.buffer : null,
+        dryRun
+      });
+      if (!dryRun) {
+        const ids = report.rows.filter(r => r.id).map(r => r.id);
+        for (const id of ids) runMatching(matchItem, id);
+        await audit.record(req, {
+          action: 'item.import',
+          targetType: 'item',
+          after: { file: file.originalname, imported: report.imported, failed: report.failed, ids }
+        });
+      }
+      res.json(report);
+    } catch (e) {
+      if (e instanceof importer.ImportError) return res.status(400).json({ error: e.message });
+      console.error(e);
+      res.status(500).json({ error: 'Failed to import items' });
+    }
+  });
+});
+
+// Import the items the localStorage-only pilot site exported (see legacyimport.js)
+app.post('/api/admin/items/import-legacy', requirePermission('items.import'), (req, res) => {
+  legacyUpload(req, res, async (uploadErr) => {
+    if (uploadErr) return res.status(400).json({ error: uploadErr.message });
+    try {
+      if (!req.file) return res.status(400).json({ error: 'Export file is required' });
+      const dryRun = ['true', '1', 'on'].includes(String(req.body.dry_run));
+
+      const report = await legacyImport.importLegacy({ text: req.file.buffer.toString('utf8'), dryRun });
+      if (!dryRun) {
+        const ids = report.rows.filter(r => r.id).map(r => r.id);
+        for (const id of ids) runMatching(matchItem, id);
+        await audit.record(req, {
+          action: 'item.import',
+          targetType: 'item',
+          after: {
+            file: req.file.originalname, source: 'pilot', imported: report.imported,
+            duplicates: report.duplicates, failed: report.failed, ids
+          }
+        });
+      }
+      res.json(report);
+    } catch (e) {
+      if (e instanceof legacyImport.LegacyImportError) return res.status(400).json({ error: e.message });
+      console.error(e);
+      res.status(500).json({ error: 'Failed to import items' });
+    }
+  });
+});
+
+app.patch('/api/admin/items/:id', requirePermission('items.moderate'), express.json(), async (req, res) => {
   try {
     const id = parseInt(req.params.id);
     const { action } = req.body;
+    if (action === 'delete') return res.status(400).json({ error: 'Unknown action' });
+    let fields = {};
+    if (action === 'edit') {
+      // Unchanged values are kept even if their category or location has been retired since
+      const current = await get(`SELECT category, location_id, location_found FROM items WHERE id = ?`, [id]);
+      if (!current) return res.status(404).json({ error: 'Not found' });
+      fields = {
+        title: sanitizeString(req.body.title, 120),
+        description: sanitizeString(req.body.description, 2000),
+        category: await taxonomy.resolveCategory(sanitizeString(req.body.category, 60), current.category),
+        ...(await taxonomy.resolveLocation({
+          location_id: req.body.location_id, location_found: sanitizeString(req.body.location_found, 120)
+        }, current)),
+        date_found: sanitizeString(req.body.date_found, 10)
+      };
+      if (!fields.title || !fields.description || !fields.date_found) {
+        return res.status(400).json({ error: 'All required fields must be provided' });
+      }
+    } else if (action === 'spam' && req.body.block_ip_days) {
+      // Blocking the sender's IP as well is opt-in and always temporary
+      fields = { block_ip_days: abuse.ipBlockDays(req.body.block_ip_days) };
+      if (!fields.block_ip_days) {
+        return res.status(400).json({ error: `Block the IP for 1 to ${abuse.MAX_IP_BLOCK_DAYS} days` });
+      }
+    }
 
-    const item = await get(`SELECT * FROM items WHERE id = ?`, [id]);
-    if (!item) return res.status(404).json({ error: 'Not found' });
+    const result = await transaction(() => moderation.itemAction(req, id, action, fields));
+    if (action === 'edit') runMatching(matchItem, id);
+    res.json(action === 'spam' ? { item: result.item, also_removed: result.also_removed } : { item: result.item });
+  } catch (e) {
+    if (e instanceof moderation.ActionError) return res.status(e.status).json({ error: e.message });
+    if (e instanceof taxonomy.TaxonomyError) return res.status(e.status).json({ error: e.message });
+    console.error(e);
+    res.status(500).json({ error: 'Admin update failed' });
+  }
+});
 
-    if (action === 'approve') {
-      await run(`UPDATE items SET status = 'approved' WHERE id = ?`, [id]);
-    } else if (action === 'archive') {
-      await run(`UPDATE items SET status = 'archived' WHERE id = ?`, [id]);
-    } else if (action === 'mark_claimed') {
-      await run(`UPDATE items SET status = 'claimed' WHERE id = ?`, [id]);
-    } else if (action === 'edit') {
-      const { title, description, category, location_found, date_found } = req.body;
-      await run(
-        `UPDATE items SET title = ?, description = ?, category = ?, location_found = ?, date_found = ? WHERE id = ?`,
-        [
-          sanitizeString(title, 120),
-          sanitizeString(description, 2000),
-          sanitizeString(category, 60),
-          sanitizeString(location_found, 120),
-          sanitizeString(date_found, 10),
-          id
-        ]
-      );
-    } else {
+app.delete('/api/admin/items/:id', requirePermission('items.delete'), async (req, res) => {
+  try {
+    const id = parseInt(req.params.id);
+    const result = await transaction(() => moderation.itemAction(req, id, 'delete'));
+    // Clean up photo + claim proofs once the rows are gone
+    removeItemFiles(result.before, result.claims, result.attachments);
+    res.json({ message: 'Deleted' });
+  } catch (e) {
+    if (e instanceof moderation.ActionError) return res.status(e.status).json({ error: e.message });
+    console.error(e);
+    res.status(500).json({ error: 'Delete failed' });
+  }
+});
+
+// Bulk: { ids: [...] } or { filter: { status, q, date_from, date_to } } (same filters as the list).
+// Returns the ids to act on, or null when the selection is missing or too large.
+async function bulkSelection(body, filter, idColumn) {
+  if (Array.isArray(body.ids)) {
+    const ids = [...new Set(body.ids.map(n => parseInt(n)).filter(n => n > 0))];
+    return ids.length && ids.length <= moderation.MAX_BULK ? ids : null;
+  }
+  if (!body.filter || typeof body.filter !== 'object') return null;
+  const { fromSql, where, params } = filter(body.filter);
+  const rows = await all(
+    `SELECT ${idColumn} AS id FROM ${fromSql} ${whereSql(where)} ORDER BY ${idColumn} LIMIT ?`,
+    [...params, moderation.MAX_BULK + 1]
+  );
+  return rows.length && rows.length <= moderation.MAX_BULK ? rows.map(r => r.id) : null;
+}
+
+const BULK_SELECTION_ERROR = `Select between 1 and ${moderation.MAX_BULK} rows (narrow the filter)`;
+
+app.post('/api/admin/items/bulk', requirePermission('items.moderate'), async (req, res) => {
+  try {
+    const { action } = req.body;
+    if (!['approve', 'archive', 'mark_claimed', 'spam', 'delete'].includes(action)) {
       return res.status(400).json({ error: 'Unknown action' });
     }
+    if (action === 'delete' && !can(req.user, 'items.delete')) return res.status(403).json({ error: 'Forbidden' });
+    const ids = await bulkSelection(req.body, itemFilter, 'items.id');
+    if (!ids) return res.status(400).json({ error: BULK_SELECTION_ERROR });
+
+    const report = await moderation.bulk(ids, id => moderation.itemAction(req, id, action), { atomic: !!req.body.atomic });
+    if (action === 'delete' && !report.rolled_back) {
+      for (const r of report.results) if (r.ok) removeItemFiles(r.value.before, r.value.claims, r.value.attachments);
+    }
+    res.json({
+      action,
+      total: ids.length,
+      succeeded: report.succeeded,
+      failed: report.failed,
+      rolled_back: report.rolled_back,
+      results: report.results.map(r => ({
+        id: r.id, ok: r.ok, status: r.ok && r.value.item ? r.value.item.status : null, error: r.error || null
+      }))
+    });
+  } catch (e) {
+    console.error(e);
+    res.status(500).json({ error: 'Bulk update failed' });
+  }
+});
 
-    const updated = await get(`SELECT * FROM items WHERE id = ?`, [id]);
-    res.json({ item: updated });
+// Note shown to the submitter on their tracking page (empty clears it)
+async function setStaffMessage(req, res, table, type) {
+  try {
+    const id = parseInt(req.params.id);
+    const message = sanitizeString(req.body.message, 1000) || null;
+    const before = await get(`SELECT id, staff_message FROM ${table} WHERE id = ?`, [id]);
+    if (!before) return res.status(404).json({ error: 'Not found' });
+    await run(
+      `UPDATE ${table} SET staff_message = ?, staff_message_at = CASE WHEN ? IS NULL THEN NULL ELSE CURRENT_TIMESTAMP END WHERE id = ?`,
+      [message, message, id]
+    );
+    await audit.record(req, {
+      action: `${type}.staff_message`, targetType: type, targetId: id,
+      before: { staff_message: before.staff_message }, after: { staff_message: message }
+    });
+    res.json({ staff_message: message });
   } catch (e) {
     console.error(e);
-    res.status(500).json({ error: 'Admin update failed' });
+    res.status(500).json({ error: 'Failed to save message' });
+  }
+}
+
+app.put('/api/admin/items/:id/message', requirePermission('items.moderate'), (req, res) => setStaffMessage(req, res, 'items', 'item'));
+
+// Admin: hidden identifying details for an item (replaced as a whole list)
+app.get('/api/admin/items/:id/secrets', requirePermission('items.moderate'), async (req, res) => {
+  try {
+    const id = parseInt(req.params.id);
+    const secrets = await all(`SELECT id, question, answer FROM item_secrets WHERE item_id = ? ORDER BY id`, [id]);
+    res.json({ secrets });
+  } catch (e) {
+    console.error(e);
+    res.status(500).json({ error: 'Failed to load identifying details' });
   }
 });
 
-app.delete('/api/admin/items/:id', requireAdmin, async (req, res) => {
+app.put('/api/admin/items/:id/secrets', requirePermission('items.moderate'), async (req, res) => {
   try {
     const id = parseInt(req.params.id);
-    // Clean up photo + claim proofs
-    const item = await get(`SELECT photo_filename FROM items WHERE id = ?`, [id]);
+    const item = await get(`SELECT id FROM items WHERE id = ?`, [id]);
     if (!item) return res.status(404).json({ error: 'Not found' });
 
-    const claims = await all(`SELECT proof_filename FROM claims WHERE item_id = ?`, [id]);
-    for (const c of claims) {
-      if (c.proof_filename) {
-        fs.unlink(path.join(UPLOAD_DIR, c.proof_filename), () => {});
+    const input = Array.isArray(req.body.secrets) ? req.body.secrets.slice(0, 10) : [];
+    const secrets = input
+      .map(s => ({ question: sanitizeString(s.question, 200), answer: sanitizeString(s.answer, 300) }))
+      .filter(s => s.question && s.answer);
+
+    const before = await all(`SELECT question, answer FROM item_secrets WHERE item_id = ? ORDER BY id`, [id]);
+    await transaction(async () => {
+      await run(`DELETE FROM item_secrets WHERE item_id = ?`, [id]);
+      for (const secret of secrets) {
+        await run(`INSERT INTO item_secrets (item_id, question, answer) VALUES (?, ?, ?)`, [id, secret.question, secret.answer]);
       }
-    }
-    if (item.photo_filename) {
-      fs.unlink(path.join(UPLOAD_DIR, item.photo_filename), () => {});
-    }
+    });
+    await audit.record(req, { action: 'item.secrets', targetType: 'item', targetId: id, before: { secrets: before }, after: { secrets } });
 
-    await run(`DELETE FROM items WHERE id = ?`, [id]);
-    res.json({ message: 'Deleted' });
+    const saved = await all(`SELECT id, question, answer FROM item_secrets WHERE item_id = ? ORDER BY id`, [id]);
+    res.json({ secrets: saved });
   } catch (e) {
     console.error(e);
-    res.status(500).json({ error: 'Delete failed' });
+    res.status(500).json({ error: 'Failed to save identifying details' });
   }
 });
 
 // Admin: Claims
-app.get('/api/admin/claims', requireAdmin, async (req, res) => {
+app.get('/api/admin/claims', requirePermission('claims.view'), async (req, res) => {
   try {
-    const { status = '' } = req.query;
-    const where = [];
-    const params = [];
-    if (status) { where.push('c.status = ?'); params.push(status); }
-    const whereSql = where.length ? `WHERE ${where.join(' AND ')}` : '';
-    const rows = await all(
+    const { fromSql, where, params } = claimFilter(req.query);
+    const list = adminPage(req, [['c.created_at', 'created_at'], ['c.id', 'id']], where, params);
+    const { rows, next_cursor } = list.page(await all(
       `SELECT c.id, c.item_id, c.claimant_name, c.claimant_email, c.student_id, c.status, c.created_at,
+              c.verification_score, c.decision_reason, c.proof_filename IS NOT NULL as has_proof,
+              (SELECT COUNT(*) FROM claim_messages m WHERE m.claim_id = c.id) as message_count,
+              (SELECT COUNT(*) FROM claim_messages m
+               WHERE m.claim_id = c.id AND m.sender = 'claimant' AND m.read_at IS NULL) as unread_messages,
               i.title as item_title, i.status as item_status
-       FROM claims c
-       JOIN items i ON i.id = c.item_id
-       ${whereSql}
-       ORDER BY c.created_at DESC
-       LIMIT 200`, params
-    );
-    res.json({ claims: rows });
+       FROM ${fromSql}
+       ${whereSql(where)}
+       ${list.orderSql}
+       LIMIT ?`, [...params, list.fetch]
+    ));
+    res.json({ claims: rows, next_cursor });
   } catch (e) {
+    if (e instanceof CursorError) return res.status(400).json({ error: e.message });
     console.error(e);
     res.status(500).json({ error: 'Failed to load claims' });
   }
 });
 
-app.patch('/api/admin/claims/:id', requireAdmin, async (req, res) => {
+app.get('/api/admin/claims/export', requirePermission('claims.export'), async (req, res) => {
   try {
-    const id = parseInt(req.params.id);
-    const { status } = req.body;
-    const valid = ['new', 'in_review', 'approved', 'rejected', 'resolved'];
-    if (!valid.includes(status)) return res.status(400).json({ error: 'Invalid status' });
+    const format = exportFormat(req);
+    await audit.record(req, { action: 'claim.export', targetType: 'claim', after: { format, filters: req.query } });
+    await reports.exportClaims(res, format, req.query);
+  } catch (e) {
+    console.error(e);
+    if (res.headersSent) return res.destroy(e);
+    res.status(500).json({ error: 'Failed to export claims' });
+  }
+});
 
-    await run(`UPDATE claims SET status = ? WHERE id = ?`, [status, id]);
-    const claim = await get(`SELECT * FROM claims WHERE id = ?`, [id]);
+// Full claim for review: message, answers vs expected details, hand-off record
+app.get('/api/admin/claims/:id', requirePermission('claims.view'), async (req, res) => {
+  try {
+    const id = parseInt(req.params.id);
+    const claim = await get(
+      `SELECT c.*, i.title as item_title, i.status as item_status, u.username as handed_off_by_username
+       FROM claims c
+       JOIN items i ON i.id = c.item_id
+       LEFT JOIN users u ON u.id = c.handed_off_by
+       WHERE c.id = ?`, [id]
+    );
+    if (!claim) return res.status(404).json({ error: 'Not found' });
+    claim.answers = await verification.answersFor(claim);
+    // The file itself is only reachable through /proof
+    claim.has_proof = !!claim.proof_filename;
+    delete claim.proof_filename;
     res.json({ claim });
   } catch (e) {
     console.error(e);
-    res.status(500).json({ error: 'Failed to update claim' });
+    res.status(500).json({ error: 'Failed to load claim' });
   }
 });
 
-// Admin: basic stats
-app.get('/api/admin/stats', requireAdmin, async (req, res) => {
+// Claim evidence is private: served only here, never cached, and every view is audited
+app.get('/api/admin/claims/:id/proof', requirePermission('claims.view_proof'), async (req, res) => {
   try {
-    const totalItems = await get(`SELECT COUNT(*) as c FROM items`);
-    const pending = await get(`SELECT COUNT(*) as c FROM items WHERE status = 'pending'`);
-    const approved = await get(`SELECT COUNT(*) as c FROM items WHERE status = 'approved'`);
-    const claimed = await get(`SELECT COUNT(*) as c FROM items WHERE status = 'claimed'`);
-    const totalClaims = await get(`SELECT COUNT(*) as c FROM claims`);
-    const newClaims = await get(`SELECT COUNT(*) as c FROM claims WHERE status = 'new'`);
-    res.json({
-      items: {
-        total: totalItems.c, pending: pending.c, approved: approved.c, claimed: claimed.c
-      },
-      claims: { total: totalClaims.c, new: newClaims.c }
-    });
+    const id = parseInt(req.params.id);
+    const claim = await get(`SELECT id, proof_filename FROM claims WHERE id = ?`, [id]);
+    if (!claim || !claim.proof_filename) return res.status(404).json({ error: 'Not found' });
+
+    await audit.record(req, { action: 'claim.proof_viewed', targetType: 'claim', targetId: id });
+    sendPrivateFile(res, claim.proof_filename);
   } catch (e) {
     console.error(e);
-    res.status(500).json({ error: 'Failed to load stats' });
+    res.status(500).json({ error: 'Failed to load proof' });
   }
 });
 
-// Change password (admin)
-app.post('/api/admin/change-password', requireAdmin, async (req, res) => {
+app.patch('/api/admin/claims/:id', requirePermission('claims.review'), async (req, res) => {
   try {
-    const { current = '', next = '' } = req.body;
-    const user = await get(`SELECT * FROM users WHERE id = ?`, [req.session.user.id]);
-    const ok = await bcrypt.compare(current, user.password_hash);
-    if (!ok) return res.status(400).json({ error: 'Current password incorrect' });
-    if (next.length < 8) return res.status(400).json({ error: 'New password too short' });
-    const hash = await bcrypt.hash(next, 10);
-    await run(`UPDATE users SET password_hash = ? WHERE id = ?`, [hash, user.id]);
-    res.json({ message: 'Password changed' });
+    const id = parseInt(req.params.id);
+    const reason = sanitizeString(req.body.reason, 300) || null;
+    const { claim, autoRejected } = await transaction(() => moderation.claimAction(req, id, req.body.status, reason));
+    res.json({ claim, auto_rejected: autoRejected });
   } catch (e) {
+    if (e instanceof moderation.ActionError) return res.status(e.status).json({ error: e.message });
     console.error(e);
-    res.status(500).json({ error: 'Failed to change password' });
+    res.status(500).json({ error: 'Failed to update claim' });
   }
 });
 
-// Fallback to index.html for root
-app.get('/', (req, res) => {
+// Bulk status change; one reason applies to every rejected claim
+app.post('/api/admin/claims/bulk', requirePermission('claims.review'), async (req, res) => {
+  try {
+    const { status } = req.body;
+    if (!['in_review', 'approved', 'rejected'].includes(status)) return res.status(400).json({ error: 'Invalid status' });
+    const reason = sanitizeString(req.body.reason, 300) || null;
+    const ids = await bulkSelection(req.body, claimFilter, 'c.id');
+    if (!ids) return res.status(400).json({ error: BULK_SELECTION_ERROR });
+
+    const report = await moderation.bulk(ids, id => moderation.claimAction(req, id, status, reason), { atomic: !!req.body.atomic });
+    res.json({
+      status,
+      total: ids.length,
+      succeeded: report.succeeded,
+      failed: report.failed,
+      rolled_back: report.rolled_back,
+      results: report.results.map(r => ({
+        id: r.id,
+        ok: r.ok,
+        status: r.ok ? r.value.claim.status : null,
+        auto_rejected: r.ok ? r.value.autoRejected : [],
+        error: r.error || null
+      }))
+    });
+  } catch (e) {
+    console.error(e);
+    res.status(500).json({ error: 'Bulk update failed' });
+  }
+});
+
+app.put('/api/admin/claims/:id/message', requirePermission('claims.review'), (req, res) => setStaffMessage(req, res, 'claims', 'claim'));
+
+// Staff side of the claim conversation; opening the thread marks the claimant's messages read
+app.get('/api/admin/claims/:id/messages', requirePermission('claims.view'), async (req, res) => {
+  try {
+    const id = parseInt(req.params.id);
+    const claim = await get(`SELECT id FROM claims WHERE id = ?`, [id]);
+    if (!claim) return res.status(404).json({ error: 'Not found' });
+    res.json({ messages: await messages.thread(id, 'staff') });
+  } catch (e) {
+    console.error(e);
+    res.status(500).json({ error: 'Failed to load messages' });
+  }
+});
+
+// Posting emails the claimant a fresh tracking link to reply with
+app.post('/api/admin/claims/:id/messages', requirePermission('claims.review'), upload.single('attachment'), async (req, res) => {
+  let attachment = null;
+  try {
+    const id = parseInt(req.params.id);
+    const claim = await get(
+      `SELECT c.id, i.purged_at FROM claims c JOIN items i ON i.id = c.item_id WHERE c.id = ?`, [id]
+    );
+    if (!claim) return res.status(404).json({ error: 'Not found' });
+    if (claim.purged_at) return res.status(409).json({ error: 'Personal data for this claim was removed' });
+
+    let body;
+    ({ body, attachment } = await readMessage(req));
+    const message = await messages.post({ claimId: id, sender: 'staff', staffId: req.user.id, body, attachment });
+    const token = await tracking.issue('claim', id);
+    await messages.notifyClaimant(id, message, tracking.trackingUrl(token));
+    await audit.record(req, { action: 'claim.message', targetType: 'claim', targetId: id, after: { message_id: message.id, body } });
+    res.status(201).json({ message });
+  } catch (e) {
+    if (e instanceof moderation.ActionError) return res.status(e.status).json({ error: e.message });
+    if (e instanceof images.InvalidImageError) return res.status(400).json({ error: e.message });
+    console.error(e);
+    removeUpload(attachment, PRIVATE_DIR);
+    res.status(500).json({ error: 'Failed to send message' });
+  }
+});
+
+app.get('/api/admin/claims/:id/messages/:messageId/attachment', requirePermission('claims.view_proof'), async (req, res) => {
+  try {
+    const id = parseInt(req.params.id);
+    const message = await messages.attachment(id, parseInt(req.params.messageId));
+    if (!message) return res.status(404).json({ error: 'Not found' });
+    await audit.record(req, { action: 'claim.attachment_viewed', targetType: 'claim', targetId: id, after: { message_id: message.id } });
+    sendPrivateFile(res, message.attachment_filename);
+  } catch (e) {
+    console.error(e);
+    res.status(500).json({ error: 'Failed to load attachment' });
+  }
+});
+
+// Hand-off: records pickup time, staff member and ID checked, and marks the item claimed
+app.post('/api/admin/claims/:id/resolve', requirePermission('claims.review'), async (req, res) => {
+  try {
+    const id = parseInt(req.params.id);
+    const id_checked = sanitizeString(req.body.id_checked, 120);
+    const pickupInput = sanitizeString(req.body.pickup_at, 30);
+    if (!id_checked) return res.status(400).json({ error: 'Record which ID was checked' });
+
+    const pickupDate = pickupInput ? new Date(pickupInput) : new Date();
+    if (Number.isNaN(pickupDate.getTime())) return res.status(400).json({ error: 'Invalid pickup time' });
+    const pickup_at = pickupDate.toISOString().slice(0, 19).replace('T', ' ');
+
+    const before = await get(`SELECT * FROM claims WHERE id = ?`, [id]);
+    if (!before) return res.status(404).json({ error: 'Not found' });
+    const itemBefore = await get(`SELECT * FROM items WHERE id = ?`, [before.item_id]);
+
+    await verification.resolveClaim(id, { staffId: req.user.id, idChecked: id_checked, pickupAt: pickup_at });
+
+    const claim = await get(`SELECT * FROM claims WHERE id = ?`, [id]);
+    const item = await get(`SELECT * FROM items WHERE id = ?`, [before.item_id]);
+    await audit.record(req, { action: 'claim.resolve', targetType: 'claim', targetId: id, before, after: claim });
+    await audit.record(req, { action: 'item.handed_off', targetType: 'item', targetId: item.id, before: itemBefore, after: item });
+    await notifications.notifyClaim(id);
+    if (itemBefore.status !== 'claimed') await notifications.notifyItem('claimed', item.id);
+    res.json({ claim, item });
+  } catch (e) {
+    if (e instanceof verification.ClaimConflictError) return res.status(409).json({ error: e.message });
+    console.error(e);
+    res.status(500).json({ error: 'Failed to resolve claim' });
+  }
+});
+
+// Admin: Lost reports + matches
+app.get('/api/admin/lost-reports', requirePermission('lost.view'), async (req, res) => {
+  try {
+    const { status = '' } = req.query;
+    const where = [];
+    const params = [];
+    if (status) { where.push('r.status = ?'); params.push(status); }
+    const list = adminPage(req, [['r.created_at', 'created_at'], ['r.id', 'id']], where, params);
+    const { rows, next_cursor } = list.page(await all(
+      `SELECT r.*, i.title as matched_item_title,
+              (SELECT COUNT(*) FROM matches m WHERE m.lost_report_id = r.id AND m.status = 'candidate') as candidates
+       FROM lost_reports r
+       LEFT JOIN items i ON i.id = r.matched_item_id
+       ${whereSql(where)}
+       ${list.orderSql}
+       LIMIT ?`, [...params, list.fetch]
+    ));
+    res.json({ reports: rows, next_cursor });
+  } catch (e) {
+    if (e instanceof CursorError) return res.status(400).json({ error: e.message });
+    console.error(e);
+    res.status(500).json({ error: 'Failed to load lost reports' });
+  }
+});
+
+app.patch('/api/admin/lost-reports/:id', requirePermission('lost.manage'), async (req, res) => {
+  try {
+    const id = parseInt(req.params.id);
+    const { status } = req.body;
+    if (!['open', 'closed'].includes(status)) return res.status(400).json({ error: 'Invalid status' });
+
+    const report = await get(`SELECT * FROM lost_reports WHERE id = ?`, [id]);
+    if (!report) return res.status(404).json({ error: 'Not found' });
+    if (report.status === 'matched') return res.status(409).json({ error: 'Report is already linked to an item' });
+
+    await run(`UPDATE lost_reports SET status = ? WHERE id = ?`, [status, id]);
+    if (status === 'open') runMatching(matchLostReport, id);
+    const updated = await get(`SELECT * FROM lost_reports WHERE id = ?`, [id]);
+    await audit.record(req, { action: 'lost_report.status', targetType: 'lost_report', targetId: id, before: report, after: updated });
+    res.json({ report: updated });
+  } catch (e) {
+    console.error(e);
+    res.status(500).json({ error: 'Failed to update lost report' });
+  }
+});
+
+// Ranked candidate matches, best first
+app.get('/api/admin/matches', requirePermission('lost.view'), async (req, res) => {
+  try {
+    const { status = 'candidate', lost_report_id = '' } = req.query;
+    const where = [];
+    const params = [];
+    if (status) { where.push('m.status = ?'); params.push(status); }
+    if (lost_report_id) { where.push('m.lost_report_id = ?'); params.push(parseInt(lost_report_id)); }
+    const list = adminPage(req, [['m.score', 'score'], ['m.id', 'id']], where, params);
+    const { rows, next_cursor } = list.page(await all(
+      `SELECT m.id, m.lost_report_id, m.item_id, m.score, m.reasons, m.status, m.created_at,
+              r.title as report_title, r.reporter_name, r.reporter_email, r.date_lost, r.location_lost,
+              i.title as item_title, i.status as item_status, i.date_found, i.location_found
+       FROM matches m
+       JOIN lost_reports r ON r.id = m.lost_report_id
+       JOIN items i ON i.id = m.item_id
+       ${whereSql(where)}
+       ${list.orderSql}
+       LIMIT ?`, [...params, list.fetch]
+    ));
+    res.json({ matches: rows, next_cursor });
+  } catch (e) {
+    if (e instanceof CursorError) return res.status(400).json({ error: e.message });
+    console.error(e);
+    res.status(500).json({ error: 'Failed to load matches' });
+  }
+});
+
+app.post('/api/admin/matches/:id/:action(link|dismiss)', requirePermission('lost.manage'), async (req, res) => {
+  try {
+    const id = parseInt(req.params.id);
+    // Checks and updates in one transaction so two staff linking at once can't both win
+    const updated = await transaction(async () => {
+      const match = await get(`SELECT * FROM matches WHERE id = ?`, [id]);
+      if (!match) throw new moderation.ActionError(404, 'Not found');
+      if (match.status !== 'candidate') throw new moderation.ActionError(409, 'Match already handled');
+
+      if (req.params.action === 'dismiss') {
+        await run(`UPDATE matches SET status = 'dismissed' WHERE id = ?`, [id]);
+      } else {
+        const report = await get(`SELECT status FROM lost_reports WHERE id = ?`, [match.lost_report_id]);
+        const item = await get(`SELECT lost_report_id FROM items WHERE id = ?`, [match.item_id]);
+        if (report.status !== 'open' || item.lost_report_id) {
+          throw new moderation.ActionError(409, 'Report or item is already linked');
+        }
+        // Link marks both records; the other candidates for either side are no longer relevant
+        await run(`UPDATE matches SET status = 'linked' WHERE id = ?`, [id]);
+        await run(
+          `UPDATE matches SET status = 'dismissed'
+           WHERE id != ? AND status = 'candidate' AND (lost_report_id = ? OR item_id = ?)`,
+          [id, match.lost_report_id, match.item_id]
+        );
+        await run(`UPDATE lost_reports SET status = 'matched', matched_item_id = ? WHERE id = ?`, [match.item_id, match.lost_report_id]);
+        await run(`UPDATE items SET lost_report_id = ? WHERE id = ?`, [match.lost_report_id, match.item_id]);
+      }
+
+      const after = await get(`SELECT * FROM matches WHERE id = ?`, [id]);
+      await audit.record(req, { action: `match.${req.params.action}`, targetType: 'match', targetId: id, before: match, after });
+      return after;
+    });
+    res.json({ match: updated });
+  } catch (e) {
+    if (e instanceof moderation.ActionError) return res.status(e.status).json({ error: e.message });
+    console.error(e);
+    res.status(500).json({ error: 'Failed to update match' });
+  }
+});
+
+// Admin: Email outbox (delivery status per message)
+app.get('/api/admin/notifications', requirePermission('notifications.view'), async (req, res) => {
+  try {
+    const { status = '' } = req.query;
+    const where = [];
+    const params = [];
+    if (status) { where.push('status = ?'); params.push(status); }
+    const list = adminPage(req, [['id', 'id']], where, params);
+    const { rows, next_cursor } = list.page(await all(
+      `SELECT id, to_email, template, subject, status, attempts, last_error, next_attempt_at,
+              item_id, claim_id, created_at, sent_at
+       FROM outbox ${whereSql(where)} ${list.orderSql} LIMIT ?`, [...params, list.fetch]
+    ));
+    res.json({ messages: rows, next_cursor });
+  } catch (e) {
+    if (e instanceof CursorError) return res.status(400).json({ error: e.message });
+    console.error(e);
+    res.status(500).json({ error: 'Failed to load notifications' });
+  }
+});
+
+app.post('/api/admin/notifications/:id/retry', requirePermission('notifications.manage'), async (req, res) => {
+  try {
+    const notification = await notifications.retry(parseInt(req.params.id));
+    if (!notification) return res.status(404).json({ error: 'Not found' });
+    await audit.record(req, { action: 'notification.retry', targetType: 'notification', targetId: notification.id });
+    notifications.processOutbox().catch(err => console.error('Outbox worker failed', err));
+    res.json({ notification });
+  } catch (e) {
+    console.error(e);
+    res.status(500).json({ error: 'Failed to retry notification' });
+  }
+});
+
+// Admin: Blocklist (emails/IPs whose submissions are refused)
+app.get('/api/admin/blocklist', requirePermission('abuse.manage'), async (req, res) => {
+  try {
+    res.json({ entries: await abuse.listBlocked() });
+  } catch (e) {
+    console.error(e);
+    res.status(500).json({ error: 'Failed to load blocklist' });
+  }
+});
+
+// Blocklist entry for the audit log: the blocked email or IP is personal data, so it stays out
+function blockSnapshot(entry) {
+  const { value, ...rest } = entry;
+  return { ...rest, value: value ? audit.OMITTED : value };
+}
+
+// { kind: 'email'|'ip', value, reason, days, remove_pending } - IP blocks need `days` (they expire);
+// remove_pending marks their pending items as spam
+app.post('/api/admin/blocklist', requirePermission('abuse.manage'), async (req, res) => {
+  try {
+    const { kind } = req.body;
+    const value = sanitizeString(req.body.value, 120);
+    const reason = sanitizeString(req.body.reason, 200) || null;
+    if (kind === 'email' && !/^[^@\s]+@[^@\s]+$/.test(value)) return res.status(400).json({ error: 'Enter a valid email address' });
+    if (kind === 'ip' && !net.isIP(value)) return res.status(400).json({ error: 'Enter a valid IP address' });
+    if (!['email', 'ip'].includes(kind)) return res.status(400).json({ error: 'Kind must be email or ip' });
+    const days = kind === 'ip' ? abuse.ipBlockDays(req.body.days) : null;
+    if (kind === 'ip' && !days) return res.status(400).json({ error: `Block an IP for 1 to ${abuse.MAX_IP_BLOCK_DAYS} days` });
+
+    const result = await transaction(async () => {
+      const entry = await abuse.block(kind, value, { reason, staffId: req.user.id, days });
+      const removed = req.body.remove_pending
+        ? await abuse.removePending(kind === 'email' ? { email: value } : { ip: value })
+        : [];
+      await audit.record(req, { action: 'blocklist.add', targetType: 'blocklist', targetId: entry.id, after: { ...blockSnapshot(entry), removed_items: removed } });
+      return { entry, removed };
+    });
+    res.status(201).json(result);
+  } catch (e) {
+    console.error(e);
+    res.status(500).json({ error: 'Failed to update blocklist' });
+  }
+});
+
+app.delete('/api/admin/blocklist/:id', requirePermission('abuse.manage'), async (req, res) => {
+  try {
+    const entry = await abuse.unblock(parseInt(req.params.id));
+    if (!entry) return res.status(404).json({ error: 'Not found' });
+    await audit.record(req, { action: 'blocklist.remove', targetType: 'blocklist', targetId: entry.id, before: blockSnapshot(entry) });
+    res.json({ message: 'Removed' });
+  } catch (e) {
+    console.error(e);
+    res.status(500).json({ error: 'Failed to update blocklist' });
+  }
+});
+
+// Admin: basic stats (one pass per table)
+app.get('/api/admin/stats', requirePermission('stats.view'), async (req, res) => {
+  try {
+    const items = await get(
+      `SELECT COUNT(*) AS total, SUM(status = 'pending') AS pending,
+              SUM(status = 'approved') AS approved, SUM(status = 'claimed') AS claimed
+       FROM items`
+    );
+    const claims = await get(
+      `SELECT COUNT(*) AS total, SUM(status = 'new') AS new,
+              (SELECT COUNT(*) FROM claim_messages WHERE sender = 'claimant' AND read_at IS NULL) AS unread_messages
+       FROM claims`
+    );
+    const lost = await get(
+      `SELECT (SELECT COUNT(*) FROM lost_reports WHERE status = 'open') AS open,
+              (SELECT COUNT(*) FROM matches WHERE status = 'candidate') AS candidates`
+    );
+    res.json({
+      items: {
+        total: items.total, pending: items.pending || 0, approved: items.approved || 0, claimed: items.claimed || 0
+      },
+      claims: { total: claims.total, new: claims.new || 0, unread_messages: claims.unread_messages },
+      lost
+    });
+  } catch (e) {
+    console.error(e);
+    res.status(500).json({ error: 'Failed to load stats' });
+  }
+});
+
+// Admin: analytics over a date range (?from=YYYY-MM-DD&to=YYYY-MM-DD, default last 12 weeks)
+app.get('/api/admin/analytics', requirePermission('stats.view'), async (req, res) => {
+  try {
+    const range = analytics.parseRange(req.query);
+    if (!range) return res.status(400).json({ error: 'Invalid date range (YYYY-MM-DD, at most 3 years)' });
+    res.json(await analytics.summary(range));
+  } catch (e) {
+    console.error(e);
+    res.status(500).json({ error: 'Failed to load analytics' });
+  }
+});
+
+// Two-factor enrollment: setup hands out a new secret (kept in the session until
+// confirmed), enable checks a code from it and returns the recovery codes once.
+// Both refuse while 2FA is on: replacing the secret goes through disable, which
+// asks for the password (or an admin reset), so a stolen session can't swap it.
+async function twoFactorAlreadyOn(req, res) {
+  if (!(await twofactor.status(req.user.id)).enabled) return false;
+  res.status(409).json({ error: 'Two-factor authentication is already on; turn it off first to set up a new device' });
+  return true;
+}
+
+app.post('/api/auth/2fa/setup', requirePermission(undefined, { setup: true }), async (req, res) => {
+  try {
+    if (await twoFactorAlreadyOn(req, res)) return;
+    const secret = twofactor.generateSecret();
+    req.session.totpSetup = secret;
+    res.json(await twofactor.enrollment(req.user.username, secret));
+  } catch (e) {
+    console.error(e);
+    res.status(500).json({ error: 'Failed to start two-factor setup' });
+  }
+});
+
+app.post('/api/auth/2fa/enable', requirePermission(undefined, { setup: true }), async (req, res) => {
+  try {
+    if (await twoFactorAlreadyOn(req, res)) return;
+    const secret = req.session.totpSetup;
+    if (!secret) return res.status(400).json({ error: 'Start the setup first' });
+    const step = twofactor.verifyCode(secret, req.body.code);
+    if (step === null) return res.status(400).json({ error: 'That code is not valid, check the time on your device and try again' });
+
+    const recoveryCodes = await twofactor.enable(req.user.id, secret, step);
+    delete req.session.totpSetup;
+    // Other sessions were signed in without the second factor
+    await sessions.store.destroyForUser(req.user.id, req.sessionID);
+    await audit.record(req, { action: 'user.2fa_enable', targetType: 'user', targetId: req.user.id });
+    res.json({ message: 'Two-factor authentication enabled', recovery_codes: recoveryCodes });
+  } catch (e) {
+    console.error(e);
+    res.status(500).json({ error: 'Failed to enable two-factor authentication' });
+  }
+});
+
+// Turning 2FA off or replacing the recovery codes needs the password again
+async function confirmPassword(req, res) {
+  const user = await get(`SELECT password_hash FROM users WHERE id = ?`, [req.user.id]);
+  if (await bcrypt.compare(String(req.body.password || ''), user.password_hash)) return true;
+  res.status(400).json({ error: 'Password incorrect' });
+  return false;
+}
+
+app.post('/api/auth/2fa/disable', requirePermission(), async (req, res) => {
+  try {
+    if (!(await confirmPassword(req, res))) return;
+    if ((await twofactor.status(req.user.id)).required) {
+      return res.status(409).json({ error: 'An admin requires two-factor authentication for this account' });
+    }
+    await twofactor.disable(req.user.id);
+    await audit.record(req, { action: 'user.2fa_disable', targetType: 'user', targetId: req.user.id });
+    res.json({ message: 'Two-factor authentication disabled' });
+  } catch (e) {
+    console.error(e);
+    res.status(500).json({ error: 'Failed to disable two-factor authentication' });
+  }
+});
+
+app.post('/api/auth/2fa/recovery-codes', requirePermission(), async (req, res) => {
+  try {
+    if (!(await confirmPassword(req, res))) return;
+    if (!(await twofactor.status(req.user.id)).enabled) return res.status(400).json({ error: 'Two-factor authentication is off' });
+    const recoveryCodes = await twofactor.newRecoveryCodes(req.user.id);
+    await audit.record(req, { action: 'user.2fa_recovery_codes', targetType: 'user', targetId: req.user.id });
+    res.json({ recovery_codes: recoveryCodes });
+  } catch (e) {
+    console.error(e);
+    res.status(500).json({ error: 'Failed to create recovery codes' });
+  }
+});
+
+app.delete('/api/auth/me/failed-attempts', requirePermission(), (req, res) => {
+  delete req.session.failedAttempts;
+  res.json({ message: 'Dismissed' });
+});
+
+// Change password (any signed-in staff member; the only thing allowed while a change is required)
+app.post('/api/admin/change-password', requirePermission(undefined, { setup: true }), async (req, res) => {
+  try {
+    const { current = '', next = '' } = req.body;
+    const user = await get(`SELECT * FROM users WHERE id = ?`, [req.session.user.id]);
+    const ok = await bcrypt.compare(current, user.password_hash);
+    if (!ok) return res.status(400).json({ error: 'Current password incorrect' });
+    if (next.length < 8) return res.status(400).json({ error: 'New password too short' });
+    if (next === current) return res.status(400).json({ error: 'Choose a password different from the current one' });
+    const hash = await bcrypt.hash(next, 10);
+    await run(`UPDATE users SET password_hash = ?, must_change_password = 0 WHERE id = ?`, [hash, user.id]);
+    // Anyone else signed in with the old password is signed out
+    await sessions.store.destroyForUser(user.id, req.sessionID);
+    await audit.record(req, { action: 'user.change_password', targetType: 'user', targetId: user.id });
+    res.json({ message: 'Password changed' });
+  } catch (e) {
+    console.error(e);
+    res.status(500).json({ error: 'Failed to change password' });
+  }
+});
+
+// Admin: Retention (scheduled archival + disposal)
+app.get('/api/admin/retention/rules', requirePermission('items.view'), async (req, res) => {
+  try {
+    const { rows } = await retention.loadRules();
+    res.json({ rules: rows });
+  } catch (e) {
+    console.error(e);
+    res.status(500).json({ error: 'Failed to load retention rules' });
+  }
+});
+
+// Replaces the whole rule set; a '*' fallback rule is required
+app.put('/api/admin/retention/rules', requirePermission('retention.manage'), async (req, res) => {
+  try {
+    const input = Array.isArray(req.body.rules) ? req.body.rules : [];
+    const days = (v) => (v === null || v === '' || v === undefined ? null : Math.max(1, parseInt(v)));
+    const rules = input.map(r => ({
+      category: sanitizeString(r.category, 60),
+      archive_after_days: days(r.archive_after_days),
+      purge_after_days: days(r.purge_after_days)
+    })).filter(r => r.category);
+
+    if (rules.some(r => Number.isNaN(r.archive_after_days) || Number.isNaN(r.purge_after_days))) {
+      return res.status(400).json({ error: 'Days must be whole numbers' });
+    }
+    if (!rules.some(r => r.category === '*')) return res.status(400).json({ error: "A '*' fallback rule is required" });
+    if (new Set(rules.map(r => r.category)).size !== rules.length) {
+      return res.status(400).json({ error: 'Each category may only have one rule' });
+    }
+
+    const { rows: before } = await retention.loadRules();
+    await transaction(async () => {
+      await run(`DELETE FROM retention_rules`);
+      for (const r of rules) {
+        await run(
+          `INSERT INTO retention_rules (category, archive_after_days, purge_after_days) VALUES (?, ?, ?)`,
+          [r.category, r.archive_after_days, r.purge_after_days]
+        );
+      }
+    });
+    const { rows } = await retention.loadRules();
+    await audit.record(req, { action: 'retention.rules', targetType: 'retention', before: { rules: before }, after: { rules: rows } });
+    res.json({ rules: rows });
+  } catch (e) {
+    console.error(e);
+    res.status(500).json({ error: 'Failed to save retention rules' });
+  }
+});
+
+// Dry run: what the next scheduled run would archive/purge
+app.get('/api/admin/retention/preview', requirePermission('items.view'), async (req, res) => {
+  try {
+    const { archive, purge } = await retention.plan();
+    res.json({ archive, purge });
+  } catch (e) {
+    console.error(e);
+    res.status(500).json({ error: 'Failed to preview retention' });
+  }
+});
+
+app.post('/api/admin/retention/run', requirePermission('retention.manage'), async (req, res) => {
+  try {
+    const result = await retention.execute('manual');
+    await audit.record(req, { action: 'retention.run', targetType: 'retention', targetId: result.run_id, after: result });
+    res.json(result);
+  } catch (e) {
+    console.error(e);
+    res.status(500).json({ error: 'Retention run failed' });
+  }
+});
+
+app.get('/api/admin/retention/runs', requirePermission('items.view'), async (req, res) => {
+  try {
+    const runs = await all(`SELECT * FROM retention_runs ORDER BY id DESC LIMIT 50`);
+    const actions = await all(
+      `SELECT * FROM retention_actions WHERE run_id IN (SELECT id FROM retention_runs ORDER BY id DESC LIMIT 50)
+       ORDER BY id`
+    );
+    for (const r of runs) r.actions = actions.filter(a => a.run_id === r.id);
+    res.json({ runs });
+  } catch (e) {
+    console.error(e);
+    res.status(500).json({ error: 'Failed to load retention runs' });
+  }
+});
+
+app.get('/api/admin/retention/expiring', requirePermission('items.view'), async (req, res) => {
+  try {
+    const days = Math.max(1, Math.min(90, parseInt(req.query.days) || 7));
+    const items = await retention.expiringSoon(days);
+    res.json({ days, items });
+  } catch (e) {
+    console.error(e);
+    res.status(500).json({ error: 'Failed to load expiring items' });
+  }
+});
+
+// Admin: Categories and locations (taxonomy.js). Entries are retired with
+// { active: false } rather than deleted, so older items keep theirs.
+app.get('/api/admin/taxonomy', requirePermission('items.view'), async (req, res) => {
+  try {
+    res.json({
+      categories: await taxonomy.listCategories({ includeRetired: true }),
+      locations: await taxonomy.listLocations({ includeRetired: true }),
+      legacy_locations: await taxonomy.legacyLocations()
+    });
+  } catch (e) {
+    console.error(e);
+    res.status(500).json({ error: 'Failed to load categories and locations' });
+  }
+});
+
+// PATCH bodies: only the fields present (name, active, sort_order) are changed
+const taxonomyChanges = (body) => {
+  const changes = {};
+  for (const key of ['name', 'active', 'sort_order']) if (body[key] !== undefined) changes[key] = body[key];
+  return changes;
+};
+
+app.post('/api/admin/categories', requirePermission('taxonomy.manage'), async (req, res) => {
+  try {
+    const category = await taxonomy.addCategory({ name: req.body.name });
+    await audit.record(req, { action: 'category.create', targetType: 'category', targetId: category.id, after: category });
+    res.status(201).json({ category });
+  } catch (e) {
+    if (e instanceof taxonomy.TaxonomyError) return res.status(e.status).json({ error: e.message });
+    console.error(e);
+    res.status(500).json({ error: 'Failed to add category' });
+  }
+});
+
+// Renaming also renames the category on items, lost reports and retention rules
+app.patch('/api/admin/categories/:id', requirePermission('taxonomy.manage'), async (req, res) => {
+  try {
+    const id = parseInt(req.params.id);
+    const { before, after } = await transaction(() => taxonomy.updateCategory(id, taxonomyChanges(req.body)));
+    await audit.record(req, { action: 'category.update', targetType: 'category', targetId: id, before, after });
+    res.json({ category: after });
+  } catch (e) {
+    if (e instanceof taxonomy.TaxonomyError) return res.status(e.status).json({ error: e.message });
+    console.error(e);
+    res.status(500).json({ error: 'Failed to update category' });
+  }
+});
+
+// { name, parent_id } - no parent makes a building, a building's child a floor, a floor's a room
+app.post('/api/admin/locations', requirePermission('taxonomy.manage'), async (req, res) => {
+  try {
+    const location = await taxonomy.addLocation({ name: req.body.name, parent_id: req.body.parent_id });
+    await audit.record(req, { action: 'location.create', targetType: 'location', targetId: location.id, after: location });
+    res.status(201).json({ location });
+  } catch (e) {
+    if (e instanceof taxonomy.TaxonomyError) return res.status(e.status).json({ error: e.message });
+    console.error(e);
+    res.status(500).json({ error: 'Failed to add location' });
+  }
+});
+
+// Renaming updates the location name shown on every item under it
+app.patch('/api/admin/locations/:id', requirePermission('taxonomy.manage'), async (req, res) => {
+  try {
+    const id = parseInt(req.params.id);
+    const { before, after } = await transaction(() => taxonomy.updateLocation(id, taxonomyChanges(req.body)));
+    await audit.record(req, { action: 'location.update', targetType: 'location', targetId: id, before, after });
+    res.json({ location: after });
+  } catch (e) {
+    if (e instanceof taxonomy.TaxonomyError) return res.status(e.status).json({ error: e.message });
+    console.error(e);
+    res.status(500).json({ error: 'Failed to update location' });
+  }
+});
+
+// Merge tool: { values: [free-text locations], location_id } ties those items to one listed location
+app.post('/api/admin/locations/merge', requirePermission('taxonomy.manage'), async (req, res) => {
+  try {
+    const { location, ids } = await transaction(() => taxonomy.mergeLocations(req.body.values, req.body.location_id));
+    for (const id of ids) runMatching(matchItem, id);
+    await audit.record(req, {
+      action: 'location.merge', targetType: 'location', targetId: location.id,
+      after: { values: req.body.values, location: location.label, items: ids }
+    });
+    res.json({ location_id: location.id, label: location.label, updated: ids.length });
+  } catch (e) {
+    if (e instanceof taxonomy.TaxonomyError) return res.status(e.status).json({ error: e.message });
+    console.error(e);
+    res.status(500).json({ error: 'Failed to merge locations' });
+  }
+});
+
+// Admin: Backups (restoring is command-line only, with the server stopped: npm run backup -- restore <file>).
+// Archives are built in a child process (backup.js).
+app.get('/api/admin/backups', requirePermission('backups.manage'), async (req, res) => {
+  try {
+    res.json({ backups: backup.listBackups(), keep: backup.BACKUP_KEEP });
+  } catch (e) {
+    console.error(e);
+    res.status(500).json({ error: 'Failed to load backups' });
+  }
+});
+
+app.post('/api/admin/backups', requirePermission('backups.manage'), async (req, res) => {
+  try {
+    const result = await backup.createBackup({ reason: 'manual' });
+    await audit.record(req, {
+      action: 'backup.create', targetType: 'backup',
+      after: { name: result.backup.name, size: result.backup.size, files: result.files, removed: result.removed }
+    });
+    res.status(201).json(result);
+  } catch (e) {
+    if (e instanceof backup.BackupError) return res.status(409).json({ error: e.message });
+    console.error(e);
+    res.status(500).json({ error: 'Backup failed' });
+  }
+});
+
+app.get('/api/admin/backups/:name', requirePermission('backups.manage'), async (req, res) => {
+  try {
+    const file = backup.backupPath(req.params.name);
+    if (!file) return res.status(404).json({ error: 'Not found' });
+    await audit.record(req, { action: 'backup.download', targetType: 'backup', after: { name: req.params.name } });
+    res.set('Cache-Control', 'no-store');
+    res.download(file, req.params.name);
+  } catch (e) {
+    console.error(e);
+    res.status(500).json({ error: 'Failed to download backup' });
+  }
+});
+
+// Admin: Audit log
+app.get('/api/admin/audit', requirePermission('audit.view'), async (req, res) => {
+  try {
+    res.json(await audit.list(req.query));
+  } catch (e) {
+    if (e instanceof CursorError) return res.status(400).json({ error: e.message });
+    console.error(e);
+    res.status(500).json({ error: 'Failed to load audit log' });
+  }
+});
+
+// Admin: Staff user management
+const USER_COLUMNS = 'id, username, role, disabled, totp_enabled, totp_required, created_at';
+function validRole(role) {
+  return Object.prototype.hasOwnProperty.call(ROLES, role);
+}
+
+// Refuse changes that would leave nobody able to manage users
+async function wouldRemoveLastAdmin(target, changes) {
+  if (target.role !== 'admin' || target.disabled) return false;
+  const losesAdmin = (changes.role && changes.role !== 'admin') || changes.disabled;
+  if (!losesAdmin) return false;
+  const row = await get(`SELECT COUNT(*) as c FROM users WHERE role = 'admin' AND disabled = 0`);
+  return row.c <= 1;
+}
+
+app.get('/api/admin/users', requirePermission('users.manage'), async (req, res) => {
+  try {
+    const users = await all(`SELECT ${USER_COLUMNS} FROM users ORDER BY username`);
+    res.json({ users, roles: Object.keys(ROLES) });
+  } catch (e) {
+    console.error(e);
+    res.status(500).json({ error: 'Failed to load users' });
+  }
+});
+
+app.post('/api/admin/users', requirePermission('users.manage'), async (req, res) => {
+  try {
+    const username = sanitizeString(req.body.username, 40);
+    const { password = '', role = 'viewer' } = req.body;
+    if (!/^[A-Za-z0-9._-]{3,40}$/.test(username)) {
+      return res.status(400).json({ error: 'Username must be 3-40 letters, digits, dots, dashes or underscores' });
+    }
+    if (password.length < 8) return res.status(400).json({ error: 'Password too short' });
+    if (!validRole(role)) return res.status(400).json({ error: 'Invalid role' });
+
+    const existing = await get(`SELECT id FROM users WHERE username = ?`, [username]);
+    if (existing) return res.status(409).json({ error: 'Username already taken' });
+
+    const hash = await bcrypt.hash(password, 10);
+    const result = await run(`INSERT INTO users (username, password_hash, role) VALUES (?, ?, ?)`, [username, hash, role]);
+    const user = await get(`SELECT ${USER_COLUMNS} FROM users WHERE id = ?`, [result.lastID]);
+    await audit.record(req, { action: 'user.create', targetType: 'user', targetId: user.id, after: user });
+    res.status(201).json({ user });
+  } catch (e) {
+    console.error(e);
+    res.status(500).json({ error: 'Failed to create user' });
+  }
+});
+
+// Change role, enable/disable an account and/or require 2FA for it
+app.patch('/api/admin/users/:id', requirePermission('users.manage'), async (req, res) => {
+  try {
+    const id = parseInt(req.params.id);
+    const { role, disabled, require_2fa } = req.body;
+    const target = await get(`SELECT ${USER_COLUMNS} FROM users WHERE id = ?`, [id]);
+    if (!target) return res.status(404).json({ error: 'Not found' });
+    if (role !== undefined && !validRole(role)) return res.status(400).json({ error: 'Invalid role' });
+    if (id === req.user.id && (role !== undefined || disabled !== undefined)) {
+      return res.status(400).json({ error: 'You cannot change your own role or status' });
+    }
+    if (await wouldRemoveLastAdmin(target, { role, disabled })) {
+      return res.status(400).json({ error: 'At least one active admin is required' });
+    }
+
+    if (role !== undefined) await run(`UPDATE users SET role = ? WHERE id = ?`, [role, id]);
+    if (disabled !== undefined) await run(`UPDATE users SET disabled = ? WHERE id = ?`, [disabled ? 1 : 0, id]);
+    if (disabled) await sessions.store.destroyForUser(id);
+    // Takes effect on their next request: until enrolled they only see the 2FA setup
+    if (require_2fa !== undefined) await run(`UPDATE users SET totp_required = ? WHERE id = ?`, [require_2fa ? 1 : 0, id]);
+
+    const user = await get(`SELECT ${USER_COLUMNS} FROM users WHERE id = ?`, [id]);
+    await audit.record(req, { action: 'user.update', targetType: 'user', targetId: id, before: target, after: user });
+    res.json({ user });
+  } catch (e) {
+    console.error(e);
+    res.status(500).json({ error: 'Failed to update user' });
+  }
+});
+
+// For a lost phone: removes the user's 2FA secret and recovery codes and signs them out.
+// If 2FA is required for them they enroll again at their next sign-in.
+app.post('/api/admin/users/:id/reset-2fa', requirePermission('users.manage'), async (req, res) => {
+  try {
+    const id = parseInt(req.params.id);
+    const target = await get(`SELECT ${USER_COLUMNS} FROM users WHERE id = ?`, [id]);
+    if (!target) return res.status(404).json({ error: 'Not found' });
+    await transaction(async () => {
+      await twofactor.disable(id);
+      await sessions.store.destroyForUser(id);
+    });
+    await audit.record(req, { action: 'user.2fa_reset', targetType: 'user', targetId: id, before: target });
+    res.json({ message: 'Two-factor authentication reset' });
+  } catch (e) {
+    console.error(e);
+    res.status(500).json({ error: 'Failed to reset two-factor authentication' });
+  }
+});
+
+app.post('/api/admin/users/:id/reset-password', requirePermission('users.manage'), async (req, res) => {
+  try {
+    const id = parseInt(req.params.id);
+    const { password = '' } = req.body;
+    const target = await get(`SELECT id FROM users WHERE id = ?`, [id]);
+    if (!target) return res.status(404).json({ error: 'Not found' });
+    if (password.length < 8) return res.status(400).json({ error: 'Password too short' });
+
+    const hash = await bcrypt.hash(password, 10);
+    // A password someone else chose is temporary: the user picks their own at next sign-in
+    await run(`UPDATE users SET password_hash = ?, must_change_password = 1 WHERE id = ?`, [hash, id]);
+    await sessions.store.destroyForUser(id);
+    await audit.record(req, { action: 'user.reset_password', targetType: 'user', targetId: id });
+    res.json({ message: 'Password reset' });
+  } catch (e) {
+    console.error(e);
+    res.status(500).json({ error: 'Failed to reset password' });
+  }
+});
+
+// Fallback to index.html for root
+app.get('/', (req, res) => {
   res.sendFile(path.join(PUBLIC_DIR, 'index.html'));
 });
 
+// server.pid keeps a backup restore from swapping the data underneath us (and the other way round)
+const otherPid = pidfile.acquire();
+if (otherPid) {
+  console.error(`Process ${otherPid} is using the data (${pidfile.PID_FILE}); is the server already running, or a restore?`);
+  process.exit(1);
+}
+
 init().then(() => {
+  notifications.startWorker();
+  moveLegacyProofs()
+    .then(n => { if (n) console.log(`Moved ${n} claim proof(s) to private storage`); })
+    .catch(err => console.error('Moving claim proofs failed', err));
+  images.reprocessLegacyPhotos()
+    .then(({ reprocessed, failed }) => {
+      if (reprocessed) console.log(`Re-encoded ${reprocessed} photo(s) uploaded before metadata stripping`);
+      for (const { id, error } of failed) console.error(`Hid the photo of item ${id}; it could not be re-encoded: ${error}`);
+    })
+    .catch(err => console.error('Re-encoding old photos failed', err));
+  if (process.env.RETENTION_DISABLED !== 'true') retention.startScheduler();
+  if (backup.INTERVAL_MS) backup.startScheduler();
+  logins.startPruning();
   app.listen(PORT, () => console.log(`Lost & Found running at http://localhost:${PORT}`));
 }).catch(err => {
   console.error('Failed to init DB', err);
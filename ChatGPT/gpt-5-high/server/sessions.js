@@ -0,0 +1,153 @@
+// sessions.js - Staff sessions: a SQLite-backed express-session store (sessions
+// survive restarts and can be revoked per user), the idle timeout and CSRF tokens.
+
+const crypto = require('crypto');
+const session = require('express-session');
+const { run, get } = require('./db');
+
+const DEFAULT_SECRET = 'demo-change-me';
+// Signed-in staff are logged out after this long without a request
+const IDLE_TIMEOUT_MS = parseInt(process.env.SESSION_IDLE_MINUTES || '30') * 60 * 1000;
+const CSRF_HEADER = 'x-csrf-token';
+
+class SqliteStore extends session.Store {
+  constructor({ pruneIntervalMs = 15 * 60 * 1000 } = {}) {
+    super();
+    const timer = setInterval(() => {
+      this.prune().catch(err => console.error('Session cleanup failed', err));
+    }, pruneIntervalMs);
+    timer.unref();
+  }
+
+  // Falls back to the idle timeout for sessions without a cookie expiry
+  expiresAt(sess) {
+    const expires = sess.cookie && sess.cookie.expires;
+    return expires ? new Date(expires).getTime() : Date.now() + IDLE_TIMEOUT_MS;
+  }
+
+  get(sid, cb) {
+    get(`SELECT data FROM sessions WHERE sid = ? AND expires_at > ?`, [sid, Date.now()])
+      .then(row => cb(null, row ? JSON.parse(row.data) : null), cb);
+  }
+
+  set(sid, sess, cb = () => {}) {
+    run(
+      `INSERT INTO sessions (sid, user_id, data, expires_at) VALUES (?, ?, ?, ?)
+       ON CONFLICT (sid) DO UPDATE SET user_id = excluded.user_id, data = excluded.data, expires_at = excluded.expires_at`,
+      [sid, sess.user ? sess.user.id : null, JSON.stringify(sess), this.expiresAt(sess)]
+    ).then(() => cb(null), cb);
+  }
+
+  touch(sid, sess, cb = () => {}) {
+    run(`UPDATE sessions SET expires_at = ? WHERE sid = ?`, [this.expiresAt(sess), sid]).then(() => cb(null), cb);
+  }
+
+  destroy(sid, cb = () => {}) {
+    run(`DELETE FROM sessions WHERE sid = ?`, [sid]).then(() => cb(null), cb);
+  }
+
+  length(cb) {
+    get(`SELECT COUNT(*) AS n FROM sessions WHERE expires_at > ?`, [Date.now()]).then(row => cb(null, row.n), cb);
+  }
+
+  clear(cb = () => {}) {
+    run(`DELETE FROM sessions`).then(() => cb(null), cb);
+  }
+
+  prune() {
+    return run(`DELETE FROM sessions WHERE expires_at <= ?`, [Date.now()]);
+  }
+
+  // Sign a user out everywhere (optionally keeping one session, e.g. the current one).
+  // Returns how many sessions were ended.
+  async destroyForUser(userId, exceptSid = null) {
+    const result = await run(
+      `DELETE FROM sessions WHERE user_id = ? AND sid IS NOT ?`, [userId, exceptSid]
+    );
+    return result.changes;
+  }
+
+  async countForUser(userId) {
+    const row = await get(`SELECT COUNT(*) AS n FROM sessions WHERE user_id = ? AND expires_at > ?`, [userId, Date.now()]);
+    return row.n;
+  }
+}
+
+const store = new SqliteStore();
+
+// Refuse the demo secret in production: anyone who knows it can forge session cookies
+function sessionSecret() {
+  const secret = process.env.SESSION_SECRET;
+  if (process.env.NODE_ENV === 'production' && (!secret || secret === DEFAULT_SECRET)) {
+    throw new Error('SESSION_SECRET must be set to a private value when NODE_ENV=production');
+  }
+  return secret || DEFAULT_SECRET;
+}
+
+function middleware() {
+  return session({
+    name: 'lf.sid',
+    secret: sessionSecret(),
+    store,
+    resave: false,
+    saveUninitialized: false,
+    rolling: true, // every request pushes the idle deadline back
+    cookie: { httpOnly: true, sameSite: 'lax', secure: 'auto', maxAge: IDLE_TIMEOUT_MS }
+  });
+}
+
+// New session ID for a fresh login (prevents session fixation) plus its CSRF token
+function startSession(req, user) {
+  return new Promise((resolve, reject) => {
+    req.session.regenerate((err) => {
+      if (err) return reject(err);
+      req.session.user = { id: user.id, username: user.username, role: user.role };
+      req.session.csrfToken = crypto.randomBytes(24).toString('base64url');
+      req.session.save(err2 => (err2 ? reject(err2) : resolve(req.session.csrfToken)));
+    });
+  });
+}
+
+// Password accepted, second factor still to come: the session holds only the user id
+// for a few minutes, under a new ID, and isn't signed in
+const PENDING_LOGIN_MS = 5 * 60 * 1000;
+function startPendingLogin(req, user) {
+  return new Promise((resolve, reject) => {
+    req.session.regenerate((err) => {
+      if (err) return reject(err);
+      req.session.pendingLogin = { userId: user.id, expires: Date.now() + PENDING_LOGIN_MS };
+      req.session.save(err2 => (err2 ? reject(err2) : resolve()));
+    });
+  });
+}
+
+function pendingLogin(req) {
+  const pending = req.session && req.session.pendingLogin;
+  return pending && pending.expires > Date.now() ? pending : null;
+}
+
+// Constant-time comparison of a submitted token; lengths are compared as bytes, since
+// timingSafeEqual throws on Buffers of different lengths (multi-byte header characters)
+function tokensMatch(given, expected) {
+  if (!expected) return false;
+  const a = Buffer.from(String(given || ''));
+  const b = Buffer.from(String(expected));
+  return a.length === b.length && crypto.timingSafeEqual(a, b);
+}
+
+// State-changing requests from a signed-in session must echo the session's token in
+// the X-CSRF-Token header; a cross-site form or fetch can't read it. `exempt` paths
+// (relative to the mount point) are let through, e.g. the login form itself.
+function csrfProtection({ exempt = [] } = {}) {
+  return (req, res, next) => {
+    if (['GET', 'HEAD', 'OPTIONS'].includes(req.method) || exempt.includes(req.path)) return next();
+    // Not signed in: nothing to forge, and requirePermission answers 401
+    if (!req.session || !req.session.user) return next();
+    if (!tokensMatch(req.get(CSRF_HEADER), req.session.csrfToken)) {
+      return res.status(403).json({ error: 'Invalid or missing CSRF token, reload the page and try again' });
+    }
+    next();
+  };
+}
+
+module.exports = { store, middleware, startSession, startPendingLogin, pendingLogin, csrfProtection, tokensMatch, IDLE_TIMEOUT_MS, CSRF_HEADER };
@@ -0,0 +1,257 @@
+// taxonomy.js - The admin-managed category list and location hierarchy
+// (building -> floor -> room) that the report and browse forms are built from.
+// Nothing is ever deleted: retired entries drop out of the forms but old items keep them.
+// An item stores its location's full name ("Main Building, 2nd floor, Room 210") in
+// location_found, which search, exports and matching read, and the id in location_id.
+
+const { run, get, all } = require('./db');
+
+const KINDS = ['building', 'floor', 'room'];
+const MAX_NAME = 40;
+
+// The location with id ? and everything below it
+const SUBTREE_SQL = `
+  WITH RECURSIVE subtree(id) AS (
+    SELECT ? UNION ALL SELECT l.id FROM locations l JOIN subtree ON l.parent_id = subtree.id
+  ) SELECT id FROM subtree`;
+
+// `status` is the HTTP status to answer with
+class TaxonomyError extends Error {
+  constructor(status, message) {
+    super(message);
+    this.status = status;
+  }
+}
+
+function cleanName(value) {
+  const name = String(value ?? '').replace(/\s+/g, ' ').trim();
+  if (!name) throw new TaxonomyError(400, 'Name is required');
+  if (name.length > MAX_NAME) throw new TaxonomyError(400, `Name must be at most ${MAX_NAME} characters`);
+  return name;
+}
+
+// --- Reading ---
+
+async function listCategories({ includeRetired = false } = {}) {
+  return all(
+    `SELECT c.id, c.name, c.sort_order, c.active,
+            (SELECT COUNT(*) FROM items WHERE items.category = c.name COLLATE NOCASE) AS item_count
+     FROM categories c ${includeRetired ? '' : 'WHERE c.active = 1'}
+     ORDER BY c.sort_order, c.name`
+  );
+}
+
+// Every location with its full `label`; `available` is false when it or a parent is retired
+async function listLocations({ includeRetired = false } = {}) {
+  const rows = await all(
+    `SELECT l.id, l.parent_id, l.kind, l.name, l.sort_order, l.active,
+            (SELECT COUNT(*) FROM items WHERE items.location_id = l.id) AS item_count
+     FROM locations l ORDER BY l.sort_order, l.name`
+  );
+  const byId = new Map(rows.map(r => [r.id, r]));
+  const resolve = (row) => {
+    if (row.label !== undefined) return row;
+    const parent = row.parent_id ? resolve(byId.get(row.parent_id)) : null;
+    row.label = parent ? `${parent.label}, ${row.name}` : row.name;
+    row.available = !!row.active && (!parent || parent.available);
+    return row;
+  };
+  rows.forEach(resolve);
+  return includeRetired ? rows : rows.filter(r => r.available);
+}
+
+// Flat rows -> buildings with nested `children`
+function toTree(rows) {
+  const nodes = new Map(rows.map(r => [r.id, { id: r.id, kind: r.kind, name: r.name, label: r.label, children: [] }]));
+  const roots = [];
+  for (const r of rows) {
+    const parent = r.parent_id && nodes.get(r.parent_id);
+    (parent ? parent.children : roots).push(nodes.get(r.id));
+  }
+  return roots;
+}
+
+// What GET /api/taxonomy serves: only what can be picked
+async function publicTaxonomy() {
+  const categories = await listCategories();
+  const locations = await listLocations();
+  return {
+    categories: categories.map(c => ({ id: c.id, name: c.name })),
+    locations: toTree(locations)
+  };
+}
+
+// --- Validating item fields ---
+
+// A submitted category -> its canonical name. `current` (the item's value when
+// editing) is accepted unchanged even if that category has since been retired.
+async function resolveCategory(value, current = null) {
+  const name = String(value ?? '').trim();
+  if (!name) throw new TaxonomyError(400, 'Category is required');
+  if (current && name === current) return current;
+  const row = await get(`SELECT name FROM categories WHERE name = ? AND active = 1`, [name]);
+  if (!row) throw new TaxonomyError(400, 'Choose a category from the list');
+  return row.name;
+}
+
+// { location_id, location_found } -> { location_id, location_found }.
+// With a location list set up, an id from it is required; until then free text is accepted.
+// `current` (the item when editing) may keep its existing location as it is.
+async function resolveLocation({ location_id, location_found }, current = null) {
+  const id = parseInt(location_id);
+  const locations = await listLocations();
+  if (id) {
+    const location = locations.find(l => l.id === id);
+    if (!location) throw new TaxonomyError(400, 'Choose a location from the list');
+    return { location_id: id, location_found: location.label.slice(0, 120) };
+  }
+  const text = String(location_found ?? '').trim().slice(0, 120);
+  if (current && text === current.location_found) {
+    return { location_id: current.location_id || null, location_found: text };
+  }
+  if (locations.length) throw new TaxonomyError(400, 'Choose a location from the list');
+  if (!text) throw new TaxonomyError(400, 'Location is required');
+  return { location_id: null, location_found: text };
+}
+
+// For the importers, which only carry text: the category must be an active one, and
+// location text naming a location on the list (its full label, or a name only one
+// location has, ignoring case) is mapped onto it; other text is resolved like typed
+// text, so it is refused once the list exists. Returns the resolved values and errors.
+async function resolveImported({ category, location_found }) {
+  const result = { category, location_id: null, location_found, errors: [] };
+  if (category) {
+    try {
+      result.category = await resolveCategory(category);
+    } catch (e) {
+      if (!(e instanceof TaxonomyError)) throw e;
+      result.errors.push(`category "${category}" is not an active category`);
+    }
+  }
+  if (location_found) {
+    const text = String(location_found).trim().toLowerCase();
+    const locations = await listLocations();
+    const byName = locations.filter(l => l.name.toLowerCase() === text);
+    const match = locations.find(l => l.label.toLowerCase() === text) || (byName.length === 1 ? byName[0] : null);
+    try {
+      Object.assign(result, await resolveLocation(match ? { location_id: match.id } : { location_found }));
+    } catch (e) {
+      if (!(e instanceof TaxonomyError)) throw e;
+      result.errors.push(`location "${location_found}" is not on the location list`);
+    }
+  }
+  return result;
+}
+
+// --- Managing ---
+
+async function addCategory({ name }) {
+  name = cleanName(name);
+  if (await get(`SELECT id FROM categories WHERE name = ?`, [name])) {
+    throw new TaxonomyError(409, 'That category already exists');
+  }
+  const result = await run(`INSERT INTO categories (name) VALUES (?)`, [name]);
+  return get(`SELECT * FROM categories WHERE id = ?`, [result.lastID]);
+}
+
+// Renaming carries the new name over to items, lost reports and retention rules,
+// so filters and rules keep matching. Call inside a transaction.
+async function updateCategory(id, { name, active, sort_order }) {
+  const before = await get(`SELECT * FROM categories WHERE id = ?`, [id]);
+  if (!before) throw new TaxonomyError(404, 'Not found');
+  if (name !== undefined) {
+    name = cleanName(name);
+    const clash = await get(`SELECT id FROM categories WHERE name = ? AND id != ?`, [name, id]);
+    if (clash) throw new TaxonomyError(409, 'That category already exists');
+    await run(`UPDATE categories SET name = ? WHERE id = ?`, [name, id]);
+    for (const table of ['items', 'lost_reports', 'retention_rules']) {
+      await run(`UPDATE ${table} SET category = ? WHERE category = ? COLLATE NOCASE`, [name, before.name]);
+    }
+  }
+  if (active !== undefined) await run(`UPDATE categories SET active = ? WHERE id = ?`, [active ? 1 : 0, id]);
+  if (sort_order !== undefined) await run(`UPDATE categories SET sort_order = ? WHERE id = ?`, [parseInt(sort_order) || 0, id]);
+  return { before, after: await get(`SELECT * FROM categories WHERE id = ?`, [id]) };
+}
+
+async function addLocation({ parent_id, name }) {
+  name = cleanName(name);
+  const parentId = parseInt(parent_id) || null;
+  let kind = KINDS[0];
+  if (parentId) {
+    const parent = await get(`SELECT * FROM locations WHERE id = ?`, [parentId]);
+    if (!parent) throw new TaxonomyError(400, 'Parent location not found');
+    kind = KINDS[KINDS.indexOf(parent.kind) + 1];
+    if (!kind) throw new TaxonomyError(400, 'Rooms cannot contain other locations');
+  }
+  const clash = await get(`SELECT id FROM locations WHERE COALESCE(parent_id, 0) = ? AND name = ? COLLATE NOCASE`, [parentId || 0, name]);
+  if (clash) throw new TaxonomyError(409, 'That location already exists');
+  const result = await run(`INSERT INTO locations (parent_id, kind, name) VALUES (?, ?, ?)`, [parentId, kind, name]);
+  return get(`SELECT * FROM locations WHERE id = ?`, [result.lastID]);
+}
+
+// Items under a renamed location (or under its floors and rooms) get the new full name
+async function relabelItems(id) {
+  const labels = new Map((await listLocations({ includeRetired: true })).map(l => [l.id, l.label]));
+  const ids = (await all(SUBTREE_SQL, [id])).map(r => r.id);
+  for (const locationId of ids) {
+    await run(`UPDATE items SET location_found = ? WHERE location_id = ?`, [labels.get(locationId).slice(0, 120), locationId]);
+  }
+}
+
+// Call inside a transaction
+async function updateLocation(id, { name, active, sort_order }) {
+  const before = await get(`SELECT * FROM locations WHERE id = ?`, [id]);
+  if (!before) throw new TaxonomyError(404, 'Not found');
+  if (name !== undefined) {
+    name = cleanName(name);
+    const clash = await get(
+      `SELECT id FROM locations WHERE COALESCE(parent_id, 0) = ? AND name = ? COLLATE NOCASE AND id != ?`,
+      [before.parent_id || 0, name, id]
+    );
+    if (clash) throw new TaxonomyError(409, 'That location already exists');
+    await run(`UPDATE locations SET name = ? WHERE id = ?`, [name, id]);
+    await relabelItems(id);
+  }
+  if (active !== undefined) await run(`UPDATE locations SET active = ? WHERE id = ?`, [active ? 1 : 0, id]);
+  if (sort_order !== undefined) await run(`UPDATE locations SET sort_order = ? WHERE id = ?`, [parseInt(sort_order) || 0, id]);
+  return { before, after: await get(`SELECT * FROM locations WHERE id = ?`, [id]) };
+}
+
+// --- Merging free-text locations ---
+
+// Free-text locations of items not yet tied to the list, grouped ignoring case and spacing
+async function legacyLocations() {
+  return all(
+    `SELECT MIN(location_found) AS location_found, COUNT(*) AS item_count
+     FROM items WHERE location_id IS NULL AND trim(location_found) != ''
+     GROUP BY lower(trim(location_found))
+     ORDER BY item_count DESC, location_found`
+  );
+}
+
+// Points every item whose free-text location is one of `values` (ignoring case and
+// surrounding spaces) at location `locationId`. Returns the ids of the items changed.
+async function mergeLocations(values, locationId) {
+  const texts = [...new Set((Array.isArray(values) ? values : []).map(v => String(v).trim().toLowerCase()).filter(Boolean))];
+  if (!texts.length) throw new TaxonomyError(400, 'Pick at least one location to merge');
+  const location = (await listLocations({ includeRetired: true })).find(l => l.id === parseInt(locationId));
+  if (!location) throw new TaxonomyError(400, 'Target location not found');
+
+  const ids = [];
+  for (const text of texts) {
+    const rows = await all(
+      `SELECT id FROM items WHERE location_id IS NULL AND lower(trim(location_found)) = ?`, [text]
+    );
+    ids.push(...rows.map(r => r.id));
+  }
+  for (const id of ids) {
+    await run(`UPDATE items SET location_id = ?, location_found = ? WHERE id = ?`, [location.id, location.label.slice(0, 120), id]);
+  }
+  return { location, ids };
+}
+
+module.exports = {
+  listCategories, listLocations, publicTaxonomy, resolveCategory, resolveLocation, resolveImported,
+  addCategory, updateCategory, addLocation, updateLocation, legacyLocations, mergeLocations,
+  TaxonomyError, SUBTREE_SQL, KINDS
+};
@@ -0,0 +1,81 @@
+// importer.test.js - Checks on single CSV rows before anything is imported (importer.js)
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const TMP_DIR = fs.mkdtempSync(path.join(os.tmpdir(), 'laf-test-'));
+process.env.DB_PATH = path.join(TMP_DIR, 'data.sqlite3');
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { init, close, run } = require('../db');
+const { checkRow } = require('../importer');
+const taxonomy = require('../taxonomy');
+
+const HEADER = ['title', 'description', 'category', 'location_found', 'date_found', 'reporter_name', 'reporter_email', 'status', 'photo'];
+const ROW = ['Blue bottle', 'Metal, dented', 'water bottle', 'Gym', '2026-10-01', 'Front office', '', '', ''];
+
+function row(changes) {
+  return HEADER.map((col, i) => (col in changes ? changes[col] : ROW[i]));
+}
+
+test.before(async () => {
+  // Quiet the "seeded default admin" notice
+  const log = console.log;
+  console.log = () => {};
+  try {
+    await init();
+  } finally {
+    console.log = log;
+  }
+});
+test.after(async () => {
+  await close();
+  fs.rmSync(TMP_DIR, { recursive: true, force: true });
+});
+
+test('a complete row passes, takes the default status and the listed category name', async () => {
+  const { values, photo, errors } = await checkRow(HEADER, ROW, new Map());
+  assert.deepEqual(errors, []);
+  assert.equal(photo, null);
+  assert.equal(values.status, 'approved');
+  assert.equal(values.category, 'Water Bottle');
+  assert.equal(values.location_found, 'Gym');
+});
+
+test('missing and overlong fields are reported by column', async () => {
+  const { errors } = await checkRow(HEADER, row({ title: '  ', description: 'x'.repeat(2001) }), new Map());
+  assert.deepEqual(errors, ['title is required', 'description is longer than 2000 characters']);
+});
+
+test('dates, emails and statuses are checked', async () => {
+  const { errors } = await checkRow(HEADER, row({ date_found: '01/10/2026', reporter_email: 'office', status: 'lost' }), new Map());
+  assert.deepEqual(errors, [
+    'date_found must be YYYY-MM-DD',
+    'reporter_email is not an email address',
+    'status must be one of pending, approved, claimed, archived'
+  ]);
+});
+
+test('categories must be on the list', async () => {
+  const { errors } = await checkRow(HEADER, row({ category: 'Umbrellas' }), new Map());
+  assert.deepEqual(errors, ['category "Umbrellas" is not an active category']);
+});
+
+test('once there is a location list, location text must name one of its locations', async () => {
+  await taxonomy.addLocation({ name: 'Gym' });
+  try {
+    assert.deepEqual((await checkRow(HEADER, row({ location_found: 'gym' }), new Map())).errors, []);
+    assert.deepEqual((await checkRow(HEADER, row({ location_found: 'Library' }), new Map())).errors, [
+      'location "Library" is not on the location list'
+    ]);
+  } finally {
+    await run(`DELETE FROM locations`);
+  }
+});
+
+test('a photo named by the row must be in the zip', async () => {
+  const { errors } = await checkRow(HEADER, row({ photo: 'photos/IMG_1.jpg' }), new Map());
+  assert.deepEqual(errors, ['photo "photos/IMG_1.jpg" not found in the zip']);
+});
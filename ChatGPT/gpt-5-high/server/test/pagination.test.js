@@ -0,0 +1,62 @@
+// pagination.test.js - Cursors and the keyset conditions built from them (pagination.js)
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { keyset, pageSize, encodeCursor, decodeCursor, CursorError } = require('../pagination');
+
+const KEYS = [['i.created_at', 'created_at'], ['i.id', 'id']];
+
+test('a cursor decodes to the values it was made from', () => {
+  const values = ['2026-10-01 12:00:00', 42];
+  assert.deepEqual(decodeCursor(encodeCursor(values)), values);
+});
+
+test('cursors we did not issue are refused', () => {
+  assert.throws(() => decodeCursor('not a cursor'), CursorError);
+  assert.throws(() => decodeCursor(Buffer.from('7').toString('base64url')), CursorError);
+  // Valid JSON but for another sort (wrong number of keys)
+  assert.throws(() => keyset(KEYS, { cursor: encodeCursor([1]), limit: 10, where: [], params: [] }), CursorError);
+});
+
+test('pageSize clamps to 1..max and falls back on junk', () => {
+  assert.equal(pageSize('5', 20, 100), 5);
+  assert.equal(pageSize('500', 20, 100), 100);
+  assert.equal(pageSize('-3', 20, 100), 1);
+  assert.equal(pageSize('abc', 20, 100), 20);
+  assert.equal(pageSize(undefined, 20, 100), 20);
+});
+
+test('the first page adds no condition and fetches one extra row', () => {
+  const where = [];
+  const params = [];
+  const list = keyset(KEYS, { limit: 2, where, params });
+  assert.deepEqual(where, []);
+  assert.deepEqual(params, []);
+  assert.equal(list.fetch, 3);
+  assert.equal(list.orderSql, 'ORDER BY i.created_at DESC, i.id DESC');
+});
+
+test('a cursor continues after the row it names', () => {
+  const where = ['i.status = ?'];
+  const params = ['approved'];
+  const list = keyset(KEYS, { cursor: encodeCursor(['2026-10-01', 7]), limit: 2, where, params });
+  assert.deepEqual(where, ['i.status = ?', '(i.created_at, i.id) < (?, ?)']);
+  assert.deepEqual(params, ['approved', '2026-10-01', 7]);
+
+  const ascending = keyset(KEYS, { cursor: encodeCursor(['2026-10-01', 7]), limit: 2, desc: false, where: [], params: [] });
+  assert.equal(ascending.orderSql, 'ORDER BY i.created_at ASC, i.id ASC');
+});
+
+test('page() trims the extra row and points the next cursor at the last row sent', () => {
+  const list = keyset(KEYS, { limit: 2, where: [], params: [] });
+  const rows = [
+    { id: 9, created_at: '2026-10-03' },
+    { id: 8, created_at: '2026-10-02' },
+    { id: 7, created_at: '2026-10-01' }
+  ];
+  const { rows: page, next_cursor } = list.page(rows);
+  assert.deepEqual(page.map(r => r.id), [9, 8]);
+  assert.deepEqual(decodeCursor(next_cursor), ['2026-10-02', 8]);
+
+  assert.equal(list.page(rows.slice(0, 2)).next_cursor, null);
+});
@@ -0,0 +1,77 @@
+// pidfile.test.js - Who holds server.pid, and when a file left behind is stale (pidfile.js)
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { spawn, spawnSync } = require('child_process');
+
+const TMP_DIR = fs.mkdtempSync(path.join(os.tmpdir(), 'laf-test-'));
+process.env.DB_PATH = path.join(TMP_DIR, 'data.sqlite3');
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const pidfile = require('../pidfile');
+const { close } = require('../db');
+
+const HAS_PROC = fs.existsSync('/proc/self/stat');
+
+test.after(async () => {
+  await close();
+  fs.rmSync(TMP_DIR, { recursive: true, force: true });
+});
+
+// A separate process that takes the file and holds it until it gets SIGTERM
+async function startHolder() {
+  const child = spawn(process.execPath, ['-e', `require('./pidfile').acquire(); setInterval(() => {}, 1000);`], {
+    cwd: path.join(__dirname, '..'), env: process.env, stdio: 'ignore'
+  });
+  for (let i = 0; i < 100 && !fs.existsSync(pidfile.PID_FILE); i++) {
+    await new Promise(resolve => setTimeout(resolve, 50));
+  }
+  return child;
+}
+
+function stop(child) {
+  return new Promise(resolve => {
+    child.once('exit', resolve);
+    child.kill('SIGTERM');
+  });
+}
+
+test('contents that name no running process are not live', () => {
+  assert.equal(pidfile.isLive(''), false);
+  assert.equal(pidfile.isLive('not a pid'), false);
+  assert.equal(pidfile.isLive('-5 1'), false);
+  const { pid } = spawnSync(process.execPath, ['-e', '']);
+  assert.equal(pidfile.isLive(`${pid} -`), false);
+});
+
+test('this process never counts as the other holder', () => {
+  assert.equal(pidfile.isLive(`${process.pid} -`), false);
+});
+
+test('a running process with another start time is a reused pid, not the owner', { skip: !HAS_PROC }, () => {
+  assert.equal(pidfile.isLive(`${process.ppid} 1`), false);
+  // Files written where /proc wasn't available carry no start time to check
+  assert.equal(pidfile.isLive(`${process.ppid} -`), true);
+});
+
+test('a live holder is reported and keeps the file; SIGTERM releases it', async () => {
+  const child = await startHolder();
+  try {
+    assert.equal(pidfile.holder(), child.pid);
+    assert.equal(pidfile.acquire(), child.pid);
+  } finally {
+    await stop(child);
+  }
+  assert.equal(fs.existsSync(pidfile.PID_FILE), false);
+  assert.equal(pidfile.holder(), null);
+});
+
+test('a stale file is taken over and released again', { skip: !HAS_PROC }, () => {
+  fs.writeFileSync(pidfile.PID_FILE, `${process.ppid} 1`);
+  assert.equal(pidfile.acquire(), null);
+  assert.match(fs.readFileSync(pidfile.PID_FILE, 'utf8'), new RegExp(`^${process.pid} `));
+  pidfile.release();
+  assert.equal(fs.existsSync(pidfile.PID_FILE), false);
+});
@@ -0,0 +1,35 @@
+// search.test.js - Keyword queries -> FTS5 MATCH expressions, and snippet rendering (search.js)
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { buildMatchQuery, snippetToHtml } = require('../search');
+
+test('every word must match, as a prefix', () => {
+  assert.equal(buildMatchQuery('blue bottle'), '"blue"* AND "bottle"*');
+});
+
+test('quoted text is an exact phrase', () => {
+  assert.equal(buildMatchQuery('"water bottle" blue'), '"water bottle" AND "blue"*');
+  // An unclosed quote runs to the end of the query
+  assert.equal(buildMatchQuery('"water bottle'), '"water bottle"');
+});
+
+test('FTS syntax in the query is not passed through', () => {
+  assert.equal(buildMatchQuery('title:keys OR NEAR(a'), '"title"* AND "keys"* AND "OR"* AND "NEAR"* AND "a"*');
+  assert.equal(buildMatchQuery('*"'), '');
+});
+
+test('nothing searchable gives an empty query', () => {
+  assert.equal(buildMatchQuery(''), '');
+  assert.equal(buildMatchQuery('  -- !! '), '');
+  assert.equal(buildMatchQuery(undefined), '');
+});
+
+test('letters and digits outside ASCII count as words', () => {
+  assert.equal(buildMatchQuery('café 2e'), '"café"* AND "2e"*');
+});
+
+test('snippets are escaped before the match markers become <mark>', () => {
+  assert.equal(snippetToHtml('a \u0001<b>\u0002 & c'), 'a <mark>&lt;b&gt;</mark> &amp; c');
+  assert.equal(snippetToHtml(null), '');
+});
@@ -0,0 +1,42 @@
+// sessions.test.js - CSRF token comparison (sessions.js)
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const TMP_DIR = fs.mkdtempSync(path.join(os.tmpdir(), 'laf-test-'));
+process.env.DB_PATH = path.join(TMP_DIR, 'data.sqlite3');
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { tokensMatch } = require('../sessions');
+const { close } = require('../db');
+
+test.after(async () => {
+  await close();
+  fs.rmSync(TMP_DIR, { recursive: true, force: true });
+});
+
+const TOKEN = 'G9M5MzSQ_XkOhZzoIh1NigsRuDJK0z5x';
+
+test('the session token matches itself', () => {
+  assert.equal(tokensMatch(TOKEN, TOKEN), true);
+});
+
+test('other, missing or shorter tokens do not match', () => {
+  assert.equal(tokensMatch(TOKEN.replace('G', 'H'), TOKEN), false);
+  assert.equal(tokensMatch(undefined, TOKEN), false);
+  assert.equal(tokensMatch('', TOKEN), false);
+  assert.equal(tokensMatch(TOKEN.slice(1), TOKEN), false);
+});
+
+test('a session without a token matches nothing', () => {
+  assert.equal(tokensMatch('', undefined), false);
+  assert.equal(tokensMatch(TOKEN, null), false);
+});
+
+test('a header with as many characters but more bytes is refused, not thrown on', () => {
+  const wide = 'é'.repeat(TOKEN.length);
+  assert.equal(wide.length, TOKEN.length);
+  assert.equal(tokensMatch(wide, TOKEN), false);
+});
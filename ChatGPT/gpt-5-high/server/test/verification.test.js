@@ -0,0 +1,37 @@
+// verification.test.js - Scoring a claimant's answer against an item's hidden detail (verification.js)
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const TMP_DIR = fs.mkdtempSync(path.join(os.tmpdir(), 'laf-test-'));
+process.env.DB_PATH = path.join(TMP_DIR, 'data.sqlite3');
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { scoreAnswer } = require('../verification');
+const { close } = require('../db');
+
+test.after(async () => {
+  await close();
+  fs.rmSync(TMP_DIR, { recursive: true, force: true });
+});
+
+test('the expected words score 100 whatever the case, order or filler around them', () => {
+  assert.equal(scoreAnswer('Blue leather', 'leather, BLUE'), 100);
+  assert.equal(scoreAnswer('blue leather', "It's a blue leather one"), 100);
+});
+
+test('part of the answer scores part of the way', () => {
+  assert.equal(scoreAnswer('blue leather', 'blue'), 67);
+});
+
+test('listing guesses scores low even when they include the answer', () => {
+  assert.ok(scoreAnswer('blue leather', 'blue red green black brown leather nike adidas puma') < 50);
+});
+
+test('no overlap, or nothing given, scores 0', () => {
+  assert.equal(scoreAnswer('Nike', 'red'), 0);
+  assert.equal(scoreAnswer('Nike', ''), 0);
+  assert.equal(scoreAnswer('', 'Nike'), 0);
+});
@@ -0,0 +1,142 @@
+// tracking.js - Unguessable status links for people who reported an item or filed a claim.
+// Only a hash of each token is stored, so the database alone can't be used to
+// open someone's tracking page. The token is shown once on submission (and
+// emailed with the claim receipt).
+
+const crypto = require('crypto');
+const { run, get, all, transaction } = require('./db');
+const notifications = require('./notifications');
+const audit = require('./audit');
+const { ActionError } = require('./moderation');
+const messages = require('./messages');
+
+const TOKEN_FORMAT = /^[A-Za-z0-9_-]{32}$/;
+// Claims the claimant can still take back. Not approved ones: approving closed the item's
+// other claims, so undoing it is for staff (the claimant can message them instead).
+const WITHDRAWABLE = ['new', 'in_review'];
+// Audit actor for changes made through a tracking link
+const SUBMITTER = { username: 'submitter (tracking link)' };
+
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+function trackingUrl(token) {
+  return `${notifications.PUBLIC_URL}/track.html#${token}`;
+}
+
+// New token for an item or claim; returns the plain token (never stored)
+async function issue(targetType, targetId) {
+  const token = crypto.randomBytes(24).toString('base64url');
+  await run(
+    `INSERT INTO tracking_tokens (token_hash, target_type, target_id) VALUES (?, ?, ?)`,
+    [hashToken(token), targetType, targetId]
+  );
+  return token;
+}
+
+// token -> { target_type, target_id } or null
+async function lookup(token) {
+  if (!TOKEN_FORMAT.test(String(token || ''))) return null;
+  return get(`SELECT target_type, target_id FROM tracking_tokens WHERE token_hash = ?`, [hashToken(token)]);
+}
+
+async function timeline(targetType, targetId) {
+  return all(
+    `SELECT status, created_at AS at FROM status_history
+     WHERE target_type = ? AND target_id = ? ORDER BY created_at, id`, [targetType, targetId]
+  );
+}
+
+// What the submitter sees: status, timeline, staff note and their own contact details
+async function view({ target_type, target_id }) {
+  if (target_type === 'item') {
+    const item = await get(`SELECT * FROM items WHERE id = ?`, [target_id]);
+    if (!item) return null;
+    return {
+      type: 'item',
+      id: item.id,
+      title: item.title,
+      status: item.status,
+      submitted_at: item.created_at,
+      timeline: await timeline('item', item.id),
+      staff_message: item.staff_message,
+      staff_message_at: item.staff_message_at,
+      contact: { name: item.reporter_name, email: item.reporter_email },
+      can_update_contact: !item.purged_at,
+      can_withdraw: false
+    };
+  }
+
+  const claim = await get(
+    `SELECT c.*, i.title AS item_title, i.purged_at FROM claims c JOIN items i ON i.id = c.item_id WHERE c.id = ?`,
+    [target_id]
+  );
+  if (!claim) return null;
+  return {
+    type: 'claim',
+    id: claim.id,
+    title: claim.item_title,
+    item_id: claim.item_id,
+    status: claim.status,
+    submitted_at: claim.created_at,
+    timeline: await timeline('claim', claim.id),
+    decision_reason: claim.status === 'rejected' ? claim.decision_reason : null,
+    pickup_at: claim.pickup_at,
+    staff_message: claim.staff_message,
+    staff_message_at: claim.staff_message_at,
+    unread_messages: await messages.unreadCount(claim.id, 'claimant'),
+    can_message: !claim.purged_at && !messages.CLOSED_FOR_CLAIMANT.includes(claim.status),
+    contact: { name: claim.claimant_name, email: claim.claimant_email },
+    can_update_contact: !claim.purged_at && !['resolved', 'withdrawn'].includes(claim.status),
+    can_withdraw: WITHDRAWABLE.includes(claim.status)
+  };
+}
+
+async function withdraw(req, target) {
+  if (target.target_type !== 'claim') throw new ActionError(400, 'Only claims can be withdrawn');
+  const id = target.target_id;
+  await transaction(async () => {
+    const before = await get(`SELECT * FROM claims WHERE id = ?`, [id]);
+    if (before.status === 'approved') {
+      throw new ActionError(409, 'Your claim has been approved; send the office a message if you no longer want the item');
+    }
+    if (!WITHDRAWABLE.includes(before.status)) throw new ActionError(409, `Claim is already ${before.status}`);
+    await run(`UPDATE claims SET status = 'withdrawn' WHERE id = ?`, [id]);
+    await notifications.notifyClaim(id);
+    await audit.record(req, {
+      action: 'claim.withdraw', targetType: 'claim', targetId: id, actor: SUBMITTER,
+      before: { status: before.status }, after: { status: 'withdrawn' }
+    });
+  });
+}
+
+// { name, email } -> updates reporter_* (items) or claimant_* (claims)
+async function updateContact(req, target, { name, email }) {
+  if (!name || !email) throw new ActionError(400, 'Name and email are required');
+  if (!/^[^@\s]+@[^@\s]+$/.test(email)) throw new ActionError(400, 'Enter a valid email address');
+  const current = await view(target);
+  if (!current.can_update_contact) throw new ActionError(409, 'Contact details can no longer be changed');
+
+  if (target.target_type === 'item') {
+    await run(`UPDATE items SET reporter_name = ?, reporter_email = ? WHERE id = ?`, [name, email, target.target_id]);
+  } else {
+    await run(`UPDATE claims SET claimant_name = ?, claimant_email = ? WHERE id = ?`, [name, email, target.target_id]);
+  }
+  // Only which fields changed: the audit log keeps no personal data (audit.js)
+  const changed = ['name', 'email'].filter(f => ({ name, email })[f] !== current.contact[f]);
+  await audit.record(req, {
+    action: `${target.target_type}.contact_update`, targetType: target.target_type, targetId: target.target_id,
+    actor: SUBMITTER, after: { changed }
+  });
+}
+
+// Tokens stop working once the personal data behind them has been purged
+async function revokeForItem(itemId) {
+  await run(
+    `DELETE FROM tracking_tokens
+     WHERE (target_type = 'item' AND target_id = ?)
+        OR (target_type = 'claim' AND target_id IN (SELECT id FROM claims WHERE item_id = ?))`,
+    [itemId, itemId]
+  );
+}
+
+module.exports = { issue, lookup, view, withdraw, updateContact, revokeForItem, trackingUrl };
@@ -0,0 +1,149 @@
+// twofactor.js - TOTP two-factor authentication (RFC 6238: SHA-1, 6 digits, 30 s)
+// as used by standard authenticator apps, plus one-time recovery codes.
+// Everything is computed locally; the QR code is rendered here as an SVG.
+
+const crypto = require('crypto');
+const QRCode = require('qrcode');
+const { run, get } = require('./db');
+
+const ISSUER = process.env.TOTP_ISSUER || 'Lost & Found';
+const PERIOD = 30;
+const DIGITS = 6;
+const DRIFT_STEPS = 1; // accept the previous/next code too (clock drift)
+const RECOVERY_CODES = 10;
+const BASE32 = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+
+function base32Encode(buffer) {
+  let bits = '';
+  for (const byte of buffer) bits += byte.toString(2).padStart(8, '0');
+  let out = '';
+  for (let i = 0; i < bits.length; i += 5) out += BASE32[parseInt(bits.slice(i, i + 5).padEnd(5, '0'), 2)];
+  return out;
+}
+
+function base32Decode(text) {
+  const clean = String(text).toUpperCase().replace(/[\s=-]/g, '');
+  let bits = '';
+  for (const ch of clean) {
+    const v = BASE32.indexOf(ch);
+    if (v < 0) throw new Error('Invalid base32');
+    bits += v.toString(2).padStart(5, '0');
+  }
+  const bytes = [];
+  for (let i = 0; i + 8 <= bits.length; i += 8) bytes.push(parseInt(bits.slice(i, i + 8), 2));
+  return Buffer.from(bytes);
+}
+
+// HOTP value for one counter step (RFC 4226 dynamic truncation)
+function codeAt(secret, counter) {
+  const msg = Buffer.alloc(8);
+  msg.writeBigUInt64BE(BigInt(counter));
+  const hmac = crypto.createHmac('sha1', base32Decode(secret)).update(msg).digest();
+  const offset = hmac[hmac.length - 1] & 0x0f;
+  const value = (hmac.readUInt32BE(offset) & 0x7fffffff) % 10 ** DIGITS;
+  return String(value).padStart(DIGITS, '0');
+}
+
+const counterAt = (time = Date.now()) => Math.floor(time / 1000 / PERIOD);
+
+// Returns the matching counter step, or null. Steps at or before `lastCounter`
+// are refused so an observed code can't be replayed.
+function verifyCode(secret, code, { lastCounter = null, time = Date.now() } = {}) {
+  const given = String(code || '').replace(/\s/g, '');
+  if (!/^\d{6}$/.test(given)) return null;
+  const now = counterAt(time);
+  for (let step = now - DRIFT_STEPS; step <= now + DRIFT_STEPS; step++) {
+    if (lastCounter !== null && step <= lastCounter) continue;
+    if (crypto.timingSafeEqual(Buffer.from(codeAt(secret, step)), Buffer.from(given))) return step;
+  }
+  return null;
+}
+
+function generateSecret() {
+  return base32Encode(crypto.randomBytes(20));
+}
+
+// What the dashboard shows while enrolling: the secret for manual entry and a QR code of the otpauth:// URL
+async function enrollment(username, secret) {
+  const label = encodeURIComponent(`${ISSUER}:${username}`);
+  const otpauth_url = `otpauth://totp/${label}?secret=${secret}&issuer=${encodeURIComponent(ISSUER)}` +
+    `&algorithm=SHA1&digits=${DIGITS}&period=${PERIOD}`;
+  const svg = await QRCode.toString(otpauth_url, { type: 'svg', margin: 1 });
+  return { secret, otpauth_url, qr_code: `data:image/svg+xml;base64,${Buffer.from(svg).toString('base64')}` };
+}
+
+// --- Recovery codes (stored hashed; each works once) ---
+
+const hashRecoveryCode = (code) => crypto.createHash('sha256')
+  .update(String(code).toLowerCase().replace(/[^a-z0-9]/g, '')).digest('hex');
+
+// Replaces any previous codes; returns the new plain codes (shown once)
+async function newRecoveryCodes(userId) {
+  const codes = Array.from({ length: RECOVERY_CODES }, () => {
+    const hex = crypto.randomBytes(5).toString('hex');
+    return `${hex.slice(0, 5)}-${hex.slice(5)}`;
+  });
+  await run(`DELETE FROM recovery_codes WHERE user_id = ?`, [userId]);
+  for (const code of codes) {
+    await run(`INSERT INTO recovery_codes (user_id, code_hash) VALUES (?, ?)`, [userId, hashRecoveryCode(code)]);
+  }
+  return codes;
+}
+
+// true when `code` was an unused recovery code for this user (it is now used up)
+async function useRecoveryCode(userId, code) {
+  const result = await run(
+    `UPDATE recovery_codes SET used_at = CURRENT_TIMESTAMP WHERE user_id = ? AND code_hash = ? AND used_at IS NULL`,
+    [userId, hashRecoveryCode(code)]
+  );
+  return result.changes === 1;
+}
+
+async function recoveryCodesLeft(userId) {
+  const row = await get(`SELECT COUNT(*) AS n FROM recovery_codes WHERE user_id = ? AND used_at IS NULL`, [userId]);
+  return row.n;
+}
+
+// --- Account state ---
+
+// Turn 2FA on with a secret the user has proven they can generate codes for
+async function enable(userId, secret, counter) {
+  await run(
+    `UPDATE users SET totp_secret = ?, totp_enabled = 1, totp_last_counter = ? WHERE id = ?`,
+    [secret, counter, userId]
+  );
+  return newRecoveryCodes(userId);
+}
+
+// Used for the user's own "turn off" and for an admin reset
+async function disable(userId) {
+  await run(`UPDATE users SET totp_secret = NULL, totp_enabled = 0, totp_last_counter = NULL WHERE id = ?`, [userId]);
+  await run(`DELETE FROM recovery_codes WHERE user_id = ?`, [userId]);
+}
+
+// Second sign-in step: a current authenticator code or an unused recovery code.
+// Returns 'totp' | 'recovery_code' | null.
+async function verifyLogin(user, { code, recovery_code }) {
+  if (recovery_code) return (await useRecoveryCode(user.id, recovery_code)) ? 'recovery_code' : null;
+  const step = verifyCode(user.totp_secret, code, { lastCounter: user.totp_last_counter });
+  if (step === null) return null;
+  // Conditional, so of two sign-ins racing with the same code only one gets to use it
+  const result = await run(
+    `UPDATE users SET totp_last_counter = ? WHERE id = ? AND (totp_last_counter IS NULL OR totp_last_counter < ?)`,
+    [step, user.id, step]
+  );
+  return result.changes === 1 ? 'totp' : null;
+}
+
+async function status(userId) {
+  const user = await get(`SELECT totp_enabled, totp_required FROM users WHERE id = ?`, [userId]);
+  return {
+    enabled: !!user.totp_enabled,
+    required: !!user.totp_required,
+    recovery_codes_left: user.totp_enabled ? await recoveryCodesLeft(userId) : 0
+  };
+}
+
+module.exports = {
+  generateSecret, enrollment, verifyCode, enable, disable, verifyLogin, newRecoveryCodes, status
+};
@@ -0,0 +1,119 @@
+// verification.js - Claim verification against an item's hidden identifying details,
+// plus the approve / hand-off transitions that must stay consistent across claims.
+
+const { run, get, all, transaction } = require('./db');
+
+const REJECTED_BY_APPROVAL = 'Another claim for this item was approved';
+
+// Filler that a natural sentence adds ("it's a blue one") without saying anything
+const FILLER = new Set(['a', 'an', 'the', 'it', 'its', 's', 'is', 'was', 'has', 'had', 'my', 'i', 'of', 'on', 'in', 'with', 'and', 'one']);
+
+// An answer made only of filler words (an expected answer of "I") keeps them
+function words(text) {
+  const tokens = String(text || '').toLowerCase().match(/[\p{L}\p{N}]+/gu) || [];
+  const meaningful = tokens.filter(w => !FILLER.has(w));
+  return meaningful.length ? meaningful : tokens;
+}
+
+// 0-100: F1 of the word overlap. Recall alone (share of the expected words given) let an
+// answer listing every colour and brand score 100; precision counts the extra words against it.
+function scoreAnswer(expected, given) {
+  const want = new Set(words(expected));
+  const have = new Set(words(given));
+  if (!want.size || !have.size) return 0;
+  const hits = [...want].filter(w => have.has(w)).length;
+  if (!hits) return 0;
+  const recall = hits / want.size;
+  const precision = hits / have.size;
+  return Math.round((2 * precision * recall) / (precision + recall) * 100);
+}
+
+// Public view of the questions (never the answers)
+function questionsFor(itemId) {
+  return all(`SELECT id, question FROM item_secrets WHERE item_id = ? ORDER BY id`, [itemId]);
+}
+
+// Store a claim's answers and its overall score (unanswered questions count as 0).
+// `answers` maps secret id -> answer text.
+async function scoreClaim(claimId, itemId, answers) {
+  const secrets = await all(`SELECT * FROM item_secrets WHERE item_id = ?`, [itemId]);
+  if (!secrets.length) return null;
+
+  let total = 0;
+  for (const secret of secrets) {
+    const given = String(answers[secret.id] || '').slice(0, 300).trim();
+    const score = given ? scoreAnswer(secret.answer, given) : 0;
+    total += score;
+    if (given) {
+      await run(
+        `INSERT INTO claim_answers (claim_id, secret_id, answer, score) VALUES (?, ?, ?, ?)`,
+        [claimId, secret.id, given, score]
+      );
+    }
+  }
+  const overall = Math.round(total / secrets.length);
+  await run(`UPDATE claims SET verification_score = ? WHERE id = ?`, [overall, claimId]);
+  return overall;
+}
+
+// Staff view: each question with the expected and the given answer
+async function answersFor(claim) {
+  return all(
+    `SELECT s.id as secret_id, s.question, s.answer as expected, a.answer, a.score
+     FROM item_secrets s
+     LEFT JOIN claim_answers a ON a.secret_id = s.id AND a.claim_id = ?
+     WHERE s.item_id = ?
+     ORDER BY s.id`, [claim.id, claim.item_id]
+  );
+}
+
+class ClaimConflictError extends Error {}
+
+// Approve one claim; every other open claim on the item is rejected with a reason.
+// Returns the ids of the auto-rejected claims.
+function approveClaim(claimId) {
+  return transaction(async () => {
+    const claim = await get(`SELECT * FROM claims WHERE id = ?`, [claimId]);
+    const item = await get(`SELECT status FROM items WHERE id = ?`, [claim.item_id]);
+    if (['claimed', 'archived'].includes(item.status)) {
+      throw new ClaimConflictError(`Item is already ${item.status}`);
+    }
+    const other = await get(
+      `SELECT id FROM claims WHERE item_id = ? AND id != ? AND status IN ('approved', 'resolved')`,
+      [claim.item_id, claimId]
+    );
+    if (other) throw new ClaimConflictError(`Claim #${other.id} is already approved for this item`);
+
+    const losers = await all(
+      `SELECT id FROM claims WHERE item_id = ? AND id != ? AND status IN ('new', 'in_review')`,
+      [claim.item_id, claimId]
+    );
+    await run(`UPDATE claims SET status = 'approved', decision_reason = NULL WHERE id = ?`, [claimId]);
+    if (losers.length) {
+      await run(
+        `UPDATE claims SET status = 'rejected', decision_reason = ?
+         WHERE id IN (${losers.map(() => '?').join(',')})`,
+        [REJECTED_BY_APPROVAL, ...losers.map(l => l.id)]
+      );
+    }
+    return losers.map(l => l.id);
+  });
+}
+
+// Record the physical hand-off and flip the item to claimed in one step
+function resolveClaim(claimId, { staffId, idChecked, pickupAt }) {
+  return transaction(async () => {
+    const claim = await get(`SELECT * FROM claims WHERE id = ?`, [claimId]);
+    if (claim.status !== 'approved') throw new ClaimConflictError('Only approved claims can be handed off');
+
+    await run(
+      `UPDATE claims SET status = 'resolved', pickup_at = ?, handed_off_by = ?, id_checked = ? WHERE id = ?`,
+      [pickupAt, staffId, idChecked, claimId]
+    );
+    await run(`UPDATE items SET status = 'claimed', claimed_at = ? WHERE id = ?`, [pickupAt, claim.item_id]);
+  });
+}
+
+module.exports = {
+  scoreAnswer, questionsFor, scoreClaim, answersFor, approveClaim, resolveClaim, ClaimConflictError
+};
@@ -1,14 +1,17 @@
 /**
  * FBLA 2025-2026 Website Coding & Development Project
  * School Lost and Found Website
- * 
+ *
  * This script handles all client-side logic:
- * 1.  Manages a simulated database using browser localStorage.
- * 2.  Handles the 'Report Found Item' form submission.
+ * 1.  Talks to the server's REST API (see server/server.js) for all item data.
+ * 2.  Handles the 'Report Found Item' form submission, queueing reports
+ *     made without a connection and sending them once it comes back.
  * 3.  Dynamically renders items on the 'Browse Items' page.
  * 4.  Implements search and filter functionality.
- * 5.  Populates and manages the 'Admin Panel'.
- * 
+ * 5.  Lets students claim an item through an in-page claim form.
+ * 6.  Populates and manages the 'Admin Panel' (items, claims and categories) behind an admin login.
+ * 7.  Exports items saved in this browser by the localStorage-only pilot.
+ *
  * The code is structured to run based on the current page,
  * preventing errors and improving organization.
  */
@@ -18,6 +21,10 @@ document.addEventListener('DOMContentLoaded', () => {
     // and calls the appropriate function to initialize its specific logic.
     const page = window.location.pathname.split("/").pop();
 
+    // Any page can send reports that were saved while offline
+    flushReportQueue();
+    window.addEventListener('online', flushReportQueue);
+
     if (page === 'report.html' || page === 'report') {
         initReportPage();
     }
@@ -31,23 +38,287 @@ document.addEventListener('DOMContentLoaded', () => {
 });
 
 
-// --- Database Simulation using localStorage ---
+// --- Data Layer (REST API) ---
+
+/**
+ * An error answered by the server (as opposed to the network being down).
+ */
+class ApiError extends Error {
+    /**
+     * @param {number} status - The HTTP status code.
+     * @param {string} message - The server's explanation.
+     */
+    constructor(status, message) {
+        super(message);
+        this.status = status;
+    }
+}
+
+/**
+ * Sends a request to the API and returns the parsed JSON reply.
+ * Network failures reject with a TypeError (from fetch); error replies with an ApiError.
+ * @param {string} path - The path below /api, e.g. '/items'.
+ * @param {Object} [options] - fetch options; a plain object `body` is sent as JSON.
+ * @returns {Promise<Object>} The response body.
+ */
+const apiRequest = async (path, options = {}) => {
+    const init = { credentials: 'same-origin', ...options };
+    if (init.body && !(init.body instanceof FormData)) {
+        init.headers = { 'Content-Type': 'application/json', ...init.headers };
+        init.body = JSON.stringify(init.body);
+    }
+    const response = await fetch(`/api${path}`, init);
+    const data = await response.json().catch(() => ({}));
+    if (!response.ok) {
+        throw new ApiError(response.status, data.error || 'Something went wrong. Please try again.');
+    }
+    return data;
+};
+
+/**
+ * Retrieves the approved items everyone can see.
+ * @returns {Promise<Array>} An array of item objects.
+ */
+const getItems = async () => (await apiRequest('/items')).items;
+
+/**
+ * Retrieves every item, including pending ones (admins only).
+ * @returns {Promise<Array>} An array of item objects.
+ */
+const getAdminItems = async () => (await apiRequest('/admin/items')).items;
+
+/**
+ * Submits a new found-item report.
+ * @param {FormData} formData - name, category, location, date, description and photo.
+ * @returns {Promise<Object>} The created (pending) item.
+ */
+const submitItem = async (formData) => (await apiRequest('/items', { method: 'POST', body: formData })).item;
+
+/**
+ * Submits a claim for an approved item.
+ * @param {number|string} itemId - The item being claimed.
+ * @param {FormData} formData - name, email, studentId, details and an optional proof photo.
+ * @returns {Promise<Object>} The new claim ({ id, status }).
+ */
+const submitClaim = async (itemId, formData) =>
+    (await apiRequest(`/items/${itemId}/claims`, { method: 'POST', body: formData })).claim;
+
+/**
+ * Retrieves every claim with its item (admins only).
+ * @returns {Promise<Array>} An array of claim objects.
+ */
+const getAdminClaims = async () => (await apiRequest('/admin/claims')).claims;
+
+const CATEGORIES_KEY = 'lostAndFoundCategories';
+
+/**
+ * Retrieves the categories students can pick, in display order. The last list
+ * is kept on this device so the report form still works offline.
+ * @returns {Promise<Array>} Category objects ({ slug, label }).
+ */
+const getCategories = async () => {
+    try {
+        const { categories } = await apiRequest('/taxonomy');
+        localStorage.setItem(CATEGORIES_KEY, JSON.stringify(categories));
+        return categories;
+    } catch (err) {
+        const saved = localStorage.getItem(CATEGORIES_KEY);
+        if (saved) return JSON.parse(saved);
+        throw err;
+    }
+};
 
 /**
- * Retrieves all items from localStorage.
- * @returns {Array} An array of item objects, or an empty array if none exist.
+ * Adds the category list to a <select>, after the options already in it ("All Categories").
+ * @param {HTMLSelectElement} select - The select to fill.
+ * @returns {Promise<void>} Rejects if the list can't be loaded.
  */
-const getItems = () => {
-    const items = localStorage.getItem('lostAndFoundItems');
-    return items ? JSON.parse(items) : [];
+const fillCategorySelect = async (select) => {
+    const categories = await getCategories();
+    categories.forEach(({ slug, label }) => select.add(new Option(label, slug)));
 };
 
 /**
- * Saves an array of items to localStorage.
- * @param {Array} items - The array of item objects to save.
+ * Escapes text for use inside HTML, since items now come from other people's devices.
+ * @param {*} value - The value to escape.
+ * @returns {string} Safe HTML text.
+ */
+const escapeHtml = (value) => String(value ?? '').replace(/[&<>"']/g, (ch) => ({
+    '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;'
+}[ch]));
+
+
+// --- Offline Report Queue ---
+
+const QUEUE_KEY = 'lostAndFoundReportQueue';
+const QUEUE_LEASE_KEY = 'lostAndFoundReportQueueLease';
+const QUEUE_LEASE_MS = 60000;
+
+/**
+ * Reports saved while offline, oldest first.
+ * @returns {Array} Objects with the form fields and the photo as a data URL.
  */
-const saveItems = (items) => {
-    localStorage.setItem('lostAndFoundItems', JSON.stringify(items));
+const getQueuedReports = () => {
+    const queued = localStorage.getItem(QUEUE_KEY);
+    return queued ? JSON.parse(queued) : [];
+};
+
+/**
+ * Saves the offline queue to localStorage.
+ * @param {Array} reports - The queued reports.
+ */
+const saveQueuedReports = (reports) => {
+    if (reports.length) localStorage.setItem(QUEUE_KEY, JSON.stringify(reports));
+    else localStorage.removeItem(QUEUE_KEY);
+};
+
+/**
+ * Reads a file into a data URL so it can be kept in localStorage.
+ * @param {File} file - The photo.
+ * @returns {Promise<string>} The data URL.
+ */
+const readAsDataUrl = (file) => new Promise((resolve, reject) => {
+    const reader = new FileReader();
+    reader.onloadend = () => (reader.error ? reject(reader.error) : resolve(reader.result));
+    reader.readAsDataURL(file);
+});
+
+/**
+ * Keeps a report that couldn't be sent so it can be retried later.
+ * @param {Object} fields - The text fields of the report.
+ * @param {File} photo - The photo file.
+ * @returns {Promise<void>} Rejects if the browser's storage is full.
+ */
+const queueReport = async (fields, photo) => {
+    const entry = {
+        ...fields,
+        photo: await readAsDataUrl(photo),
+        photoName: photo.name,
+        id: `${Date.now()}-${Math.random().toString(36).slice(2)}`,
+        queuedAt: Date.now(),
+    };
+    // Read again after the photo is loaded, in case another tab changed the queue meanwhile
+    saveQueuedReports([...getQueuedReports(), entry]);
+};
+
+/**
+ * Identifies a queued report (reports queued before ids were added use their time).
+ * @param {Object} report - The queued report.
+ * @returns {string|number} Its id.
+ */
+const queuedReportId = (report) => report.id || report.queuedAt;
+
+/**
+ * Removes one report from a fresh read of the queue, so reports another tab
+ * queued in the meantime are kept.
+ * @param {Object} report - The report to remove.
+ */
+const removeQueuedReport = (report) => {
+    saveQueuedReports(getQueuedReports().filter((r) => queuedReportId(r) !== queuedReportId(report)));
+};
+
+/**
+ * Runs a function while holding the queue lock, so only one tab sends the queue.
+ * Uses the Web Locks API, or a lease in localStorage where it isn't available
+ * (e.g. pages served over plain http).
+ * @param {Function} fn - Async function; receives a callback that extends the lease.
+ * @returns {Promise<*>} What fn returned, or null if another tab holds the lock.
+ */
+const withQueueLock = async (fn) => {
+    if (navigator.locks) {
+        return navigator.locks.request(QUEUE_KEY, { ifAvailable: true }, (lock) => (lock ? fn(() => {}) : null));
+    }
+    const owner = `${Date.now()}-${Math.random().toString(36).slice(2)}`;
+    const lease = JSON.parse(localStorage.getItem(QUEUE_LEASE_KEY) || 'null');
+    if (lease && lease.until > Date.now()) return null;
+    const renew = () => localStorage.setItem(QUEUE_LEASE_KEY, JSON.stringify({ owner, until: Date.now() + QUEUE_LEASE_MS }));
+    renew();
+    // Two tabs can both see an expired lease; only the last one to write it goes ahead
+    await new Promise((resolve) => setTimeout(resolve, 50));
+    if (JSON.parse(localStorage.getItem(QUEUE_LEASE_KEY) || 'null')?.owner !== owner) return null;
+    try {
+        return await fn(renew);
+    } finally {
+        if (JSON.parse(localStorage.getItem(QUEUE_LEASE_KEY) || 'null')?.owner === owner) {
+            localStorage.removeItem(QUEUE_LEASE_KEY);
+        }
+    }
+};
+
+/**
+ * Builds the multipart body the API expects.
+ * @param {Object} fields - The text fields.
+ * @param {Blob} photo - The photo.
+ * @param {string} photoName - The photo's file name.
+ * @returns {FormData} The form data.
+ */
+const buildReportForm = (fields, photo, photoName) => {
+    const formData = new FormData();
+    ['name', 'category', 'location', 'date', 'description'].forEach((key) => formData.append(key, fields[key]));
+    formData.append('photo', photo, photoName);
+    return formData;
+};
+
+/**
+ * Sends queued reports, stopping at the first network failure, 429 or 5xx reply.
+ * Reports the server refuses with any other 4xx (e.g. invalid) are dropped so
+ * they don't block the rest, and listed in a notice. Only one tab sends at a time.
+ * @returns {Promise<number>} How many reports were sent.
+ */
+const flushReportQueue = async () => {
+    if (!navigator.onLine || !getQueuedReports().length) return 0;
+    const result = await withQueueLock(async (renewLease) => {
+        let sent = 0;
+        const discarded = [];
+        let report;
+        while ((report = getQueuedReports()[0])) {
+            renewLease();
+            try {
+                const photo = await (await fetch(report.photo)).blob();
+                await submitItem(buildReportForm(report, photo, report.photoName));
+                sent++;
+            } catch (err) {
+                // Offline, rate-limited or a server error: keep the report and try again later
+                if (!(err instanceof ApiError) || err.status === 429 || err.status >= 500) break;
+                discarded.push(`${report.name || 'Untitled'} (${err.message})`);
+            }
+            removeQueuedReport(report);
+        }
+        return { sent, discarded };
+    });
+    if (!result) return 0;
+    const { sent, discarded } = result;
+    if (sent) showQueueNotice(`${sent} report${sent === 1 ? '' : 's'} saved while offline ${sent === 1 ? 'has' : 'have'} now been submitted.`);
+    if (discarded.length) {
+        showQueueNotice(`The server didn't accept ${discarded.length === 1 ? 'this report' : 'these reports'} saved while offline, `
+            + `so ${discarded.length === 1 ? 'it was' : 'they were'} removed: ${discarded.join('; ')}. Please report again.`, true);
+    }
+    return sent;
+};
+
+/**
+ * Shows a notice at the top of the page (used after the queue is sent).
+ * @param {string} text - The message.
+ * @param {boolean} [isError] - Styles it as an error and keeps it until dismissed.
+ */
+const showQueueNotice = (text, isError = false) => {
+    const main = document.querySelector('main .container');
+    if (!main) return;
+    const notice = document.createElement('div');
+    notice.className = isError ? 'error-message' : 'success-message';
+    notice.setAttribute('role', isError ? 'alert' : 'status');
+    notice.textContent = text;
+    if (isError) {
+        const dismiss = document.createElement('button');
+        dismiss.type = 'button';
+        dismiss.className = 'btn';
+        dismiss.textContent = 'Dismiss';
+        dismiss.addEventListener('click', () => notice.remove());
+        notice.append(' ', dismiss);
+    } else {
+        setTimeout(() => notice.remove(), 6000);
+    }
+    main.prepend(notice);
 };
 
 
@@ -62,74 +333,104 @@ const initReportPage = () => {
     if (!reportForm) return;
 
     reportForm.addEventListener('submit', handleReportSubmit);
+    fillCategorySelect(reportForm.itemCategory).catch(() => {
+        showReportMessage('The category list could not be loaded. Please check your connection and refresh the page.', true);
+    });
+};
+
+/**
+ * Shows the result of a submission under the form.
+ * @param {string} text - The message to show.
+ * @param {boolean} [isError] - Styles it as an error and keeps it visible.
+ */
+const showReportMessage = (text, isError = false) => {
+    const message = document.getElementById('success-message');
+    message.querySelector('p').textContent = text;
+    message.classList.toggle('error-message', isError);
+    message.style.display = 'block';
+    clearTimeout(showReportMessage.timer);
+    if (!isError) {
+        showReportMessage.timer = setTimeout(() => {
+            message.style.display = 'none';
+        }, 5000);
+    }
 };
 
 /**
  * Handles the submission of the report form.
+ * Without a connection the report is queued on this device and sent later.
  * @param {Event} e - The form submission event.
  */
-const handleReportSubmit = (e) => {
+const handleReportSubmit = async (e) => {
     e.preventDefault(); // Prevent the form from actually submitting
 
     const form = e.target;
-    const itemName = form.itemName.value;
-    const itemCategory = form.itemCategory.value;
-    const locationFound = form.locationFound.value;
-    const dateFound = form.dateFound.value;
-    const itemDescription = form.itemDescription.value;
+    const submitButton = form.querySelector('button[type="submit"]');
+    const fields = {
+        name: form.itemName.value,
+        category: form.itemCategory.value,
+        location: form.locationFound.value,
+        date: form.dateFound.value,
+        description: form.itemDescription.value
+    };
     const itemPhoto = form.itemPhoto.files[0];
 
-    // Use FileReader to convert the image to a Base64 string for storage
-    const reader = new FileReader();
-    reader.onloadend = () => {
-        const newItem = {
-            id: Date.now(), // Unique ID based on timestamp
-            name: itemName,
-            category: itemCategory,
-            location: locationFound,
-            date: dateFound,
-            description: itemDescription,
-            photo: reader.result, // The Base64 string of the image
-            status: 'pending' // All new items need admin approval
-        };
-
-        const items = getItems();
-        items.push(newItem);
-        saveItems(items);
-
-        // Show success message and reset the form
+    submitButton.disabled = true;
+    try {
+        if (!navigator.onLine) throw new TypeError('offline');
+        await submitItem(buildReportForm(fields, itemPhoto, itemPhoto.name));
         form.reset();
-        const successMessage = document.getElementById('success-message');
-        successMessage.style.display = 'block';
-        setTimeout(() => {
-            successMessage.style.display = 'none';
-        }, 3000);
-    };
-
-    if (itemPhoto) {
-        reader.readAsDataURL(itemPhoto);
+        showReportMessage('Thank you! Your report has been submitted for review.');
+    } catch (err) {
+        if (err instanceof ApiError) {
+            showReportMessage(err.message, true);
+            return;
+        }
+        // Network failure: keep the report on this device until we're back online
+        try {
+            await queueReport(fields, itemPhoto);
+            form.reset();
+            showReportMessage("You're offline, so your report was saved on this device. It will be sent automatically once you're back online.");
+        } catch (storageErr) {
+            showReportMessage("You're offline and this device has no room to save the report. Please try again when you're connected.", true);
+        }
+    } finally {
+        submitButton.disabled = false;
     }
 };
 
 
 // --- Browse Page Logic ---
 
+let browseItems = [];
+
 /**
  * Initializes the 'Browse Items' page.
  * Fetches items and sets up filter/search event listeners.
  */
-const initBrowsePage = () => {
+const initBrowsePage = async () => {
     const searchBar = document.getElementById('search-bar');
     const categoryFilter = document.getElementById('category-filter');
+    const itemGrid = document.getElementById('item-grid');
+    if (!itemGrid) return;
 
     if (searchBar) {
         searchBar.addEventListener('keyup', renderBrowseItems);
     }
     if (categoryFilter) {
         categoryFilter.addEventListener('change', renderBrowseItems);
+        fillCategorySelect(categoryFilter).catch(() => {}); // the items still show, just unfiltered
     }
 
-    // Initial render of items when the page loads
+    // Load once; searching and filtering then happen instantly in the browser
+    try {
+        browseItems = await getItems();
+    } catch (err) {
+        const noItemsMessage = document.getElementById('no-items-message');
+        noItemsMessage.textContent = 'Items could not be loaded right now. Please check your connection and refresh the page.';
+        noItemsMessage.style.display = 'block';
+        return;
+    }
     renderBrowseItems();
 };
 
@@ -139,15 +440,14 @@ const initBrowsePage = () => {
 const renderBrowseItems = () => {
     const itemGrid = document.getElementById('item-grid');
     if (!itemGrid) return;
-    
-    const allItems = getItems();
-    // Only show items that have been approved by an admin
-    let approvedItems = allItems.filter(item => item.status === 'approved');
+
+    // The server only sends items that have been approved by an admin
+    let approvedItems = browseItems;
 
     // Apply search filter
     const searchTerm = document.getElementById('search-bar')?.value.toLowerCase() || '';
     if (searchTerm) {
-        approvedItems = approvedItems.filter(item => 
+        approvedItems = approvedItems.filter(item =>
             item.name.toLowerCase().includes(searchTerm) ||
             item.description.toLowerCase().includes(searchTerm)
         );
@@ -161,7 +461,7 @@ const renderBrowseItems = () => {
 
     // Clear the current grid
     itemGrid.innerHTML = '';
-    
+
     // Display a message if no items are found
     const noItemsMessage = document.getElementById('no-items-message');
     if (approvedItems.length === 0) {
@@ -184,25 +484,74 @@ const createItemCard = (item) => {
     const card = document.createElement('div');
     card.className = 'item-card';
     card.innerHTML = `
-        <img src="${item.photo}" alt="${item.name}">
-        <h3>${item.name}</h3>
-        <p class="category-tag">${item.category}</p>
-        <p><strong>Found at:</strong> ${item.location}</p>
-        <p><strong>Date Found:</strong> ${item.date}</p>
-        <p>${item.description}</p>
-        <button class="btn btn-secondary" onclick="handleClaimItem('${item.name}')">Claim Item / Inquire</button>
+        <img src="${escapeHtml(item.photo)}" alt="${escapeHtml(item.name)}">
+        <h3>${escapeHtml(item.name)}</h3>
+        <p class="category-tag">${escapeHtml(item.categoryLabel)}</p>
+        <p><strong>Found at:</strong> ${escapeHtml(item.location)}</p>
+        <p><strong>Date Found:</strong> ${escapeHtml(item.date)}</p>
+        <p>${escapeHtml(item.description)}</p>
+        <button class="btn btn-secondary">Claim Item / Inquire</button>
     `;
+    card.querySelector('button').addEventListener('click', () => handleClaimItem(item));
     return card;
 };
 
+
+// --- Claim Dialog ---
+
 /**
- * Handles the claim/inquiry button click.
- * This is a simple implementation using an alert, as required.
- * A more complex version could open a modal with a form.
- * @param {string} itemName - The name of the item being claimed.
+ * Handles the claim/inquiry button click by opening the claim form for the item.
+ * @param {Object} item - The item being claimed.
  */
-window.handleClaimItem = (itemName) => {
-    alert(`To claim the "${itemName}", please visit the main office with your student ID and be prepared to describe the item in more detail. Thank you!`);
+window.handleClaimItem = (item) => {
+    const dialog = document.getElementById('claim-dialog');
+    const form = document.getElementById('claim-form');
+    if (!dialog || !form) return;
+
+    if (!dialog.dataset.ready) {
+        form.addEventListener('submit', handleClaimSubmit);
+        document.getElementById('claim-cancel').addEventListener('click', () => dialog.close());
+        document.getElementById('claim-done').addEventListener('click', () => dialog.close());
+        dialog.dataset.ready = 'true';
+    }
+
+    form.reset();
+    form.itemId.value = item.id;
+    document.getElementById('claim-item-name').textContent = item.name;
+    document.getElementById('claim-error').style.display = 'none';
+    document.getElementById('claim-success').style.display = 'none';
+    form.style.display = 'block';
+    dialog.showModal();
+};
+
+/**
+ * Sends the claim form and shows the claim's reference number.
+ * @param {Event} e - The form submission event.
+ */
+const handleClaimSubmit = async (e) => {
+    e.preventDefault();
+    const form = e.target;
+    const error = document.getElementById('claim-error');
+    const submitButton = form.querySelector('button[type="submit"]');
+    const formData = new FormData(form);
+    formData.delete('itemId');
+    if (!form.proof.files.length) formData.delete('proof');
+
+    submitButton.disabled = true;
+    error.style.display = 'none';
+    try {
+        const claim = await submitClaim(form.itemId.value, formData);
+        const success = document.getElementById('claim-success');
+        success.querySelector('p').textContent =
+            `Thank you! Your claim (reference #${claim.id}) has been sent. The office will check it and email you about picking up your item.`;
+        form.style.display = 'none';
+        success.style.display = 'block';
+    } catch (err) {
+        error.textContent = err instanceof ApiError ? err.message : 'Could not reach the server. Please check your connection and try again.';
+        error.style.display = 'block';
+    } finally {
+        submitButton.disabled = false;
+    }
 };
 
 
@@ -210,20 +559,108 @@ window.handleClaimItem = (itemName) => {
 
 /**
  * Initializes the Admin page.
- * Fetches all items and renders the management table.
+ * Shows the login form, or the management table if already signed in.
+ * The pilot data export is available either way.
+ */
+const initAdminPage = async () => {
+    // The pilot export only reads this browser's storage, so it works signed out and offline
+    const exportButton = document.getElementById('legacy-export');
+    if (exportButton) exportButton.addEventListener('click', exportLegacyItems);
+
+    const loginForm = document.getElementById('admin-login-form');
+    const logoutButton = document.getElementById('admin-logout');
+    const tableBody = document.getElementById('admin-table-body');
+    if (!loginForm || !tableBody) return;
+
+    loginForm.addEventListener('submit', handleAdminLogin);
+    logoutButton.addEventListener('click', handleAdminLogout);
+    addAdminButtonListeners();
+    addClaimButtonListeners();
+    addCategoryListeners();
+
+    try {
+        const { admin } = await apiRequest('/auth/me');
+        showAdminPanel(admin);
+    } catch (err) {
+        showAdminLogin();
+    }
+};
+
+/**
+ * Shows the login form and hides the management panel.
+ * @param {string} [message] - An error to show above the form.
  */
-const initAdminPage = () => {
+const showAdminLogin = (message = '') => {
+    document.getElementById('admin-login').style.display = 'block';
+    document.getElementById('admin-panel').style.display = 'none';
+    const error = document.getElementById('admin-login-error');
+    error.textContent = message;
+    error.style.display = message ? 'block' : 'none';
+};
+
+/**
+ * Shows the management panel for a signed-in admin.
+ * @param {Object} admin - The signed-in admin ({ username }).
+ */
+const showAdminPanel = (admin) => {
+    document.getElementById('admin-login').style.display = 'none';
+    document.getElementById('admin-panel').style.display = 'block';
+    document.getElementById('admin-username').textContent = admin.username;
     renderAdminTable();
+    renderClaimsTable();
+    renderCategoriesTable();
+};
+
+/**
+ * Handles the admin login form.
+ * @param {Event} e - The form submission event.
+ */
+const handleAdminLogin = async (e) => {
+    e.preventDefault();
+    const form = e.target;
+    try {
+        const { admin } = await apiRequest('/auth/login', {
+            method: 'POST',
+            body: { username: form.username.value, password: form.password.value }
+        });
+        form.reset();
+        showAdminPanel(admin);
+    } catch (err) {
+        showAdminLogin(err instanceof ApiError ? err.message : 'Could not reach the server.');
+    }
+};
+
+/**
+ * Signs the admin out.
+ */
+const handleAdminLogout = async () => {
+    await apiRequest('/auth/logout', { method: 'POST' }).catch(() => {});
+    showAdminLogin();
+};
+
+/**
+ * Runs an admin action; an expired session sends the admin back to the login form.
+ * @param {Function} action - An async function making API calls.
+ * @returns {Promise<void>}
+ */
+const adminAction = async (action) => {
+    try {
+        await action();
+    } catch (err) {
+        if (err instanceof ApiError && err.status === 401) showAdminLogin('Your session has expired. Please log in again.');
+        else alert(err.message || 'Could not reach the server.');
+    }
 };
 
 /**
  * Renders the table of items on the admin page.
  */
-const renderAdminTable = () => {
+const renderAdminTable = () => adminAction(async () => {
     const tableBody = document.getElementById('admin-table-body');
     if (!tableBody) return;
-    
-    const allItems = getItems();
+
+    // The server sorts pending items first
+    const allItems = await getAdminItems();
     tableBody.innerHTML = '';
 
     const noItemsMessage = document.getElementById('no-admin-items-message');
@@ -231,16 +668,13 @@ const renderAdminTable = () => {
         noItemsMessage.style.display = 'block';
     } else {
         noItemsMessage.style.display = 'none';
-        // Sort items to show pending ones first
-        allItems.sort((a, b) => (a.status === 'pending' ? -1 : 1));
-
         allItems.forEach(item => {
             const row = document.createElement('tr');
             row.innerHTML = `
-                <td><img src="${item.photo}" alt="${item.name}"></td>
-                <td>${item.name}</td>
-                <td>${item.date}</td>
-                <td><span class="status-${item.status}">${item.status.charAt(0).toUpperCase() + item.status.slice(1)}</span></td>
+                <td><img src="${escapeHtml(item.photo)}" alt="${escapeHtml(item.name)}"></td>
+                <td>${escapeHtml(item.name)}</td>
+                <td>${escapeHtml(item.date)}</td>
+                <td><span class="status-${escapeHtml(item.status)}">${item.status.charAt(0).toUpperCase() + item.status.slice(1)}</span></td>
                 <td class="admin-actions">
                     ${item.status === 'pending' ? `<button class="btn btn-approve" data-id="${item.id}">Approve</button>` : ''}
                     <button class="btn btn-delete" data-id="${item.id}">Delete</button>
@@ -248,15 +682,12 @@ const renderAdminTable = () => {
             `;
             tableBody.appendChild(row);
         });
-
-        // Add event listeners to the new buttons
-        addAdminButtonListeners();
     }
-};
+});
 
 /**
  * Adds click event listeners to the approve/delete buttons in the admin table.
- * Uses event delegation for efficiency.
+ * Uses event delegation, so it is attached once and covers every re-render.
  */
 const addAdminButtonListeners = () => {
     const tableBody = document.getElementById('admin-table-body');
@@ -282,23 +713,198 @@ const addAdminButtonListeners = () => {
  * @param {number} id - The ID of the item to update.
  * @param {string} newStatus - The new status ('approved').
  */
-const updateItemStatus = (id, newStatus) => {
-    const items = getItems();
-    const itemIndex = items.findIndex(item => item.id === id);
-    if (itemIndex > -1) {
-        items[itemIndex].status = newStatus;
-        saveItems(items);
-        renderAdminTable(); // Re-render the table to show the change
-    }
-};
+const updateItemStatus = (id, newStatus) => adminAction(async () => {
+    await apiRequest(`/admin/items/${id}`, { method: 'PATCH', body: { status: newStatus } });
+    renderAdminTable(); // Re-render the table to show the change
+});
 
 /**
  * Deletes an item from the database.
  * @param {number} id - The ID of the item to delete.
  */
-const deleteItem = (id) => {
-    let items = getItems();
-    items = items.filter(item => item.id !== id);
-    saveItems(items);
+const deleteItem = (id) => adminAction(async () => {
+    await apiRequest(`/admin/items/${id}`, { method: 'DELETE' });
     renderAdminTable(); // Re-render the table
+});
+
+
+// --- Admin Claims ---
+
+const CLAIM_ACTION_LABELS = { reviewing: 'Start Review', accepted: 'Accept', rejected: 'Reject' };
+
+/**
+ * Capitalizes a status for display.
+ * @param {string} status - e.g. 'reviewing'.
+ * @returns {string} e.g. 'Reviewing'.
+ */
+const statusLabel = (status) => status.charAt(0).toUpperCase() + status.slice(1);
+
+/**
+ * Renders the claims table on the admin page.
+ */
+const renderClaimsTable = () => adminAction(async () => {
+    const tableBody = document.getElementById('claims-table-body');
+    if (!tableBody) return;
+
+    const claims = await getAdminClaims();
+    tableBody.innerHTML = '';
+    document.getElementById('no-claims-message').style.display = claims.length ? 'none' : 'block';
+
+    claims.forEach(claim => {
+        const itemClaimed = claim.itemStatus === 'claimed';
+        const actions = claim.nextStatuses;
+        const row = document.createElement('tr');
+        row.innerHTML = `
+            <td>${escapeHtml(claim.itemName)}${itemClaimed ? '<br><span class="status-claimed">Item claimed</span>' : ''}</td>
+            <td>${escapeHtml(claim.name)}<br><a href="mailto:${escapeHtml(claim.email)}">${escapeHtml(claim.email)}</a><br>ID: ${escapeHtml(claim.studentId)}</td>
+            <td>${escapeHtml(claim.details)}</td>
+            <td>${claim.proof ? `<a href="${escapeHtml(claim.proof)}" target="_blank" rel="noopener">View photo</a>` : 'None'}</td>
+            <td><span class="status-${escapeHtml(claim.status)}">${statusLabel(claim.status)}</span><br><small>${escapeHtml(claim.updatedAt)}</small></td>
+            <td class="admin-actions">
+                ${actions.includes('accepted') ? `<button class="btn btn-approve" data-claim-id="${claim.id}" data-status="accepted" data-mark-claimed="true">Accept &amp; Mark Claimed</button>` : ''}
+                ${actions.map(status => `<button class="btn ${status === 'rejected' ? 'btn-delete' : 'btn-secondary'}" data-claim-id="${claim.id}" data-status="${status}">${CLAIM_ACTION_LABELS[status]}</button>`).join('')}
+            </td>
+        `;
+        tableBody.appendChild(row);
+    });
+});
+
+/**
+ * Adds one delegated click listener for the status buttons in the claims table.
+ */
+const addClaimButtonListeners = () => {
+    const tableBody = document.getElementById('claims-table-body');
+    if (!tableBody) return;
+
+    tableBody.addEventListener('click', (e) => {
+        const { claimId, status, markClaimed } = e.target.dataset;
+        if (!claimId || !status) return;
+        if (markClaimed && !confirm("Accept this claim and mark the item as claimed? The item's other open claims will be rejected.")) return;
+        updateClaimStatus(parseInt(claimId), status, !!markClaimed);
+    });
+};
+
+/**
+ * Moves a claim to a new status, optionally marking its item claimed.
+ * @param {number} id - The claim ID.
+ * @param {string} status - 'reviewing', 'accepted' or 'rejected'.
+ * @param {boolean} markItemClaimed - Also mark the item as claimed (accepting only).
+ */
+const updateClaimStatus = (id, status, markItemClaimed) => adminAction(async () => {
+    await apiRequest(`/admin/claims/${id}`, { method: 'PATCH', body: { status, markItemClaimed } });
+    renderClaimsTable();
+    if (markItemClaimed) renderAdminTable(); // the item's status changed too
+});
+
+
+// --- Admin Categories ---
+
+/**
+ * Renders the category list on the admin page, retired categories included.
+ */
+const renderCategoriesTable = () => adminAction(async () => {
+    const tableBody = document.getElementById('categories-table-body');
+    if (!tableBody) return;
+
+    const { categories } = await apiRequest('/admin/categories');
+    tableBody.innerHTML = '';
+    categories.forEach((category, index) => {
+        const row = document.createElement('tr');
+        row.innerHTML = `
+            <td>${escapeHtml(category.label)}</td>
+            <td>${category.itemCount}</td>
+            <td><span class="status-${category.active ? 'approved' : 'retired'}">${category.active ? 'Active' : 'Retired'}</span></td>
+            <td class="admin-actions">
+                <button class="btn btn-secondary" data-slug="${escapeHtml(category.slug)}" data-move="up" aria-label="Move ${escapeHtml(category.label)} up"${index === 0 ? ' disabled' : ''}>&uarr;</button>
+                <button class="btn btn-secondary" data-slug="${escapeHtml(category.slug)}" data-move="down" aria-label="Move ${escapeHtml(category.label)} down"${index === categories.length - 1 ? ' disabled' : ''}>&darr;</button>
+                <button class="btn btn-secondary" data-slug="${escapeHtml(category.slug)}" data-rename="${escapeHtml(category.label)}">Rename</button>
+                <button class="btn ${category.active ? 'btn-delete' : 'btn-approve'}" data-slug="${escapeHtml(category.slug)}" data-active="${category.active ? '' : 'true'}">${category.active ? 'Retire' : 'Restore'}</button>
+            </td>
+        `;
+        tableBody.appendChild(row);
+    });
+});
+
+/**
+ * Wires up the category table buttons (one delegated listener) and the add form.
+ */
+const addCategoryListeners = () => {
+    const tableBody = document.getElementById('categories-table-body');
+    const form = document.getElementById('category-form');
+    if (!tableBody || !form) return;
+
+    tableBody.addEventListener('click', (e) => {
+        const { slug, move, rename, active } = e.target.dataset;
+        if (!slug) return;
+        if (move) {
+            updateCategory(slug, { move });
+        } else if (rename !== undefined) {
+            const label = prompt('New name for this category:', rename);
+            if (label && label.trim() && label.trim() !== rename) updateCategory(slug, { label: label.trim() });
+        } else if (active !== undefined) {
+            updateCategory(slug, { active: !!active });
+        }
+    });
+
+    form.addEventListener('submit', (e) => {
+        e.preventDefault();
+        adminAction(async () => {
+            await apiRequest('/admin/categories', { method: 'POST', body: { label: form.label.value } });
+            form.reset();
+            renderCategoriesTable();
+        });
+    });
+};
+
+/**
+ * Renames, retires/restores or moves a category.
+ * @param {string} slug - The category's slug.
+ * @param {Object} changes - Any of { label, active, move: 'up'|'down' }.
+ */
+const updateCategory = (slug, changes) => adminAction(async () => {
+    await apiRequest(`/admin/categories/${encodeURIComponent(slug)}`, { method: 'PATCH', body: changes });
+    renderCategoriesTable();
+});
+
+
+// --- Pilot Data Export ---
+
+// Where the localStorage-only version of the site kept its items
+const LEGACY_KEY = 'lostAndFoundItems';
+
+/**
+ * Downloads the items the pilot version saved in this browser as a JSON bundle,
+ * photos included as data URLs. The bundle is imported on the main server with
+ * its import-legacy script, which maps the fields and reports duplicates.
+ */
+const exportLegacyItems = () => {
+    const message = document.getElementById('legacy-export-message');
+    let items;
+    try {
+        items = JSON.parse(localStorage.getItem(LEGACY_KEY) || '[]');
+    } catch (err) {
+        message.textContent = 'The saved pilot data in this browser is damaged and could not be read.';
+        return;
+    }
+    if (!Array.isArray(items) || !items.length) {
+        message.textContent = 'This browser has no items saved from the pilot.';
+        return;
+    }
+
+    const bundle = {
+        format: 'lostandfound-localstorage',
+        version: 1,
+        exportedAt: new Date().toISOString(),
+        items: items.map(({ id, name, category, location, date, description, photo, status }) =>
+            ({ id, name, category, location, date, description, photo, status }))
+    };
+    const url = URL.createObjectURL(new Blob([JSON.stringify(bundle)], { type: 'application/json' }));
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = `lostandfound-pilot-${new Date().toISOString().slice(0, 10)}.json`;
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+    URL.revokeObjectURL(url);
+    message.textContent = `Exported ${items.length} item${items.length === 1 ? '' : 's'}.`;
 };
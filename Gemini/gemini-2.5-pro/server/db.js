@@ -0,0 +1,170 @@
+/**
+ * LionHeart Lost & Found - Database Layer
+ *
+ * Replaces the old localStorage "database" with a SQLite file on the server,
+ * so every device sees the same items. This module:
+ * 1.  Opens (or creates) server/data.sqlite3.
+ * 2.  Wraps the sqlite3 callbacks in small promise helpers.
+ * 3.  Creates the tables (items, claims, categories, admins), seeds the first admin
+ *     account and the starting category list.
+ */
+
+const path = require('path');
+const crypto = require('crypto');
+const sqlite3 = require('sqlite3');
+const bcrypt = require('bcryptjs');
+
+const DB_PATH = process.env.DB_PATH || path.join(__dirname, 'data.sqlite3');
+const db = new sqlite3.Database(DB_PATH);
+
+// The categories the report form used to hard-code: [slug, label]
+const DEFAULT_CATEGORIES = [
+    ['electronics', 'Electronics'],
+    ['clothing', 'Clothing & Apparel'],
+    ['books', 'Books & Notebooks'],
+    ['water-bottles', 'Water Bottles'],
+    ['keys', 'Keys & ID Cards'],
+    ['other', 'Other']
+];
+
+
+// --- Promise Helpers ---
+
+/**
+ * Runs a statement that doesn't return rows (INSERT, UPDATE, DELETE, CREATE).
+ * @param {string} sql - The SQL statement, with ? placeholders.
+ * @param {Array} [params] - Values for the placeholders.
+ * @returns {Promise<{lastID: number, changes: number}>} The statement result.
+ */
+const run = (sql, params = []) => new Promise((resolve, reject) => {
+    db.run(sql, params, function (err) {
+        if (err) reject(err);
+        else resolve({ lastID: this.lastID, changes: this.changes });
+    });
+});
+
+/**
+ * Fetches the first matching row.
+ * @param {string} sql - The SQL query.
+ * @param {Array} [params] - Values for the placeholders.
+ * @returns {Promise<Object|undefined>} The row, or undefined if there is none.
+ */
+const get = (sql, params = []) => new Promise((resolve, reject) => {
+    db.get(sql, params, (err, row) => (err ? reject(err) : resolve(row)));
+});
+
+/**
+ * Fetches every matching row.
+ * @param {string} sql - The SQL query.
+ * @param {Array} [params] - Values for the placeholders.
+ * @returns {Promise<Array<Object>>} The rows (possibly empty).
+ */
+const all = (sql, params = []) => new Promise((resolve, reject) => {
+    db.all(sql, params, (err, rows) => (err ? reject(err) : resolve(rows)));
+});
+
+let queue = Promise.resolve();
+
+/**
+ * Runs `fn` between BEGIN and COMMIT, or ROLLBACK if it throws. There is one
+ * connection, so transactions wait their turn instead of interleaving.
+ * @param {Function} fn - An async function making the queries.
+ * @returns {Promise<*>} Whatever `fn` returns.
+ */
+const transaction = (fn) => {
+    const result = queue.then(async () => {
+        await run('BEGIN IMMEDIATE');
+        try {
+            const value = await fn();
+            await run('COMMIT');
+            return value;
+        } catch (err) {
+            await run('ROLLBACK').catch(() => {});
+            throw err;
+        }
+    });
+    queue = result.catch(() => {});
+    return result;
+};
+
+
+// --- Schema ---
+
+/**
+ * Creates the tables if they don't exist yet and makes sure there is an admin.
+ * The first admin's password comes from ADMIN_PASSWORD, or is generated and
+ * printed once to the console so there is never a well-known default.
+ * @returns {Promise<void>}
+ */
+const init = async () => {
+    await run('PRAGMA foreign_keys = ON');
+    await run('PRAGMA journal_mode = WAL');
+
+    await run(`
+        CREATE TABLE IF NOT EXISTS items (
+            id INTEGER PRIMARY KEY AUTOINCREMENT,
+            name TEXT NOT NULL,
+            category TEXT NOT NULL,
+            location TEXT NOT NULL,
+            date TEXT NOT NULL,               -- YYYY-MM-DD, when it was found
+            description TEXT NOT NULL,
+            photo TEXT,                       -- file name in server/uploads
+            status TEXT NOT NULL DEFAULT 'pending', -- pending, approved, claimed
+            created_at TEXT NOT NULL DEFAULT CURRENT_TIMESTAMP
+        )
+    `);
+    await run('CREATE INDEX IF NOT EXISTS idx_items_status ON items (status)');
+
+    await run(`
+        CREATE TABLE IF NOT EXISTS claims (
+            id INTEGER PRIMARY KEY AUTOINCREMENT,
+            item_id INTEGER NOT NULL REFERENCES items (id) ON DELETE CASCADE,
+            name TEXT NOT NULL,
+            email TEXT NOT NULL,
+            student_id TEXT NOT NULL,
+            details TEXT NOT NULL,            -- identifying details only the owner would know
+            proof TEXT,                       -- optional photo, file name in server/private_uploads
+            status TEXT NOT NULL DEFAULT 'new', -- new, reviewing, accepted, rejected
+            created_at TEXT NOT NULL DEFAULT CURRENT_TIMESTAMP,
+            updated_at TEXT NOT NULL DEFAULT CURRENT_TIMESTAMP
+        )
+    `);
+    await run('CREATE INDEX IF NOT EXISTS idx_claims_item ON claims (item_id)');
+
+    // Managed on the admin page. Items store the slug, so renaming a label changes nothing else;
+    // retired categories drop out of the forms but old items keep them.
+    await run(`
+        CREATE TABLE IF NOT EXISTS categories (
+            slug TEXT PRIMARY KEY,
+            label TEXT NOT NULL,
+            sort_order INTEGER NOT NULL,
+            active INTEGER NOT NULL DEFAULT 1
+        )
+    `);
+    if (!(await get('SELECT slug FROM categories LIMIT 1'))) {
+        for (const [index, [slug, label]] of DEFAULT_CATEGORIES.entries()) {
+            await run('INSERT INTO categories (slug, label, sort_order) VALUES (?, ?, ?)', [slug, label, index + 1]);
+        }
+    }
+
+    await run(`
+        CREATE TABLE IF NOT EXISTS admins (
+            id INTEGER PRIMARY KEY AUTOINCREMENT,
+            username TEXT NOT NULL UNIQUE,
+            password_hash TEXT NOT NULL,
+            created_at TEXT NOT NULL DEFAULT CURRENT_TIMESTAMP
+        )
+    `);
+
+    const existing = await get('SELECT id FROM admins LIMIT 1');
+    if (!existing) {
+        const username = process.env.ADMIN_USERNAME || 'admin';
+        const password = process.env.ADMIN_PASSWORD || crypto.randomBytes(9).toString('base64url');
+        await run('INSERT INTO admins (username, password_hash) VALUES (?, ?)', [username, await bcrypt.hash(password, 10)]);
+        if (!process.env.ADMIN_PASSWORD) {
+            console.log(`Created admin account "${username}" with password: ${password}`);
+        }
+    }
+};
+
+module.exports = { db, DB_PATH, run, get, all, transaction, init };
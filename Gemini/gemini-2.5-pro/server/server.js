@@ -0,0 +1,510 @@
+/**
+ * LionHeart Lost & Found - API Server
+ *
+ * Serves the static site from the parent folder and a small REST API:
+ * 1.  Public: list approved items, report a found item (with photo upload),
+ *     and claim an item (with an optional proof photo kept private).
+ * 2.  Auth: admin login/logout backed by a session cookie.
+ * 3.  Admin: list every item, approve, and delete; review claims; manage the
+ *     category list the report and browse pages are built from.
+ *
+ * Start with `npm start` inside server/, then open http://localhost:3000.
+ */
+
+const path = require('path');
+const fs = require('fs');
+const crypto = require('crypto');
+const express = require('express');
+const session = require('express-session');
+const rateLimit = require('express-rate-limit');
+const multer = require('multer');
+const bcrypt = require('bcryptjs');
+const { run, get, all, transaction, init } = require('./db');
+
+const PORT = process.env.PORT || 3000;
+const SITE_DIR = path.join(__dirname, '..');
+const UPLOAD_DIR = path.join(__dirname, 'uploads');
+const PROOF_DIR = path.join(__dirname, 'private_uploads'); // claim proofs often show student IDs; never served statically
+const STATUSES = ['pending', 'approved', 'claimed'];
+// Which claim statuses an admin can move a claim to from each status
+const CLAIM_TRANSITIONS = {
+    new: ['reviewing', 'accepted', 'rejected'],
+    reviewing: ['accepted', 'rejected'],
+    accepted: ['reviewing'],
+    rejected: ['reviewing']
+};
+const PHOTO_TYPES = { 'image/jpeg': '.jpg', 'image/png': '.png', 'image/gif': '.gif', 'image/webp': '.webp' };
+
+fs.mkdirSync(UPLOAD_DIR, { recursive: true });
+fs.mkdirSync(PROOF_DIR, { recursive: true });
+
+const app = express();
+app.use(express.json({ limit: '100kb' }));
+app.use(session({
+    name: 'lionheart.sid',
+    secret: process.env.SESSION_SECRET || crypto.randomBytes(32).toString('hex'),
+    resave: false,
+    saveUninitialized: false,
+    // 'strict' keeps other sites from riding on the admin's cookie (no CSRF tokens needed)
+    cookie: { httpOnly: true, sameSite: 'strict', maxAge: 8 * 60 * 60 * 1000 }
+}));
+
+
+// --- Helpers ---
+
+/**
+ * Photo uploads go straight to disk under a random name; only common image types are accepted.
+ * @param {string} dir - The folder to store them in.
+ * @returns {multer.Multer} The upload middleware factory.
+ */
+const photoUpload = (dir) => multer({
+    storage: multer.diskStorage({
+        destination: dir,
+        filename: (req, file, cb) => cb(null, crypto.randomBytes(16).toString('hex') + PHOTO_TYPES[file.mimetype])
+    }),
+    limits: { fileSize: 5 * 1024 * 1024, files: 1 },
+    fileFilter: (req, file, cb) => {
+        if (PHOTO_TYPES[file.mimetype]) cb(null, true);
+        else cb(new ApiError(400, 'Photo must be a JPEG, PNG, GIF or WebP image.'));
+    }
+});
+const upload = photoUpload(UPLOAD_DIR);
+const proofUpload = photoUpload(PROOF_DIR);
+
+/**
+ * An error whose message is safe to show to the user.
+ */
+class ApiError extends Error {
+    /**
+     * @param {number} status - The HTTP status code to answer with.
+     * @param {string} message - What went wrong, in plain words.
+     */
+    constructor(status, message) {
+        super(message);
+        this.status = status;
+    }
+}
+
+// Items with their category's current label
+const ITEM_SELECT = 'SELECT items.*, categories.label AS category_label FROM items LEFT JOIN categories ON categories.slug = items.category';
+
+/**
+ * Wraps an async route so rejected promises reach the error handler below.
+ * @param {Function} handler - The async (req, res) route handler.
+ * @returns {Function} An Express middleware.
+ */
+const route = (handler) => (req, res, next) => Promise.resolve(handler(req, res)).catch(next);
+
+/**
+ * Turns a database row into the shape app.js works with.
+ * @param {Object} row - A row from the items table, as loaded with ITEM_SELECT.
+ * @returns {Object} The item, with `photo` as a URL.
+ */
+const toItem = (row) => ({
+    id: row.id,
+    name: row.name,
+    category: row.category,
+    categoryLabel: row.category_label || row.category,
+    location: row.location,
+    date: row.date,
+    description: row.description,
+    photo: row.photo ? `/uploads/${row.photo}` : null,
+    status: row.status,
+    createdAt: row.created_at
+});
+
+/**
+ * Turns a claims row (joined with its item's name) into what the admin page shows.
+ * @param {Object} row - A row from the claims table.
+ * @returns {Object} The claim, with `proof` as an admin-only URL.
+ */
+const toClaim = (row) => ({
+    id: row.id,
+    itemId: row.item_id,
+    itemName: row.item_name,
+    itemStatus: row.item_status,
+    name: row.name,
+    email: row.email,
+    studentId: row.student_id,
+    details: row.details,
+    proof: row.proof ? `/api/admin/claims/${row.id}/proof` : null,
+    status: row.status,
+    // Once the item has gone back to its owner, the only change left is rejecting a claim
+    nextStatuses: (CLAIM_TRANSITIONS[row.status] || []).filter((s) => row.item_status !== 'claimed' || s === 'rejected'),
+    createdAt: row.created_at,
+    updatedAt: row.updated_at
+});
+
+/**
+ * Loads one claim with its item's name and status.
+ * @param {number|string} id - The claim ID.
+ * @returns {Promise<Object|undefined>} The claims row, or undefined.
+ */
+const getClaim = (id) => get(
+    `SELECT c.*, i.name AS item_name, i.status AS item_status
+     FROM claims c JOIN items i ON i.id = c.item_id WHERE c.id = ?`,
+    [id]
+);
+
+/**
+ * Turns a categories row into the shape app.js works with.
+ * @param {Object} row - A row from the categories table (optionally with item_count).
+ * @returns {Object} The category.
+ */
+const toCategory = (row) => ({
+    slug: row.slug,
+    label: row.label,
+    active: !!row.active,
+    ...(row.item_count !== undefined && { itemCount: row.item_count })
+});
+
+/**
+ * Turns a label into a category slug, e.g. 'Sports Gear' -> 'sports-gear'.
+ * @param {string} label - The category's label.
+ * @returns {string} The slug (empty if the label has no letters or digits).
+ */
+const slugify = (label) => label.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '').slice(0, 40);
+
+/**
+ * Reads and checks a trimmed text field from the request body.
+ * @param {Object} body - The parsed request body.
+ * @param {string} field - The field name.
+ * @param {number} maxLength - The longest value accepted.
+ * @returns {string} The value.
+ */
+const requireText = (body, field, maxLength) => {
+    const value = String(body[field] || '').trim();
+    if (!value) throw new ApiError(400, `Please fill in ${field}.`);
+    if (value.length > maxLength) throw new ApiError(400, `${field} is too long (max ${maxLength} characters).`);
+    return value;
+};
+
+/**
+ * Deletes an uploaded photo; a file that is already gone is fine.
+ * @param {string|null} filename - The stored file name.
+ * @param {string} [dir] - The folder it is in.
+ */
+const removePhoto = (filename, dir = UPLOAD_DIR) => {
+    if (filename) fs.rm(path.join(dir, path.basename(filename)), { force: true }, () => {});
+};
+
+/**
+ * Middleware: only signed-in admins get through.
+ */
+const requireAdmin = (req, res, next) => {
+    if (!req.session.admin) return res.status(401).json({ error: 'Please log in.' });
+    next();
+};
+
+const loginLimiter = rateLimit({ windowMs: 15 * 60 * 1000, limit: 10, standardHeaders: true, legacyHeaders: false });
+const reportLimiter = rateLimit({ windowMs: 60 * 60 * 1000, limit: 20, standardHeaders: true, legacyHeaders: false });
+const claimLimiter = rateLimit({ windowMs: 60 * 60 * 1000, limit: 10, standardHeaders: true, legacyHeaders: false });
+
+
+// --- Public API ---
+
+/**
+ * GET /api/items - Approved items, newest first. Optional ?q= and ?category= filters.
+ */
+app.get('/api/items', route(async (req, res) => {
+    const where = ["items.status = 'approved'"];
+    const params = [];
+    if (req.query.q) {
+        where.push('(items.name LIKE ? OR items.description LIKE ?)');
+        params.push(`%${req.query.q}%`, `%${req.query.q}%`);
+    }
+    if (req.query.category && req.query.category !== 'all') {
+        where.push('items.category = ?');
+        params.push(req.query.category);
+    }
+    const rows = await all(`${ITEM_SELECT} WHERE ${where.join(' AND ')} ORDER BY items.date DESC, items.id DESC`, params);
+    res.json({ items: rows.map(toItem) });
+}));
+
+/**
+ * GET /api/taxonomy - The categories the report and browse pages offer, in display order.
+ */
+app.get('/api/taxonomy', route(async (req, res) => {
+    const rows = await all('SELECT * FROM categories WHERE active = 1 ORDER BY sort_order');
+    res.json({ categories: rows.map(({ slug, label }) => ({ slug, label })) });
+}));
+
+/**
+ * POST /api/items - Report a found item (multipart form with a `photo` file).
+ * New items are pending until an admin approves them.
+ */
+app.post('/api/items', reportLimiter, upload.single('photo'), route(async (req, res) => {
+    try {
+        const item = {
+            name: requireText(req.body, 'name', 120),
+            category: requireText(req.body, 'category', 40),
+            location: requireText(req.body, 'location', 200),
+            date: requireText(req.body, 'date', 10),
+            description: requireText(req.body, 'description', 2000)
+        };
+        if (!(await get('SELECT slug FROM categories WHERE slug = ? AND active = 1', [item.category]))) {
+            throw new ApiError(400, 'Please choose a category from the list.');
+        }
+        if (!/^\d{4}-\d{2}-\d{2}$/.test(item.date)) throw new ApiError(400, 'Date must be YYYY-MM-DD.');
+        if (!req.file) throw new ApiError(400, 'Please add a photo of the item.');
+
+        const result = await run(
+            'INSERT INTO items (name, category, location, date, description, photo) VALUES (?, ?, ?, ?, ?, ?)',
+            [item.name, item.category, item.location, item.date, item.description, req.file.filename]
+        );
+        res.status(201).json({ item: toItem(await get(`${ITEM_SELECT} WHERE items.id = ?`, [result.lastID])) });
+    } catch (err) {
+        if (req.file) removePhoto(req.file.filename);
+        throw err;
+    }
+}));
+
+/**
+ * POST /api/items/:id/claims - Claim an approved item (multipart form, optional `proof` photo).
+ * The claimant gets a reference number; staff follow up by email.
+ */
+app.post('/api/items/:id/claims', claimLimiter, proofUpload.single('proof'), route(async (req, res) => {
+    try {
+        const item = await get("SELECT id FROM items WHERE id = ? AND status = 'approved'", [req.params.id]);
+        if (!item) throw new ApiError(404, 'This item is no longer available to claim.');
+        const claim = {
+            name: requireText(req.body, 'name', 120),
+            email: requireText(req.body, 'email', 200),
+            studentId: requireText(req.body, 'studentId', 40),
+            details: requireText(req.body, 'details', 2000)
+        };
+        if (!/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(claim.email)) throw new ApiError(400, 'Please enter a valid email address.');
+
+        const result = await run(
+            'INSERT INTO claims (item_id, name, email, student_id, details, proof) VALUES (?, ?, ?, ?, ?, ?)',
+            [item.id, claim.name, claim.email, claim.studentId, claim.details, req.file ? req.file.filename : null]
+        );
+        res.status(201).json({ claim: { id: result.lastID, status: 'new' } });
+    } catch (err) {
+        if (req.file) removePhoto(req.file.filename, PROOF_DIR);
+        throw err;
+    }
+}));
+
+
+// --- Auth ---
+
+/**
+ * POST /api/auth/login - { username, password }. Starts an admin session.
+ */
+app.post('/api/auth/login', loginLimiter, route(async (req, res) => {
+    const { username = '', password = '' } = req.body || {};
+    const admin = await get('SELECT * FROM admins WHERE username = ?', [String(username)]);
+    if (!admin || !(await bcrypt.compare(String(password), admin.password_hash))) {
+        throw new ApiError(401, 'Wrong username or password.');
+    }
+    // New session id on login so a planted cookie can't be reused
+    req.session.regenerate((err) => {
+        if (err) return res.status(500).json({ error: 'Could not start a session.' });
+        req.session.admin = { id: admin.id, username: admin.username };
+        res.json({ admin: req.session.admin });
+    });
+}));
+
+/**
+ * POST /api/auth/logout - Ends the admin session.
+ */
+app.post('/api/auth/logout', (req, res) => {
+    req.session.destroy(() => res.json({ ok: true }));
+});
+
+/**
+ * GET /api/auth/me - The signed-in admin, or 401.
+ */
+app.get('/api/auth/me', requireAdmin, (req, res) => {
+    res.json({ admin: req.session.admin });
+});
+
+
+// --- Admin API ---
+
+/**
+ * GET /api/admin/items - Every item, pending ones first.
+ */
+app.get('/api/admin/items', requireAdmin, route(async (req, res) => {
+    const rows = await all(`${ITEM_SELECT} ORDER BY items.status = 'pending' DESC, items.created_at DESC, items.id DESC`);
+    res.json({ items: rows.map(toItem) });
+}));
+
+/**
+ * PATCH /api/admin/items/:id - { status }: approve, send back to pending, or mark claimed.
+ */
+app.patch('/api/admin/items/:id', requireAdmin, route(async (req, res) => {
+    const { status } = req.body || {};
+    if (!STATUSES.includes(status)) throw new ApiError(400, `Status must be one of: ${STATUSES.join(', ')}.`);
+    const result = await run('UPDATE items SET status = ? WHERE id = ?', [status, req.params.id]);
+    if (!result.changes) throw new ApiError(404, 'Item not found.');
+    res.json({ item: toItem(await get(`${ITEM_SELECT} WHERE items.id = ?`, [req.params.id])) });
+}));
+
+/**
+ * DELETE /api/admin/items/:id - Removes the item, its claims and their photos.
+ */
+app.delete('/api/admin/items/:id', requireAdmin, route(async (req, res) => {
+    const row = await get('SELECT * FROM items WHERE id = ?', [req.params.id]);
+    if (!row) throw new ApiError(404, 'Item not found.');
+    const proofs = await all('SELECT proof FROM claims WHERE item_id = ? AND proof IS NOT NULL', [row.id]);
+    await run('DELETE FROM items WHERE id = ?', [row.id]);
+    removePhoto(row.photo);
+    proofs.forEach(({ proof }) => removePhoto(proof, PROOF_DIR));
+    res.json({ ok: true });
+}));
+
+/**
+ * GET /api/admin/claims - Every claim with its item, open ones first.
+ */
+app.get('/api/admin/claims', requireAdmin, route(async (req, res) => {
+    const rows = await all(
+        `SELECT c.*, i.name AS item_name, i.status AS item_status
+         FROM claims c JOIN items i ON i.id = c.item_id
+         ORDER BY c.status IN ('new', 'reviewing') DESC, c.created_at DESC, c.id DESC`
+    );
+    res.json({ claims: rows.map(toClaim) });
+}));
+
+/**
+ * PATCH /api/admin/claims/:id - { status, markItemClaimed }.
+ * Accepting with markItemClaimed also marks the item claimed (hiding it from
+ * Browse) and rejects the item's other open claims.
+ */
+app.patch('/api/admin/claims/:id', requireAdmin, route(async (req, res) => {
+    const { status, markItemClaimed = false } = req.body || {};
+    const claim = await getClaim(req.params.id);
+    if (!claim) throw new ApiError(404, 'Claim not found.');
+    if (!(CLAIM_TRANSITIONS[claim.status] || []).includes(status)) {
+        throw new ApiError(400, `A ${claim.status} claim can't be changed to ${status}.`);
+    }
+    if (markItemClaimed && status !== 'accepted') throw new ApiError(400, 'Only an accepted claim can mark the item claimed.');
+    if (claim.item_status === 'claimed' && status !== 'rejected') {
+        throw new ApiError(409, 'This item has already been handed back to its owner.');
+    }
+
+    await transaction(async () => {
+        await run('UPDATE claims SET status = ?, updated_at = CURRENT_TIMESTAMP WHERE id = ?', [status, claim.id]);
+        if (markItemClaimed) {
+            await run("UPDATE items SET status = 'claimed' WHERE id = ?", [claim.item_id]);
+            await run(
+                `UPDATE claims SET status = 'rejected', updated_at = CURRENT_TIMESTAMP
+                 WHERE item_id = ? AND id != ? AND status IN ('new', 'reviewing')`,
+                [claim.item_id, claim.id]
+            );
+        }
+    });
+    res.json({ claim: toClaim(await getClaim(claim.id)) });
+}));
+
+/**
+ * GET /api/admin/claims/:id/proof - The claimant's proof photo (admins only).
+ */
+app.get('/api/admin/claims/:id/proof', requireAdmin, route(async (req, res) => {
+    const claim = await get('SELECT proof FROM claims WHERE id = ?', [req.params.id]);
+    if (!claim || !claim.proof) throw new ApiError(404, 'No proof photo for this claim.');
+    res.set('Cache-Control', 'no-store');
+    res.sendFile(path.join(PROOF_DIR, path.basename(claim.proof)));
+}));
+
+/**
+ * GET /api/admin/categories - Every category, retired ones included, with how many items use it.
+ */
+app.get('/api/admin/categories', requireAdmin, route(async (req, res) => {
+    const rows = await all(
+        `SELECT c.*, (SELECT COUNT(*) FROM items WHERE items.category = c.slug) AS item_count
+         FROM categories c ORDER BY c.sort_order`
+    );
+    res.json({ categories: rows.map(toCategory) });
+}));
+
+/**
+ * POST /api/admin/categories - { label }: adds a category at the end of the list.
+ */
+app.post('/api/admin/categories', requireAdmin, route(async (req, res) => {
+    const label = requireText(req.body || {}, 'label', 40);
+    const slug = slugify(label);
+    if (!slug) throw new ApiError(400, 'The label needs at least one letter or digit.');
+    if (await get('SELECT slug FROM categories WHERE slug = ?', [slug])) {
+        throw new ApiError(409, 'A category with that name already exists.');
+    }
+    await run(
+        'INSERT INTO categories (slug, label, sort_order) VALUES (?, ?, (SELECT COALESCE(MAX(sort_order), 0) + 1 FROM categories))',
+        [slug, label]
+    );
+    res.status(201).json({ category: toCategory(await get('SELECT * FROM categories WHERE slug = ?', [slug])) });
+}));
+
+/**
+ * PATCH /api/admin/categories/:slug - Any of { label, active, move: 'up'|'down' }.
+ * The slug never changes, so items keep their category when it is renamed.
+ */
+app.patch('/api/admin/categories/:slug', requireAdmin, route(async (req, res) => {
+    const { label, active, move } = req.body || {};
+    const category = await get('SELECT * FROM categories WHERE slug = ?', [req.params.slug]);
+    if (!category) throw new ApiError(404, 'Category not found.');
+
+    await transaction(async () => {
+        if (label !== undefined) {
+            await run('UPDATE categories SET label = ? WHERE slug = ?', [requireText({ label }, 'label', 40), category.slug]);
+        }
+        if (active !== undefined) await run('UPDATE categories SET active = ? WHERE slug = ?', [active ? 1 : 0, category.slug]);
+        if (move === 'up' || move === 'down') {
+            // Swap places with the neighbour in that direction, if there is one
+            const neighbour = await get(
+                move === 'up'
+                    ? 'SELECT * FROM categories WHERE sort_order < ? ORDER BY sort_order DESC LIMIT 1'
+                    : 'SELECT * FROM categories WHERE sort_order > ? ORDER BY sort_order LIMIT 1',
+                [category.sort_order]
+            );
+            if (neighbour) {
+                await run('UPDATE categories SET sort_order = ? WHERE slug = ?', [neighbour.sort_order, category.slug]);
+                await run('UPDATE categories SET sort_order = ? WHERE slug = ?', [category.sort_order, neighbour.slug]);
+            }
+        }
+    });
+    res.json({ category: toCategory(await get('SELECT * FROM categories WHERE slug = ?', [category.slug])) });
+}));
+
+app.use('/api', (req, res) => res.status(404).json({ error: 'Not found.' }));
+
+
+// --- Static Files ---
+
+// The site lives one folder up, next to this server folder (database, source), so only
+// its pages, css/ and js/ are served rather than the whole folder
+const PAGES = fs.readdirSync(SITE_DIR).filter((file) => file.endsWith('.html'));
+
+app.use('/uploads', express.static(UPLOAD_DIR, { maxAge: '7d' }));
+app.use('/css', express.static(path.join(SITE_DIR, 'css')));
+app.use('/js', express.static(path.join(SITE_DIR, 'js')));
+app.get('/:page?', (req, res, next) => {
+    const page = req.params.page || 'index.html';
+    if (!PAGES.includes(page)) return next();
+    res.sendFile(path.join(SITE_DIR, page));
+});
+
+
+// --- Errors ---
+
+/**
+ * Known errors answer with their message; anything else is logged and hidden.
+ * Express only treats a handler with four parameters as an error handler, so `next` stays.
+ */
+app.use((err, req, res, next) => {
+    if (err instanceof ApiError) return res.status(err.status).json({ error: err.message });
+    if (err instanceof multer.MulterError) {
+        const message = err.code === 'LIMIT_FILE_SIZE' ? 'Photo is too large (max 5 MB).' : 'Upload failed.';
+        return res.status(400).json({ error: message });
+    }
+    console.error(err);
+    res.status(500).json({ error: 'Something went wrong. Please try again.' });
+});
+
+init()
+    .then(() => app.listen(PORT, () => console.log(`LionHeart Lost & Found running at http://localhost:${PORT}`)))
+    .catch((err) => {
+        console.error('Could not open the database', err);
+        process.exit(1);
+    });